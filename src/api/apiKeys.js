@@ -0,0 +1,191 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const ApiKey = require('../database/ApiKey');
+const User = require('../database/User');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { authenticate, requireDatabase } = require('./middleware');
+const { PERMISSIONS, authorize, isValidScope } = require('./permissions');
+const { auditAction } = require('./audit');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+const { msg } = require('../utils/i18n');
+
+/**
+ * Router untuk pengelolaan API key oleh admin
+ */
+const router = express.Router();
+
+router.use(authenticate, authorize(PERMISSIONS.KEYS_MANAGE), requireDatabase);
+
+/**
+ * Memvalidasi field pembuatan API key
+ * @private
+ * @returns {Message|null} Pesan error atau null jika valid
+ */
+const validateKeyRequest = ({ name, scopes, role, expiresAt }) => {
+  if (typeof name !== 'string' || name.trim().length === 0) {
+    return msg('apiKeys.nameRequired');
+  }
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return msg('apiKeys.scopesRequired');
+  }
+  const invalidScopes = scopes.filter(scope => typeof scope !== 'string' || !isValidScope(scope));
+  if (invalidScopes.length > 0) {
+    return msg('apiKeys.unknownScopes', { scopes: invalidScopes.join(', ') });
+  }
+  if (role !== undefined && !config.security.roles[role]) {
+    return msg('apiKeys.invalidRole', { roles: Object.keys(config.security.roles).join(', ') });
+  }
+  if (expiresAt !== undefined && expiresAt !== null) {
+    const date = new Date(expiresAt);
+    if (isNaN(date.getTime()) || date.getTime() <= Date.now()) {
+      return msg('apiKeys.invalidExpiresAt');
+    }
+  }
+  return null;
+};
+
+/**
+ * Memastikan pemilik key adalah akun terdaftar yang aktif, karena key mewarisi sesi, job,
+ * webhook dan kuota pemiliknya
+ * @private
+ * @returns {Promise<string>} Username pemilik
+ * @throws {ValidationError} Jika pengguna tidak ada atau dinonaktifkan
+ */
+const resolveOwner = async (owner) => {
+  const username = typeof owner === 'string' ? owner.trim().toLowerCase() : '';
+  const user = username ? await User.findOne({ username }) : null;
+
+  if (!user) {
+    throw new ValidationError(msg('apiKeys.ownerNotFound', { owner: String(owner) }));
+  }
+  if (user.disabled) {
+    throw new ValidationError(msg('apiKeys.ownerDisabled', { owner: user.username }));
+  }
+
+  return user.username;
+};
+
+/**
+ * Mencari API key berdasarkan ID pada parameter route
+ * @private
+ */
+const findKey = (id) => {
+  if (!mongoose.isValidObjectId(id)) {
+    return Promise.resolve(null);
+  }
+  return ApiKey.findById(id);
+};
+
+// Daftar semua API key
+router.get('/', async (req, res, next) => {
+  try {
+    const apiKeys = await ApiKey.find().sort({ createdAt: -1 });
+
+    res.json({
+      status: 'success',
+      data: {
+        keys: apiKeys.map(apiKey => apiKey.toPublic())
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Membuat API key baru
+router.post('/', auditAction('keys.create', { target: req => req.body.name, details: req => ({ role: req.body.role, scopes: req.body.scopes }) }), async (req, res, next) => {
+  try {
+    const validationError = validateKeyRequest(req.body);
+    if (validationError) {
+      throw new ValidationError(validationError);
+    }
+
+    const { name, scopes, role, expiresAt, owner } = req.body;
+
+    const { apiKey, key } = await ApiKey.generate({
+      name,
+      scopes,
+      role,
+      expiresAt: expiresAt || undefined,
+      // Tanpa owner, key menjadi key layanan dengan identitas sendiri
+      owner: owner !== undefined && owner !== null ? await resolveOwner(owner) : ApiKey.serviceOwner(name),
+      createdBy: req.user.username
+    });
+
+    logger.info(`API key ${apiKey.displayPrefix} (${name}) dibuat oleh ${req.user.username}`);
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        ...apiKey.toPublic(),
+        // Key hanya ditampilkan sekali saat dibuat
+        key
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Merotasi API key: key lama dicabut dan key baru dengan pengaturan sama diterbitkan
+router.post('/:id/rotate', auditAction('keys.rotate', { target: req => req.params.id }), async (req, res, next) => {
+  try {
+    const oldKey = await findKey(req.params.id);
+
+    if (!oldKey || oldKey.revokedAt) {
+      throw new NotFoundError(msg('apiKeys.notFoundOrRevoked'), 'API_KEY_NOT_FOUND');
+    }
+
+    const { apiKey, key } = await ApiKey.generate({
+      name: oldKey.name,
+      scopes: oldKey.scopes,
+      role: oldKey.role,
+      owner: oldKey.owner,
+      expiresAt: oldKey.expiresAt,
+      createdBy: req.user.username,
+      rotatedFrom: oldKey._id
+    });
+
+    oldKey.revokedAt = new Date();
+    await oldKey.save();
+
+    logger.info(`API key ${oldKey.displayPrefix} dirotasi menjadi ${apiKey.displayPrefix} oleh ${req.user.username}`);
+
+    res.json({
+      status: 'success',
+      data: {
+        ...apiKey.toPublic(),
+        key
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Mencabut API key
+router.delete('/:id', auditAction('keys.revoke', { target: req => req.params.id }), async (req, res, next) => {
+  try {
+    const apiKey = await findKey(req.params.id);
+
+    if (!apiKey) {
+      throw new NotFoundError(msg('apiKeys.notFound'), 'API_KEY_NOT_FOUND');
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+      logger.info(`API key ${apiKey.displayPrefix} dicabut oleh ${req.user.username}`);
+    }
+
+    res.json({
+      status: 'success',
+      data: apiKey.toPublic()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,140 @@
+const express = require('express');
+const config = require('../config/config');
+const auditLog = require('../database/auditLog');
+const database = require('../database/database');
+const { authenticate } = require('./middleware');
+const { PERMISSIONS, authorize } = require('./permissions');
+const { DatabaseUnavailableError, ValidationError } = require('../utils/errors');
+const { msg } = require('../utils/i18n');
+
+const OUTCOMES = ['success', 'failure', 'aborted'];
+// Parameter yang diulang (?action=a&action=b) dibaca Express sebagai array dan ditolak
+const QUERY_PARAMETERS = ['username', 'action', 'outcome', 'from', 'to', 'limit', 'skip'];
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_LIMIT = 1000;
+
+/**
+ * Middleware yang mencatat tindakan ke audit log setelah respons selesai. Hasil tindakan
+ * ditentukan dari status HTTP (kurang dari 400 berarti sukses) dan code error dari errorHandler.
+ * Pasang setelah `authenticate` tetapi sebelum `authorize` agar percobaan yang ditolak ikut tercatat.
+ * @param {string} action Nama tindakan, misalnya 'models.load'
+ * @param {object} options { target(req), details(req), actor(req) }; target dan details dihitung
+ *                         saat middleware dijalankan, actor setelah respons selesai
+ *                         (default: username pengguna yang terautentikasi)
+ * @returns {Function} Middleware Express
+ */
+const auditAction = (action, { target = null, details = null, actor = null } = {}) => (req, res, next) => {
+  // req.params hanya tersedia selama route diproses, sehingga target dihitung sekarang
+  const targetValue = target ? target(req) : null;
+  const detailsValue = details ? details(req) : null;
+  let recorded = false;
+
+  const record = () => {
+    if (recorded) {
+      return;
+    }
+    recorded = true;
+
+    let outcome = 'aborted';
+    if (res.writableFinished) {
+      outcome = res.statusCode < 400 ? 'success' : 'failure';
+    }
+
+    auditLog.record({
+      actor: actor ? actor(req) : (req.user ? req.user.username : null),
+      role: req.user ? req.user.role : null,
+      authType: req.user ? req.user.authType : null,
+      action,
+      target: targetValue,
+      outcome,
+      status: res.statusCode,
+      code: res.locals.errorCode || null,
+      requestId: req.id,
+      ip: req.ip,
+      details: detailsValue
+    });
+  };
+
+  res.on('finish', record);
+  res.on('close', record);
+  next();
+};
+
+/**
+ * Membaca batas waktu dari query. Tanggal tanpa jam pada `to` mencakup seluruh hari tersebut (UTC).
+ * @private
+ * @returns {Date|null|undefined} Date, null jika kosong, atau undefined jika tidak valid
+ */
+const parseTime = (value, endOfDay = false) => {
+  if (!value) {
+    return null;
+  }
+
+  const date = new Date(endOfDay && DATE_ONLY_PATTERN.test(value) ? `${value}T23:59:59.999Z` : value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+/**
+ * Router admin untuk membaca jejak audit
+ */
+const router = express.Router();
+
+router.use(authenticate, authorize(PERMISSIONS.AUDIT_READ));
+
+// Daftar catatan audit terbaru dengan filter username, action, outcome dan rentang waktu
+router.get('/', async (req, res, next) => {
+  try {
+    if (config.audit.store === 'mongo' && !database.isConnected()) {
+      throw new DatabaseUnavailableError();
+    }
+
+    const invalid = QUERY_PARAMETERS.find(name => req.query[name] !== undefined && typeof req.query[name] !== 'string');
+    if (invalid) {
+      throw new ValidationError(msg('audit.invalidParameter', { name: invalid }));
+    }
+
+    const from = parseTime(req.query.from);
+    const to = parseTime(req.query.to, true);
+
+    if (from === undefined || to === undefined) {
+      throw new ValidationError(msg('audit.invalidDate'));
+    }
+    if (from && to && from > to) {
+      throw new ValidationError(msg('audit.invalidRange'));
+    }
+    if (req.query.outcome && !OUTCOMES.includes(req.query.outcome)) {
+      throw new ValidationError(msg('audit.invalidOutcome', { outcomes: OUTCOMES }));
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 100, MAX_LIMIT);
+    const skip = Math.max(parseInt(req.query.skip) || 0, 0);
+    const actions = req.query.action ? req.query.action.split(',').map(action => action.trim()).filter(Boolean) : null;
+
+    const { events, total } = await auditLog.query({
+      actor: req.query.username ? req.query.username.toLowerCase() : null,
+      actions,
+      outcome: req.query.outcome,
+      from,
+      to,
+      limit,
+      skip
+    });
+
+    res.json({
+      status: 'success',
+      data: {
+        events,
+        total,
+        limit,
+        skip
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = {
+  auditAction,
+  router
+};
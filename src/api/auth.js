@@ -0,0 +1,228 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const User = require('../database/User');
+const RefreshToken = require('../database/RefreshToken');
+const revocationList = require('../database/revocationList');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { authenticate, requireDatabase } = require('./middleware');
+const { rateLimiter } = require('./rateLimiter');
+const { auditAction } = require('./audit');
+const { AuthenticationError, PermissionDeniedError, ValidationError } = require('../utils/errors');
+const { msg } = require('../utils/i18n');
+
+/**
+ * Router untuk login dan pengelolaan password pengguna sendiri
+ */
+const router = express.Router();
+
+/**
+ * Menerbitkan token JWT untuk pengguna. Setiap token memiliki jti unik sehingga dapat
+ * dicabut secara individual, dan klaim `ver` berisi versi token pengguna sehingga semua
+ * token pengguna dapat dicabut sekaligus.
+ * @param {object} user Dokumen pengguna
+ * @returns {string} Token JWT
+ */
+const issueToken = (user) => {
+  return jwt.sign(
+    { username: user.username, role: user.role, ver: user.tokenVersion || 0 },
+    config.security.jwtSecret,
+    {
+      expiresIn: config.security.jwtExpiresIn,
+      jwtid: crypto.randomBytes(16).toString('hex')
+    }
+  );
+};
+
+/**
+ * Menerbitkan pasangan token akses dan refresh token untuk pengguna
+ * @param {object} user Dokumen pengguna
+ * @param {object} options { refreshTokenId: ID refresh token yang sudah dicatat sebagai pengganti }
+ * @returns {Promise<object>} Token akses dan refresh token
+ */
+const issueTokenPair = async (user, { refreshTokenId } = {}) => {
+  const { refreshToken, token } = await RefreshToken.generate(user.username, { _id: refreshTokenId });
+
+  return {
+    token: issueToken(user),
+    expiresIn: config.security.jwtExpiresIn,
+    refreshToken: token,
+    refreshTokenExpiresAt: refreshToken.expiresAt.toISOString()
+  };
+};
+
+/**
+ * Membentuk body respons login dan refresh
+ * @private
+ */
+const tokenResponse = (user, tokens) => ({
+  status: 'success',
+  ...tokens,
+  user: {
+    username: user.username,
+    role: user.role
+  }
+});
+
+// Username yang dicoba saat login, untuk audit login yang gagal
+const loginUsername = req => (typeof req.body.username === 'string' ? req.body.username.trim().toLowerCase() : null);
+
+// Route untuk login dan mendapatkan token
+router.post('/login', auditAction('auth.login', { actor: loginUsername }), rateLimiter('auth'), requireDatabase, async (req, res, next) => {
+  try {
+    const { username, password } = req.body;
+
+    if (typeof username !== 'string' || typeof password !== 'string') {
+      throw new ValidationError(msg('auth.credentialsRequired'));
+    }
+
+    const user = await User.findOne({ username: username.trim().toLowerCase() });
+
+    if (!user || !(await user.verifyPassword(password))) {
+      throw new AuthenticationError(msg('auth.invalidCredentials'), 'INVALID_CREDENTIALS');
+    }
+
+    if (user.disabled) {
+      throw new PermissionDeniedError(msg('auth.accountDisabled'), 'ACCOUNT_DISABLED');
+    }
+
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    logger.info(`Pengguna ${user.username} berhasil login`);
+
+    return res.json(tokenResponse(user, await issueTokenPair(user)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Menangani refresh token yang sudah dirotasi namun dipakai lagi: token kemungkinan bocor,
+ * sehingga semua sesi pengguna dicabut
+ * @private
+ */
+const rejectReusedRefreshToken = async (stored) => {
+  logger.warn(`Refresh token lama milik ${stored.username} dipakai ulang, semua token dicabut`);
+  await revocationList.revokeAllForUser(stored.username, { reason: 'refresh-token-reuse' });
+  throw new AuthenticationError(msg('auth.invalidRefreshToken'), 'INVALID_REFRESH_TOKEN');
+};
+
+// Route untuk menukar refresh token dengan token akses dan refresh token baru
+router.post('/refresh', rateLimiter('auth'), requireDatabase, async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (typeof refreshToken !== 'string' || refreshToken.length === 0) {
+      throw new ValidationError(msg('auth.refreshTokenRequired'));
+    }
+
+    const stored = await RefreshToken.findByToken(refreshToken);
+
+    if (stored && stored.replacedBy) {
+      await rejectReusedRefreshToken(stored);
+    }
+
+    if (!stored || !stored.isActive()) {
+      throw new AuthenticationError(msg('auth.invalidRefreshToken'), 'INVALID_REFRESH_TOKEN');
+    }
+
+    const user = await User.findOne({ username: stored.username });
+
+    if (!user || user.disabled) {
+      throw new AuthenticationError(msg('auth.invalidRefreshToken'), 'INVALID_REFRESH_TOKEN');
+    }
+
+    // Token diklaim sebelum token baru diterbitkan; request bersamaan dengan token yang sama
+    // kalah klaim dan diperlakukan sebagai penggunaan ulang
+    const replacementId = new mongoose.Types.ObjectId();
+    if (!(await RefreshToken.claim(stored._id, replacementId))) {
+      await rejectReusedRefreshToken(stored);
+    }
+
+    return res.json(tokenResponse(user, await issueTokenPair(user, { refreshTokenId: replacementId })));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Route untuk logout: mencabut token akses saat ini dan refresh token yang dikirim
+router.post('/logout', authenticate, auditAction('auth.logout'), requireDatabase, async (req, res, next) => {
+  try {
+    if (req.user.authType !== 'jwt') {
+      throw new ValidationError(msg('auth.logoutJwtOnly'));
+    }
+
+    await revocationList.revokeToken(req.user, {
+      reason: 'logout',
+      revokedBy: req.user.username
+    });
+
+    const { refreshToken } = req.body;
+    if (typeof refreshToken === 'string') {
+      const stored = await RefreshToken.findByToken(refreshToken);
+      if (stored && stored.username === req.user.username && !stored.revokedAt) {
+        stored.revokedAt = new Date();
+        await stored.save();
+      }
+    }
+
+    logger.info(`Pengguna ${req.user.username} logout`);
+
+    res.json({
+      status: 'success',
+      data: {
+        message: req.t('auth.loggedOut'),
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Route untuk mengganti password pengguna yang sedang login
+router.post('/password', authenticate, auditAction('auth.password'), requireDatabase, async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const passwordError = User.validatePassword(newPassword);
+    if (passwordError) {
+      throw new ValidationError(passwordError);
+    }
+
+    const user = await User.findOne({ username: req.user.username });
+
+    if (!user || typeof currentPassword !== 'string' || !(await user.verifyPassword(currentPassword))) {
+      throw new AuthenticationError(msg('auth.invalidPassword'), 'INVALID_PASSWORD');
+    }
+
+    await user.setPassword(newPassword);
+    await user.save();
+
+    // Token lama, termasuk yang mungkin dipegang pihak lain, tidak berlaku lagi setelah password
+    // diganti; pengguna melanjutkan dengan pasangan token baru
+    const { tokenVersion } = await revocationList.revokeAllForUser(user.username, {
+      reason: 'password-changed',
+      revokedBy: user.username
+    });
+    user.tokenVersion = tokenVersion;
+
+    logger.info(`Pengguna ${user.username} mengganti password`);
+
+    res.json({
+      status: 'success',
+      data: {
+        message: req.t('auth.passwordChanged'),
+        ...(await issueTokenPair(user)),
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
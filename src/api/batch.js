@@ -0,0 +1,102 @@
+const express = require('express');
+const modelManager = require('../models/ModelManager');
+const jobRunner = require('../jobs/jobRunner');
+const database = require('../database/database');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { authenticate } = require('./middleware');
+const { rateLimiter } = require('./rateLimiter');
+const { assertQuota, holdForRequest, requestedTokens } = require('./quota');
+const { trackGeneration } = require('./cancellation');
+const { PERMISSIONS, authorize } = require('./permissions');
+const { prepareBatchItems, runBatch } = require('../jobs/batch');
+const { parseCallbackUrl } = require('./webhooks');
+const { JSONL_TYPES, parseJsonLines, wantsJsonLines, openJsonLinesStream } = require('./jsonl');
+const { DatabaseUnavailableError, ValidationError } = require('../utils/errors');
+const { msg, localize } = require('../utils/i18n');
+
+/**
+ * Router untuk menjalankan banyak prompt dalam satu request. Autentikasi, rate limit
+ * dan pemeriksaan kuota hanya dilakukan sekali untuk seluruh batch.
+ */
+const router = express.Router();
+
+router.use(authenticate);
+
+/**
+ * Membaca item batch dari body JSON `{ items: [...] }` atau body JSON Lines (satu item per baris)
+ * @private
+ */
+const readItems = (req) => {
+  if (req.is(JSONL_TYPES)) {
+    return parseJsonLines(typeof req.body === 'string' ? req.body : '');
+  }
+  return (req.body || {}).items;
+};
+
+// Menjalankan batch secara sinkron, atau sebagai job dengan ?async=true
+router.post('/', express.text({ type: JSONL_TYPES, limit: config.batch.maxUploadSize }), authorize(PERMISSIONS.GENERATE), rateLimiter('generate'), async (req, res, next) => {
+  try {
+    const rawItems = readItems(req);
+
+    if (!Array.isArray(rawItems) || rawItems.length === 0) {
+      throw new ValidationError(msg('batch.itemsRequired'));
+    }
+
+    if (rawItems.length > config.batch.maxItems) {
+      throw new ValidationError(msg('batch.tooManyItems', { max: config.batch.maxItems }));
+    }
+
+    if (!modelManager.initialized) {
+      await modelManager.init();
+    }
+
+    const items = prepareBatchItems(rawItems, req.user);
+
+    // Kuota harus cukup untuk token prompt dan `maxTokens` semua item yang akan dijalankan
+    holdForRequest(req, res, await assertQuota(req.user, items
+      .filter(item => !item.error)
+      .reduce((total, item) => total + requestedTokens(item.options, 1, modelManager.countPromptTokens(item.model, item.prompt)), 0)));
+
+    // Batch besar dapat dijalankan di latar belakang; hasilnya diunduh dari /api/jobs/{id}/results
+    if (req.query.async === 'true') {
+      if (!database.isConnected()) {
+        throw new DatabaseUnavailableError();
+      }
+
+      // Body JSON Lines tidak memiliki field tambahan, sehingga callbackUrl juga diterima dari query
+      const callbackUrl = parseCallbackUrl(req.query.callbackUrl || (req.is(JSONL_TYPES) ? null : req.body.callbackUrl));
+      const job = await jobRunner.submitBatch(req.user, items, callbackUrl, req.quotaReservation);
+
+      return res.status(202).location(`/api/jobs/${job._id}`).json({
+        status: 'success',
+        data: job.toSummary(jobRunner.getProgress(job._id.toString()), req.locale)
+      });
+    }
+
+    const { signal, scheduling } = trackGeneration(req, res, 'batch');
+    logger.info(`Batch berisi ${items.length} item dijalankan oleh ${req.user.username}`);
+
+    // Hasil JSON Lines dikirim per item segera setelah selesai
+    if (wantsJsonLines(req)) {
+      const stream = openJsonLinesStream(res);
+      await runBatch(items, { signal, scheduling, onResult: result => stream.write(localize(result, req.locale)) });
+      return stream.close();
+    }
+
+    const { results, summary } = await runBatch(items, { signal, scheduling });
+
+    res.json({
+      status: 'success',
+      data: {
+        results: localize(results, req.locale),
+        summary,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
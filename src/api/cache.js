@@ -0,0 +1,72 @@
+const express = require('express');
+const responseCache = require('../models/ResponseCache');
+const logger = require('../utils/logger');
+const { authenticate } = require('./middleware');
+const { PERMISSIONS, authorize } = require('./permissions');
+const { auditAction } = require('./audit');
+const { NotFoundError } = require('../utils/errors');
+const { msg } = require('../utils/i18n');
+
+/**
+ * Router admin untuk memeriksa dan mengosongkan cache respons generasi
+ */
+const router = express.Router();
+
+router.use(authenticate, authorize(PERMISSIONS.CACHE_MANAGE));
+
+// Statistik cache dan daftar entri di memori
+router.get('/', (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+    res.json({
+      status: 'success',
+      data: {
+        stats: responseCache.getStats(),
+        entries: responseCache.list({ model: req.query.model, limit })
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Mengosongkan cache, seluruhnya atau untuk satu model (?model=)
+router.delete('/', auditAction('cache.purge', { target: req => req.query.model || null }), async (req, res, next) => {
+  try {
+    const removed = await responseCache.purge({ model: req.query.model });
+
+    logger.info(`Cache respons${req.query.model ? ` model ${req.query.model}` : ''} dikosongkan oleh ${req.user.username}`);
+
+    res.json({
+      status: 'success',
+      data: {
+        removed
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Menghapus satu entri cache
+router.delete('/:key', auditAction('cache.purge', { target: req => req.params.key }), async (req, res, next) => {
+  try {
+    const removed = await responseCache.purge({ key: req.params.key });
+
+    if (removed.memory === 0 && removed.persistent === 0) {
+      throw new NotFoundError(msg('cache.entryNotFound'), 'CACHE_ENTRY_NOT_FOUND');
+    }
+
+    res.json({
+      status: 'success',
+      data: {
+        removed
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,60 @@
+const generationRegistry = require('../models/GenerationRegistry');
+const config = require('../config/config');
+const { recordUsage } = require('./quota');
+
+/**
+ * Mendaftarkan generasi untuk request ini sehingga dapat dibatalkan ketika klien
+ * memutus koneksi atau melalui DELETE /api/generations/{id}.
+ * ID generasi dikirim di header `X-Generation-Id`.
+ * @param {object} req Request Express (memerlukan req.user)
+ * @param {object} res Response Express
+ * @param {string} model Nama model atau 'all'
+ * @returns {object} { id, signal, scheduling } — `signal` untuk opsi generasi dan `scheduling`
+ *                   (prioritas role, pencatatan posisi antrean, header X-Cache dan pencatatan
+ *                   pemakaian token, termasuk generasi yang terputus di tengah) untuk ModelManager
+ */
+const trackGeneration = (req, res, model) => {
+  const entry = generationRegistry.start({
+    owner: req.user.username,
+    model: model.toLowerCase(),
+    source: `${req.method} ${req.baseUrl}${req.path}`
+  });
+
+  res.set('X-Generation-Id', entry.id);
+
+  // 'close' juga terjadi setelah respons selesai; hanya koneksi yang terputus sebelum itu yang dibatalkan
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      generationRegistry.cancel(entry.id, 'client-disconnect');
+    }
+    generationRegistry.finish(entry.id);
+  });
+
+  // Token yang dipesan tetap ditahan selama generasi masih berjalan setelah koneksi terputus
+  if (req.quotaReservation) {
+    req.quotaReservation.hold(entry.settled);
+  }
+
+  const cacheStatuses = [];
+
+  const scheduling = {
+    priority: config.scheduler.rolePriorities[req.user.role] || 0,
+    onQueued: (position, modelName) => generationRegistry.markQueued(entry.id, modelName, position),
+    onStart: modelName => generationRegistry.markRunning(entry.id, modelName),
+    onRelease: modelName => generationRegistry.markReleased(entry.id, modelName),
+    onUsage: (modelName, promptTokens, completionTokens) => recordUsage(req.user, modelName, promptTokens, completionTokens, req.quotaReservation),
+    // Untuk beberapa model (target 'all' atau batch), HIT/BYPASS hanya jika berlaku untuk semuanya
+    onCacheStatus: status => {
+      cacheStatuses.push(status);
+      if (!res.headersSent) {
+        res.set('X-Cache', cacheStatuses.every(value => value === status) ? status : 'MISS');
+      }
+    }
+  };
+
+  return { id: entry.id, signal: entry.signal, scheduling };
+};
+
+module.exports = {
+  trackGeneration
+};
@@ -3,6 +3,16 @@ const path = require('path');
 const fs = require('fs');
 const logger = require('../utils/logger');
 const config = require('../config/config');
+const { GENERATION_OPTIONS_SCHEMA } = require('../models/generationOptions');
+const { SUPPORTED_LOCALES } = require('../utils/i18n');
+
+// Terjemahan teks dokumentasi per bahasa; spesifikasi ditulis dalam bahasa Indonesia
+const DOCS_TRANSLATIONS = {
+  en: require('../locales/docs.en')
+};
+
+// Field spesifikasi yang berisi teks untuk dibaca manusia
+const TRANSLATED_FIELDS = ['title', 'summary', 'description', 'example'];
 
 // Definisi dokumentasi API dengan OpenAPI (Swagger)
 const swaggerDocs = {
@@ -10,7 +20,7 @@ const swaggerDocs = {
   info: {
     title: 'API Sistem AI Lokal',
     version: '1.0.0',
-    description: 'API untuk mengakses model AI lokal (LLaMA 2, Mistral 7B, dan GPT-J) dalam bahasa Indonesia',
+    description: 'API untuk mengakses model AI lokal (LLaMA 2, Mistral 7B, dan GPT-J). Pesan API dan dokumentasi ini tersedia dalam bahasa Indonesia (default) dan Inggris sesuai header Accept-Language. Setiap respons berisi header X-Request-Id (dari klien jika valid, atau dibuat server) yang juga dicatat di log. Generasi dan chat interaktif juga tersedia melalui WebSocket di /ws (lihat README).',
     contact: {
       name: 'Developer API',
       email: 'developer@ai-api-sistem.com'
@@ -27,7 +37,17 @@ const swaggerDocs = {
       bearerAuth: {
         type: 'http',
         scheme: 'bearer',
-        bearerFormat: 'JWT'
+        bearerFormat: 'JWT',
+        description: 'Token JWT dari /auth/login atau API key berawalan sk-lokal-'
+      }
+    },
+    headers: {
+      'X-Cache': {
+        description: 'Status cache respons: HIT (dari cache), MISS (dihasilkan lalu disimpan) atau BYPASS (request tidak deterministik). Hanya dikirim jika cache aktif dan tidak untuk respons streaming.',
+        schema: {
+          type: 'string',
+          enum: ['HIT', 'MISS', 'BYPASS']
+        }
       }
     },
     schemas: {
@@ -38,12 +58,57 @@ const swaggerDocs = {
             type: 'string',
             example: 'error'
           },
+          code: {
+            type: 'string',
+            description: 'Code error yang stabil; klien sebaiknya memeriksa code ini, bukan isi pesan. Lihat bagian "Kode Error" di README untuk daftar lengkapnya',
+            example: 'PERMISSION_DENIED'
+          },
           message: {
             type: 'string',
             example: 'Pesan error'
           }
         }
       },
+      ValidationError: {
+        type: 'object',
+        properties: {
+          status: {
+            type: 'string',
+            example: 'error'
+          },
+          code: {
+            type: 'string',
+            example: 'INVALID_OPTIONS'
+          },
+          message: {
+            type: 'string',
+            example: 'Opsi generasi tidak valid: options.temperature, options.max_new_tokens'
+          },
+          errors: {
+            type: 'array',
+            description: 'Daftar field yang tidak valid (khusus code INVALID_OPTIONS)',
+            items: {
+              type: 'object',
+              properties: {
+                field: {
+                  type: 'string'
+                },
+                message: {
+                  type: 'string'
+                }
+              }
+            },
+            example: [
+              { field: 'options.temperature', message: 'harus di antara 0 dan 2' },
+              { field: 'options.max_new_tokens', message: 'opsi tidak dikenal, gunakan maxTokens' }
+            ]
+          }
+        }
+      },
+      GenerationOptions: {
+        description: 'Opsi generasi kanonik yang berlaku untuk semua model. Setiap model menerjemahkannya ke parameter backend masing-masing; opsi yang tidak dikenal atau di luar rentang ditolak dengan 400.',
+        ...GENERATION_OPTIONS_SCHEMA
+      },
       Success: {
         type: 'object',
         properties: {
@@ -66,7 +131,7 @@ const swaggerDocs = {
           },
           password: {
             type: 'string',
-            example: 'password'
+            example: 'ganti-password-ini'
           }
         }
       },
@@ -84,6 +149,28 @@ const swaggerDocs = {
           expiresIn: {
             type: 'string',
             example: '1d'
+          },
+          refreshToken: {
+            type: 'string',
+            description: 'Token untuk mendapatkan token akses baru melalui /auth/refresh (sekali pakai)',
+            example: '9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08'
+          },
+          refreshTokenExpiresAt: {
+            type: 'string',
+            example: '2023-08-26T18:30:15.123Z'
+          },
+          user: {
+            type: 'object',
+            properties: {
+              username: {
+                type: 'string',
+                example: 'admin'
+              },
+              role: {
+                type: 'string',
+                example: 'admin'
+              }
+            }
           }
         }
       },
@@ -96,27 +183,89 @@ const swaggerDocs = {
             example: 'Jelaskan mengenai kecerdasan buatan.'
           },
           options: {
+            $ref: '#/components/schemas/GenerationOptions'
+          },
+          stream: {
+            type: 'boolean',
+            description: 'Kirim token secara bertahap melalui Server-Sent Events',
+            example: false
+          },
+          sessionId: {
+            type: 'string',
+            description: 'ID sesi percakapan; giliran percakapan akan ditambahkan ke sesi secara otomatis',
+            example: '64c2a0f5e1b2c3d4e5f60718'
+          }
+        }
+      },
+      ChatRequest: {
+        type: 'object',
+        required: ['messages'],
+        properties: {
+          messages: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['role', 'content'],
+              properties: {
+                role: {
+                  type: 'string',
+                  enum: ['system', 'user', 'assistant']
+                },
+                content: {
+                  type: 'string'
+                }
+              }
+            },
+            example: [
+              { role: 'system', content: 'Kamu adalah asisten yang menjawab dalam bahasa Indonesia.' },
+              { role: 'user', content: 'Apa ibu kota Indonesia?' }
+            ]
+          },
+          options: {
+            $ref: '#/components/schemas/GenerationOptions'
+          },
+          stream: {
+            type: 'boolean',
+            description: 'Kirim token secara bertahap melalui Server-Sent Events',
+            example: false
+          },
+          sessionId: {
+            type: 'string',
+            description: 'ID sesi percakapan; giliran percakapan akan ditambahkan ke sesi secara otomatis',
+            example: '64c2a0f5e1b2c3d4e5f60718'
+          }
+        }
+      },
+      ChatResponse: {
+        type: 'object',
+        properties: {
+          status: {
+            type: 'string',
+            example: 'success'
+          },
+          data: {
             type: 'object',
             properties: {
-              temperature: {
-                type: 'number',
-                example: 0.7
-              },
-              maxTokens: {
-                type: 'integer',
-                example: 512
-              },
-              topP: {
-                type: 'number',
-                example: 0.95
+              model: {
+                type: 'string',
+                example: 'llama'
               },
-              topK: {
-                type: 'integer',
-                example: 40
+              message: {
+                type: 'object',
+                properties: {
+                  role: {
+                    type: 'string',
+                    example: 'assistant'
+                  },
+                  content: {
+                    type: 'string',
+                    example: 'Ibu kota Indonesia adalah Jakarta.'
+                  }
+                }
               },
-              repetitionPenalty: {
-                type: 'number',
-                example: 1.1
+              timestamp: {
+                type: 'string',
+                example: '2023-07-27T18:30:15.123Z'
               }
             }
           }
@@ -144,6 +293,14 @@ const swaggerDocs = {
                 type: 'string',
                 example: 'Kecerdasan buatan (Artificial Intelligence atau AI) adalah bidang ilmu komputer yang berfokus pada pengembangan sistem yang dapat melakukan tugas-tugas yang biasanya memerlukan kecerdasan manusia...'
               },
+              results: {
+                type: 'object',
+                description: 'Khusus target all: teks per model, atau { error: { code, message } } untuk model yang gagal',
+                example: {
+                  llama: 'Kecerdasan buatan adalah...',
+                  gptj: { error: { code: 'MODEL_LOAD_FAILED', message: 'Gagal memuat model gptj: file tidak ditemukan' } }
+                }
+              },
               timestamp: {
                 type: 'string',
                 example: '2023-07-27T18:30:15.123Z'
@@ -179,6 +336,9 @@ const swaggerDocs = {
                       isLoaded: {
                         type: 'boolean',
                         example: true
+                      },
+                      queue: {
+                        $ref: '#/components/schemas/ModelQueue'
                       }
                     }
                   },
@@ -196,6 +356,9 @@ const swaggerDocs = {
                       isLoaded: {
                         type: 'boolean',
                         example: false
+                      },
+                      queue: {
+                        $ref: '#/components/schemas/ModelQueue'
                       }
                     }
                   },
@@ -213,6 +376,9 @@ const swaggerDocs = {
                       isLoaded: {
                         type: 'boolean',
                         example: false
+                      },
+                      queue: {
+                        $ref: '#/components/schemas/ModelQueue'
                       }
                     }
                   }
@@ -226,130 +392,3763 @@ const swaggerDocs = {
           }
         }
       },
-      ModelLoadResponse: {
+      OpenAICompletionRequest: {
         type: 'object',
+        required: ['model', 'prompt'],
         properties: {
-          status: {
+          model: {
             type: 'string',
-            example: 'success'
+            example: 'llama'
           },
-          data: {
+          prompt: {
+            oneOf: [
+              { type: 'string' },
+              { type: 'array', items: { type: 'string' } }
+            ],
+            example: 'Jelaskan mengenai kecerdasan buatan.'
+          },
+          max_tokens: {
+            type: 'integer',
+            example: 256
+          },
+          temperature: {
+            type: 'number',
+            example: 0.7
+          },
+          top_p: {
+            type: 'number',
+            example: 0.95
+          },
+          seed: {
+            type: 'integer',
+            description: 'Seed sampling (opsi kanonik seed)'
+          },
+          n: {
+            type: 'integer',
+            example: 1
+          },
+          stop: {
+            oneOf: [
+              { type: 'string' },
+              { type: 'array', items: { type: 'string' } }
+            ],
+            example: ['\n\n']
+          },
+          stream: {
+            type: 'boolean',
+            example: false
+          }
+        }
+      },
+      OpenAIChatCompletionRequest: {
+        type: 'object',
+        required: ['model', 'messages'],
+        properties: {
+          model: {
+            type: 'string',
+            example: 'mistral'
+          },
+          messages: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                role: {
+                  type: 'string',
+                  enum: ['system', 'user', 'assistant']
+                },
+                content: {
+                  type: 'string'
+                }
+              }
+            },
+            example: [{ role: 'user', content: 'Apa ibu kota Indonesia?' }]
+          },
+          max_tokens: {
+            type: 'integer',
+            example: 256
+          },
+          temperature: {
+            type: 'number',
+            example: 0.7
+          },
+          top_p: {
+            type: 'number',
+            example: 0.95
+          },
+          seed: {
+            type: 'integer',
+            description: 'Seed sampling (opsi kanonik seed)'
+          },
+          n: {
+            type: 'integer',
+            example: 1
+          },
+          stop: {
+            oneOf: [
+              { type: 'string' },
+              { type: 'array', items: { type: 'string' } }
+            ]
+          },
+          stream: {
+            type: 'boolean',
+            example: false
+          }
+        }
+      },
+      OpenAIError: {
+        type: 'object',
+        properties: {
+          error: {
             type: 'object',
             properties: {
-              model: {
+              message: {
                 type: 'string',
-                example: 'llama'
+                example: "Model 'x' tidak ditemukan"
               },
-              status: {
+              type: {
                 type: 'string',
-                example: 'success'
+                example: 'invalid_request_error'
               },
-              message: {
+              param: {
                 type: 'string',
-                example: 'Model llama berhasil dimuat'
+                example: 'model'
               },
-              timestamp: {
+              code: {
                 type: 'string',
-                example: '2023-07-27T18:30:15.123Z'
+                example: 'model_not_found'
               }
             }
           }
         }
-      }
-    }
-  },
-  security: [
-    {
-      bearerAuth: []
-    }
-  ],
-  paths: {
-    '/status': {
-      get: {
-        summary: 'Memeriksa status server',
-        description: 'Endpoint untuk memeriksa apakah server API berfungsi',
-        tags: ['Status'],
-        security: [],
-        responses: {
-          '200': {
-            description: 'Server berfungsi',
-            content: {
-              'application/json': {
-                schema: {
-                  type: 'object',
-                  properties: {
-                    status: {
-                      type: 'string',
-                      example: 'success'
-                    },
-                    message: {
-                      type: 'string',
-                      example: 'API Sistem AI berfungsi'
-                    },
-                    timestamp: {
-                      type: 'string',
-                      example: '2023-07-27T18:30:15.123Z'
-                    }
-                  }
-                }
-              }
-            }
+      },
+      SessionMessage: {
+        type: 'object',
+        properties: {
+          role: {
+            type: 'string',
+            enum: ['system', 'user', 'assistant']
+          },
+          content: {
+            type: 'string',
+            example: 'Apa ibu kota Indonesia?'
+          },
+          model: {
+            type: 'string',
+            example: 'llama'
+          },
+          createdAt: {
+            type: 'string',
+            example: '2023-07-27T18:30:15.123Z'
           }
         }
-      }
-    },
-    '/auth/login': {
-      post: {
-        summary: 'Login ke API',
-        description: 'Endpoint untuk login dan mendapatkan token JWT',
-        tags: ['Autentikasi'],
-        security: [],
-        requestBody: {
-          required: true,
-          content: {
-            'application/json': {
-              schema: {
-                $ref: '#/components/schemas/LoginRequest'
-              }
+      },
+      SessionRequest: {
+        type: 'object',
+        properties: {
+          title: {
+            type: 'string',
+            example: 'Diskusi geografi'
+          },
+          model: {
+            type: 'string',
+            example: 'llama'
+          },
+          messages: {
+            type: 'array',
+            description: 'Pesan awal sesi, paling banyak SESSION_MAX_MESSAGES (default 200)',
+            items: {
+              $ref: '#/components/schemas/SessionMessage'
             }
           }
-        },
-        responses: {
-          '200': {
-            description: 'Login berhasil',
-            content: {
-              'application/json': {
-                schema: {
-                  $ref: '#/components/schemas/LoginResponse'
-                }
-              }
-            }
+        }
+      },
+      SessionResponse: {
+        type: 'object',
+        properties: {
+          status: {
+            type: 'string',
+            example: 'success'
           },
-          '401': {
-            description: 'Login gagal',
-            content: {
-              'application/json': {
-                schema: {
-                  $ref: '#/components/schemas/Error'
+          data: {
+            type: 'object',
+            properties: {
+              id: {
+                type: 'string',
+                example: '64c2a0f5e1b2c3d4e5f60718'
+              },
+              title: {
+                type: 'string',
+                example: 'Diskusi geografi'
+              },
+              model: {
+                type: 'string',
+                example: 'llama'
+              },
+              owner: {
+                type: 'string',
+                example: 'admin'
+              },
+              messageCount: {
+                type: 'integer',
+                example: 2
+              },
+              messages: {
+                type: 'array',
+                items: {
+                  $ref: '#/components/schemas/SessionMessage'
                 }
+              },
+              createdAt: {
+                type: 'string',
+                example: '2023-07-27T18:30:15.123Z'
+              },
+              updatedAt: {
+                type: 'string',
+                example: '2023-07-27T18:31:02.456Z'
               }
             }
           }
         }
-      }
-    },
-    '/models': {
-      get: {
-        summary: 'Mendapatkan informasi model',
-        description: 'Endpoint untuk mendapatkan informasi tentang semua model AI yang tersedia',
-        tags: ['Model'],
-        responses: {
-          '200': {
-            description: 'Informasi model berhasil diambil',
+      },
+      User: {
+        type: 'object',
+        properties: {
+          username: {
+            type: 'string',
+            example: 'budi'
+          },
+          role: {
+            type: 'string',
+            enum: ['admin', 'operator', 'user'],
+            example: 'user'
+          },
+          disabled: {
+            type: 'boolean',
+            example: false
+          },
+          createdBy: {
+            type: 'string',
+            example: 'admin'
+          },
+          lastLoginAt: {
+            type: 'string',
+            example: '2023-07-27T18:30:15.123Z'
+          },
+          createdAt: {
+            type: 'string',
+            example: '2023-07-27T18:30:15.123Z'
+          }
+        }
+      },
+      RegisterUserRequest: {
+        type: 'object',
+        required: ['username', 'password'],
+        properties: {
+          username: {
+            type: 'string',
+            example: 'budi'
+          },
+          password: {
+            type: 'string',
+            example: 'password-yang-kuat'
+          },
+          role: {
+            type: 'string',
+            enum: ['admin', 'operator', 'user'],
+            example: 'user'
+          }
+        }
+      },
+      ChangePasswordRequest: {
+        type: 'object',
+        required: ['currentPassword', 'newPassword'],
+        properties: {
+          currentPassword: {
+            type: 'string',
+            example: 'password-lama'
+          },
+          newPassword: {
+            type: 'string',
+            example: 'password-baru-yang-kuat'
+          }
+        }
+      },
+      TrainingRequest: {
+        type: 'object',
+        properties: {
+          data: {
+            type: 'array',
+            description: 'Data pelatihan; jika tidak diisi, semua file JSON di direktori data pelatihan digunakan',
+            items: {
+              type: 'object',
+              properties: {
+                input: {
+                  type: 'string',
+                  example: 'Apa ibu kota Indonesia?'
+                },
+                output: {
+                  type: 'string',
+                  example: 'Ibu kota Indonesia adalah Jakarta.'
+                }
+              }
+            }
+          },
+          options: {
+            type: 'object',
+            properties: {
+              epochs: {
+                type: 'integer',
+                example: 3
+              },
+              learningRate: {
+                type: 'number',
+                example: 0.00005
+              }
+            }
+          },
+          callbackUrl: {
+            type: 'string',
+            description: 'Jika diisi, pelatihan berjalan di latar belakang (respons 202) dan hasilnya dikirim sebagai webhook training.completed atau training.failed',
+            example: 'https://contoh.id/webhooks/ai'
+          }
+        }
+      },
+      ApiKey: {
+        type: 'object',
+        properties: {
+          id: {
+            type: 'string',
+            example: '64c2a1f0e4b0a1b2c3d4e5f6'
+          },
+          name: {
+            type: 'string',
+            example: 'bot-discord'
+          },
+          displayPrefix: {
+            type: 'string',
+            example: 'sk-lokal-3f9a1c2b'
+          },
+          owner: {
+            type: 'string',
+            example: 'apikey:bot-discord'
+          },
+          role: {
+            type: 'string',
+            example: 'user'
+          },
+          scopes: {
+            type: 'array',
+            items: {
+              type: 'string'
+            },
+            example: ['generate:llama', 'models:read']
+          },
+          expiresAt: {
+            type: 'string',
+            example: '2024-07-27T18:30:15.123Z'
+          },
+          revokedAt: {
+            type: 'string',
+            example: null
+          },
+          active: {
+            type: 'boolean',
+            example: true
+          },
+          lastUsedAt: {
+            type: 'string',
+            example: '2023-07-27T18:30:15.123Z'
+          },
+          createdBy: {
+            type: 'string',
+            example: 'admin'
+          },
+          key: {
+            type: 'string',
+            description: 'API key lengkap, hanya dikembalikan saat dibuat atau dirotasi',
+            example: 'sk-lokal-3f9a1c2b...'
+          }
+        }
+      },
+      CreateApiKeyRequest: {
+        type: 'object',
+        required: ['name', 'scopes'],
+        properties: {
+          name: {
+            type: 'string',
+            example: 'bot-discord'
+          },
+          scopes: {
+            type: 'array',
+            items: {
+              type: 'string'
+            },
+            description: 'Izin (misalnya generate, generate:llama, models:manage) atau * untuk semua',
+            example: ['generate:llama', 'models:read']
+          },
+          owner: {
+            type: 'string',
+            description: 'Username pengguna aktif pemilik key; key mewarisi sesi, job dan kuota pengguna tersebut dan berhenti berlaku jika akunnya dinonaktifkan. Kosongkan untuk key layanan dengan identitas apikey:<name>',
+            example: 'budi'
+          },
+          role: {
+            type: 'string',
+            enum: ['admin', 'operator', 'user'],
+            example: 'user'
+          },
+          expiresAt: {
+            type: 'string',
+            description: 'Waktu kedaluwarsa (ISO 8601), kosongkan untuk key tanpa kedaluwarsa',
+            example: '2024-07-27T00:00:00.000Z'
+          }
+        }
+      },
+      RefreshTokenRequest: {
+        type: 'object',
+        required: ['refreshToken'],
+        properties: {
+          refreshToken: {
+            type: 'string',
+            example: '9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08'
+          }
+        }
+      },
+      LogoutRequest: {
+        type: 'object',
+        properties: {
+          refreshToken: {
+            type: 'string',
+            description: 'Refresh token yang ikut dicabut (opsional)',
+            example: '9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08'
+          }
+        }
+      },
+      UsageRow: {
+        type: 'object',
+        properties: {
+          username: {
+            type: 'string',
+            example: 'budi'
+          },
+          model: {
+            type: 'string',
+            example: 'llama'
+          },
+          day: {
+            type: 'string',
+            example: '2023-07-27'
+          },
+          requests: {
+            type: 'integer',
+            example: 12
+          },
+          promptTokens: {
+            type: 'integer',
+            example: 3400
+          },
+          completionTokens: {
+            type: 'integer',
+            example: 5100
+          },
+          totalTokens: {
+            type: 'integer',
+            example: 8500
+          }
+        }
+      },
+      QuotaStatus: {
+        type: 'object',
+        properties: {
+          limit: {
+            type: 'integer',
+            nullable: true,
+            description: 'Batas token, null berarti tanpa batas',
+            example: 100000
+          },
+          used: {
+            type: 'integer',
+            example: 8500
+          },
+          remaining: {
+            type: 'integer',
+            nullable: true,
+            example: 91500
+          }
+        }
+      },
+      UsageResponse: {
+        type: 'object',
+        properties: {
+          status: {
+            type: 'string',
+            example: 'success'
+          },
+          data: {
+            type: 'object',
+            properties: {
+              username: {
+                type: 'string',
+                example: 'budi'
+              },
+              role: {
+                type: 'string',
+                example: 'user'
+              },
+              from: {
+                type: 'string',
+                example: '2023-07-01'
+              },
+              to: {
+                type: 'string',
+                example: '2023-07-27'
+              },
+              quota: {
+                type: 'object',
+                properties: {
+                  daily: {
+                    $ref: '#/components/schemas/QuotaStatus'
+                  },
+                  monthly: {
+                    $ref: '#/components/schemas/QuotaStatus'
+                  }
+                }
+              },
+              byModel: {
+                type: 'array',
+                items: {
+                  $ref: '#/components/schemas/UsageRow'
+                }
+              },
+              byDay: {
+                type: 'array',
+                items: {
+                  $ref: '#/components/schemas/UsageRow'
+                }
+              }
+            }
+          }
+        }
+      },
+      Generation: {
+        type: 'object',
+        properties: {
+          id: {
+            type: 'string',
+            example: 'gen-3f9a1c2b4d5e6f708192a3b4'
+          },
+          owner: {
+            type: 'string',
+            example: 'budi'
+          },
+          model: {
+            type: 'string',
+            example: 'llama'
+          },
+          source: {
+            type: 'string',
+            example: 'POST /api/generate/llama'
+          },
+          status: {
+            type: 'string',
+            enum: ['queued', 'running', 'cancelling'],
+            example: 'queued'
+          },
+          queue: {
+            type: 'object',
+            description: 'Posisi antrean per model (mulai dari 1), hanya ada selama status queued',
+            additionalProperties: {
+              type: 'integer'
+            },
+            example: { llama: 2 }
+          },
+          startedAt: {
+            type: 'string',
+            example: '2023-07-27T18:30:15.123Z'
+          },
+          cancelled: {
+            type: 'boolean',
+            example: true
+          }
+        }
+      },
+      ModelQueue: {
+        type: 'object',
+        description: 'Statistik antrean model',
+        properties: {
+          active: {
+            type: 'integer',
+            description: 'Generasi yang sedang berjalan',
+            example: 1
+          },
+          queued: {
+            type: 'integer',
+            description: 'Request yang menunggu slot',
+            example: 3
+          },
+          maxConcurrency: {
+            type: 'integer',
+            example: 1
+          },
+          maxQueueSize: {
+            type: 'integer',
+            example: 16
+          }
+        }
+      },
+      CreateJobRequest: {
+        type: 'object',
+        required: ['model', 'prompt'],
+        properties: {
+          model: {
+            type: 'string',
+            enum: ['llama', 'mistral', 'gptj', 'all'],
+            example: 'llama'
+          },
+          prompt: {
+            type: 'string',
+            example: 'Tuliskan esai panjang tentang kecerdasan buatan.'
+          },
+          options: {
+            $ref: '#/components/schemas/GenerationOptions'
+          },
+          callbackUrl: {
+            type: 'string',
+            description: 'URL http(s) yang menerima webhook job.completed, job.failed atau job.cancelled setelah job selesai',
+            example: 'https://contoh.id/webhooks/ai'
+          }
+        }
+      },
+      Job: {
+        type: 'object',
+        properties: {
+          id: {
+            type: 'string',
+            example: '64c2a1f0e4b0a1b2c3d4e5f6'
+          },
+          owner: {
+            type: 'string',
+            example: 'budi'
+          },
+          type: {
+            type: 'string',
+            enum: ['generate', 'batch'],
+            example: 'generate'
+          },
+          model: {
+            type: 'string',
+            description: 'Nama model, all, atau daftar model dipisah koma untuk batch',
+            example: 'llama'
+          },
+          itemCount: {
+            type: 'integer',
+            description: 'Jumlah item (khusus batch)'
+          },
+          status: {
+            type: 'string',
+            enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+            example: 'running'
+          },
+          progress: {
+            type: 'object',
+            description: 'Hanya ada selama job berjalan: jumlah token per model (generate) atau item selesai dan total (batch), serta posisi antrean per model',
+            example: { tokens: { llama: 128 } }
+          },
+          error: {
+            type: 'string',
+            description: 'Pesan error dalam bahasa request'
+          },
+          errorCode: {
+            type: 'string',
+            description: 'Code error yang stabil, misalnya JOB_CANCELLED, JOB_INTERRUPTED atau GENERATION_CANCELLED',
+            example: 'JOB_INTERRUPTED'
+          },
+          prompt: {
+            type: 'string'
+          },
+          options: {
+            type: 'object'
+          },
+          callbackUrl: {
+            type: 'string'
+          },
+          result: {
+            type: 'object',
+            description: '{ generated_text } untuk satu model, { results } untuk target all (model yang gagal berisi { error: { code, message } }), atau { results, summary } untuk batch',
+            example: { generated_text: 'Kecerdasan buatan adalah...' }
+          },
+          createdAt: {
+            type: 'string',
+            example: '2023-07-27T18:30:15.123Z'
+          },
+          startedAt: {
+            type: 'string',
+            example: '2023-07-27T18:30:16.123Z'
+          },
+          finishedAt: {
+            type: 'string',
+            example: '2023-07-27T18:32:40.123Z'
+          }
+        }
+      },
+      BatchItem: {
+        type: 'object',
+        required: ['model', 'prompt'],
+        properties: {
+          id: {
+            type: 'string',
+            description: 'ID opsional yang dikembalikan pada hasil (default: index item)',
+            example: 'artikel-42'
+          },
+          model: {
+            type: 'string',
+            enum: ['llama', 'mistral', 'gptj'],
+            example: 'llama'
+          },
+          prompt: {
+            type: 'string',
+            example: 'Ringkas artikel berikut: ...'
+          },
+          options: {
+            $ref: '#/components/schemas/GenerationOptions'
+          }
+        }
+      },
+      BatchRequest: {
+        type: 'object',
+        required: ['items'],
+        properties: {
+          items: {
+            type: 'array',
+            items: {
+              $ref: '#/components/schemas/BatchItem'
+            }
+          }
+        }
+      },
+      BatchResult: {
+        type: 'object',
+        description: 'Hasil satu item batch; juga format setiap baris pada respons JSON Lines',
+        properties: {
+          index: {
+            type: 'integer',
+            example: 0
+          },
+          id: {
+            type: 'string',
+            example: 'artikel-42'
+          },
+          model: {
+            type: 'string',
+            example: 'llama'
+          },
+          status: {
+            type: 'string',
+            enum: ['success', 'error'],
+            example: 'success'
+          },
+          generated_text: {
+            type: 'string',
+            example: 'Artikel membahas...'
+          },
+          code: {
+            type: 'string',
+            description: 'Code error, misalnya INVALID_ITEM, MODEL_NOT_ALLOWED, QUEUE_TIMEOUT atau GENERATION_CANCELLED'
+          },
+          message: {
+            type: 'string'
+          }
+        }
+      },
+      CacheStats: {
+        type: 'object',
+        properties: {
+          enabled: {
+            type: 'boolean',
+            example: true
+          },
+          store: {
+            type: 'string',
+            enum: ['memory', 'mongo'],
+            example: 'memory'
+          },
+          ttl: {
+            type: 'integer',
+            example: 3600
+          },
+          entries: {
+            type: 'integer',
+            example: 120
+          },
+          sizeBytes: {
+            type: 'integer',
+            example: 482133
+          },
+          maxEntries: {
+            type: 'integer',
+            example: 1000
+          },
+          maxSizeBytes: {
+            type: 'integer',
+            example: 67108864
+          },
+          hits: {
+            type: 'integer',
+            example: 310
+          },
+          misses: {
+            type: 'integer',
+            example: 95
+          },
+          hitRate: {
+            type: 'number',
+            example: 0.7654
+          },
+          evictions: {
+            type: 'integer',
+            example: 0
+          }
+        }
+      },
+      ModelLoadResponse: {
+        type: 'object',
+        properties: {
+          status: {
+            type: 'string',
+            example: 'success'
+          },
+          data: {
+            type: 'object',
+            properties: {
+              model: {
+                type: 'string',
+                example: 'llama'
+              },
+              status: {
+                type: 'string',
+                example: 'success'
+              },
+              message: {
+                type: 'string',
+                example: 'Model llama berhasil dimuat'
+              },
+              timestamp: {
+                type: 'string',
+                example: '2023-07-27T18:30:15.123Z'
+              }
+            }
+          }
+        }
+      }
+    }
+  },
+  security: [
+    {
+      bearerAuth: []
+    }
+  ],
+  paths: {
+    '/status': {
+      get: {
+        summary: 'Memeriksa status server',
+        description: 'Endpoint untuk memeriksa apakah server API berfungsi',
+        tags: ['Status'],
+        security: [],
+        responses: {
+          '200': {
+            description: 'Server berfungsi',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    status: {
+                      type: 'string',
+                      example: 'success'
+                    },
+                    message: {
+                      type: 'string',
+                      example: 'API Sistem AI berfungsi'
+                    },
+                    timestamp: {
+                      type: 'string',
+                      example: '2023-07-27T18:30:15.123Z'
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/auth/login': {
+      post: {
+        summary: 'Login ke API',
+        description: 'Endpoint untuk login dan mendapatkan token JWT',
+        tags: ['Autentikasi'],
+        security: [],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                $ref: '#/components/schemas/LoginRequest'
+              }
+            }
+          }
+        },
+        responses: {
+          '200': {
+            description: 'Login berhasil',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/LoginResponse'
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Login gagal',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '403': {
+            description: 'Akun dinonaktifkan',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '503': {
+            description: 'Database tidak tersedia',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '429': {
+            description: 'Terlalu banyak percobaan login (lihat header Retry-After)',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/models': {
+      get: {
+        summary: 'Mendapatkan informasi model',
+        description: 'Endpoint untuk mendapatkan informasi tentang semua model AI yang tersedia',
+        tags: ['Model'],
+        responses: {
+          '200': {
+            description: 'Informasi model berhasil diambil',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/ModelInfo'
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Tidak diotorisasi',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '403': {
+            description: 'Role tidak memiliki izin atau tidak diizinkan menggunakan model',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '500': {
+            description: 'Error server',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/generate/{model}': {
+      post: {
+        summary: 'Menghasilkan teks dengan model',
+        description: 'Endpoint untuk menghasilkan teks dengan model AI tertentu. Kirim `stream: true` atau header `Accept: text/event-stream` untuk menerima token secara bertahap.',
+        tags: ['Generasi'],
+        parameters: [
+          {
+            name: 'model',
+            in: 'path',
+            required: true,
+            description: 'Nama model (llama, mistral, gptj, all)',
+            schema: {
+              type: 'string',
+              enum: ['llama', 'mistral', 'gptj', 'all']
+            }
+          }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                $ref: '#/components/schemas/GenerateRequest'
+              }
+            }
+          }
+        },
+        responses: {
+          '200': {
+            description: 'Teks berhasil dihasilkan',
+            headers: {
+              'X-Cache': {
+                $ref: '#/components/headers/X-Cache'
+              }
+            },
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/GenerateResponse'
+                }
+              },
+              'text/event-stream': {
+                schema: {
+                  type: 'string',
+                  description: 'Event `queued` ({ model, position }) selama menunggu antrean model, `token` ({ model, token }) untuk setiap token, `done` ketika model selesai (dengan field `cache` jika cache aktif), `error` jika model gagal, dan `end` setelah semua model selesai (khusus target `all`)',
+                  example: 'event: token\ndata: {"model":"llama","token":"Kecerdasan"}\n\n'
+                }
+              }
+            }
+          },
+          '400': {
+            description: 'Permintaan tidak valid',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/ValidationError'
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Tidak diotorisasi',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '403': {
+            description: 'Role tidak memiliki izin atau tidak diizinkan menggunakan model',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '404': {
+            description: 'Model tidak ditemukan',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '429': {
+            description: 'Terlalu banyak permintaan atau kuota token habis (lihat header Retry-After)',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '500': {
+            description: 'Error server',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '409': {
+            description: 'Generasi dibatalkan melalui DELETE /generations/{id}',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '503': {
+            description: 'Antrean model penuh atau waktu tunggu antrean habis (lihat header Retry-After)',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/chat/{model}': {
+      post: {
+        summary: 'Percakapan multi-turn dengan model',
+        description: 'Endpoint untuk percakapan multi-turn. Array `messages` dirangkai menggunakan template chat model (LLaMA 2 `<<SYS>>`, Mistral `[INST]`, teks biasa untuk GPT-J) yang dapat diganti melalui `config.models.*.chatTemplate`.',
+        tags: ['Generasi'],
+        parameters: [
+          {
+            name: 'model',
+            in: 'path',
+            required: true,
+            description: 'Nama model (llama, mistral, gptj)',
+            schema: {
+              type: 'string',
+              enum: ['llama', 'mistral', 'gptj']
+            }
+          }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                $ref: '#/components/schemas/ChatRequest'
+              }
+            }
+          }
+        },
+        responses: {
+          '200': {
+            description: 'Balasan berhasil dihasilkan',
+            headers: {
+              'X-Cache': {
+                $ref: '#/components/headers/X-Cache'
+              }
+            },
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/ChatResponse'
+                }
+              }
+            }
+          },
+          '400': {
+            description: 'Permintaan tidak valid',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/ValidationError'
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Tidak diotorisasi',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '403': {
+            description: 'Role tidak memiliki izin atau tidak diizinkan menggunakan model',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '404': {
+            description: 'Model tidak ditemukan',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '429': {
+            description: 'Terlalu banyak permintaan atau kuota token habis (lihat header Retry-After)',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '409': {
+            description: 'Generasi dibatalkan melalui DELETE /generations/{id}',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '503': {
+            description: 'Antrean model penuh atau waktu tunggu antrean habis (lihat header Retry-After)',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/models/{model}/load': {
+      post: {
+        summary: 'Memuat model ke memori',
+        description: 'Endpoint untuk memuat model AI ke memori',
+        tags: ['Model'],
+        parameters: [
+          {
+            name: 'model',
+            in: 'path',
+            required: true,
+            description: 'Nama model (llama, mistral, gptj, all)',
+            schema: {
+              type: 'string',
+              enum: ['llama', 'mistral', 'gptj', 'all']
+            }
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'Model berhasil dimuat',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/ModelLoadResponse'
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Tidak diotorisasi',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '403': {
+            description: 'Role tidak memiliki izin atau tidak diizinkan menggunakan model',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '404': {
+            description: 'Model tidak ditemukan',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '500': {
+            description: 'Error server',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/models/{model}/unload': {
+      post: {
+        summary: 'Membebaskan model dari memori',
+        description: 'Endpoint untuk membebaskan model AI dari memori',
+        tags: ['Model'],
+        parameters: [
+          {
+            name: 'model',
+            in: 'path',
+            required: true,
+            description: 'Nama model (llama, mistral, gptj, all)',
+            schema: {
+              type: 'string',
+              enum: ['llama', 'mistral', 'gptj', 'all']
+            }
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'Model berhasil dibebaskan',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/ModelLoadResponse'
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Tidak diotorisasi',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '403': {
+            description: 'Role tidak memiliki izin atau tidak diizinkan menggunakan model',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '404': {
+            description: 'Model tidak ditemukan',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '500': {
+            description: 'Error server',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/sessions': {
+      post: {
+        summary: 'Membuat sesi percakapan',
+        description: 'Endpoint untuk membuat sesi percakapan baru yang tersimpan di database',
+        tags: ['Sesi'],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                $ref: '#/components/schemas/SessionRequest'
+              }
+            }
+          }
+        },
+        responses: {
+          '201': {
+            description: 'Sesi berhasil dibuat',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/SessionResponse'
+                }
+              }
+            }
+          },
+          '400': {
+            description: 'Permintaan tidak valid',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Tidak diotorisasi',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '503': {
+            description: 'Database tidak tersedia',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      },
+      get: {
+        summary: 'Daftar sesi percakapan',
+        description: 'Endpoint untuk mendapatkan daftar sesi milik pengguna yang sedang login',
+        tags: ['Sesi'],
+        parameters: [
+          {
+            name: 'limit',
+            in: 'query',
+            required: false,
+            description: 'Jumlah maksimum sesi (default 20, maksimum 100)',
+            schema: {
+              type: 'integer'
+            }
+          },
+          {
+            name: 'skip',
+            in: 'query',
+            required: false,
+            description: 'Jumlah sesi yang dilewati',
+            schema: {
+              type: 'integer'
+            }
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'Daftar sesi berhasil diambil',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Success'
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Tidak diotorisasi',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '503': {
+            description: 'Database tidak tersedia',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/sessions/{id}': {
+      get: {
+        summary: 'Detail sesi percakapan',
+        description: 'Endpoint untuk mendapatkan sesi beserta riwayat pesannya',
+        tags: ['Sesi'],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            description: 'ID sesi',
+            schema: {
+              type: 'string'
+            }
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'Sesi berhasil diambil',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/SessionResponse'
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Tidak diotorisasi',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '404': {
+            description: 'Sesi tidak ditemukan',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '503': {
+            description: 'Database tidak tersedia',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      },
+      delete: {
+        summary: 'Menghapus sesi percakapan',
+        description: 'Endpoint untuk menghapus sesi beserta riwayat pesannya',
+        tags: ['Sesi'],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            description: 'ID sesi',
+            schema: {
+              type: 'string'
+            }
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'Sesi berhasil dihapus',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Success'
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Tidak diotorisasi',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '404': {
+            description: 'Sesi tidak ditemukan',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '503': {
+            description: 'Database tidak tersedia',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/auth/refresh': {
+      post: {
+        summary: 'Memperbarui token',
+        description: 'Endpoint untuk menukar refresh token dengan token akses dan refresh token baru. Refresh token lama tidak dapat dipakai lagi.',
+        tags: ['Autentikasi'],
+        security: [],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                $ref: '#/components/schemas/RefreshTokenRequest'
+              }
+            }
+          }
+        },
+        responses: {
+          '200': {
+            description: 'Token baru berhasil diterbitkan',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/LoginResponse'
+                }
+              }
+            }
+          },
+          '400': {
+            description: 'Permintaan tidak valid',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Refresh token tidak valid',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '429': {
+            description: 'Terlalu banyak permintaan (lihat header Retry-After)',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '503': {
+            description: 'Database tidak tersedia',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/auth/logout': {
+      post: {
+        summary: 'Logout',
+        description: 'Endpoint untuk mencabut token akses saat ini beserta refresh token yang dikirim',
+        tags: ['Autentikasi'],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                $ref: '#/components/schemas/LogoutRequest'
+              }
+            }
+          }
+        },
+        responses: {
+          '200': {
+            description: 'Logout berhasil',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Success'
+                }
+              }
+            }
+          },
+          '400': {
+            description: 'Permintaan tidak valid',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Tidak diotorisasi',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '503': {
+            description: 'Database tidak tersedia',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/auth/password': {
+      post: {
+        summary: 'Mengganti password',
+        description: 'Endpoint untuk mengganti password pengguna yang sedang login. Semua token lama pengguna dicabut dan respons berisi token akses dan refresh token baru',
+        tags: ['Autentikasi'],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                $ref: '#/components/schemas/ChangePasswordRequest'
+              }
+            }
+          }
+        },
+        responses: {
+          '200': {
+            description: 'Password berhasil diganti',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Success'
+                }
+              }
+            }
+          },
+          '400': {
+            description: 'Permintaan tidak valid',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Password saat ini tidak valid',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '503': {
+            description: 'Database tidak tersedia',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/users': {
+      get: {
+        summary: 'Daftar pengguna',
+        description: 'Endpoint untuk mendapatkan daftar semua pengguna (khusus admin)',
+        tags: ['Pengguna'],
+        responses: {
+          '200': {
+            description: 'Daftar pengguna berhasil diambil',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Success'
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Tidak diotorisasi',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '403': {
+            description: 'Akses ditolak',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '503': {
+            description: 'Database tidak tersedia',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      },
+      post: {
+        summary: 'Mendaftarkan pengguna',
+        description: 'Endpoint untuk mendaftarkan pengguna baru (khusus admin)',
+        tags: ['Pengguna'],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                $ref: '#/components/schemas/RegisterUserRequest'
+              }
+            }
+          }
+        },
+        responses: {
+          '201': {
+            description: 'Pengguna berhasil didaftarkan',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/User'
+                }
+              }
+            }
+          },
+          '400': {
+            description: 'Permintaan tidak valid',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Tidak diotorisasi',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '403': {
+            description: 'Akses ditolak',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '409': {
+            description: 'Pengguna sudah ada',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '503': {
+            description: 'Database tidak tersedia',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/users/{username}/disable': {
+      post: {
+        summary: 'Menonaktifkan akun',
+        description: 'Endpoint untuk menonaktifkan akun pengguna sehingga tidak dapat login (khusus admin)',
+        tags: ['Pengguna'],
+        parameters: [
+          {
+            name: 'username',
+            in: 'path',
+            required: true,
+            description: 'Username pengguna',
+            schema: {
+              type: 'string'
+            }
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'Akun berhasil dinonaktifkan',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/User'
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Tidak diotorisasi',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '403': {
+            description: 'Akses ditolak',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '404': {
+            description: 'Pengguna tidak ditemukan',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/users/{username}/enable': {
+      post: {
+        summary: 'Mengaktifkan akun',
+        description: 'Endpoint untuk mengaktifkan kembali akun pengguna (khusus admin)',
+        tags: ['Pengguna'],
+        parameters: [
+          {
+            name: 'username',
+            in: 'path',
+            required: true,
+            description: 'Username pengguna',
+            schema: {
+              type: 'string'
+            }
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'Akun berhasil diaktifkan',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/User'
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Tidak diotorisasi',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '403': {
+            description: 'Akses ditolak',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '404': {
+            description: 'Pengguna tidak ditemukan',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/training/{model}': {
+      post: {
+        summary: 'Melatih model',
+        description: 'Endpoint untuk melatih (fine-tuning) model dengan data pelatihan (memerlukan izin `training:run`)',
+        tags: ['Pelatihan'],
+        parameters: [
+          {
+            name: 'model',
+            in: 'path',
+            required: true,
+            description: 'Nama model (llama, mistral, gptj, all)',
+            schema: {
+              type: 'string',
+              enum: ['llama', 'mistral', 'gptj', 'all']
+            }
+          }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                $ref: '#/components/schemas/TrainingRequest'
+              }
+            }
+          }
+        },
+        responses: {
+          '200': {
+            description: 'Pelatihan selesai',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Success'
+                }
+              }
+            }
+          },
+          '202': {
+            description: 'Pelatihan dijadwalkan di latar belakang (dengan callbackUrl); data berisi runId',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Success'
+                }
+              }
+            }
+          },
+          '400': {
+            description: 'Permintaan tidak valid',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Tidak diotorisasi',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '403': {
+            description: 'Role tidak memiliki izin atau tidak diizinkan menggunakan model',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '404': {
+            description: 'Model tidak ditemukan',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '500': {
+            description: 'Error server',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/training/{model}/checkpoint': {
+      post: {
+        summary: 'Menyimpan checkpoint model',
+        description: 'Endpoint untuk menyimpan checkpoint model ke direktori checkpoint (memerlukan izin `training:run`)',
+        tags: ['Pelatihan'],
+        parameters: [
+          {
+            name: 'model',
+            in: 'path',
+            required: true,
+            description: 'Nama model (llama, mistral, gptj, all)',
+            schema: {
+              type: 'string',
+              enum: ['llama', 'mistral', 'gptj', 'all']
+            }
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'Checkpoint berhasil disimpan',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Success'
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Tidak diotorisasi',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '403': {
+            description: 'Role tidak memiliki izin atau tidak diizinkan menggunakan model',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '404': {
+            description: 'Model tidak ditemukan',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '500': {
+            description: 'Error server',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/users/{username}/revoke-tokens': {
+      post: {
+        summary: 'Mencabut semua token pengguna',
+        description: 'Endpoint untuk mencabut semua token akses, refresh token dan API key milik pengguna (khusus admin)',
+        tags: ['Pengguna'],
+        parameters: [
+          {
+            name: 'username',
+            in: 'path',
+            required: true,
+            description: 'Username pengguna',
+            schema: {
+              type: 'string'
+            }
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'Token pengguna berhasil dicabut',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Success'
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Tidak diotorisasi',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '403': {
+            description: 'Akses ditolak',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '404': {
+            description: 'Tidak ditemukan',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '503': {
+            description: 'Database tidak tersedia',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/keys': {
+      get: {
+        summary: 'Daftar API key',
+        description: 'Endpoint untuk mendapatkan daftar semua API key tanpa nilai key (khusus admin)',
+        tags: ['API Key'],
+        responses: {
+          '200': {
+            description: 'Daftar API key berhasil diambil',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Success'
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Tidak diotorisasi',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '403': {
+            description: 'Akses ditolak',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '503': {
+            description: 'Database tidak tersedia',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      },
+      post: {
+        summary: 'Membuat API key',
+        description: 'Endpoint untuk membuat API key baru dengan scopes dan kedaluwarsa opsional (khusus admin)',
+        tags: ['API Key'],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                $ref: '#/components/schemas/CreateApiKeyRequest'
+              }
+            }
+          }
+        },
+        responses: {
+          '201': {
+            description: 'API key berhasil dibuat',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/ApiKey'
+                }
+              }
+            }
+          },
+          '400': {
+            description: 'Permintaan tidak valid',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Tidak diotorisasi',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '403': {
+            description: 'Akses ditolak',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '503': {
+            description: 'Database tidak tersedia',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/keys/{id}': {
+      delete: {
+        summary: 'Mencabut API key',
+        description: 'Endpoint untuk mencabut API key (khusus admin)',
+        tags: ['API Key'],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            description: 'ID API key',
+            schema: {
+              type: 'string'
+            }
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'API key berhasil dicabut',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/ApiKey'
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Tidak diotorisasi',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '403': {
+            description: 'Akses ditolak',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '404': {
+            description: 'Tidak ditemukan',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '503': {
+            description: 'Database tidak tersedia',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/keys/{id}/rotate': {
+      post: {
+        summary: 'Merotasi API key',
+        description: 'Endpoint untuk menerbitkan key baru dengan pengaturan yang sama dan mencabut key lama (khusus admin)',
+        tags: ['API Key'],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            description: 'ID API key',
+            schema: {
+              type: 'string'
+            }
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'API key berhasil dirotasi',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/ApiKey'
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Tidak diotorisasi',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '403': {
+            description: 'Akses ditolak',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '404': {
+            description: 'Tidak ditemukan',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '503': {
+            description: 'Database tidak tersedia',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/usage': {
+      get: {
+        summary: 'Pemakaian token',
+        description: 'Endpoint untuk mendapatkan pemakaian token per model dan per hari serta sisa kuota pengguna yang sedang login',
+        tags: ['Pemakaian'],
+        parameters: [
+          {
+            name: 'from',
+            in: 'query',
+            required: false,
+            description: 'Tanggal awal (YYYY-MM-DD, UTC), default awal bulan berjalan',
+            schema: {
+              type: 'string'
+            }
+          },
+          {
+            name: 'to',
+            in: 'query',
+            required: false,
+            description: 'Tanggal akhir (YYYY-MM-DD, UTC), default hari ini',
+            schema: {
+              type: 'string'
+            }
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'Pemakaian token berhasil diambil',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/UsageResponse'
+                }
+              }
+            }
+          },
+          '400': {
+            description: 'Permintaan tidak valid',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Tidak diotorisasi',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '503': {
+            description: 'Database tidak tersedia',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/usage/report': {
+      get: {
+        summary: 'Laporan pemakaian token',
+        description: 'Endpoint untuk laporan pemakaian token semua pengguna (khusus admin)',
+        tags: ['Pemakaian'],
+        parameters: [
+          {
+            name: 'from',
+            in: 'query',
+            required: false,
+            description: 'Tanggal awal (YYYY-MM-DD, UTC), default awal bulan berjalan',
+            schema: {
+              type: 'string'
+            }
+          },
+          {
+            name: 'to',
+            in: 'query',
+            required: false,
+            description: 'Tanggal akhir (YYYY-MM-DD, UTC), default hari ini',
+            schema: {
+              type: 'string'
+            }
+          },
+          {
+            name: 'username',
+            in: 'query',
+            required: false,
+            description: 'Filter pengguna',
+            schema: {
+              type: 'string'
+            }
+          },
+          {
+            name: 'groupBy',
+            in: 'query',
+            required: false,
+            description: 'Field pengelompokan dipisahkan koma: username, model, day (default username,model)',
+            schema: {
+              type: 'string'
+            }
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'Laporan berhasil disusun',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Success'
+                }
+              }
+            }
+          },
+          '400': {
+            description: 'Permintaan tidak valid',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Tidak diotorisasi',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '403': {
+            description: 'Akses ditolak',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '503': {
+            description: 'Database tidak tersedia',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/audit': {
+      get: {
+        summary: 'Jejak audit',
+        description: 'Endpoint untuk mencari catatan audit tindakan administratif (login, pemuatan model, pelatihan, checkpoint, pengelolaan pengguna, API key dan cache), terbaru lebih dulu (izin audit:read). Dengan store file, file aktif dan arsip yang beririsan dengan rentang from-to ikut dicari',
+        tags: ['Audit'],
+        parameters: [
+          {
+            name: 'username',
+            in: 'query',
+            required: false,
+            description: 'Filter pengguna yang melakukan tindakan',
+            schema: {
+              type: 'string'
+            }
+          },
+          {
+            name: 'action',
+            in: 'query',
+            required: false,
+            description: 'Filter tindakan dipisahkan koma, misalnya models.load,auth.login',
+            schema: {
+              type: 'string'
+            }
+          },
+          {
+            name: 'outcome',
+            in: 'query',
+            required: false,
+            description: 'Filter hasil: success, failure atau aborted',
+            schema: {
+              type: 'string'
+            }
+          },
+          {
+            name: 'from',
+            in: 'query',
+            required: false,
+            description: 'Waktu awal (tanggal atau waktu ISO 8601)',
+            schema: {
+              type: 'string'
+            }
+          },
+          {
+            name: 'to',
+            in: 'query',
+            required: false,
+            description: 'Waktu akhir (tanggal atau waktu ISO 8601); tanggal tanpa jam mencakup seluruh hari',
+            schema: {
+              type: 'string'
+            }
+          },
+          {
+            name: 'limit',
+            in: 'query',
+            required: false,
+            description: 'Jumlah catatan maksimum (default 100, maksimal 1000)',
+            schema: {
+              type: 'integer'
+            }
+          },
+          {
+            name: 'skip',
+            in: 'query',
+            required: false,
+            description: 'Jumlah catatan yang dilewati',
+            schema: {
+              type: 'integer'
+            }
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'Catatan audit berhasil diambil',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Success'
+                }
+              }
+            }
+          },
+          '400': {
+            description: 'Permintaan tidak valid',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Tidak diotorisasi',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '403': {
+            description: 'Akses ditolak',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '503': {
+            description: 'Database tidak tersedia (store mongo)',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/webhooks/deliveries': {
+      get: {
+        summary: 'Daftar pengiriman webhook',
+        description: 'Endpoint untuk melihat pengiriman webhook job dan pelatihan milik pengguna, terbaru lebih dulu. Pengguna dengan izin models:manage dapat melihat milik pengguna lain dengan ?owner=.',
+        tags: ['Webhook'],
+        parameters: [
+          {
+            name: 'status',
+            in: 'query',
+            required: false,
+            description: 'Filter status: pending, delivered atau failed',
+            schema: {
+              type: 'string'
+            }
+          },
+          {
+            name: 'event',
+            in: 'query',
+            required: false,
+            description: 'Filter event, misalnya job.completed',
+            schema: {
+              type: 'string'
+            }
+          },
+          {
+            name: 'sourceId',
+            in: 'query',
+            required: false,
+            description: 'Filter ID job atau runId pelatihan',
+            schema: {
+              type: 'string'
+            }
+          },
+          {
+            name: 'owner',
+            in: 'query',
+            required: false,
+            description: 'Pemilik pengiriman (khusus pengelola)',
+            schema: {
+              type: 'string'
+            }
+          },
+          {
+            name: 'limit',
+            in: 'query',
+            required: false,
+            description: 'Jumlah maksimum pengiriman (default 20, maksimum 100)',
+            schema: {
+              type: 'integer'
+            }
+          },
+          {
+            name: 'skip',
+            in: 'query',
+            required: false,
+            description: 'Jumlah pengiriman yang dilewati',
+            schema: {
+              type: 'integer'
+            }
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'Daftar pengiriman berhasil diambil',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Success'
+                }
+              }
+            }
+          },
+          '400': {
+            description: 'Permintaan tidak valid',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Tidak diotorisasi',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '503': {
+            description: 'Database tidak tersedia',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/webhooks/deliveries/{id}': {
+      get: {
+        summary: 'Detail pengiriman webhook',
+        description: 'Endpoint untuk melihat payload dan setiap percobaan pengiriman (waktu, status HTTP, error dan durasi)',
+        tags: ['Webhook'],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            description: 'ID pengiriman webhook',
+            schema: {
+              type: 'string'
+            }
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'Detail pengiriman berhasil diambil',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Success'
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Tidak diotorisasi',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '404': {
+            description: 'Pengiriman webhook tidak ditemukan',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '503': {
+            description: 'Database tidak tersedia',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/webhooks/secret': {
+      get: {
+        summary: 'Kunci verifikasi webhook',
+        description: 'Endpoint untuk mengambil kunci HMAC milik pengguna yang dipakai menandatangani header X-Webhook-Signature pada webhook miliknya. Kunci diturunkan dari WEBHOOK_SECRET sehingga berubah ketika WEBHOOK_SECRET diganti.',
+        tags: ['Webhook'],
+        responses: {
+          '200': {
+            description: 'Kunci webhook pengguna; data berisi owner dan secret',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Success'
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Tidak diotorisasi',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/webhooks/deliveries/{id}/replay': {
+      post: {
+        summary: 'Kirim ulang webhook',
+        description: 'Endpoint untuk mengirim ulang payload pengiriman sebagai pengiriman baru dengan jatah percobaan baru. Header X-Webhook-Id tetap sama sehingga penerima dapat mendeteksi duplikat.',
+        tags: ['Webhook'],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            description: 'ID pengiriman webhook',
+            schema: {
+              type: 'string'
+            }
+          }
+        ],
+        responses: {
+          '202': {
+            description: 'Pengiriman ulang dijadwalkan',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Success'
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Tidak diotorisasi',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '404': {
+            description: 'Pengiriman webhook tidak ditemukan',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '503': {
+            description: 'Database tidak tersedia',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/generations': {
+      get: {
+        summary: 'Daftar generasi berjalan',
+        description: 'Endpoint untuk mendapatkan generasi yang sedang berjalan milik pengguna (semua generasi untuk izin models:manage)',
+        tags: ['Generasi'],
+        responses: {
+          '200': {
+            description: 'Daftar generasi berhasil diambil',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Success'
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Tidak diotorisasi',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/generations/{id}': {
+      delete: {
+        summary: 'Membatalkan generasi',
+        description: 'Endpoint untuk membatalkan generasi yang sedang berjalan berdasarkan ID dari header X-Generation-Id. Request asal menerima status 409 dengan code GENERATION_CANCELLED.',
+        tags: ['Generasi'],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            description: 'ID generasi',
+            schema: {
+              type: 'string'
+            }
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'Generasi berhasil dibatalkan',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Generation'
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Tidak diotorisasi',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '404': {
+            description: 'Generasi tidak ditemukan atau sudah selesai',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/jobs': {
+      post: {
+        summary: 'Membuat job generasi',
+        description: 'Endpoint untuk menjalankan generasi di latar belakang. Respons 202 berisi ID job yang dapat dipantau melalui GET /jobs/{id}, sehingga generasi panjang tidak terputus oleh batas waktu koneksi.',
+        tags: ['Job'],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                $ref: '#/components/schemas/CreateJobRequest'
+              }
+            }
+          }
+        },
+        responses: {
+          '202': {
+            description: 'Job berhasil dibuat',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Job'
+                }
+              }
+            }
+          },
+          '400': {
+            description: 'Permintaan tidak valid',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/ValidationError'
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Tidak diotorisasi',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '403': {
+            description: 'Role tidak memiliki izin atau tidak diizinkan menggunakan model',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '404': {
+            description: 'Model tidak ditemukan',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '429': {
+            description: 'Terlalu banyak permintaan atau kuota token habis (lihat header Retry-After)',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '503': {
+            description: 'Database tidak tersedia atau antrean model penuh (lihat header Retry-After)',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      },
+      get: {
+        summary: 'Daftar job',
+        description: 'Endpoint untuk mendapatkan job milik pengguna, terbaru lebih dulu',
+        tags: ['Job'],
+        parameters: [
+          {
+            name: 'status',
+            in: 'query',
+            required: false,
+            description: 'Filter status job',
+            schema: {
+              type: 'string',
+              enum: ['queued', 'running', 'completed', 'failed', 'cancelled']
+            }
+          },
+          {
+            name: 'owner',
+            in: 'query',
+            required: false,
+            description: 'Username pemilik job (hanya untuk izin models:manage)',
+            schema: {
+              type: 'string'
+            }
+          },
+          {
+            name: 'limit',
+            in: 'query',
+            required: false,
+            description: 'Jumlah maksimum job (default 20, maksimum 100)',
+            schema: {
+              type: 'integer'
+            }
+          },
+          {
+            name: 'skip',
+            in: 'query',
+            required: false,
+            description: 'Jumlah job yang dilewati',
+            schema: {
+              type: 'integer'
+            }
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'Daftar job berhasil diambil',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Success'
+                }
+              }
+            }
+          },
+          '400': {
+            description: 'Status tidak valid',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Tidak diotorisasi',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '503': {
+            description: 'Database tidak tersedia',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/jobs/{id}': {
+      get: {
+        summary: 'Status dan hasil job',
+        description: 'Endpoint untuk mendapatkan status, progres dan hasil job',
+        tags: ['Job'],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            description: 'ID job',
+            schema: {
+              type: 'string'
+            }
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'Job berhasil diambil',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Job'
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Tidak diotorisasi',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '404': {
+            description: 'Job tidak ditemukan',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '503': {
+            description: 'Database tidak tersedia',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      },
+      delete: {
+        summary: 'Membatalkan job',
+        description: 'Endpoint untuk membatalkan job yang belum selesai',
+        tags: ['Job'],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            description: 'ID job',
+            schema: {
+              type: 'string'
+            }
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'Job berhasil dibatalkan',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Job'
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Tidak diotorisasi',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '404': {
+            description: 'Job tidak ditemukan',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '409': {
+            description: 'Job sudah selesai (code JOB_FINISHED)',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '503': {
+            description: 'Database tidak tersedia',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/batch': {
+      post: {
+        summary: 'Menjalankan batch prompt',
+        description: 'Endpoint untuk menjalankan banyak prompt dengan model dan opsi masing-masing dalam satu request. Body dapat berupa JSON { items } atau JSON Lines. Item yang tidak valid atau gagal dilaporkan per item tanpa menggagalkan batch.',
+        tags: ['Generasi'],
+        parameters: [
+          {
+            name: 'async',
+            in: 'query',
+            required: false,
+            description: 'Jalankan batch sebagai job di latar belakang; hasil diunduh dari /jobs/{id}/results',
+            schema: {
+              type: 'boolean'
+            }
+          },
+          {
+            name: 'callbackUrl',
+            in: 'query',
+            required: false,
+            description: 'URL webhook untuk job batch (dengan async=true); untuk body JSON juga dapat diisi di field callbackUrl',
+            schema: {
+              type: 'string'
+            }
+          },
+          {
+            name: 'format',
+            in: 'query',
+            required: false,
+            description: 'Gunakan jsonl untuk menerima hasil sebagai JSON Lines (sama dengan header Accept: application/x-ndjson)',
+            schema: {
+              type: 'string',
+              enum: ['json', 'jsonl']
+            }
+          }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                $ref: '#/components/schemas/BatchRequest'
+              }
+            },
+            'application/x-ndjson': {
+              schema: {
+                type: 'string',
+                description: 'Satu BatchItem per baris',
+                example: '{"model":"llama","prompt":"Halo"}\n{"model":"mistral","prompt":"Apa kabar?"}'
+              }
+            }
+          }
+        },
+        responses: {
+          '200': {
+            description: 'Batch selesai dijalankan; setiap item memiliki hasil atau error sendiri',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    status: {
+                      type: 'string',
+                      example: 'success'
+                    },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        results: {
+                          type: 'array',
+                          items: {
+                            $ref: '#/components/schemas/BatchResult'
+                          }
+                        },
+                        summary: {
+                          type: 'object',
+                          example: { total: 3, succeeded: 2, failed: 1 }
+                        }
+                      }
+                    }
+                  }
+                }
+              },
+              'application/x-ndjson': {
+                schema: {
+                  type: 'string',
+                  description: 'Satu BatchResult per baris, dikirim segera setelah item selesai'
+                }
+              }
+            }
+          },
+          '202': {
+            description: 'Batch dijalankan sebagai job (?async=true)',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Job'
+                }
+              }
+            }
+          },
+          '400': {
+            description: 'Items kosong, melebihi batas atau JSON Lines tidak valid',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Tidak diotorisasi',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '403': {
+            description: 'Role tidak memiliki izin generate',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '429': {
+            description: 'Terlalu banyak permintaan atau kuota token habis (lihat header Retry-After)',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '503': {
+            description: 'Database tidak tersedia (?async=true)',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/jobs/{id}/results': {
+      get: {
+        summary: 'Mengunduh hasil batch',
+        description: 'Endpoint untuk mengunduh hasil job batch sebagai file JSON Lines, satu BatchResult per baris',
+        tags: ['Job'],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            description: 'ID job',
+            schema: {
+              type: 'string'
+            }
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'Hasil batch',
+            content: {
+              'application/x-ndjson': {
+                schema: {
+                  type: 'string'
+                }
+              }
+            }
+          },
+          '400': {
+            description: 'Job bukan batch',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '401': {
+            description: 'Tidak diotorisasi',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '404': {
+            description: 'Job tidak ditemukan',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '409': {
+            description: 'Job belum selesai (code JOB_NOT_FINISHED)',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '503': {
+            description: 'Database tidak tersedia',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/cache': {
+      get: {
+        summary: 'Statistik cache respons',
+        description: 'Endpoint untuk melihat statistik cache respons dan entri di memori (izin cache:manage)',
+        tags: ['Cache'],
+        parameters: [
+          {
+            name: 'model',
+            in: 'query',
+            required: false,
+            description: 'Filter entri berdasarkan model',
+            schema: {
+              type: 'string'
+            }
+          },
+          {
+            name: 'limit',
+            in: 'query',
+            required: false,
+            description: 'Jumlah maksimum entri (default 50, maksimum 500)',
+            schema: {
+              type: 'integer'
+            }
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'Statistik cache berhasil diambil',
             content: {
               'application/json': {
                 schema: {
-                  $ref: '#/components/schemas/ModelInfo'
+                  $ref: '#/components/schemas/Success'
                 }
               }
             }
@@ -364,8 +4163,8 @@ const swaggerDocs = {
               }
             }
           },
-          '500': {
-            description: 'Error server',
+          '403': {
+            description: 'Akses ditolak',
             content: {
               'application/json': {
                 schema: {
@@ -375,48 +4174,45 @@ const swaggerDocs = {
             }
           }
         }
-      }
-    },
-    '/generate/{model}': {
-      post: {
-        summary: 'Menghasilkan teks dengan model',
-        description: 'Endpoint untuk menghasilkan teks dengan model AI tertentu',
-        tags: ['Generasi'],
+      },
+      delete: {
+        summary: 'Mengosongkan cache respons',
+        description: 'Endpoint untuk menghapus semua entri cache, atau hanya entri satu model dengan ?model=',
+        tags: ['Cache'],
         parameters: [
           {
             name: 'model',
-            in: 'path',
-            required: true,
-            description: 'Nama model (llama, mistral, gptj, all)',
+            in: 'query',
+            required: false,
+            description: 'Hanya hapus entri untuk model ini',
             schema: {
-              type: 'string',
-              enum: ['llama', 'mistral', 'gptj', 'all']
+              type: 'string'
             }
           }
         ],
-        requestBody: {
-          required: true,
-          content: {
-            'application/json': {
-              schema: {
-                $ref: '#/components/schemas/GenerateRequest'
-              }
-            }
-          }
-        },
         responses: {
           '200': {
-            description: 'Teks berhasil dihasilkan',
+            description: 'Cache berhasil dikosongkan',
             content: {
               'application/json': {
                 schema: {
-                  $ref: '#/components/schemas/GenerateResponse'
+                  $ref: '#/components/schemas/Success'
                 }
               }
             }
           },
-          '400': {
-            description: 'Permintaan tidak valid',
+          '401': {
+            description: 'Tidak diotorisasi',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Error'
+                }
+              }
+            }
+          },
+          '403': {
+            description: 'Akses ditolak',
             content: {
               'application/json': {
                 schema: {
@@ -424,6 +4220,36 @@ const swaggerDocs = {
                 }
               }
             }
+          }
+        }
+      }
+    },
+    '/cache/{key}': {
+      delete: {
+        summary: 'Menghapus entri cache',
+        description: 'Endpoint untuk menghapus satu entri cache berdasarkan kunci',
+        tags: ['Cache'],
+        parameters: [
+          {
+            name: 'key',
+            in: 'path',
+            required: true,
+            description: 'Kunci cache (hash SHA-256)',
+            schema: {
+              type: 'string'
+            }
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'Entri cache berhasil dihapus',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/Success'
+                }
+              }
+            }
           },
           '401': {
             description: 'Tidak diotorisasi',
@@ -435,8 +4261,8 @@ const swaggerDocs = {
               }
             }
           },
-          '404': {
-            description: 'Model tidak ditemukan',
+          '403': {
+            description: 'Akses ditolak',
             content: {
               'application/json': {
                 schema: {
@@ -445,8 +4271,8 @@ const swaggerDocs = {
               }
             }
           },
-          '429': {
-            description: 'Terlalu banyak permintaan',
+          '404': {
+            description: 'Entri cache tidak ditemukan',
             content: {
               'application/json': {
                 schema: {
@@ -454,9 +4280,27 @@ const swaggerDocs = {
                 }
               }
             }
+          }
+        }
+      }
+    },
+    '/v1/models': {
+      servers: [
+        {
+          url: `http://localhost:${config.server.port}`,
+          description: 'Server Lokal (kompatibel OpenAI)'
+        }
+      ],
+      get: {
+        summary: 'Daftar model (format OpenAI)',
+        description: 'Endpoint kompatibel OpenAI untuk mendapatkan daftar model lokal',
+        tags: ['OpenAI'],
+        responses: {
+          '200': {
+            description: 'Daftar model berhasil diambil'
           },
-          '500': {
-            description: 'Error server',
+          '401': {
+            description: 'Tidak diotorisasi',
             content: {
               'application/json': {
                 schema: {
@@ -468,60 +4312,82 @@ const swaggerDocs = {
         }
       }
     },
-    '/models/{model}/load': {
+    '/v1/completions': {
+      servers: [
+        {
+          url: `http://localhost:${config.server.port}`,
+          description: 'Server Lokal (kompatibel OpenAI)'
+        }
+      ],
       post: {
-        summary: 'Memuat model ke memori',
-        description: 'Endpoint untuk memuat model AI ke memori',
-        tags: ['Model'],
-        parameters: [
-          {
-            name: 'model',
-            in: 'path',
-            required: true,
-            description: 'Nama model (llama, mistral, gptj, all)',
-            schema: {
-              type: 'string',
-              enum: ['llama', 'mistral', 'gptj', 'all']
+        summary: 'Text completion (format OpenAI)',
+        description: 'Endpoint kompatibel OpenAI untuk text completion. Mendukung `stream`, `stop`, `n` dan `max_tokens`; respons berisi `usage`.',
+        tags: ['OpenAI'],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                $ref: '#/components/schemas/OpenAICompletionRequest'
+              }
             }
           }
-        ],
+        },
         responses: {
           '200': {
-            description: 'Model berhasil dimuat',
+            description: 'Completion berhasil dibuat (JSON atau chunk `text/event-stream` diakhiri `data: [DONE]`)',
+            headers: {
+              'X-Cache': {
+                $ref: '#/components/headers/X-Cache'
+              }
+            }
+          },
+          '400': {
+            description: 'Permintaan tidak valid',
             content: {
               'application/json': {
                 schema: {
-                  $ref: '#/components/schemas/ModelLoadResponse'
+                  $ref: '#/components/schemas/OpenAIError'
                 }
               }
             }
           },
-          '401': {
-            description: 'Tidak diotorisasi',
+          '404': {
+            description: 'Model tidak ditemukan',
             content: {
               'application/json': {
                 schema: {
-                  $ref: '#/components/schemas/Error'
+                  $ref: '#/components/schemas/OpenAIError'
                 }
               }
             }
           },
-          '404': {
-            description: 'Model tidak ditemukan',
+          '429': {
+            description: 'Terlalu banyak permintaan atau kuota token habis',
             content: {
               'application/json': {
                 schema: {
-                  $ref: '#/components/schemas/Error'
+                  $ref: '#/components/schemas/OpenAIError'
                 }
               }
             }
           },
-          '500': {
-            description: 'Error server',
+          '409': {
+            description: 'Generasi dibatalkan melalui DELETE /generations/{id}',
             content: {
               'application/json': {
                 schema: {
-                  $ref: '#/components/schemas/Error'
+                  $ref: '#/components/schemas/OpenAIError'
+                }
+              }
+            }
+          },
+          '503': {
+            description: 'Antrean model penuh atau waktu tunggu antrean habis (lihat header Retry-After)',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/OpenAIError'
                 }
               }
             }
@@ -529,36 +4395,126 @@ const swaggerDocs = {
         }
       }
     },
-    '/models/{model}/unload': {
+    '/v1/chat/completions': {
+      servers: [
+        {
+          url: `http://localhost:${config.server.port}`,
+          description: 'Server Lokal (kompatibel OpenAI)'
+        }
+      ],
       post: {
-        summary: 'Membebaskan model dari memori',
-        description: 'Endpoint untuk membebaskan model AI dari memori',
-        tags: ['Model'],
-        parameters: [
-          {
-            name: 'model',
-            in: 'path',
-            required: true,
-            description: 'Nama model (llama, mistral, gptj, all)',
-            schema: {
-              type: 'string',
-              enum: ['llama', 'mistral', 'gptj', 'all']
+        summary: 'Chat completion (format OpenAI)',
+        description: 'Endpoint kompatibel OpenAI untuk chat completion. Mendukung `stream`, `stop`, `n` dan `max_tokens`; respons berisi `usage`.',
+        tags: ['OpenAI'],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                $ref: '#/components/schemas/OpenAIChatCompletionRequest'
+              }
             }
           }
-        ],
+        },
         responses: {
           '200': {
-            description: 'Model berhasil dibebaskan',
+            description: 'Chat completion berhasil dibuat (JSON atau chunk `text/event-stream` diakhiri `data: [DONE]`)',
+            headers: {
+              'X-Cache': {
+                $ref: '#/components/headers/X-Cache'
+              }
+            }
+          },
+          '400': {
+            description: 'Permintaan tidak valid',
             content: {
               'application/json': {
                 schema: {
-                  $ref: '#/components/schemas/ModelLoadResponse'
+                  $ref: '#/components/schemas/OpenAIError'
                 }
               }
             }
           },
-          '401': {
-            description: 'Tidak diotorisasi',
+          '404': {
+            description: 'Model tidak ditemukan',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/OpenAIError'
+                }
+              }
+            }
+          },
+          '429': {
+            description: 'Terlalu banyak permintaan atau kuota token habis',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/OpenAIError'
+                }
+              }
+            }
+          },
+          '409': {
+            description: 'Generasi dibatalkan melalui DELETE /generations/{id}',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/OpenAIError'
+                }
+              }
+            }
+          },
+          '503': {
+            description: 'Antrean model penuh atau waktu tunggu antrean habis (lihat header Retry-After)',
+            content: {
+              'application/json': {
+                schema: {
+                  $ref: '#/components/schemas/OpenAIError'
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/health/live': {
+      servers: [
+        {
+          url: `http://localhost:${config.server.port}`,
+          description: 'Server Lokal (pemeriksaan kesehatan)'
+        }
+      ],
+      get: {
+        summary: 'Liveness probe',
+        description: 'Selalu 200 selama proses berjalan dan dapat merespons',
+        tags: ['Status'],
+        security: [],
+        responses: {
+          '200': {
+            description: 'Proses berjalan'
+          }
+        }
+      }
+    },
+    '/health/ready': {
+      servers: [
+        {
+          url: `http://localhost:${config.server.port}`,
+          description: 'Server Lokal (pemeriksaan kesehatan)'
+        }
+      ],
+      get: {
+        summary: 'Readiness probe',
+        description: 'Siap jika semua model wajib (HEALTH_REQUIRED_MODELS) sudah dimuat dan file-nya ada di disk, serta database terhubung (kecuali HEALTH_REQUIRE_DATABASE=false)',
+        tags: ['Status'],
+        security: [],
+        responses: {
+          '200': {
+            description: 'Server siap menerima request'
+          },
+          '503': {
+            description: 'Server belum siap; code NOT_READY dengan field `checks` berisi hasil setiap pemeriksaan',
             content: {
               'application/json': {
                 schema: {
@@ -566,9 +4522,27 @@ const swaggerDocs = {
                 }
               }
             }
+          }
+        }
+      }
+    },
+    '/health': {
+      servers: [
+        {
+          url: `http://localhost:${config.server.port}`,
+          description: 'Server Lokal (pemeriksaan kesehatan)'
+        }
+      ],
+      get: {
+        summary: 'Detail kesehatan server',
+        description: 'Status setiap model (unloaded, loading, loaded atau failed beserta error terakhir), keberadaan file model, waktu generasi sukses terakhir, antrean, memori proses dan koneksi database. Memerlukan izin models:read.',
+        tags: ['Status'],
+        responses: {
+          '200': {
+            description: 'Detail kesehatan berhasil diambil'
           },
-          '404': {
-            description: 'Model tidak ditemukan',
+          '401': {
+            description: 'Tidak diotorisasi',
             content: {
               'application/json': {
                 schema: {
@@ -576,9 +4550,36 @@ const swaggerDocs = {
                 }
               }
             }
+          }
+        }
+      }
+    },
+    '/metrics': {
+      servers: [
+        {
+          url: `http://localhost:${config.server.port}`,
+          description: 'Server Lokal (metrik Prometheus)'
+        }
+      ],
+      get: {
+        summary: 'Metrik Prometheus',
+        description: 'Metrik dalam format teks Prometheus: jumlah dan durasi request per route dan status, durasi generasi, jumlah token dan token per detik per model, kedalaman antrean, pemuatan/pembebasan model, model yang dimuat serta memori proses. Tanpa autentikasi kecuali METRICS_TOKEN diatur.',
+        tags: ['Status'],
+        security: [],
+        responses: {
+          '200': {
+            description: 'Metrik berhasil diambil',
+            content: {
+              'text/plain': {
+                schema: {
+                  type: 'string',
+                  example: 'model_generated_tokens_total{model="llama"} 1024'
+                }
+              }
+            }
           },
-          '500': {
-            description: 'Error server',
+          '401': {
+            description: 'Token metrik tidak valid (hanya jika METRICS_TOKEN diatur)',
             content: {
               'application/json': {
                 schema: {
@@ -593,6 +4594,32 @@ const swaggerDocs = {
   }
 };
 
+/**
+ * Menerjemahkan satu teks dokumentasi
+ * @private
+ */
+const translateText = (text, locale) => (DOCS_TRANSLATIONS[locale] || {})[text] || text;
+
+/**
+ * Menyalin spesifikasi OpenAPI dengan teks deskriptif diterjemahkan
+ * @private
+ */
+const translateSpec = (value, locale) => {
+  if (Array.isArray(value)) {
+    return value.map(item => translateSpec(item, locale));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([name, item]) => [
+      name,
+      TRANSLATED_FIELDS.includes(name) && typeof item === 'string' ? translateText(item, locale) : translateSpec(item, locale)
+    ]));
+  }
+  return value;
+};
+
+// Spesifikasi per bahasa, disusun sekali saat modul dimuat
+const localizedDocs = Object.fromEntries(SUPPORTED_LOCALES.map(locale => [locale, translateSpec(swaggerDocs, locale)]));
+
 // Router untuk dokumentasi API
 const router = express.Router();
 
@@ -601,10 +4628,10 @@ router.get('/', (req, res) => {
   // HTML untuk menampilkan Swagger UI
   const html = `
     <!DOCTYPE html>
-    <html lang="en">
+    <html lang="${req.locale}">
     <head>
         <meta charset="UTF-8">
-        <title>Dokumentasi API Sistem AI</title>
+        <title>${translateText('Dokumentasi API Sistem AI', req.locale)}</title>
         <link rel="stylesheet" type="text/css" href="https://cdn.jsdelivr.net/npm/swagger-ui-dist@4/swagger-ui.css" >
         <style>
             html { box-sizing: border-box; overflow: -moz-scrollbars-vertical; overflow-y: scroll; }
@@ -618,7 +4645,7 @@ router.get('/', (req, res) => {
         <script>
             window.onload = function() {
                 window.ui = SwaggerUIBundle({
-                    spec: ${JSON.stringify(swaggerDocs)},
+                    spec: ${JSON.stringify(localizedDocs[req.locale])},
                     dom_id: '#swagger-ui',
                     deepLinking: true,
                     presets: [
@@ -640,7 +4667,7 @@ router.get('/', (req, res) => {
 
 // Rute untuk mendapatkan spesifikasi OpenAPI dalam format JSON
 router.get('/json', (req, res) => {
-  res.json(swaggerDocs);
+  res.json(localizedDocs[req.locale]);
 });
 
 module.exports = router; 
\ No newline at end of file
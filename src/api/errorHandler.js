@@ -0,0 +1,85 @@
+const logger = require('../utils/logger');
+const { errorCode, errorMessage, AppError, NotFoundError } = require('../utils/errors');
+const { msg, localize, resolveLocale } = require('../utils/i18n');
+
+// Code dan pesan untuk error body-parser (body JSON rusak, body terlalu besar, dll.)
+const BODY_PARSER_ERRORS = {
+  'entity.parse.failed': { code: 'INVALID_JSON', message: msg('request.invalidJson') },
+  'entity.too.large': { code: 'PAYLOAD_TOO_LARGE', message: msg('request.payloadTooLarge') }
+};
+
+/**
+ * Memetakan error ke status HTTP dan body respons standar { status: 'error', code, message }
+ * @param {Error} error Error yang akan dipetakan
+ * @param {string} locale Bahasa pesan (default bahasa default katalog)
+ * @returns {object} { status, body }
+ */
+const toErrorResponse = (error, locale) => {
+  if (error instanceof AppError) {
+    return {
+      status: error.status,
+      body: localize({ status: 'error', code: error.code, message: errorMessage(error), ...error.details }, locale)
+    };
+  }
+
+  // Error pembatalan bawaan library diperlakukan sama dengan GenerationCancelledError
+  if (errorCode(error) === 'GENERATION_CANCELLED') {
+    return {
+      status: 409,
+      body: { status: 'error', code: 'GENERATION_CANCELLED', message: localize(msg('generation.cancelled'), locale) }
+    };
+  }
+
+  if (error.type && error.status >= 400 && error.status < 500) {
+    const { code, message } = BODY_PARSER_ERRORS[error.type] || { code: 'INVALID_REQUEST', message: msg('request.invalid') };
+    return {
+      status: error.status,
+      body: { status: 'error', code, message: localize(message, locale) }
+    };
+  }
+
+  // Detail error yang tidak terduga hanya dicatat di log, tidak dikirim ke klien
+  return {
+    status: 500,
+    body: { status: 'error', code: 'INTERNAL_ERROR', message: localize(msg('server.internalError'), locale) }
+  };
+};
+
+// Middleware untuk rute yang tidak ada
+const notFoundHandler = (req, res, next) => {
+  next(new NotFoundError(msg('server.endpointNotFound'), 'ENDPOINT_NOT_FOUND'));
+};
+
+// Middleware terakhir yang mengubah setiap error menjadi respons JSON dengan `code`
+const errorHandler = (err, req, res, next) => {
+  // Error body-parser terjadi sebelum middleware bahasa dijalankan
+  const { status, body } = toErrorResponse(err, req.locale || resolveLocale(req));
+  // Dibaca oleh audit log untuk mencatat penyebab kegagalan tindakan
+  res.locals.errorCode = body.code;
+
+  if (status === 500) {
+    logger.error(`Error server pada ${req.method} ${req.originalUrl}: ${err.message}`);
+  }
+
+  // Stream SSE/JSON Lines sudah dibuka sehingga status HTTP tidak dapat diubah lagi
+  if (res.headersSent) {
+    return res.end();
+  }
+
+  // Klien sudah memutus koneksi
+  if (res.destroyed) {
+    return;
+  }
+
+  if (err.retryAfter) {
+    res.set('Retry-After', String(err.retryAfter));
+  }
+
+  res.status(status).json(body);
+};
+
+module.exports = {
+  toErrorResponse,
+  notFoundHandler,
+  errorHandler
+};
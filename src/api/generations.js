@@ -0,0 +1,63 @@
+const express = require('express');
+const generationRegistry = require('../models/GenerationRegistry');
+const logger = require('../utils/logger');
+const { authenticate } = require('./middleware');
+const { PERMISSIONS, checkAccess } = require('./permissions');
+const { NotFoundError } = require('../utils/errors');
+const { msg } = require('../utils/i18n');
+
+/**
+ * Router untuk melihat dan membatalkan generasi yang sedang berjalan
+ */
+const router = express.Router();
+
+router.use(authenticate);
+
+/**
+ * Pengguna dengan izin models:manage dapat melihat dan membatalkan generasi milik siapa pun
+ * @private
+ */
+const canManageAll = (user) => !checkAccess(user, PERMISSIONS.MODELS_MANAGE);
+
+// Daftar generasi yang sedang berjalan
+router.get('/', (req, res, next) => {
+  try {
+    res.json({
+      status: 'success',
+      data: {
+        generations: generationRegistry.list(canManageAll(req.user) ? null : req.user.username)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Membatalkan generasi yang sedang berjalan
+router.delete('/:id', (req, res, next) => {
+  try {
+    const entry = generationRegistry.get(req.params.id);
+
+    // Generasi milik pengguna lain diperlakukan sebagai tidak ditemukan
+    if (!entry || (entry.owner !== req.user.username && !canManageAll(req.user))) {
+      throw new NotFoundError(msg('generation.notFound'), 'GENERATION_NOT_FOUND');
+    }
+
+    // Generasi yang sudah dibatalkan dan masih berhenti tetap dilaporkan sebagai dibatalkan
+    if (generationRegistry.cancel(entry.id, 'cancelled')) {
+      logger.info(`Generasi ${entry.id} dibatalkan oleh ${req.user.username}`);
+    }
+
+    res.json({
+      status: 'success',
+      data: {
+        ...generationRegistry.toPublic(entry),
+        cancelled: true
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
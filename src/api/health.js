@@ -0,0 +1,139 @@
+const express = require('express');
+const config = require('../config/config');
+const modelManager = require('../models/ModelManager');
+const database = require('../database/database');
+const { authenticate } = require('./middleware');
+const { isShuttingDown } = require('./shutdown');
+const { PERMISSIONS, authorize } = require('./permissions');
+const { AppError } = require('../utils/errors');
+const { msg, localize } = require('../utils/i18n');
+
+/**
+ * Memeriksa kesiapan server: server tidak sedang berhenti, model wajib (config.health.requiredModels)
+ * sudah dimuat dan file-nya ada di disk, serta database terhubung jika config.health.requireDatabase aktif
+ * @returns {object} { ready, checks, failures }; `checks` berisi 'pass' atau 'fail' per
+ *                   pemeriksaan dan `failures` berisi Message penyebab kegagalan
+ */
+const checkReadiness = () => {
+  const checks = {};
+  const failures = [];
+
+  const check = (name, failure) => {
+    checks[name] = failure ? 'fail' : 'pass';
+    if (failure) {
+      failures.push(failure);
+    }
+  };
+
+  check('shutdown', isShuttingDown() ? msg('health.shuttingDown') : null);
+
+  if (config.health.requireDatabase) {
+    check('database', database.isConnected() ? null : msg('health.databaseDisconnected'));
+  }
+
+  if (!modelManager.initialized) {
+    check('models', msg('health.modelsNotInitialized'));
+  } else {
+    for (const name of config.health.requiredModels) {
+      const model = modelManager.models[name.toLowerCase()];
+      const health = model ? model.getHealth() : null;
+      let failure = null;
+
+      if (!model) {
+        failure = msg('health.unknownModel', { model: name });
+      } else if (!health.fileExists) {
+        failure = msg('health.modelFileMissing', { model: name });
+      } else if (health.state !== 'loaded') {
+        failure = msg('health.modelNotLoaded', { model: name, state: health.state });
+      }
+
+      check(`model:${name}`, failure);
+    }
+  }
+
+  return { ready: failures.length === 0, checks, failures };
+};
+
+/**
+ * Router pemeriksaan kesehatan. /live dan /ready tidak memerlukan autentikasi agar dapat
+ * dipakai sebagai liveness dan readiness probe; tampilan detail memerlukan izin models:read.
+ */
+const router = express.Router();
+
+// Liveness: proses berjalan dan event loop merespons
+router.get('/live', (req, res) => {
+  res.json({
+    status: 'success',
+    data: {
+      status: 'live',
+      uptime: process.uptime(),
+      timestamp: new Date().toISOString()
+    }
+  });
+});
+
+// Readiness: 200 jika siap melayani request, 503 dengan code NOT_READY jika belum
+router.get('/ready', (req, res, next) => {
+  try {
+    const { ready, checks, failures } = checkReadiness();
+
+    if (!ready) {
+      throw new AppError(msg('health.notReady', { reasons: failures }), {
+        status: 503,
+        code: 'NOT_READY',
+        details: { checks }
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: {
+        status: 'ready',
+        checks,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Tampilan detail: status setiap model, memori proses dan koneksi database
+router.get('/', authenticate, authorize(PERMISSIONS.MODELS_READ), (req, res, next) => {
+  try {
+    const { ready, checks, failures } = checkReadiness();
+    const required = config.health.requiredModels.map(name => name.toLowerCase());
+    const models = {};
+
+    if (modelManager.initialized) {
+      for (const [name, model] of Object.entries(modelManager.models)) {
+        models[name] = {
+          required: required.includes(name),
+          ...model.getHealth(),
+          queue: modelManager.getScheduler(name).getStats()
+        };
+      }
+    }
+
+    res.json({
+      status: 'success',
+      data: {
+        status: ready ? 'ready' : 'not_ready',
+        checks,
+        reasons: localize(failures, req.locale),
+        database: {
+          connected: database.isConnected(),
+          required: config.health.requireDatabase
+        },
+        memory: process.memoryUsage(),
+        uptime: process.uptime(),
+        models,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
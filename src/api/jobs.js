@@ -0,0 +1,186 @@
+const express = require('express');
+const Job = require('../database/Job');
+const jobRunner = require('../jobs/jobRunner');
+const modelManager = require('../models/ModelManager');
+const logger = require('../utils/logger');
+const { authenticate, requireDatabase, validateOptions } = require('./middleware');
+const { rateLimiter } = require('./rateLimiter');
+const { enforceQuota, requestedTokens } = require('./quota');
+const { PERMISSIONS, authorize, checkAccess, modelFromBody } = require('./permissions');
+const { openJsonLinesStream } = require('./jsonl');
+const { parseCallbackUrl } = require('./webhooks');
+const { ConflictError, NotFoundError, ValidationError } = require('../utils/errors');
+const { msg } = require('../utils/i18n');
+
+/**
+ * Router untuk job generasi asinkron. Job dijalankan di latar belakang sehingga
+ * generasi panjang tidak bergantung pada batas waktu koneksi HTTP atau reverse proxy.
+ */
+const router = express.Router();
+
+router.use(authenticate, requireDatabase);
+
+/**
+ * Pengguna dengan izin models:manage dapat melihat dan membatalkan job milik siapa pun
+ * @private
+ */
+const canManageAll = (user) => !checkAccess(user, PERMISSIONS.MODELS_MANAGE);
+
+/**
+ * Mencari job yang boleh diakses pengguna; job milik pengguna lain diperlakukan sebagai tidak ditemukan
+ * @private
+ */
+const findAccessibleJob = (req) => {
+  return Job.findOwned(req.params.id, canManageAll(req.user) ? null : req.user.username);
+};
+
+// Kuota harus cukup untuk token prompt dan `maxTokens` setiap model yang dijalankan job, termasuk target 'all'
+const jobQuota = enforceQuota(req => requestedTokens(
+  req.body.options,
+  typeof req.body.model === 'string' ? modelManager.countTargets(req.body.model) : 1,
+  modelManager.countPromptTokens(req.body.model, req.body.prompt)
+));
+
+// Membuat job generasi baru
+router.post('/', authorize(PERMISSIONS.GENERATE, { model: modelFromBody }), validateOptions, rateLimiter('generate'), jobQuota, async (req, res, next) => {
+  try {
+    const { model, prompt, options = {} } = req.body;
+    const callbackUrl = parseCallbackUrl(req.body.callbackUrl);
+
+    if (typeof model !== 'string' || !model) {
+      throw new ValidationError(msg('jobs.modelRequired'));
+    }
+
+    if (typeof prompt !== 'string' || !prompt) {
+      throw new ValidationError(msg('request.promptRequired'));
+    }
+
+    if (!modelManager.initialized) {
+      await modelManager.init();
+    }
+
+    // Model harus ada dan antreannya belum penuh sebelum job disimpan
+    modelManager.checkCapacity(model);
+
+    const job = await jobRunner.submit(req.user, { model, prompt, options, callbackUrl }, req.quotaReservation);
+
+    res.status(202).location(`${req.baseUrl}/${job._id}`).json({
+      status: 'success',
+      data: job.toDetail(jobRunner.getProgress(job._id.toString()), req.locale)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Daftar job milik pengguna
+router.get('/', async (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = parseInt(req.query.skip) || 0;
+    const filter = { owner: req.user.username };
+
+    // Pengelola dapat melihat job pengguna lain dengan ?owner=<username>
+    if (req.query.owner && canManageAll(req.user)) {
+      filter.owner = req.query.owner;
+    }
+
+    if (req.query.status) {
+      if (!Job.STATUSES.includes(req.query.status)) {
+        throw new ValidationError(msg('jobs.invalidStatus', { statuses: Job.STATUSES.join(', ') }));
+      }
+      filter.status = req.query.status;
+    }
+
+    const [jobs, total] = await Promise.all([
+      Job.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Job.countDocuments(filter)
+    ]);
+
+    res.json({
+      status: 'success',
+      data: {
+        jobs: jobs.map(job => job.toSummary(jobRunner.getProgress(job._id.toString()), req.locale)),
+        total,
+        limit,
+        skip
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Status, progres dan hasil job
+router.get('/:id', async (req, res, next) => {
+  try {
+    const job = await findAccessibleJob(req);
+
+    if (!job) {
+      throw new NotFoundError(msg('jobs.notFound'), 'JOB_NOT_FOUND');
+    }
+
+    res.json({
+      status: 'success',
+      data: job.toDetail(jobRunner.getProgress(job._id.toString()), req.locale)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Mengunduh hasil job batch sebagai JSON Lines, satu baris per item
+router.get('/:id/results', async (req, res, next) => {
+  try {
+    const job = await findAccessibleJob(req);
+
+    if (!job) {
+      throw new NotFoundError(msg('jobs.notFound'), 'JOB_NOT_FOUND');
+    }
+
+    if (job.type !== 'batch') {
+      throw new ValidationError(msg('jobs.resultsBatchOnly'));
+    }
+
+    if (!job.result) {
+      throw new ConflictError(msg('jobs.resultsNotReady', { status: job.status }), 'JOB_NOT_FINISHED');
+    }
+
+    const stream = openJsonLinesStream(res, `batch-${job._id}.jsonl`);
+    job.result.results.forEach(result => stream.write(result));
+    stream.close();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Membatalkan job yang belum selesai
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const job = await findAccessibleJob(req);
+
+    if (!job) {
+      throw new NotFoundError(msg('jobs.notFound'), 'JOB_NOT_FOUND');
+    }
+
+    if (job.isFinished()) {
+      throw new ConflictError(msg('jobs.alreadyFinished', { status: job.status }), 'JOB_FINISHED');
+    }
+
+    const cancelled = await jobRunner.cancel(job);
+
+    logger.info(`Job ${job._id} dibatalkan oleh ${req.user.username}`);
+
+    res.json({
+      status: 'success',
+      data: cancelled.toDetail(null, req.locale)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,79 @@
+const { ValidationError } = require('../utils/errors');
+const { msg } = require('../utils/i18n');
+
+/**
+ * Utilitas untuk menerima dan mengirim JSON Lines (satu objek JSON per baris)
+ */
+
+// Content-Type yang diperlakukan sebagai JSON Lines
+const JSONL_TYPES = ['application/x-ndjson', 'application/jsonl'];
+
+/**
+ * Mengurai teks JSON Lines menjadi array objek. Baris kosong diabaikan.
+ * @param {string} text Isi JSON Lines
+ * @returns {Array<*>} Nilai dari setiap baris
+ * @throws {ValidationError} Jika sebuah baris bukan JSON yang valid
+ */
+const parseJsonLines = (text) => {
+  const rows = [];
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim()) {
+      return;
+    }
+    try {
+      rows.push(JSON.parse(line));
+    } catch (error) {
+      throw new ValidationError(msg('request.invalidJsonLine', { line: index + 1, detail: error.message }), { code: 'INVALID_JSON' });
+    }
+  });
+
+  return rows;
+};
+
+/**
+ * Menentukan apakah klien meminta respons JSON Lines
+ * @param {object} req Request Express
+ * @returns {boolean} True jika `?format=jsonl` atau header Accept lebih memilih JSON Lines
+ */
+const wantsJsonLines = (req) => {
+  if (req.query.format === 'jsonl') {
+    return true;
+  }
+
+  return JSONL_TYPES.includes(req.accepts(['application/json', ...JSONL_TYPES]));
+};
+
+/**
+ * Membuka respons JSON Lines yang ditulis baris demi baris
+ * @param {object} res Response Express
+ * @param {string} filename Jika diisi, respons dikirim sebagai lampiran dengan nama ini
+ * @returns {object} Objek dengan metode write(row) dan close()
+ */
+const openJsonLinesStream = (res, filename = null) => {
+  res.status(200);
+  if (filename) {
+    res.attachment(filename);
+  }
+  res.set('Content-Type', 'application/x-ndjson; charset=utf-8');
+
+  return {
+    write(row) {
+      if (!res.writableEnded) {
+        res.write(`${JSON.stringify(row)}\n`);
+      }
+    },
+    close() {
+      if (!res.writableEnded) {
+        res.end();
+      }
+    }
+  };
+};
+
+module.exports = {
+  JSONL_TYPES,
+  parseJsonLines,
+  wantsJsonLines,
+  openJsonLinesStream
+};
@@ -0,0 +1,89 @@
+const express = require('express');
+const crypto = require('crypto');
+const config = require('../config/config');
+const metrics = require('../utils/metrics');
+const { AuthenticationError } = require('../utils/errors');
+const { msg } = require('../utils/i18n');
+
+/**
+ * Menentukan label route dari pola route yang cocok, misalnya '/api/jobs/:id' untuk semua ID job.
+ * Express mengembalikan req.baseUrl setelah keluar dari router (misalnya ketika error diteruskan
+ * ke errorHandler); dalam kasus itu path mount diambil dari awal URL asli, yaitu segmen yang
+ * tidak dicakup pola route.
+ * @param {object} req Request Express setelah respons selesai
+ * @returns {string} Label route, atau 'unmatched' jika tidak ada route yang cocok
+ */
+const routeLabel = (req) => {
+  if (!req.route || typeof req.route.path !== 'string') {
+    return 'unmatched';
+  }
+
+  const routePath = req.route.path;
+  let baseUrl = req.baseUrl;
+
+  if (!baseUrl) {
+    const segments = req.originalUrl.split('?')[0].split('/').filter(Boolean);
+    const mountSegments = segments.length - routePath.split('/').filter(Boolean).length;
+    baseUrl = mountSegments > 0 ? `/${segments.slice(0, mountSegments).join('/')}` : '';
+  }
+
+  // Route '/' pada router memakai path mount router saja (misalnya '/api/cache', bukan '/api/cache/')
+  return baseUrl && routePath === '/' ? baseUrl : `${baseUrl}${routePath}`;
+};
+
+/**
+ * Middleware yang mengukur setiap request HTTP hingga respons selesai dikirim atau koneksi ditutup.
+ * Label route memakai pola route yang cocok, bukan URL asli, agar jumlah seri metrik tetap
+ * terbatas; request tanpa route berlabel 'unmatched'.
+ */
+const httpMetrics = (req, res, next) => {
+  const startedAt = process.hrtime.bigint();
+  let recorded = false;
+
+  const record = () => {
+    if (recorded) {
+      return;
+    }
+    recorded = true;
+    const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+    metrics.observeRequest(req.method, routeLabel(req), res.statusCode, seconds);
+  };
+
+  res.on('finish', record);
+  res.on('close', record);
+  next();
+};
+
+/**
+ * Membandingkan header Authorization dengan token metrik dalam waktu konstan.
+ * Keduanya di-hash lebih dulu agar panjang token juga tidak bocor.
+ * @private
+ */
+const isValidToken = (header) => {
+  const hash = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(hash(header || ''), hash(`Bearer ${config.metrics.token}`));
+};
+
+/**
+ * Router endpoint /metrics dalam format teks Prometheus. Jika METRICS_TOKEN diatur,
+ * scraper harus mengirim header `Authorization: Bearer <token>`.
+ */
+const router = express.Router();
+
+router.get('/', async (req, res, next) => {
+  try {
+    if (config.metrics.token && !isValidToken(req.headers.authorization)) {
+      throw new AuthenticationError(msg('auth.invalidToken'));
+    }
+
+    res.set('Content-Type', metrics.contentType);
+    res.send(await metrics.render());
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = {
+  httpMetrics,
+  router
+};
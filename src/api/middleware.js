@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const requestContext = require('../utils/requestContext');
+const database = require('../database/database');
+const ApiKey = require('../database/ApiKey');
+const User = require('../database/User');
+const revocationList = require('../database/revocationList');
+const { validateGenerationOptions } = require('../models/generationOptions');
+const { AuthenticationError, DatabaseUnavailableError, ValidationError } = require('../utils/errors');
+const { msg, translate, resolveLocale } = require('../utils/i18n');
+
+// Interval minimum pembaruan lastUsedAt API key agar tidak menulis ke database di setiap request
+const API_KEY_TOUCH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Memverifikasi API key dan membangun identitas pengguna dari key tersebut.
+ * Key milik akun pengguna ikut ditolak ketika akun tersebut dinonaktifkan atau dihapus.
+ * @param {string} token API key dari header Authorization
+ * @returns {Promise<object|null>} Payload pengguna atau null jika key tidak valid
+ */
+const verifyApiKey = async (token) => {
+  const apiKey = await ApiKey.findByKey(token);
+  
+  if (!apiKey || !apiKey.isActive()) {
+    return null;
+  }
+  
+  if (!apiKey.isServiceKey()) {
+    const owner = await User.findOne({ username: apiKey.owner }, { disabled: 1 });
+    if (!owner || owner.disabled) {
+      return null;
+    }
+  }
+  
+  const now = Date.now();
+  if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt.getTime() > API_KEY_TOUCH_INTERVAL_MS) {
+    ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date(now) })
+      .catch(error => logger.warn(`Gagal memperbarui lastUsedAt API key: ${error.message}`));
+  }
+  
+  return {
+    username: apiKey.owner,
+    role: apiKey.role,
+    scopes: apiKey.scopes,
+    apiKeyId: apiKey._id.toString(),
+    authType: 'apiKey'
+  };
+};
+
+// ID request dari klien hanya diterima jika pendek dan tidak berisi karakter yang dapat merusak log
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Middleware yang memberi setiap request ID korelasi. ID dari header X-Request-Id dipakai jika
+ * valid, selain itu dibuat UUID baru. ID dikirim kembali di header respons dan dicatat di setiap
+ * baris log selama request diproses, termasuk log dari ModelManager, model dan trainer.
+ */
+const assignRequestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  requestContext.run({ requestId: req.id }, next);
+};
+
+// Middleware untuk memilih bahasa pesan (id atau en) dari header Accept-Language
+const detectLocale = (req, res, next) => {
+  req.locale = resolveLocale(req);
+  req.t = (key, params) => translate(key, params, req.locale);
+  res.set('Content-Language', req.locale);
+  res.vary('Accept-Language');
+  next();
+};
+
+// Middleware untuk autentikasi dengan JWT atau API key
+const authenticate = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+    
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return next(new AuthenticationError(msg('auth.tokenMissing'), 'TOKEN_MISSING'));
+    }
+    
+    const token = authHeader.split(' ')[1];
+    
+    if (ApiKey.isApiKey(token)) {
+      if (!database.isConnected()) {
+        return next(new DatabaseUnavailableError());
+      }
+      
+      const user = await verifyApiKey(token);
+      if (!user) {
+        throw new Error('API key tidak valid, sudah dicabut, kedaluwarsa atau pemiliknya dinonaktifkan');
+      }
+      
+      req.user = user;
+      return next();
+    }
+    
+    const decoded = jwt.verify(token, config.security.jwtSecret);
+    
+    if (revocationList.isRevoked(decoded)) {
+      throw new Error(`Token milik ${decoded.username} sudah dicabut`);
+    }
+    
+    req.user = { ...decoded, authType: 'jwt' };
+    next();
+  } catch (error) {
+    logger.error(`Autentikasi gagal: ${error.message}`);
+    next(new AuthenticationError(msg('auth.invalidToken'), 'INVALID_TOKEN'));
+  }
+};
+
+// Middleware untuk memastikan database tersedia sebelum route yang memerlukannya
+const requireDatabase = (req, res, next) => {
+  if (!database.isConnected()) {
+    return next(new DatabaseUnavailableError());
+  }
+  next();
+};
+
+/**
+ * Memvalidasi opsi generasi terhadap skema opsi generasi kanonik
+ * @param {object} options Opsi generasi dari request
+ * @returns {ValidationError|null} Error dengan code INVALID_OPTIONS, atau null jika valid
+ */
+const checkOptions = (options) => {
+  const errors = validateGenerationOptions(options)
+    .map(error => ({ ...error, field: error.field === 'options' ? 'options' : `options.${error.field}` }));
+  
+  if (errors.length === 0) {
+    return null;
+  }
+  
+  return new ValidationError(
+    msg('options.invalid', { fields: errors.map(error => error.field).join(', ') }),
+    { code: 'INVALID_OPTIONS', errors }
+  );
+};
+
+// Middleware untuk memvalidasi `options` di body request
+const validateOptions = (req, res, next) => {
+  next(checkOptions((req.body || {}).options) || undefined);
+};
+
+module.exports = {
+  assignRequestId,
+  detectLocale,
+  authenticate,
+  requireDatabase,
+  checkOptions,
+  validateOptions
+};
@@ -0,0 +1,586 @@
+const express = require('express');
+const crypto = require('crypto');
+const modelManager = require('../models/ModelManager');
+const logger = require('../utils/logger');
+const { authenticate } = require('./middleware');
+const { rateLimiter } = require('./rateLimiter');
+const { openEventStream } = require('./sse');
+const { validateMessages } = require('../models/chatTemplates');
+const { validateGenerationOptions } = require('../models/generationOptions');
+const { PERMISSIONS, checkAccess, canUseModel } = require('./permissions');
+const { reserveTokens, holdForRequest, requestedTokens } = require('./quota');
+const { trackGeneration } = require('./cancellation');
+const { toErrorResponse } = require('./errorHandler');
+const { msg, localize } = require('../utils/i18n');
+
+/**
+ * Router yang meniru format API OpenAI (/v1) sehingga klien seperti LangChain,
+ * plugin editor dan harness evaluasi dapat langsung menggunakan model lokal
+ */
+const router = express.Router();
+
+// Parameter OpenAI dan nama opsi generasi kanonik padanannya
+const OPENAI_OPTION_PARAMS = {
+  temperature: 'temperature',
+  max_tokens: 'maxTokens',
+  top_p: 'topP',
+  seed: 'seed'
+};
+
+/**
+ * Mengirim error dengan format OpenAI; pesan berupa Message diterjemahkan sesuai bahasa request
+ * @private
+ */
+const sendError = (res, status, message, type = 'invalid_request_error', code = null, param = null) => {
+  return res.status(status).json({
+    error: {
+      message: localize(message, res.req.locale),
+      type,
+      param,
+      code
+    }
+  });
+};
+
+// Tipe error OpenAI untuk setiap status HTTP
+const ERROR_TYPES = {
+  400: 'invalid_request_error',
+  401: 'authentication_error',
+  403: 'permission_error',
+  404: 'invalid_request_error',
+  409: 'cancelled',
+  429: 'rate_limit_error'
+};
+
+/**
+ * Mengubah error aplikasi menjadi objek error format OpenAI dengan code huruf kecil
+ * @private
+ */
+const toOpenAIError = (error, locale, param = null) => {
+  const { status, body } = toErrorResponse(error, locale);
+
+  return {
+    status,
+    error: {
+      message: body.message,
+      type: ERROR_TYPES[status] || 'server_error',
+      param,
+      code: body.code.toLowerCase()
+    }
+  };
+};
+
+/**
+ * Mengubah parameter request OpenAI menjadi opsi generasi kanonik; penerjemahan
+ * ke parameter backend dilakukan oleh kelas model
+ * @private
+ */
+const toModelOptions = (body) => {
+  const options = {};
+
+  for (const [param, name] of Object.entries(OPENAI_OPTION_PARAMS)) {
+    if (body[param] !== undefined && body[param] !== null) {
+      options[name] = body[param];
+    }
+  }
+
+  return options;
+};
+
+/**
+ * Menormalkan parameter `stop` menjadi array string
+ * @private
+ */
+const normalizeStop = (stop) => {
+  if (!stop) {
+    return [];
+  }
+  return (Array.isArray(stop) ? stop : [stop])
+    .filter(sequence => typeof sequence === 'string' && sequence.length > 0);
+};
+
+/**
+ * Memotong teks pada urutan stop pertama yang ditemukan
+ * @private
+ */
+const truncateAtStop = (text, stop) => {
+  let index = -1;
+
+  for (const sequence of stop) {
+    const position = text.indexOf(sequence);
+    if (position !== -1 && (index === -1 || position < index)) {
+      index = position;
+    }
+  }
+
+  if (index === -1) {
+    return { text, stopped: false };
+  }
+  return { text: text.slice(0, index), stopped: true };
+};
+
+/**
+ * Penyaring token streaming yang menahan sebagian teks di buffer agar urutan stop
+ * yang terpotong di antara dua token tetap terdeteksi
+ * @private
+ */
+const createStopFilter = (stop) => {
+  const holdBack = Math.max(0, ...stop.map(sequence => sequence.length - 1));
+  let buffer = '';
+  let stopped = false;
+
+  return {
+    get stopped() {
+      return stopped;
+    },
+    push(token) {
+      buffer += token;
+
+      const result = truncateAtStop(buffer, stop);
+      if (result.stopped) {
+        stopped = true;
+        buffer = '';
+        return result.text;
+      }
+
+      const output = buffer.slice(0, buffer.length - holdBack);
+      buffer = buffer.slice(output.length);
+      return output;
+    },
+    flush() {
+      const output = buffer;
+      buffer = '';
+      return output;
+    }
+  };
+};
+
+/**
+ * Menentukan finish_reason berdasarkan jumlah token dan urutan stop
+ * @private
+ */
+const finishReason = (stopped, completionTokens, maxTokens) => {
+  if (!stopped && maxTokens !== undefined && completionTokens >= maxTokens) {
+    return 'length';
+  }
+  return 'stop';
+};
+
+/**
+ * Memvalidasi parameter umum request completion, termasuk opsi generasi terhadap skema kanonik
+ * @private
+ * @returns {object|null} { message, param } dengan message berupa Message, atau null jika valid
+ */
+const validateCommonParams = (body) => {
+  if (body.n !== undefined && (!Number.isInteger(body.n) || body.n < 1)) {
+    return { message: msg('openai.invalidN'), param: 'n' };
+  }
+  if (body.stop !== undefined && body.stop !== null &&
+      typeof body.stop !== 'string' && !Array.isArray(body.stop)) {
+    return { message: msg('openai.invalidStop'), param: 'stop' };
+  }
+
+  const [optionError] = validateGenerationOptions(toModelOptions(body));
+  if (optionError) {
+    const param = Object.keys(OPENAI_OPTION_PARAMS).find(key => OPENAI_OPTION_PARAMS[key] === optionError.field);
+    return { message: msg('openai.invalidParam', { param, detail: optionError.message }), param };
+  }
+  return null;
+};
+
+/**
+ * Menjalankan satu generasi non-streaming melalui antrean model dan menerapkan urutan stop
+ * @private
+ */
+const runCompletion = async (modelInstance, modelName, prompt, body, signal, scheduling) => {
+  const stop = normalizeStop(body.stop);
+  const rawText = await modelManager.generate(modelName, prompt, { ...toModelOptions(body), signal }, scheduling);
+  const { text, stopped } = truncateAtStop(rawText, stop);
+  const completionTokens = modelInstance.countTokens(text);
+
+  return {
+    text,
+    completionTokens,
+    finishReason: finishReason(stopped, completionTokens, body.max_tokens)
+  };
+};
+
+/**
+ * Mengirim hasil generasi dalam format chunk streaming OpenAI.
+ * Setiap kombinasi prompt dan `n` menjadi satu choice dengan index berurutan.
+ * @private
+ */
+const streamCompletion = async (res, { signal, scheduling, modelInstance, modelName, prompts, body, buildChunk }) => {
+  // Antrean penuh ditolak sebelum header SSE dikirim agar tetap berupa 503
+  modelManager.checkCapacity(modelName);
+  const stream = openEventStream(res);
+  const n = body.n || 1;
+  const stop = normalizeStop(body.stop);
+  let promptTokens = 0;
+  let completionTokens = 0;
+
+  try {
+    for (const [promptIndex, prompt] of prompts.entries()) {
+      promptTokens += modelInstance.countTokens(prompt);
+
+      for (let i = 0; i < n; i++) {
+        const index = promptIndex * n + i;
+        const filter = createStopFilter(stop);
+        let text = '';
+
+        const opening = buildChunk(index, null, null, true);
+        if (opening) {
+          stream.sendData(opening);
+        }
+
+        for await (const token of modelManager.generateStream(modelName, prompt, { ...toModelOptions(body), signal }, scheduling)) {
+          const output = filter.push(token);
+          if (output) {
+            text += output;
+            stream.sendData(buildChunk(index, output, null));
+          }
+          if (filter.stopped) {
+            break;
+          }
+        }
+
+        const rest = filter.flush();
+        if (rest) {
+          text += rest;
+          stream.sendData(buildChunk(index, rest, null));
+        }
+
+        const tokens = modelInstance.countTokens(text);
+        completionTokens += tokens;
+        stream.sendData(buildChunk(index, null, finishReason(filter.stopped, tokens, body.max_tokens)));
+      }
+    }
+
+    if (body.stream_options && body.stream_options.include_usage) {
+      stream.sendData({
+        ...buildChunk(0, null, null),
+        choices: [],
+        usage: {
+          prompt_tokens: promptTokens,
+          completion_tokens: completionTokens,
+          total_tokens: promptTokens + completionTokens
+        }
+      });
+    }
+  } catch (error) {
+    const { status, error: body } = toOpenAIError(error, res.req.locale);
+    if (status === 500) {
+      logger.error(`Gagal streaming completion: ${error.message}`);
+    }
+    stream.sendData({ error: body });
+  }
+
+  stream.sendData('[DONE]');
+  stream.close();
+};
+
+// Semua endpoint /v1 memerlukan token yang sama dengan API utama
+router.use(authenticate);
+
+// Pastikan ModelManager siap sebelum request diproses
+router.use(async (req, res, next) => {
+  try {
+    if (!modelManager.initialized) {
+      await modelManager.init();
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Mengambil instance model dari field `model` pada body request,
+ * atau mengirim error 404 dengan format OpenAI
+ * @private
+ */
+const resolveModel = (req, res) => {
+  const modelName = req.body.model;
+
+  if (!modelName || typeof modelName !== 'string') {
+    sendError(res, 400, msg('openai.modelRequired'), 'invalid_request_error', null, 'model');
+    return null;
+  }
+
+  let modelInstance;
+  try {
+    modelInstance = modelManager.getModel(modelName);
+  } catch (error) {
+    const { status, error: body } = toOpenAIError(error, req.locale, 'model');
+    sendError(res, status, body.message, body.type, body.code, body.param);
+    return null;
+  }
+
+  const denial = checkAccess(req.user, PERMISSIONS.GENERATE, modelName);
+  if (denial) {
+    sendError(res, 403, denial.message, 'permission_error', denial.code.toLowerCase(), 'model');
+    return null;
+  }
+
+  return { modelName: modelName.toLowerCase(), modelInstance };
+};
+
+/**
+ * Memesan kuota token untuk token prompt dan `max_tokens` setiap choice (setiap prompt dikalikan `n`)
+ * @private
+ * @returns {Promise<boolean>} False jika kuota tidak cukup dan respons 429 sudah dikirim
+ */
+const reserveQuota = async (req, res, modelInstance, prompts) => {
+  const n = req.body.n || 1;
+  const promptTokens = prompts.reduce((total, prompt) => total + modelInstance.countTokens(prompt), 0) * n;
+  const { exceeded, reservation } = await reserveTokens(req.user, requestedTokens(toModelOptions(req.body), prompts.length * n, promptTokens));
+
+  if (exceeded) {
+    res.set('Retry-After', String(exceeded.retryAfter));
+    sendError(res, 429, exceeded.message, 'insufficient_quota', exceeded.code.toLowerCase());
+    return false;
+  }
+
+  holdForRequest(req, res, reservation);
+  return true;
+};
+
+/**
+ * Memeriksa apakah model terlihat oleh pengguna. Klien OpenAI biasanya memanggil
+ * /v1/models sebelum completion, sehingga izin generate juga cukup untuk melihat model.
+ * @private
+ */
+const isModelVisible = (user, modelName) => {
+  return [PERMISSIONS.MODELS_READ, PERMISSIONS.GENERATE].some(permission =>
+    !checkAccess(user, permission) && canUseModel(user, modelName, permission));
+};
+
+// Daftar model yang tersedia
+router.get('/models', (req, res) => {
+  const created = Math.floor(Date.now() / 1000);
+
+  res.json({
+    object: 'list',
+    data: Object.keys(modelManager.getAllModels()).filter(id => isModelVisible(req.user, id)).map(id => ({
+      id,
+      object: 'model',
+      created,
+      owned_by: 'local'
+    }))
+  });
+});
+
+// Detail satu model
+router.get('/models/:model', (req, res) => {
+  const { model } = req.params;
+
+  if (!modelManager.getAllModels()[model.toLowerCase()] || !isModelVisible(req.user, model)) {
+    return sendError(res, 404, msg('models.notFound', { model }), 'invalid_request_error', 'model_not_found', 'model');
+  }
+
+  res.json({
+    id: model.toLowerCase(),
+    object: 'model',
+    created: Math.floor(Date.now() / 1000),
+    owned_by: 'local'
+  });
+});
+
+// Text completion
+router.post('/completions', rateLimiter('generate'), async (req, res, next) => {
+  try {
+    const body = req.body;
+    const resolved = resolveModel(req, res);
+    if (!resolved) {
+      return;
+    }
+    const { modelName, modelInstance } = resolved;
+
+    const prompts = Array.isArray(body.prompt) ? body.prompt : [body.prompt];
+    if (prompts.length === 0 || prompts.some(prompt => typeof prompt !== 'string' || prompt.length === 0)) {
+      return sendError(res, 400, msg('openai.promptRequired'), 'invalid_request_error', null, 'prompt');
+    }
+
+    const paramError = validateCommonParams(body);
+    if (paramError) {
+      return sendError(res, 400, paramError.message, 'invalid_request_error', null, paramError.param);
+    }
+
+    if (!(await reserveQuota(req, res, modelInstance, prompts))) {
+      return;
+    }
+
+    const id = `cmpl-${crypto.randomUUID()}`;
+    const created = Math.floor(Date.now() / 1000);
+    const { signal, scheduling } = trackGeneration(req, res, modelName);
+
+    if (body.stream === true) {
+      return await streamCompletion(res, {
+        signal,
+        scheduling,
+        modelInstance,
+        modelName,
+        prompts,
+        body,
+        buildChunk: (index, text, reason, first) => (first ? null : {
+          id,
+          object: 'text_completion',
+          created,
+          model: modelName,
+          choices: [{
+            text: text || '',
+            index,
+            logprobs: null,
+            finish_reason: reason
+          }]
+        })
+      });
+    }
+
+    const n = body.n || 1;
+    const choices = [];
+    let promptTokens = 0;
+    let completionTokens = 0;
+
+    for (const [promptIndex, prompt] of prompts.entries()) {
+      promptTokens += modelInstance.countTokens(prompt);
+
+      for (let i = 0; i < n; i++) {
+        const result = await runCompletion(modelInstance, modelName, prompt, body, signal, scheduling);
+        completionTokens += result.completionTokens;
+        choices.push({
+          text: result.text,
+          index: promptIndex * n + i,
+          logprobs: null,
+          finish_reason: result.finishReason
+        });
+      }
+    }
+
+    res.json({
+      id,
+      object: 'text_completion',
+      created,
+      model: modelName,
+      choices,
+      usage: {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Chat completion
+router.post('/chat/completions', rateLimiter('generate'), async (req, res, next) => {
+  try {
+    const body = req.body;
+    const resolved = resolveModel(req, res);
+    if (!resolved) {
+      return;
+    }
+    const { modelName, modelInstance } = resolved;
+
+    const messagesError = validateMessages(body.messages);
+    if (messagesError) {
+      return sendError(res, 400, messagesError, 'invalid_request_error', null, 'messages');
+    }
+
+    const paramError = validateCommonParams(body);
+    if (paramError) {
+      return sendError(res, 400, paramError.message, 'invalid_request_error', null, paramError.param);
+    }
+
+    const prompt = modelInstance.formatChat(body.messages);
+    if (!(await reserveQuota(req, res, modelInstance, [prompt]))) {
+      return;
+    }
+
+    const id = `chatcmpl-${crypto.randomUUID()}`;
+    const created = Math.floor(Date.now() / 1000);
+    const { signal, scheduling } = trackGeneration(req, res, modelName);
+
+    if (body.stream === true) {
+      return await streamCompletion(res, {
+        signal,
+        scheduling,
+        modelInstance,
+        modelName,
+        prompts: [prompt],
+        body,
+        buildChunk: (index, text, reason, first) => ({
+          id,
+          object: 'chat.completion.chunk',
+          created,
+          model: modelName,
+          choices: [{
+            index,
+            delta: first ? { role: 'assistant', content: '' } : (text ? { content: text } : {}),
+            finish_reason: reason
+          }]
+        })
+      });
+    }
+
+    const n = body.n || 1;
+    const promptTokens = modelInstance.countTokens(prompt);
+    const choices = [];
+    let completionTokens = 0;
+
+    for (let i = 0; i < n; i++) {
+      const result = await runCompletion(modelInstance, modelName, prompt, body, signal, scheduling);
+      completionTokens += result.completionTokens;
+      choices.push({
+        index: i,
+        message: {
+          role: 'assistant',
+          content: result.text
+        },
+        finish_reason: result.finishReason
+      });
+    }
+
+    res.json({
+      id,
+      object: 'chat.completion',
+      created,
+      model: modelName,
+      choices,
+      usage: {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Error dari rute /v1 dikirim dengan format OpenAI, bukan format API utama
+router.use((err, req, res, next) => {
+  const { status, error } = toOpenAIError(err, req.locale);
+
+  if (status === 500) {
+    logger.error(`Error server pada ${req.method} ${req.originalUrl}: ${err.message}`);
+  }
+
+  if (res.headersSent) {
+    return res.end();
+  }
+
+  if (res.destroyed) {
+    return;
+  }
+
+  if (err.retryAfter) {
+    res.set('Retry-After', String(err.retryAfter));
+  }
+
+  sendError(res, status, error.message, error.type, error.code, error.param);
+});
+
+module.exports = router;
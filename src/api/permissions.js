@@ -0,0 +1,178 @@
+const config = require('../config/config');
+const { PermissionDeniedError } = require('../utils/errors');
+const { msg } = require('../utils/i18n');
+
+/**
+ * Lapisan otorisasi berbasis role di atas middleware `authenticate`.
+ * Izin dan daftar model yang diizinkan untuk setiap role diatur di `config.security.roles`.
+ * Untuk API key, izin ditentukan oleh scopes berbentuk `<izin>` atau `<izin>:<model>`,
+ * misalnya `generate:llama` atau `models:manage`.
+ */
+
+const PERMISSIONS = {
+  MODELS_READ: 'models:read',
+  GENERATE: 'generate',
+  MODELS_MANAGE: 'models:manage',
+  TRAINING_RUN: 'training:run',
+  USERS_MANAGE: 'users:manage',
+  KEYS_MANAGE: 'keys:manage',
+  USAGE_READ: 'usage:read',
+  CACHE_MANAGE: 'cache:manage',
+  AUDIT_READ: 'audit:read'
+};
+
+/**
+ * Memeriksa apakah pengguna diautentikasi dengan scopes (API key)
+ * @private
+ */
+const hasScopes = user => Boolean(user && Array.isArray(user.scopes));
+
+/**
+ * Mendapatkan definisi role pengguna
+ * @param {object} user Payload pengguna dari token (`req.user`)
+ * @returns {object} Definisi role { permissions, models }
+ */
+const getRole = (user) => {
+  const role = user && config.security.roles[user.role];
+  return role || { permissions: [], models: [] };
+};
+
+/**
+ * Memeriksa apakah pengguna memiliki izin tertentu
+ * @param {object} user Payload pengguna
+ * @param {string} permission Nama izin
+ * @returns {boolean} True jika diizinkan
+ */
+const hasPermission = (user, permission) => {
+  if (hasScopes(user)) {
+    return user.scopes.some(scope => scope === '*' || scope === permission || scope.startsWith(`${permission}:`));
+  }
+  
+  const { permissions } = getRole(user);
+  return permissions.includes('*') || permissions.includes(permission);
+};
+
+/**
+ * Memeriksa apakah pengguna boleh menggunakan model tertentu
+ * @param {object} user Payload pengguna
+ * @param {string} modelName Nama model
+ * @param {string} permission Izin yang digunakan untuk mencocokkan scopes API key
+ * @returns {boolean} True jika diizinkan
+ */
+const canUseModel = (user, modelName, permission = PERMISSIONS.GENERATE) => {
+  const name = modelName.toLowerCase();
+  
+  if (hasScopes(user)) {
+    return user.scopes.some(scope => scope === '*' || scope === permission ||
+      scope === `${permission}:*` || scope === `${permission}:${name}`);
+  }
+  
+  const { models } = getRole(user);
+  return models.includes('*') || models.includes(name);
+};
+
+/**
+ * Mendapatkan daftar model yang boleh digunakan pengguna dari sekumpulan nama model
+ * @param {object} user Payload pengguna
+ * @param {Array<string>} modelNames Nama model yang tersedia
+ * @param {string} permission Izin yang digunakan untuk mencocokkan scopes API key
+ * @returns {Array<string>} Nama model yang diizinkan
+ */
+const filterAllowedModels = (user, modelNames, permission = PERMISSIONS.MODELS_READ) => {
+  return modelNames.filter(name => canUseModel(user, name, permission));
+};
+
+/**
+ * Memvalidasi format scope API key
+ * @param {string} scope Scope, misalnya 'generate:llama'
+ * @returns {boolean} True jika scope dikenali
+ */
+const isValidScope = (scope) => {
+  if (scope === '*') {
+    return true;
+  }
+  
+  const permission = Object.values(PERMISSIONS).find(name => scope === name || scope.startsWith(`${name}:`));
+  if (!permission) {
+    return false;
+  }
+  
+  const model = scope.slice(permission.length + 1);
+  return scope === permission || model === '*' || Object.keys(config.models).includes(model);
+};
+
+/**
+ * Subjek penolakan untuk pesan error: API key atau role pengguna
+ * @private
+ */
+const subjectOf = (user) => (hasScopes(user) ? msg('permission.apiKeySubject') : msg('permission.roleSubject', { role: user && user.role }));
+
+/**
+ * Memeriksa izin dan (opsional) akses model untuk pengguna
+ * @param {object} user Payload pengguna
+ * @param {string} permission Nama izin yang diperlukan
+ * @param {string} modelName Nama model atau 'all' (opsional)
+ * @returns {object|null} Objek penolakan { code, message } dengan message berupa Message, atau null jika diizinkan
+ */
+const checkAccess = (user, permission, modelName = null) => {
+  if (!hasPermission(user, permission)) {
+    return {
+      code: 'PERMISSION_DENIED',
+      message: msg('permission.denied', { subject: subjectOf(user), permission })
+    };
+  }
+
+  if (!modelName) {
+    return null;
+  }
+
+  // Target 'all' memerlukan akses ke setiap model yang dikonfigurasi
+  const targets = modelName.toLowerCase() === 'all'
+    ? Object.keys(config.models)
+    : [modelName];
+  const denied = targets.filter(name => !canUseModel(user, name, permission));
+
+  if (denied.length > 0) {
+    return {
+      code: 'MODEL_NOT_ALLOWED',
+      message: msg('permission.modelNotAllowed', { subject: subjectOf(user), models: denied.join(', ') })
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Middleware otorisasi
+ * @param {string} permission Nama izin yang diperlukan
+ * @param {object} options Opsi { model: fungsi (req) => nama model } untuk memeriksa daftar model
+ * @returns {Function} Middleware Express
+ */
+const authorize = (permission, options = {}) => (req, res, next) => {
+  const modelName = options.model ? options.model(req) : null;
+  const denial = checkAccess(req.user, permission, typeof modelName === 'string' ? modelName : null);
+
+  if (denial) {
+    return next(new PermissionDeniedError(denial.message, denial.code));
+  }
+
+  next();
+};
+
+// Pengambil nama model dari parameter route `:model`
+const modelFromParams = req => req.params.model;
+
+// Pengambil nama model dari field `model` pada body request
+const modelFromBody = req => req.body && req.body.model;
+
+module.exports = {
+  PERMISSIONS,
+  hasPermission,
+  canUseModel,
+  filterAllowedModels,
+  isValidScope,
+  checkAccess,
+  authorize,
+  modelFromParams,
+  modelFromBody
+};
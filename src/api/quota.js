@@ -0,0 +1,305 @@
+const Usage = require('../database/Usage');
+const database = require('../database/database');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { withDefaults } = require('../models/generationOptions');
+const { QuotaExceededError } = require('../utils/errors');
+const { msg } = require('../utils/i18n');
+
+/**
+ * Kuota token per pengguna berdasarkan role (`config.security.roles[role].quotas`).
+ * Pemakaian dihitung dari token prompt dan completion yang dicatat di koleksi Usage.
+ * Request ditolak jika sisa kuota lebih kecil dari token prompt ditambah `maxTokens` yang diminta
+ * untuk semua model dan item dalam request tersebut. Jumlah itu dipesan (reservasi) sampai
+ * pemakaian sebenarnya tersimpan, sehingga request bersamaan tidak dapat melewati kuota yang sama.
+ * Reservasi disimpan di memori proses ini.
+ * Tanpa koneksi database, pemakaian tidak dicatat dan kuota tidak diterapkan.
+ */
+
+// username -> Set<QuotaReservation> yang belum dilepas
+const reservations = new Map();
+
+/**
+ * Token yang dipesan sebuah request sampai pemakaiannya tersimpan di koleksi Usage
+ */
+class QuotaReservation {
+  constructor(username, tokens) {
+    this.username = username;
+    this.tokens = tokens;
+    // Generasi atau job yang harus selesai sebelum reservasi dilepas
+    this.holds = [];
+    // Pencatatan pemakaian yang belum tersimpan
+    this.pending = [];
+    this.released = false;
+
+    if (!reservations.has(username)) {
+      reservations.set(username, new Set());
+    }
+    reservations.get(username).add(this);
+  }
+
+  /**
+   * Menahan reservasi sampai Promise selesai, misalnya generasi yang masih berjalan setelah respons ditutup
+   * @param {Promise} promise Promise generasi atau job
+   */
+  hold(promise) {
+    this.holds.push(promise);
+  }
+
+  /**
+   * Mencatat penyimpanan pemakaian yang menyelesaikan reservasi ini
+   * @param {Promise} promise Promise Usage.record
+   */
+  track(promise) {
+    this.pending.push(promise);
+  }
+
+  /**
+   * Melepas reservasi setelah semua generasi yang ditahan selesai dan pemakaiannya tersimpan
+   * @returns {Promise<void>}
+   */
+  async release() {
+    if (this.released) {
+      return;
+    }
+    this.released = true;
+
+    await Promise.allSettled(this.holds);
+    await Promise.allSettled(this.pending);
+
+    const active = reservations.get(this.username);
+    active.delete(this);
+    if (active.size === 0) {
+      reservations.delete(this.username);
+    }
+  }
+}
+
+/**
+ * Menjumlahkan token yang sedang dipesan pengguna. Dengan `own`, hanya reservasi yang dibuat
+ * lebih dulu yang dihitung sehingga dari request bersamaan yang pertama tetap dilayani.
+ * @private
+ */
+const reservedTokens = (username, own = null) => {
+  let total = 0;
+  for (const reservation of reservations.get(username) || []) {
+    if (reservation === own) {
+      break;
+    }
+    total += reservation.tokens;
+  }
+  return total;
+};
+
+/**
+ * Mendapatkan kuota token untuk role pengguna
+ * @param {object} user Payload pengguna dari `authenticate`
+ * @returns {object} { dailyTokens, monthlyTokens }, null berarti tanpa batas
+ */
+const getQuotas = (user) => {
+  const role = config.security.roles[user.role];
+  return (role && role.quotas) || { dailyTokens: null, monthlyTokens: null };
+};
+
+/**
+ * Menghitung jumlah detik hingga awal periode berikutnya (UTC)
+ * @private
+ */
+const secondsUntilReset = (period) => {
+  const now = new Date();
+  const reset = period === 'daily'
+    ? Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1)
+    : Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1);
+  return Math.ceil((reset - now.getTime()) / 1000);
+};
+
+/**
+ * Mendapatkan status kuota pengguna untuk hari dan bulan berjalan
+ * @param {object} user Payload pengguna dari `authenticate`
+ * @returns {Promise<object>} Batas, pemakaian dan sisa kuota harian dan bulanan
+ */
+const getQuotaStatus = async (user) => {
+  const quotas = getQuotas(user);
+  const totals = await Usage.currentTotals(user.username);
+
+  const status = (limit, used) => ({
+    limit,
+    used,
+    remaining: limit === null ? null : Math.max(limit - used, 0)
+  });
+
+  return {
+    daily: status(quotas.dailyTokens, totals.dailyTokens),
+    monthly: status(quotas.monthlyTokens, totals.monthlyTokens)
+  };
+};
+
+/**
+ * Menghitung jumlah token yang dapat dipakai sebuah request
+ * @param {object} options Opsi generasi kanonik; `maxTokens` default dipakai jika tidak diisi
+ * @param {number} count Jumlah generasi dengan opsi yang sama (model untuk target 'all', atau `n`)
+ * @param {number} promptTokens Total token prompt semua generasi tersebut
+ * @returns {number} Jumlah token yang diminta
+ */
+const requestedTokens = (options, count = 1, promptTokens = 0) => withDefaults(options).maxTokens * count + promptTokens;
+
+/**
+ * Memeriksa apakah sisa kuota token pengguna cukup untuk generasi yang diminta
+ * @param {object} user Payload pengguna dari `authenticate`
+ * @param {number} requested Jumlah token yang diminta (lihat `requestedTokens`)
+ * @param {QuotaReservation} own Reservasi request ini; hanya reservasi sebelumnya yang dihitung
+ * @returns {Promise<object|null>} { code, message, retryAfter } dengan message berupa Message, atau null jika masih tersedia
+ */
+const checkQuota = async (user, requested = 0, own = null) => {
+  const quotas = getQuotas(user);
+
+  if (!database.isConnected() || (!quotas.dailyTokens && !quotas.monthlyTokens)) {
+    return null;
+  }
+
+  const { daily, monthly } = await getQuotaStatus(user);
+  // Token yang dipesan lebih dulu oleh request lain yang belum selesai dianggap sudah terpakai
+  const reserved = reservedTokens(user.username, own);
+
+  for (const [period, current] of [['monthly', monthly], ['daily', daily]]) {
+    if (current.limit === null) {
+      continue;
+    }
+
+    const used = current.used + reserved;
+    const status = { limit: current.limit, used, remaining: Math.max(current.limit - used, 0) };
+
+    if (status.remaining === 0) {
+      return {
+        code: 'QUOTA_EXCEEDED',
+        message: msg('quota.exceeded', { period: msg(`quota.${period}`), used: status.used, limit: status.limit }),
+        retryAfter: secondsUntilReset(period)
+      };
+    }
+
+    if (status.remaining < requested) {
+      return {
+        code: 'QUOTA_EXCEEDED',
+        message: msg('quota.insufficient', { period: msg(`quota.${period}`), remaining: status.remaining, requested }),
+        retryAfter: secondsUntilReset(period)
+      };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Memesan token dari kuota pengguna. Reservasi didaftarkan sebelum pemakaian dibaca dari
+ * database sehingga request bersamaan saling memperhitungkan pesanan masing-masing.
+ * Kegagalan pemeriksaan kuota hanya dicatat di log agar tidak menghentikan layanan generasi.
+ * @param {object} user Payload pengguna dari `authenticate`
+ * @param {number} requested Jumlah token yang diminta (lihat `requestedTokens`)
+ * @returns {Promise<object>} { exceeded, reservation }; reservation null jika kuota tidak diterapkan atau tidak cukup
+ */
+const reserveTokens = async (user, requested = 0) => {
+  const quotas = getQuotas(user);
+
+  if (!database.isConnected() || (!quotas.dailyTokens && !quotas.monthlyTokens)) {
+    return { exceeded: null, reservation: null };
+  }
+
+  const reservation = new QuotaReservation(user.username, requested);
+  let exceeded = null;
+
+  try {
+    exceeded = await checkQuota(user, requested, reservation);
+  } catch (error) {
+    logger.error(`Gagal memeriksa kuota token: ${error.message}`);
+  }
+
+  if (exceeded) {
+    reservation.release();
+    return { exceeded, reservation: null };
+  }
+
+  return { exceeded: null, reservation };
+};
+
+/**
+ * Memesan token untuk generasi dan menolak jika sisa kuota pengguna tidak cukup.
+ * Pemanggil wajib melepas reservasi yang dikembalikan (lihat `holdForRequest`).
+ * @param {object} user Payload pengguna dari `authenticate`
+ * @param {number} requested Jumlah token yang diminta
+ * @returns {Promise<QuotaReservation|null>} Reservasi, atau null jika kuota tidak diterapkan
+ * @throws {QuotaExceededError} Jika kuota tidak cukup
+ */
+const assertQuota = async (user, requested = 0) => {
+  const { exceeded, reservation } = await reserveTokens(user, requested);
+
+  if (exceeded) {
+    logger.info(`Kuota token ${user.username} tidak cukup: ${exceeded.message}`);
+    throw new QuotaExceededError(exceeded.message, exceeded.retryAfter);
+  }
+
+  return reservation;
+};
+
+/**
+ * Mengikat reservasi ke request HTTP: `trackGeneration` menahannya selama generasi berjalan dan
+ * pemakaian token dicatat atas reservasi ini. Reservasi dilepas setelah respons ditutup.
+ * @param {object} req Request Express
+ * @param {object} res Response Express
+ * @param {QuotaReservation|null} reservation Hasil `assertQuota` atau `reserveTokens`
+ */
+const holdForRequest = (req, res, reservation) => {
+  if (!reservation) {
+    return;
+  }
+
+  req.quotaReservation = reservation;
+  res.on('close', () => reservation.release());
+};
+
+/**
+ * Middleware untuk menolak request generasi jika sisa kuota token pengguna tidak cukup
+ * @param {Function} requested Fungsi (req) => jumlah token yang diminta; default `maxTokens`
+ *                             dari `options` di body untuk satu model
+ * @returns {Function} Middleware Express
+ */
+const enforceQuota = (requested = req => requestedTokens((req.body || {}).options)) => async (req, res, next) => {
+  try {
+    holdForRequest(req, res, await assertQuota(req.user, requested(req)));
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mencatat pemakaian token satu generasi. Kegagalan pencatatan hanya dicatat di log.
+ * @param {object} user Payload pengguna dari `authenticate`
+ * @param {string} model Nama model
+ * @param {number} promptTokens Jumlah token prompt
+ * @param {number} completionTokens Jumlah token completion
+ * @param {QuotaReservation|null} reservation Reservasi yang dilepas setelah pemakaian tersimpan
+ */
+const recordUsage = (user, model, promptTokens, completionTokens, reservation = null) => {
+  if (!database.isConnected()) {
+    return;
+  }
+
+  const recording = Usage.record({ username: user.username, model, promptTokens, completionTokens })
+    .catch(error => logger.error(`Gagal mencatat pemakaian token: ${error.message}`));
+
+  if (reservation) {
+    reservation.track(recording);
+  }
+};
+
+module.exports = {
+  getQuotas,
+  getQuotaStatus,
+  requestedTokens,
+  checkQuota,
+  reserveTokens,
+  assertQuota,
+  holdForRequest,
+  enforceQuota,
+  recordUsage
+};
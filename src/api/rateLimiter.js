@@ -0,0 +1,255 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const database = require('../database/database');
+const RateLimitCounter = require('../database/RateLimitCounter');
+const { RateLimitError } = require('../utils/errors');
+const { msg } = require('../utils/i18n');
+
+/**
+ * Rate limiter sliding window.
+ *
+ * Jumlah request dihitung per jendela waktu tetap, lalu diperkirakan secara bergeser:
+ * estimasi = jumlah jendela sebelumnya × porsi yang masih tumpang tindih + jumlah jendela saat ini.
+ * Counter disimpan di store yang dapat diganti (memory atau MongoDB) sehingga
+ * setiap store cukup menyediakan metode `hit(key, windowMs)`.
+ */
+
+/**
+ * Store counter di memori proses. Kunci yang tidak aktif dibersihkan secara berkala.
+ */
+class MemoryStore {
+  constructor() {
+    // key -> { windowStart, windowMs, current, previous }
+    this.counters = new Map();
+    this.cleanupTimer = null;
+  }
+
+  /**
+   * Menambah counter untuk kunci pada jendela waktu saat ini
+   * @param {string} key Kunci rate limit
+   * @param {number} windowMs Panjang jendela waktu
+   * @returns {Promise<object>} { windowStart, current, previous }
+   */
+  async hit(key, windowMs) {
+    const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+    const counter = this.counters.get(key);
+
+    if (counter && counter.windowStart === windowStart) {
+      counter.current += 1;
+    } else {
+      const previous = counter && counter.windowStart === windowStart - windowMs ? counter.current : 0;
+      this.counters.set(key, { windowStart, windowMs, current: 1, previous });
+    }
+
+    const { current, previous } = this.counters.get(key);
+    return { windowStart, current, previous };
+  }
+
+  /**
+   * Menghapus kunci yang tidak lagi mempengaruhi perhitungan (lebih dari dua jendela lalu)
+   * @returns {number} Jumlah kunci yang dihapus
+   */
+  cleanup() {
+    const now = Date.now();
+    let removed = 0;
+
+    for (const [key, counter] of this.counters) {
+      if (counter.windowStart + 2 * counter.windowMs <= now) {
+        this.counters.delete(key);
+        removed += 1;
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Memulai pembersihan berkala. Timer tidak menahan proses agar tetap berjalan.
+   * @param {number} intervalMs Interval pembersihan
+   */
+  startCleanup(intervalMs) {
+    if (this.cleanupTimer) {
+      return;
+    }
+
+    this.cleanupTimer = setInterval(() => {
+      const removed = this.cleanup();
+      if (removed > 0) {
+        logger.debug(`Rate limiter: ${removed} kunci tidak aktif dibersihkan`);
+      }
+    }, intervalMs);
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * Menghentikan pembersihan berkala
+   */
+  stopCleanup() {
+    clearInterval(this.cleanupTimer);
+    this.cleanupTimer = null;
+  }
+}
+
+/**
+ * Store counter di MongoDB. Dokumen lama dihapus oleh TTL index pada RateLimitCounter.
+ */
+class MongoStore {
+  /**
+   * Menambah counter untuk kunci pada jendela waktu saat ini
+   * @param {string} key Kunci rate limit
+   * @param {number} windowMs Panjang jendela waktu
+   * @returns {Promise<object>} { windowStart, current, previous }
+   */
+  async hit(key, windowMs) {
+    const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+
+    const increment = () => RateLimitCounter.findOneAndUpdate(
+      { key, windowStart: new Date(windowStart) },
+      {
+        $inc: { count: 1 },
+        $setOnInsert: { expiresAt: new Date(windowStart + 2 * windowMs) }
+      },
+      { upsert: true, new: true }
+    );
+
+    let counter;
+    try {
+      counter = await increment();
+    } catch (error) {
+      // Dua upsert bersamaan untuk dokumen baru: salah satunya gagal dengan duplicate key
+      if (error.code !== 11000) {
+        throw error;
+      }
+      counter = await increment();
+    }
+
+    const previous = await RateLimitCounter.findOne({ key, windowStart: new Date(windowStart - windowMs) });
+
+    return {
+      windowStart,
+      current: counter.count,
+      previous: previous ? previous.count : 0
+    };
+  }
+}
+
+const memoryStore = new MemoryStore();
+const mongoStore = new MongoStore();
+
+/**
+ * Memilih store sesuai konfigurasi. Store MongoDB hanya digunakan jika database terhubung.
+ * @private
+ */
+const getStore = () => {
+  if (config.security.rateLimiting.store === 'mongo' && database.isConnected()) {
+    return mongoStore;
+  }
+  return memoryStore;
+};
+
+/**
+ * Menentukan batas untuk grup route dan identitas pengguna
+ * @param {string} routeName Nama grup route di `config.security.rateLimiting.routes`
+ * @param {object} user Payload pengguna dari `authenticate`, jika ada
+ * @returns {object} { windowMs, max }
+ */
+const resolveLimit = (routeName, user) => {
+  const { windowMs, max, routes = {}, roles = {} } = config.security.rateLimiting;
+
+  return {
+    windowMs,
+    max,
+    ...routes[routeName],
+    ...(user && roles[user.role])
+  };
+};
+
+/**
+ * Menghitung hasil rate limit dari counter sliding window
+ * @private
+ */
+const evaluate = ({ windowStart, current, previous }, { windowMs, max }) => {
+  const now = Date.now();
+  const elapsed = now - windowStart;
+  const weight = 1 - elapsed / windowMs;
+  const estimated = previous * weight + current;
+  const resetSeconds = Math.ceil((windowStart + windowMs - now) / 1000);
+
+  let retryAfter = 0;
+  if (estimated > max) {
+    // Tunggu hingga porsi jendela sebelumnya cukup berkurang, atau hingga jendela berikutnya
+    const waitMs = current > max || previous === 0
+      ? windowStart + windowMs - now
+      : ((estimated - max) / previous) * windowMs;
+    retryAfter = Math.max(1, Math.min(Math.ceil(waitMs / 1000), resetSeconds));
+  }
+
+  return {
+    limited: estimated > max,
+    remaining: Math.max(0, Math.floor(max - estimated)),
+    resetSeconds,
+    retryAfter
+  };
+};
+
+/**
+ * Mencatat satu hit untuk grup route dan menghitung apakah batas terlampaui.
+ * Identitas adalah username pengguna terautentikasi (JWT atau API key), atau alamat IP.
+ * @param {string} routeName Nama grup route di `config.security.rateLimiting.routes`
+ * @param {object} user Payload pengguna dari `authenticate`, jika ada
+ * @param {string} ip Alamat IP klien
+ * @returns {Promise<object>} { identity, limit, result } dengan result { limited, remaining, resetSeconds, retryAfter }
+ */
+const consume = async (routeName, user, ip) => {
+  const limit = resolveLimit(routeName, user);
+  const identity = user ? `user:${user.username}` : `ip:${ip}`;
+  const counter = await getStore().hit(`${routeName}:${identity}`, limit.windowMs);
+
+  return { identity, limit, result: evaluate(counter, limit) };
+};
+
+/**
+ * Middleware rate limiting untuk grup route.
+ * Identitas adalah username untuk request terautentikasi (JWT atau API key), atau alamat IP.
+ * Header `RateLimit-Limit`, `RateLimit-Remaining`, `RateLimit-Reset` dan `RateLimit-Policy`
+ * dikirim pada setiap respons, serta `Retry-After` ketika batas terlampaui.
+ * @param {string} routeName Nama grup route, misalnya 'generate' atau 'auth'
+ * @returns {Function} Middleware Express
+ */
+const rateLimiter = (routeName) => {
+  memoryStore.startCleanup(config.security.rateLimiting.cleanupIntervalMs);
+
+  return async (req, res, next) => {
+    let identity, limit, result;
+    try {
+      ({ identity, limit, result } = await consume(routeName, req.user, req.ip));
+    } catch (error) {
+      // Kegagalan store tidak boleh menghentikan layanan
+      logger.error(`Rate limiter gagal: ${error.message}`);
+      return next();
+    }
+
+    res.set({
+      'RateLimit-Limit': String(limit.max),
+      'RateLimit-Remaining': String(result.remaining),
+      'RateLimit-Reset': String(result.resetSeconds),
+      'RateLimit-Policy': `${limit.max};w=${Math.ceil(limit.windowMs / 1000)}`
+    });
+
+    if (result.limited) {
+      logger.info(`Rate limit terlampaui untuk ${identity} pada ${routeName}`);
+      return next(new RateLimitError(msg('request.rateLimited'), result.retryAfter));
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  rateLimiter,
+  consume,
+  resolveLimit,
+  MemoryStore,
+  MongoStore,
+  memoryStore
+};
@@ -6,15 +6,54 @@ const config = require('../config/config');
 const logger = require('../utils/logger');
 const path = require('path');
 const fs = require('fs');
-const jwt = require('jsonwebtoken');
 const docsRouter = require('./docs');
+const openaiRouter = require('./openai');
+const authRouter = require('./auth');
+const usersRouter = require('./users');
+const apiKeysRouter = require('./apiKeys');
+const sessionsRouter = require('./sessions');
+const generationsRouter = require('./generations');
+const jobsRouter = require('./jobs');
+const batchRouter = require('./batch');
+const cacheRouter = require('./cache');
+const usageRouter = require('./usage');
+const trainingRouter = require('./training');
+const healthRouter = require('./health');
+const { httpMetrics, router: metricsRouter } = require('./metrics');
+const { auditAction, router: auditRouter } = require('./audit');
+const { router: webhooksRouter } = require('./webhooks');
+const { assignRequestId, detectLocale, authenticate, validateOptions } = require('./middleware');
+const { rateLimiter } = require('./rateLimiter');
+const { rejectDuringShutdown, registerShutdownHandlers } = require('./shutdown');
+const { attachWebSocketServer } = require('./websocket');
+const { PERMISSIONS, authorize, modelFromParams, filterAllowedModels } = require('./permissions');
+const { wantsEventStream, openEventStream } = require('./sse');
+const { enforceQuota, assertQuota, holdForRequest, requestedTokens } = require('./quota');
+const { trackGeneration } = require('./cancellation');
+const { toErrorResponse, notFoundHandler, errorHandler } = require('./errorHandler');
+const { DatabaseUnavailableError, NotFoundError, ValidationError } = require('../utils/errors');
+const { msg, localize } = require('../utils/i18n');
+const { validateMessages } = require('../models/chatTemplates');
+const { withDefaults } = require('../models/generationOptions');
+const database = require('../database/database');
+const Session = require('../database/Session');
+const bootstrapAdmin = require('../database/bootstrapAdmin');
+const revocationList = require('../database/revocationList');
+const jobRunner = require('../jobs/jobRunner');
+const webhookDispatcher = require('../webhooks/webhookDispatcher');
 
 // Inisialisasi express
 const app = express();
 
 // Middleware
+app.use(assignRequestId); // ID korelasi request untuk log (X-Request-Id)
+if (config.metrics.enabled) {
+  app.use(httpMetrics); // Metrik request untuk Prometheus
+}
+app.use(rejectDuringShutdown); // 503 untuk request baru selama server berhenti
 app.use(helmet()); // Keamanan
 app.use(cors()); // CORS
+app.use(detectLocale); // Bahasa pesan dari Accept-Language
 app.use(express.json()); // Parsing JSON
 
 // Middleware untuk logging request
@@ -23,106 +62,17 @@ app.use((req, res, next) => {
   next();
 });
 
-// Middleware untuk rate limiting sederhana
-const rateLimiter = (options) => {
-  const requests = new Map();
-  const { windowMs, max } = options;
-  
-  return (req, res, next) => {
-    const ip = req.ip;
-    const now = Date.now();
-    
-    // Bersihkan permintaan lama
-    if (!requests.has(ip)) {
-      requests.set(ip, []);
-    }
-    
-    const userRequests = requests.get(ip)
-      .filter(time => now - time < windowMs);
-    
-    if (userRequests.length >= max) {
-      return res.status(429).json({
-        status: 'error',
-        message: 'Terlalu banyak permintaan, coba lagi nanti'
-      });
-    }
-    
-    userRequests.push(now);
-    requests.set(ip, userRequests);
-    next();
-  };
-};
-
-// Middleware untuk autentikasi dengan JWT
-const authenticate = (req, res, next) => {
-  try {
-    const authHeader = req.headers.authorization;
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
-        status: 'error',
-        message: 'Tidak ada token otentikasi'
-      });
-    }
-    
-    const token = authHeader.split(' ')[1];
-    const decoded = jwt.verify(token, config.security.jwtSecret);
-    
-    req.user = decoded;
-    next();
-  } catch (error) {
-    logger.error(`Autentikasi gagal: ${error.message}`);
-    return res.status(401).json({
-      status: 'error',
-      message: 'Token tidak valid'
-    });
-  }
-};
-
 // Route untuk memeriksa status server
-app.get('/api/status', (req, res) => {
+app.get('/api/status', (req, res, next) => {
   res.json({
     status: 'success',
-    message: 'API Sistem AI berfungsi',
+    message: req.t('server.running'),
     timestamp: new Date().toISOString()
   });
 });
 
-// Route untuk login dan mendapatkan token
-app.post('/api/auth/login', (req, res) => {
-  try {
-    const { username, password } = req.body;
-    
-    // CATATAN: Ini hanya contoh, harusnya menggunakan autentikasi yang lebih aman
-    if (username === 'admin' && password === 'password') {
-      const token = jwt.sign(
-        { username, role: 'admin' },
-        config.security.jwtSecret,
-        { expiresIn: config.security.jwtExpiresIn }
-      );
-      
-      return res.json({
-        status: 'success',
-        token,
-        expiresIn: config.security.jwtExpiresIn
-      });
-    }
-    
-    return res.status(401).json({
-      status: 'error',
-      message: 'Kombinasi username dan password tidak valid'
-    });
-  } catch (error) {
-    logger.error(`Login gagal: ${error.message}`);
-    return res.status(500).json({
-      status: 'error',
-      message: 'Terjadi kesalahan server'
-    });
-  }
-});
-
 // Route untuk mendapatkan informasi model
-app.get('/api/models', authenticate, async (req, res) => {
+app.get('/api/models', authenticate, authorize(PERMISSIONS.MODELS_READ), async (req, res, next) => {
   try {
     if (!modelManager.initialized) {
       await modelManager.init();
@@ -130,50 +80,195 @@ app.get('/api/models', authenticate, async (req, res) => {
     
     const modelInfo = modelManager.getModelInfo();
     
+    // Tampilkan hanya model yang boleh digunakan oleh role pengguna
+    const allowed = filterAllowedModels(req.user, Object.keys(modelInfo.models));
+    modelInfo.models = Object.fromEntries(allowed.map(name => [name, modelInfo.models[name]]));
+    
     res.json({
       status: 'success',
       data: modelInfo
     });
   } catch (error) {
-    logger.error(`Gagal mendapatkan informasi model: ${error.message}`);
-    res.status(500).json({
-      status: 'error',
-      message: error.message
-    });
+    next(error);
   }
 });
 
+/**
+ * Mengirim hasil generasi secara bertahap melalui Server-Sent Events.
+ * Event `token` dikirim untuk setiap token, `done` ketika sebuah model selesai,
+ * `error` jika terjadi kegagalan, dan `end` setelah semua model selesai (target `all`).
+ * Pemakaian token dicatat oleh ModelManager melalui `scheduling.onUsage`. Jika `options.signal` dibatalkan,
+ * event `error` dengan code GENERATION_CANCELLED dikirim bila klien masih terhubung.
+ * Selama menunggu slot model, event `queued` dikirim setiap kali posisi antrean berubah.
+ * Karena header sudah terkirim, status cache respons disertakan pada event `done` (field `cache`).
+ * @param {object} req Request Express
+ * @param {object} res Response Express
+ * @param {string} model Nama model atau 'all'
+ * @param {string} prompt Input teks
+ * @param {object} options Opsi generasi teks
+ * @param {object} scheduling Opsi antrean dari `trackGeneration`
+ * @param {Function} onComplete Callback opsional dengan teks lengkap setelah model tunggal selesai
+ */
+const streamGeneration = async (req, res, model, prompt, options, scheduling, onComplete = null) => {
+  // Pastikan model ada dan antreannya belum penuh sebelum header SSE dikirim agar 404/503 tetap berupa JSON
+  modelManager.checkCapacity(model);
+  const stream = openEventStream(res);
+  const cacheStatus = {};
+  const streamScheduling = {
+    ...scheduling,
+    onQueued: (position, modelName) => {
+      scheduling.onQueued(position, modelName);
+      stream.send('queued', { model: modelName, position });
+    },
+    onCacheStatus: (status, modelName) => {
+      cacheStatus[modelName] = status;
+    }
+  };
+  
+  if (model.toLowerCase() === 'all') {
+    const results = {};
+    
+    for await (const event of modelManager.streamFromAllModels(prompt, options, streamScheduling)) {
+      if (options.signal && options.signal.aborted) {
+        break;
+      }
+      
+      if (event.token !== undefined) {
+        results[event.model] = (results[event.model] || '') + event.token;
+        stream.send('token', { model: event.model, token: event.token });
+      } else if (event.done) {
+        stream.send('done', { model: event.model, generated_text: results[event.model] || '', cache: cacheStatus[event.model] });
+      } else {
+        const error = { code: event.code, message: localize(event.error, req.locale) };
+        results[event.model] = { error };
+        stream.send('error', { status: 'error', ...error, model: event.model });
+      }
+    }
+    
+    if (options.signal && options.signal.aborted) {
+      stream.send('error', { status: 'error', code: 'GENERATION_CANCELLED', message: req.t('generation.cancelled') });
+      return stream.close();
+    }
+    
+    stream.send('end', { prompt, results, timestamp: new Date().toISOString() });
+    return stream.close();
+  }
+  
+  let generatedText = '';
+  
+  try {
+    for await (const token of modelManager.generateStream(model, prompt, options, streamScheduling)) {
+      generatedText += token;
+      stream.send('token', { model, token });
+    }
+    
+    if (onComplete) {
+      await onComplete(generatedText);
+    }
+    
+    stream.send('done', {
+      model,
+      prompt,
+      generated_text: generatedText,
+      cache: cacheStatus[model.toLowerCase()],
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    const { status, body } = toErrorResponse(error, req.locale);
+    if (status === 500) {
+      logger.error(`Gagal streaming teks: ${error.message}`);
+    }
+    stream.send('error', { ...body, model, retry_after: error.retryAfter || undefined });
+  }
+  
+  stream.close();
+};
+
+/**
+ * Memuat sesi percakapan dari `sessionId` pada body request, jika ada
+ * @param {object} req Request Express
+ * @returns {Promise<object|null>} Dokumen sesi atau null jika tidak ada sessionId
+ */
+const loadSession = async (req) => {
+  const { sessionId } = req.body;
+  
+  if (!sessionId) {
+    return null;
+  }
+  
+  if (!database.isConnected()) {
+    throw new DatabaseUnavailableError();
+  }
+  
+  const session = await Session.findOwned(sessionId, req.user.username);
+  if (!session) {
+    throw new NotFoundError(msg('sessions.notFound'), 'SESSION_NOT_FOUND');
+  }
+  
+  return session;
+};
+
+// Kuota harus cukup untuk token prompt dan `maxTokens` setiap model yang dijalankan, termasuk semua model untuk target 'all'
+const generationQuota = enforceQuota(req => requestedTokens(
+  req.body.options,
+  modelManager.countTargets(req.params.model),
+  modelManager.countPromptTokens(req.params.model, req.body.prompt)
+));
+
 // Route untuk menghasilkan teks dengan model tertentu
-app.post('/api/generate/:model', authenticate, rateLimiter(config.security.rateLimiting), async (req, res) => {
+app.post('/api/generate/:model', authenticate, authorize(PERMISSIONS.GENERATE, { model: modelFromParams }), validateOptions, rateLimiter('generate'), generationQuota, async (req, res, next) => {
   try {
     const { model } = req.params;
     const { prompt, options } = req.body;
     
     if (!prompt) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Prompt diperlukan'
-      });
+      throw new ValidationError(msg('request.promptRequired'));
+    }
+    
+    if (req.body.sessionId && model.toLowerCase() === 'all') {
+      throw new ValidationError(msg('sessions.singleModelOnly'));
     }
     
     if (!modelManager.initialized) {
       await modelManager.init();
     }
     
+    const session = await loadSession(req);
+    const recordTurn = session
+      ? (generatedText => session.appendMessages([
+        { role: 'user', content: prompt },
+        { role: 'assistant', content: generatedText, model }
+      ]))
+      : null;
+    
+    const { signal, scheduling } = trackGeneration(req, res, model);
+    const generationOptions = { ...options, signal };
+    
+    if (wantsEventStream(req)) {
+      return await streamGeneration(req, res, model, prompt, generationOptions, scheduling, recordTurn);
+    }
+    
     let result;
     
     if (model.toLowerCase() === 'all') {
+      // Tolak lebih awal jika salah satu antrean model penuh
+      modelManager.checkCapacity(model);
+      
       // Hasilkan teks dari semua model
-      result = await modelManager.generateFromAllModels(prompt, options);
+      result = localize(await modelManager.generateFromAllModels(prompt, generationOptions, scheduling), req.locale);
     } else {
       // Hasilkan teks dari model tertentu
-      const modelInstance = modelManager.getModel(model);
-      const generatedText = await modelInstance.generate(prompt, options);
+      const generatedText = await modelManager.generate(model, prompt, generationOptions, scheduling);
+      
+      if (recordTurn) {
+        await recordTurn(generatedText);
+      }
       
       result = {
         model,
         prompt,
         generated_text: generatedText,
+        session_id: session ? session._id.toString() : undefined,
         timestamp: new Date().toISOString()
       };
     }
@@ -183,16 +278,82 @@ app.post('/api/generate/:model', authenticate, rateLimiter(config.security.rateL
       data: result
     });
   } catch (error) {
-    logger.error(`Gagal menghasilkan teks: ${error.message}`);
-    res.status(error.message.includes('tidak ditemukan') ? 404 : 500).json({
-      status: 'error',
-      message: error.message
+    next(error);
+  }
+});
+
+// Route untuk percakapan multi-turn dengan template chat model
+app.post('/api/chat/:model', authenticate, authorize(PERMISSIONS.GENERATE, { model: modelFromParams }), validateOptions, rateLimiter('generate'), async (req, res, next) => {
+  try {
+    const { model } = req.params;
+    const { messages, options } = req.body;
+    
+    const validationError = validateMessages(messages);
+    if (validationError) {
+      throw new ValidationError(validationError);
+    }
+    
+    if (model.toLowerCase() === 'all') {
+      throw new ValidationError(msg('chat.singleModelOnly'));
+    }
+    
+    if (!modelManager.initialized) {
+      await modelManager.init();
+    }
+    
+    const modelInstance = modelManager.getModel(model);
+    const session = await loadSession(req);
+    
+    // Riwayat sesi digunakan sebagai konteks sebelum pesan baru; pesan tertua dibuang jika tidak muat
+    const history = session
+      ? session.messages.map(message => ({ role: message.role, content: message.content }))
+      : [];
+    const prompt = modelInstance.formatChat(session
+      ? modelInstance.fitToContext([...history, ...messages], withDefaults(options).maxTokens)
+      : messages);
+    
+    // Kuota diperiksa setelah prompt lengkap (template dan riwayat sesi) diketahui
+    holdForRequest(req, res, await assertQuota(req.user, requestedTokens(options, 1, modelInstance.countTokens(prompt))));
+    
+    const recordTurn = session
+      ? (generatedText => session.appendMessages([
+        ...messages.map(message => ({ role: message.role, content: message.content })),
+        { role: 'assistant', content: generatedText, model }
+      ]))
+      : null;
+    
+    const { signal, scheduling } = trackGeneration(req, res, model);
+    const generationOptions = { ...options, signal };
+    
+    if (wantsEventStream(req)) {
+      return await streamGeneration(req, res, model, prompt, generationOptions, scheduling, recordTurn);
+    }
+    
+    const generatedText = await modelManager.generate(model, prompt, generationOptions, scheduling);
+    
+    if (recordTurn) {
+      await recordTurn(generatedText);
+    }
+    
+    res.json({
+      status: 'success',
+      data: {
+        model,
+        message: {
+          role: 'assistant',
+          content: generatedText
+        },
+        session_id: session ? session._id.toString() : undefined,
+        timestamp: new Date().toISOString()
+      }
     });
+  } catch (error) {
+    next(error);
   }
 });
 
 // Route untuk memuat model
-app.post('/api/models/:model/load', authenticate, async (req, res) => {
+app.post('/api/models/:model/load', authenticate, auditAction('models.load', { target: req => req.params.model }), authorize(PERMISSIONS.MODELS_MANAGE, { model: modelFromParams }), async (req, res, next) => {
   try {
     const { model } = req.params;
     
@@ -213,7 +374,7 @@ app.post('/api/models/:model/load', authenticate, async (req, res) => {
       result = {
         model,
         status: 'success',
-        message: `Model ${model} berhasil dimuat`,
+        message: req.t('models.loaded', { model }),
         timestamp: new Date().toISOString()
       };
     }
@@ -223,16 +384,12 @@ app.post('/api/models/:model/load', authenticate, async (req, res) => {
       data: result
     });
   } catch (error) {
-    logger.error(`Gagal memuat model: ${error.message}`);
-    res.status(error.message.includes('tidak ditemukan') ? 404 : 500).json({
-      status: 'error',
-      message: error.message
-    });
+    next(error);
   }
 });
 
 // Route untuk membebaskan model
-app.post('/api/models/:model/unload', authenticate, async (req, res) => {
+app.post('/api/models/:model/unload', authenticate, auditAction('models.unload', { target: req => req.params.model }), authorize(PERMISSIONS.MODELS_MANAGE, { model: modelFromParams }), async (req, res, next) => {
   try {
     const { model } = req.params;
     
@@ -253,7 +410,7 @@ app.post('/api/models/:model/unload', authenticate, async (req, res) => {
       result = {
         model,
         status: 'success',
-        message: `Model ${model} berhasil dibebaskan`,
+        message: req.t('models.unloaded', { model }),
         timestamp: new Date().toISOString()
       };
     }
@@ -263,41 +420,100 @@ app.post('/api/models/:model/unload', authenticate, async (req, res) => {
       data: result
     });
   } catch (error) {
-    logger.error(`Gagal membebaskan model: ${error.message}`);
-    res.status(error.message.includes('tidak ditemukan') ? 404 : 500).json({
-      status: 'error',
-      message: error.message
-    });
+    next(error);
   }
 });
 
 // Gunakan router dokumentasi
 app.use('/api/docs', docsRouter);
 
+// Gunakan router autentikasi dan pengelolaan pengguna
+app.use('/api/auth', authRouter);
+app.use('/api/users', usersRouter);
+app.use('/api/keys', apiKeysRouter);
+
+// Gunakan router pelatihan model
+app.use('/api/training', trainingRouter);
+
+// Gunakan router sesi percakapan
+app.use('/api/sessions', sessionsRouter);
+
+// Gunakan router pembatalan generasi
+app.use('/api/generations', generationsRouter);
+
+// Gunakan router job generasi asinkron dan batch
+app.use('/api/jobs', jobsRouter);
+app.use('/api/batch', batchRouter);
+
+// Gunakan router pengelolaan cache respons
+app.use('/api/cache', cacheRouter);
+
+// Gunakan router laporan pemakaian token
+app.use('/api/usage', usageRouter);
+
+// Gunakan router jejak audit
+app.use('/api/audit', auditRouter);
+
+// Gunakan router riwayat dan replay pengiriman webhook
+app.use('/api/webhooks', webhooksRouter);
+
+// Gunakan router kompatibel OpenAI
+app.use('/v1', openaiRouter);
+
+// Gunakan router pemeriksaan kesehatan (liveness dan readiness)
+app.use('/health', healthRouter);
+
+// Gunakan router metrik Prometheus
+if (config.metrics.enabled) {
+  app.use('/metrics', metricsRouter);
+}
+
 // Middleware untuk menangani rute yang tidak ada
-app.use((req, res) => {
-  res.status(404).json({
-    status: 'error',
-    message: 'Endpoint tidak ditemukan'
-  });
-});
+app.use(notFoundHandler);
 
-// Middleware untuk menangani error
-app.use((err, req, res, next) => {
-  logger.error(`Error server: ${err.message}`);
-  res.status(500).json({
-    status: 'error',
-    message: 'Terjadi kesalahan server'
-  });
-});
+// Middleware untuk memetakan error ke status HTTP dan code
+app.use(errorHandler);
 
 // Mulai server
 const startServer = async () => {
   try {
+    // Kunci webhook bawaan tidak boleh dipakai di produksi
+    webhookDispatcher.checkSecret();
+
     // Inisialisasi model manager
     await modelManager.init();
     logger.info('Model Manager berhasil diinisialisasi');
     
+    // Hubungkan ke database; server tetap berjalan tanpa fitur yang memerlukan database
+    let databaseConnected = false;
+    try {
+      await database.connect();
+      databaseConnected = true;
+    } catch (error) {
+      logger.warn(`Server berjalan tanpa database: ${error.message}`);
+    }
+
+    // Setiap langkah berdiri sendiri agar kegagalan satu langkah tidak melewatkan langkah berikutnya
+    if (databaseConnected) {
+      const startupTasks = [
+        ['memuat daftar token yang dicabut', () => revocationList.load()],
+        ['membuat admin awal', () => bootstrapAdmin()],
+        ['memulihkan job', () => jobRunner.startRecovery()],
+        ['memulihkan pengiriman webhook', () => webhookDispatcher.recover()]
+      ];
+
+      for (const [description, task] of startupTasks) {
+        try {
+          await task();
+        } catch (error) {
+          logger.error(`Gagal ${description} saat server dimulai: ${error.message}`);
+        }
+      }
+    }
+    
+    // Pencabutan token dari instance lain dan setelah koneksi database pulih ikut dimuat
+    revocationList.startAutoRefresh(config.security.revocationRefreshMs);
+    
     // Pastikan direktori log ada
     const logDir = path.dirname(config.logger.file);
     if (!fs.existsSync(logDir)) {
@@ -306,10 +522,23 @@ const startServer = async () => {
     
     // Mulai server
     const PORT = config.server.port;
-    app.listen(PORT, () => {
+    const server = app.listen(PORT, () => {
       logger.info(`Server berjalan di port ${PORT} pada mode ${config.server.env}`);
       logger.info(`Dokumentasi API tersedia di http://localhost:${PORT}/api/docs`);
     });
+    
+    // Generasi dan chat interaktif melalui WebSocket pada port yang sama
+    attachWebSocketServer(server);
+    
+    // SIGTERM/SIGINT menunggu generasi yang sedang berjalan sebelum proses berhenti
+    registerShutdownHandlers(server);
+    
+    // Model wajib dimuat di latar belakang; /health/ready melaporkan siap setelah semuanya dimuat
+    for (const name of config.health.requiredModels) {
+      Promise.resolve()
+        .then(() => modelManager.getModel(name).load())
+        .catch(error => logger.error(`Gagal memuat model wajib ${name}: ${error.message}`));
+    }
   } catch (error) {
     logger.error(`Gagal memulai server: ${error.message}`);
     process.exit(1);
@@ -0,0 +1,127 @@
+const express = require('express');
+const Session = require('../database/Session');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { authenticate, requireDatabase } = require('./middleware');
+const { validateMessages } = require('../models/chatTemplates');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+const { msg } = require('../utils/i18n');
+
+/**
+ * Router untuk mengelola sesi percakapan yang tersimpan di MongoDB.
+ * Setiap sesi dimiliki oleh pengguna pada token JWT (`req.user.username`).
+ */
+const router = express.Router();
+
+router.use(authenticate, requireDatabase);
+
+// Membuat sesi baru
+router.post('/', async (req, res, next) => {
+  try {
+    const { title, model, messages = [] } = req.body;
+
+    if (!Array.isArray(messages)) {
+      throw new ValidationError(msg('sessions.invalidMessages'));
+    }
+
+    if (messages.length > config.sessions.maxMessages) {
+      throw new ValidationError(msg('sessions.tooManyMessages', { max: config.sessions.maxMessages }));
+    }
+
+    if (messages.length > 0) {
+      const validationError = validateMessages(messages);
+      if (validationError) {
+        throw new ValidationError(validationError);
+      }
+    }
+
+    const session = await Session.create({
+      owner: req.user.username,
+      title,
+      model,
+      messages
+    });
+
+    logger.info(`Sesi ${session._id} dibuat oleh ${req.user.username}`);
+
+    res.status(201).json({
+      status: 'success',
+      data: session.toDetail()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Daftar sesi milik pengguna
+router.get('/', async (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = parseInt(req.query.skip) || 0;
+
+    const [sessions, total] = await Promise.all([
+      Session.find({ owner: req.user.username })
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Session.countDocuments({ owner: req.user.username })
+    ]);
+
+    res.json({
+      status: 'success',
+      data: {
+        sessions: sessions.map(session => session.toSummary()),
+        total,
+        limit,
+        skip
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Detail sesi beserta riwayat pesan
+router.get('/:id', async (req, res, next) => {
+  try {
+    const session = await Session.findOwned(req.params.id, req.user.username);
+
+    if (!session) {
+      throw new NotFoundError(msg('sessions.notFound'), 'SESSION_NOT_FOUND');
+    }
+
+    res.json({
+      status: 'success',
+      data: session.toDetail()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Menghapus sesi
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const session = await Session.findOwned(req.params.id, req.user.username);
+
+    if (!session) {
+      throw new NotFoundError(msg('sessions.notFound'), 'SESSION_NOT_FOUND');
+    }
+
+    await session.deleteOne();
+    logger.info(`Sesi ${req.params.id} dihapus oleh ${req.user.username}`);
+
+    res.json({
+      status: 'success',
+      data: {
+        id: req.params.id,
+        message: req.t('sessions.deleted'),
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
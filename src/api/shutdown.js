@@ -0,0 +1,192 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const modelManager = require('../models/ModelManager');
+const generationRegistry = require('../models/GenerationRegistry');
+const jobRunner = require('../jobs/jobRunner');
+const trainer = require('../training/trainer');
+const webhookDispatcher = require('../webhooks/webhookDispatcher');
+const database = require('../database/database');
+const revocationList = require('../database/revocationList');
+const { memoryStore } = require('./rateLimiter');
+const { drainWebSockets, terminateWebSockets } = require('./websocket');
+const { ServiceUnavailableError } = require('../utils/errors');
+const { msg } = require('../utils/i18n');
+
+// Interval pemeriksaan apakah request dan generasi sudah selesai
+const DRAIN_POLL_MS = 100;
+// Waktu tambahan setelah batas waktu agar generasi yang dibatalkan sempat mengirim respons dan menyimpan status job
+const CANCEL_GRACE_MS = 5000;
+// Batas waktu menunggu transport log selesai menulis
+const LOG_FLUSH_TIMEOUT_MS = 2000;
+
+// Probe orkestrator tetap dilayani selama penghentian: liveness tetap hidup agar proses tidak
+// dibunuh sebelum selesai, readiness melaporkan tidak siap dengan formatnya sendiri
+const PROBE_PATHS = ['/health/live', '/health/ready'];
+
+// True setelah SIGTERM/SIGINT diterima
+let shuttingDown = false;
+
+/**
+ * Memeriksa apakah server sedang berhenti
+ * @returns {boolean} True setelah SIGTERM/SIGINT diterima
+ */
+const isShuttingDown = () => shuttingDown;
+
+/**
+ * Middleware yang menolak request baru dengan 503 SHUTTING_DOWN selama server berhenti.
+ * Request yang datang lewat koneksi keep-alive lama ikut ditolak dan koneksinya ditutup.
+ */
+const rejectDuringShutdown = (req, res, next) => {
+  if (!shuttingDown || PROBE_PATHS.includes(req.path)) {
+    return next();
+  }
+
+  res.set('Connection', 'close');
+  next(new ServiceUnavailableError(msg('server.shuttingDown'), 'SHUTTING_DOWN'));
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Menunggu sampai kondisi terpenuhi atau batas waktu tercapai
+ * @private
+ * @returns {Promise<boolean>} True jika kondisi terpenuhi sebelum batas waktu
+ */
+const waitUntil = async (condition, deadline) => {
+  while (!condition()) {
+    if (Date.now() >= deadline) {
+      return false;
+    }
+    await sleep(DRAIN_POLL_MS);
+  }
+  return true;
+};
+
+/**
+ * Menutup logger dan menunggu semua transport selesai menulis
+ * @private
+ */
+const flushLogs = () => new Promise(resolve => {
+  const timer = setTimeout(resolve, LOG_FLUSH_TIMEOUT_MS);
+  logger.on('finish', () => {
+    clearTimeout(timer);
+    setImmediate(resolve);
+  });
+  logger.end();
+});
+
+/**
+ * Menghentikan server secara bertahap: berhenti menerima koneksi, menunggu request dan
+ * generasi yang sedang berjalan (termasuk job dan pelatihan latar belakang) sampai
+ * config.server.shutdownTimeoutMs, membatalkan sisanya, membatalkan pelatihan berkala, membebaskan model, menutup database
+ * dan log, lalu keluar dari proses
+ * @param {object} server HTTP server dari `app.listen`
+ * @param {string} signal Nama sinyal yang diterima
+ * @returns {Promise<void>}
+ */
+const shutdown = async (server, signal) => {
+  shuttingDown = true;
+  let exitCode = 0;
+
+  const deadline = Date.now() + config.server.shutdownTimeoutMs;
+  logger.info(`${signal} diterima, menghentikan server (batas waktu ${config.server.shutdownTimeoutMs} ms)`);
+
+  // Berhenti menerima koneksi baru. Koneksi keep-alive ditutup begitu menganggur, termasuk
+  // koneksi yang baru selesai mengirim respons selama penghentian; koneksi WebSocket ditutup
+  // setelah percakapan terakhirnya selesai.
+  let serverClosed = false;
+  server.close(() => {
+    serverClosed = true;
+  });
+  drainWebSockets();
+  const connectionsClosed = () => {
+    server.closeIdleConnections();
+    return serverClosed;
+  };
+
+  const cancelledSchedules = trainer.cancelAllPeriodicTraining();
+  if (cancelledSchedules > 0) {
+    logger.info(`${cancelledSchedules} pelatihan berkala dibatalkan`);
+  }
+  memoryStore.stopCleanup();
+  revocationList.stopAutoRefresh();
+  jobRunner.stopRecovery();
+
+  // Pelatihan latar belakang ikut ditunggu agar webhook hasilnya terkirim sebelum model dibebaskan
+  const drained = await waitUntil(
+    () => connectionsClosed() && generationRegistry.running.size === 0 && trainer.backgroundRuns.size === 0,
+    deadline
+  );
+
+  if (!drained) {
+    const remaining = [...generationRegistry.running.keys()];
+    logger.warn(`Batas waktu penghentian tercapai, membatalkan ${remaining.length} generasi yang masih berjalan`);
+    remaining.forEach(id => generationRegistry.cancel(id, 'shutdown'));
+
+    // Beri kesempatan backend berhenti, respons error terkirim dan status job tersimpan sebelum koneksi diputus
+    await waitUntil(
+      () => connectionsClosed() && jobRunner.active.size === 0 && generationRegistry.running.size === 0,
+      Date.now() + CANCEL_GRACE_MS
+    );
+    server.closeAllConnections();
+    terminateWebSockets();
+
+    // Pelatihan tidak dapat dibatalkan; pemiliknya menerima training.failed sebelum model dibebaskan
+    const interruptedRuns = await trainer.interruptBackgroundRuns();
+    if (interruptedRuns > 0) {
+      logger.warn(`${interruptedRuns} pelatihan latar belakang belum selesai dan dilaporkan gagal`);
+    }
+  }
+
+  if (modelManager.initialized) {
+    try {
+      await modelManager.unloadAllModels();
+    } catch (error) {
+      logger.error(`Gagal membebaskan model saat server berhenti: ${error.message}`);
+      exitCode = 1;
+    }
+  }
+
+  // Webhook yang belum terkirim tetap pending dan dilanjutkan saat server dimulai ulang
+  await webhookDispatcher.stop();
+
+  if (database.isConnected()) {
+    try {
+      await database.disconnect();
+    } catch (error) {
+      logger.error(`Gagal menutup koneksi database saat server berhenti: ${error.message}`);
+      exitCode = 1;
+    }
+  }
+
+  logger.info(`Server berhenti${drained ? '' : ' setelah membatalkan generasi yang belum selesai'}`);
+  await flushLogs();
+  process.exit(exitCode);
+};
+
+/**
+ * Memasang handler SIGTERM dan SIGINT. Sinyal kedua selama penghentian langsung mengakhiri proses.
+ * @param {object} server HTTP server dari `app.listen`
+ */
+const registerShutdownHandlers = (server) => {
+  const handle = (signal) => {
+    if (shuttingDown) {
+      logger.warn(`${signal} diterima lagi, menghentikan proses tanpa menunggu`);
+      process.exit(1);
+    }
+
+    shutdown(server, signal).catch(error => {
+      logger.error(`Gagal menghentikan server: ${error.message}`);
+      process.exit(1);
+    });
+  };
+
+  process.on('SIGTERM', handle);
+  process.on('SIGINT', handle);
+};
+
+module.exports = {
+  isShuttingDown,
+  rejectDuringShutdown,
+  registerShutdownHandlers
+};
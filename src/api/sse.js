@@ -0,0 +1,60 @@
+/**
+ * Utilitas untuk mengirim Server-Sent Events (SSE)
+ */
+
+/**
+ * Menentukan apakah klien meminta respons streaming
+ * @param {object} req Request Express
+ * @returns {boolean} True jika `stream: true` atau header Accept berisi text/event-stream
+ */
+const wantsEventStream = (req) => {
+  if (req.body && req.body.stream === true) {
+    return true;
+  }
+
+  const accept = req.get('Accept') || '';
+  return accept.includes('text/event-stream');
+};
+
+/**
+ * Membuka koneksi SSE pada response Express
+ * @param {object} res Response Express
+ * @returns {object} Objek dengan metode send(event, data), sendData(data) dan close()
+ */
+const openEventStream = (res) => {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Cegah buffering oleh reverse proxy (nginx)
+  });
+  res.flushHeaders();
+
+  return {
+    send(event, data) {
+      if (res.writableEnded) {
+        return;
+      }
+      res.write(`event: ${event}\n`);
+      res.write(`data: ${JSON.stringify(data)}\n\n`);
+    },
+    sendData(data) {
+      if (res.writableEnded) {
+        return;
+      }
+      const payload = typeof data === 'string' ? data : JSON.stringify(data);
+      res.write(`data: ${payload}\n\n`);
+    },
+    close() {
+      if (!res.writableEnded) {
+        res.end();
+      }
+    }
+  };
+};
+
+module.exports = {
+  wantsEventStream,
+  openEventStream
+};
@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const express = require('express');
+const trainer = require('../training/trainer');
+const modelManager = require('../models/ModelManager');
+const logger = require('../utils/logger');
+const database = require('../database/database');
+const webhookDispatcher = require('../webhooks/webhookDispatcher');
+const { authenticate } = require('./middleware');
+const { PERMISSIONS, authorize, modelFromParams } = require('./permissions');
+const { auditAction } = require('./audit');
+const { parseCallbackUrl } = require('./webhooks');
+const { DatabaseUnavailableError, ValidationError, errorCode, errorMessage, toStoredError } = require('../utils/errors');
+const { localize, msg } = require('../utils/i18n');
+
+/**
+ * Router untuk menjalankan pelatihan model dan menyimpan checkpoint melalui API
+ */
+const router = express.Router();
+
+router.use(authenticate);
+
+/**
+ * Error pelatihan untuk payload webhook: code stabil dan pesan dalam bahasa default,
+ * karena penerima webhook tidak membawa Accept-Language
+ * @private
+ * @returns {object} { code, message }
+ */
+const failure = (code, message) => toStoredError(code, localize(message));
+
+/**
+ * Menjalankan pelatihan di latar belakang lalu mengirim webhook training.completed
+ * atau training.failed ke URL callback. Pelatihan didaftarkan di trainer sehingga ditunggu
+ * saat server berhenti; jika batas waktu penghentian tercapai lebih dulu, webhook
+ * training.failed dikirim sebelum model dibebaskan.
+ * @private
+ */
+const runWithCallback = (runId, user, model, trainingData, options, callbackUrl) => {
+  const data = { runId, model, samples: trainingData.length, startedAt: new Date().toISOString() };
+
+  // Hanya hasil pertama yang dikirim: selesai, gagal, atau terputus karena server berhenti
+  const finish = (fields) => {
+    if (data.status) {
+      return Promise.resolve();
+    }
+    Object.assign(data, fields, { finishedAt: new Date().toISOString() });
+
+    logger.info(`Pelatihan ${runId} (${model}) selesai dengan status ${data.status}`);
+
+    return webhookDispatcher.dispatch({
+      owner: user.username,
+      event: `training.${data.status}`,
+      url: callbackUrl,
+      source: { type: 'training', id: runId },
+      data
+    });
+  };
+
+  const run = trainer.trainModel(model, trainingData, options).then(
+    result => finish({ status: 'completed', result }),
+    error => finish({ status: 'failed', error: failure(errorCode(error), errorMessage(error)) })
+  );
+  trainer.trackBackgroundRun(runId, run, () => finish({
+    status: 'failed',
+    error: failure('TRAINING_INTERRUPTED', msg('training.interrupted'))
+  }));
+
+  return run;
+};
+
+// Melatih model dengan data dari body request atau file di direktori data pelatihan
+router.post('/:model', auditAction('training.run', {
+  target: req => req.params.model,
+  details: req => ({ samples: Array.isArray(req.body.data) ? req.body.data.length : null, options: req.body.options })
+}), authorize(PERMISSIONS.TRAINING_RUN, { model: modelFromParams }), async (req, res, next) => {
+  try {
+    const { model } = req.params;
+    const { data, options = {} } = req.body;
+    const callbackUrl = parseCallbackUrl(req.body.callbackUrl);
+
+    // Catatan pengiriman webhook disimpan di MongoDB
+    if (callbackUrl && !database.isConnected()) {
+      throw new DatabaseUnavailableError();
+    }
+
+    if (data !== undefined && (!Array.isArray(data) || data.length === 0)) {
+      throw new ValidationError(msg('training.dataMustBeArray'));
+    }
+
+    let trainingData = data;
+
+    if (!trainingData) {
+      const files = trainer.findTrainingDataFiles();
+
+      if (files.length === 0) {
+        throw new ValidationError(msg('training.noData'));
+      }
+
+      trainingData = await trainer.mergeTrainingData(files);
+    }
+
+    logger.info(`Pelatihan model ${model} dimulai oleh ${req.user.username}`);
+
+    // Dengan callbackUrl, pelatihan berjalan di latar belakang dan hasilnya dikirim melalui webhook
+    if (callbackUrl) {
+      // Model yang tidak dikenal tetap ditolak dengan 404 sebelum pelatihan dijadwalkan
+      if (!modelManager.initialized) {
+        await modelManager.init();
+      }
+      if (model.toLowerCase() !== 'all') {
+        modelManager.getModel(model);
+      }
+
+      const runId = `train-${crypto.randomBytes(12).toString('hex')}`;
+      runWithCallback(runId, req.user, model, trainingData, options, callbackUrl)
+        .catch(error => logger.error(`Pelatihan ${runId} gagal diproses: ${error.message}`));
+
+      return res.status(202).json({
+        status: 'success',
+        data: {
+          runId,
+          model,
+          status: 'running',
+          callbackUrl,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    const result = await trainer.trainModel(model, trainingData, options);
+
+    res.json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Menyimpan checkpoint model
+router.post('/:model/checkpoint', auditAction('training.checkpoint', { target: req => req.params.model }), authorize(PERMISSIONS.TRAINING_RUN, { model: modelFromParams }), async (req, res, next) => {
+  try {
+    const { model } = req.params;
+
+    if (!modelManager.initialized) {
+      await modelManager.init();
+    }
+
+    const modelTypes = model.toLowerCase() === 'all'
+      ? Object.keys(modelManager.getAllModels())
+      : [model];
+
+    const checkpoints = {};
+    for (const modelType of modelTypes) {
+      checkpoints[modelType] = await trainer.saveModelCheckpoint(modelType);
+    }
+
+    res.json({
+      status: 'success',
+      data: {
+        checkpoints,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,119 @@
+const express = require('express');
+const Usage = require('../database/Usage');
+const { authenticate, requireDatabase } = require('./middleware');
+const { PERMISSIONS, authorize } = require('./permissions');
+const { getQuotaStatus } = require('./quota');
+const { ValidationError } = require('../utils/errors');
+const { msg } = require('../utils/i18n');
+
+/**
+ * Router untuk laporan pemakaian token
+ */
+const router = express.Router();
+
+router.use(authenticate, requireDatabase);
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const GROUP_FIELDS = ['username', 'model', 'day'];
+
+/**
+ * Parameter query yang diulang (?a=1&a=2) atau bersarang (?a[$ne]=x) dibaca Express sebagai
+ * array/objek; hanya string yang diterima agar tidak sampai ke query MongoDB
+ * @private
+ */
+const isText = (value) => typeof value === 'string';
+
+/**
+ * Membaca rentang tanggal dari query `from` dan `to` (YYYY-MM-DD, UTC).
+ * Default: awal bulan berjalan hingga hari ini.
+ * @private
+ * @returns {object} { from, to } atau { error }
+ */
+const parseRange = (query) => {
+  const { day, month } = Usage.periodOf();
+  const from = query.from || `${month}-01`;
+  const to = query.to || day;
+
+  if (!isText(from) || !isText(to) || !DATE_PATTERN.test(from) || !DATE_PATTERN.test(to)) {
+    return { error: msg('usage.invalidDate') };
+  }
+  if (from > to) {
+    return { error: msg('usage.invalidRange') };
+  }
+
+  return { from, to };
+};
+
+// Pemakaian token dan sisa kuota pengguna yang sedang login
+router.get('/', async (req, res, next) => {
+  try {
+    const range = parseRange(req.query);
+    if (range.error) {
+      throw new ValidationError(range.error);
+    }
+
+    const filter = { username: req.user.username, ...range };
+    const [quota, byModel, byDay] = await Promise.all([
+      getQuotaStatus(req.user),
+      Usage.summarize(filter, ['model']),
+      Usage.summarize(filter, ['day'])
+    ]);
+
+    res.json({
+      status: 'success',
+      data: {
+        username: req.user.username,
+        role: req.user.role,
+        from: range.from,
+        to: range.to,
+        quota,
+        byModel,
+        byDay
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Laporan pemakaian token semua pengguna (khusus admin)
+router.get('/report', authorize(PERMISSIONS.USAGE_READ), async (req, res, next) => {
+  try {
+    const range = parseRange(req.query);
+    if (range.error) {
+      throw new ValidationError(range.error);
+    }
+
+    const { username } = req.query;
+    if (username !== undefined && !isText(username)) {
+      throw new ValidationError(msg('usage.invalidUsername'));
+    }
+
+    if (req.query.groupBy !== undefined && !isText(req.query.groupBy)) {
+      throw new ValidationError(msg('usage.invalidGroupBy', { fields: GROUP_FIELDS.join(', ') }));
+    }
+    const groupBy = req.query.groupBy ? req.query.groupBy.split(',').map(field => field.trim()) : ['username', 'model'];
+    if (groupBy.length === 0 || groupBy.some(field => !GROUP_FIELDS.includes(field))) {
+      throw new ValidationError(msg('usage.invalidGroupBy', { fields: GROUP_FIELDS.join(', ') }));
+    }
+
+    const rows = await Usage.summarize({
+      username,
+      ...range
+    }, groupBy);
+
+    res.json({
+      status: 'success',
+      data: {
+        from: range.from,
+        to: range.to,
+        groupBy,
+        rows
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,154 @@
+const express = require('express');
+const User = require('../database/User');
+const ApiKey = require('../database/ApiKey');
+const revocationList = require('../database/revocationList');
+const logger = require('../utils/logger');
+const { authenticate, requireDatabase } = require('./middleware');
+const { PERMISSIONS, authorize } = require('./permissions');
+const { auditAction } = require('./audit');
+const { ConflictError, NotFoundError, ValidationError } = require('../utils/errors');
+const { msg } = require('../utils/i18n');
+
+/**
+ * Router untuk pengelolaan akun pengguna oleh admin
+ */
+const router = express.Router();
+
+router.use(authenticate, authorize(PERMISSIONS.USERS_MANAGE), requireDatabase);
+
+// Daftar semua pengguna
+router.get('/', async (req, res, next) => {
+  try {
+    const users = await User.find().sort({ username: 1 });
+
+    res.json({
+      status: 'success',
+      data: {
+        users: users.map(user => user.toPublic())
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Mendaftarkan pengguna baru
+router.post('/', auditAction('users.create', { target: req => req.body.username, details: req => ({ role: req.body.role || 'user' }) }), async (req, res, next) => {
+  try {
+    const { username, password, role = 'user' } = req.body;
+
+    if (typeof username !== 'string' || !/^[a-zA-Z0-9._-]{3,32}$/.test(username)) {
+      throw new ValidationError(msg('users.invalidUsername'));
+    }
+
+    if (!User.ROLES.includes(role)) {
+      throw new ValidationError(msg('users.invalidRole', { roles: User.ROLES.join(', ') }));
+    }
+
+    const passwordError = User.validatePassword(password);
+    if (passwordError) {
+      throw new ValidationError(passwordError);
+    }
+
+    if (await User.exists({ username: username.toLowerCase() })) {
+      throw new ConflictError(msg('users.exists', { username }), 'USER_EXISTS');
+    }
+
+    const user = await User.register({
+      username,
+      password,
+      role,
+      createdBy: req.user.username
+    });
+
+    logger.info(`Pengguna ${user.username} (${user.role}) didaftarkan oleh ${req.user.username}`);
+
+    res.status(201).json({
+      status: 'success',
+      data: user.toPublic()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Membuat handler untuk mengaktifkan atau menonaktifkan akun
+ * @param {boolean} disabled Status nonaktif yang akan diterapkan
+ * @returns {Function} Handler Express
+ */
+const setDisabled = (disabled) => async (req, res, next) => {
+  try {
+    const username = req.params.username.toLowerCase();
+
+    if (disabled && username === req.user.username) {
+      throw new ValidationError(msg('users.cannotDisableSelf'));
+    }
+
+    const user = await User.findOne({ username });
+
+    if (!user) {
+      throw new NotFoundError(msg('users.notFound', { username }), 'USER_NOT_FOUND');
+    }
+
+    user.disabled = disabled;
+    await user.save();
+
+    // Akun yang dinonaktifkan tidak boleh tetap memakai token yang sudah diterbitkan
+    if (disabled) {
+      await revocationList.revokeAllForUser(username, {
+        reason: 'account-disabled',
+        revokedBy: req.user.username
+      });
+    }
+
+    logger.info(`Akun ${username} ${disabled ? 'dinonaktifkan' : 'diaktifkan'} oleh ${req.user.username}`);
+
+    res.json({
+      status: 'success',
+      data: user.toPublic()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Menonaktifkan akun
+router.post('/:username/disable', auditAction('users.disable', { target: req => req.params.username }), setDisabled(true));
+
+// Mengaktifkan kembali akun
+router.post('/:username/enable', auditAction('users.enable', { target: req => req.params.username }), setDisabled(false));
+
+// Mencabut semua token akses, refresh token dan API key milik pengguna
+router.post('/:username/revoke-tokens', auditAction('users.revokeTokens', { target: req => req.params.username }), async (req, res, next) => {
+  try {
+    const username = req.params.username.toLowerCase();
+    const user = await User.findOne({ username });
+
+    if (!user) {
+      throw new NotFoundError(msg('users.notFound', { username }), 'USER_NOT_FOUND');
+    }
+
+    const result = await revocationList.revokeAllForUser(username, {
+      reason: 'admin',
+      revokedBy: req.user.username
+    });
+    const apiKeysRevoked = await ApiKey.revokeAllForOwner(username);
+
+    logger.info(`Semua token dan ${apiKeysRevoked} API key milik ${username} dicabut oleh ${req.user.username}`);
+
+    res.json({
+      status: 'success',
+      data: {
+        username,
+        tokenVersion: result.tokenVersion,
+        refreshTokensRevoked: result.refreshTokens,
+        apiKeysRevoked
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
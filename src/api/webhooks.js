@@ -0,0 +1,174 @@
+const express = require('express');
+const WebhookDelivery = require('../database/WebhookDelivery');
+const webhookDispatcher = require('../webhooks/webhookDispatcher');
+const { authenticate, requireDatabase } = require('./middleware');
+const { PERMISSIONS, checkAccess } = require('./permissions');
+const { auditAction } = require('./audit');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+const { msg } = require('../utils/i18n');
+const { BlockedAddressError, assertAllowedUrl } = require('../webhooks/addressPolicy');
+
+const CALLBACK_PROTOCOLS = ['http:', 'https:'];
+const MAX_CALLBACK_URL_LENGTH = 2048;
+
+/**
+ * Memvalidasi URL callback webhook dari request
+ * @param {*} value Nilai `callbackUrl` dari body atau query
+ * @returns {string|null} URL yang dinormalkan, atau null jika tidak diisi
+ * @throws {ValidationError} Jika bukan URL http(s) yang valid atau tujuannya tidak diizinkan
+ */
+const parseCallbackUrl = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  let url;
+  try {
+    url = typeof value === 'string' && value.length <= MAX_CALLBACK_URL_LENGTH ? new URL(value) : null;
+  } catch (error) {
+    url = null;
+  }
+
+  if (!url || !CALLBACK_PROTOCOLS.includes(url.protocol)) {
+    throw new ValidationError(msg('webhooks.invalidCallbackUrl'));
+  }
+
+  // Host nama domain diperiksa lagi pada alamat hasil resolusi DNS saat pengiriman
+  try {
+    assertAllowedUrl(url);
+  } catch (error) {
+    if (error instanceof BlockedAddressError) {
+      throw new ValidationError(msg('webhooks.callbackNotAllowed'));
+    }
+    throw error;
+  }
+
+  return url.toString();
+};
+
+/**
+ * Router untuk memeriksa dan mengirim ulang pengiriman webhook
+ */
+const router = express.Router();
+
+router.use(authenticate);
+
+// Kunci penandatanganan webhook milik pengguna untuk memverifikasi header X-Webhook-Signature
+router.get('/secret', (req, res, next) => {
+  try {
+    res.json({
+      status: 'success',
+      data: {
+        owner: req.user.username,
+        secret: webhookDispatcher.secretFor(req.user.username)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.use(requireDatabase);
+
+/**
+ * Pengguna dengan izin models:manage dapat melihat dan mengirim ulang webhook milik siapa pun
+ * @private
+ */
+const canManageAll = (user) => !checkAccess(user, PERMISSIONS.MODELS_MANAGE);
+
+/**
+ * Mencari pengiriman yang boleh diakses pengguna; milik pengguna lain diperlakukan sebagai tidak ditemukan
+ * @private
+ */
+const findAccessibleDelivery = async (req) => {
+  const delivery = await WebhookDelivery.findOwned(req.params.id, canManageAll(req.user) ? null : req.user.username);
+
+  if (!delivery) {
+    throw new NotFoundError(msg('webhooks.deliveryNotFound'), 'WEBHOOK_DELIVERY_NOT_FOUND');
+  }
+  return delivery;
+};
+
+// Daftar pengiriman webhook milik pengguna, terbaru lebih dulu
+router.get('/deliveries', async (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = parseInt(req.query.skip) || 0;
+    const filter = { owner: req.user.username };
+
+    // Pengelola dapat melihat pengiriman pengguna lain dengan ?owner=<username>
+    if (req.query.owner && canManageAll(req.user)) {
+      filter.owner = req.query.owner;
+    }
+
+    if (req.query.status) {
+      if (!WebhookDelivery.STATUSES.includes(req.query.status)) {
+        throw new ValidationError(msg('webhooks.invalidStatus', { statuses: WebhookDelivery.STATUSES.join(', ') }));
+      }
+      filter.status = req.query.status;
+    }
+
+    if (req.query.event) {
+      filter.event = req.query.event;
+    }
+
+    // Semua pengiriman untuk satu job atau pelatihan
+    if (req.query.sourceId) {
+      filter['source.id'] = req.query.sourceId;
+    }
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      WebhookDelivery.countDocuments(filter)
+    ]);
+
+    res.json({
+      status: 'success',
+      data: {
+        deliveries: deliveries.map(delivery => delivery.toSummary(req.locale)),
+        total,
+        limit,
+        skip
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Detail pengiriman beserta payload dan setiap percobaan
+router.get('/deliveries/:id', async (req, res, next) => {
+  try {
+    const delivery = await findAccessibleDelivery(req);
+
+    res.json({
+      status: 'success',
+      data: delivery.toDetail(req.locale)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Mengirim ulang payload pengiriman sebagai pengiriman baru
+router.post('/deliveries/:id/replay', auditAction('webhooks.replay', { target: req => req.params.id }), async (req, res, next) => {
+  try {
+    const delivery = await findAccessibleDelivery(req);
+    const replayed = await webhookDispatcher.replay(delivery);
+
+    res.status(202).location(`${req.baseUrl}/deliveries/${replayed._id}`).json({
+      status: 'success',
+      data: replayed.toSummary(req.locale)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = {
+  parseCallbackUrl,
+  router
+};
@@ -0,0 +1,518 @@
+const crypto = require('crypto');
+const http = require('http');
+const express = require('express');
+const { WebSocketServer, WebSocket } = require('ws');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const requestContext = require('../utils/requestContext');
+const modelManager = require('../models/ModelManager');
+const generationRegistry = require('../models/GenerationRegistry');
+const { validateMessages } = require('../models/chatTemplates');
+const { authenticate, checkOptions } = require('./middleware');
+const { PERMISSIONS, checkAccess } = require('./permissions');
+const { consume } = require('./rateLimiter');
+const { assertQuota, requestedTokens, recordUsage } = require('./quota');
+const { toErrorResponse } = require('./errorHandler');
+const {
+  AppError,
+  AuthenticationError,
+  ConflictError,
+  NotFoundError,
+  PermissionDeniedError,
+  RateLimitError,
+  ServiceUnavailableError,
+  ValidationError
+} = require('../utils/errors');
+const { SUPPORTED_LOCALES, msg, resolveLocale } = require('../utils/i18n');
+
+/**
+ * Endpoint WebSocket untuk frontend interaktif. Satu koneksi dapat menjalankan beberapa
+ * percakapan bersamaan; setiap percakapan diberi `id` oleh klien dan semua event balasan
+ * membawa `id` tersebut.
+ *
+ * Pesan klien: `generate` { id, model, prompt, options }, `chat` { id, model, messages, options }
+ * dan `cancel` { id }. Pesan server: `ready`, `started`, `queued`, `token`, `done` dan `error`
+ * dengan format body error yang sama seperti respons HTTP.
+ */
+
+const MESSAGE_TYPES = ['generate', 'chat', 'cancel'];
+// Subprotokol yang membawa token browser: new WebSocket(url, ['bearer', token])
+const AUTH_PROTOCOL = 'bearer';
+// ID percakapan dari klien; dipakai di event balasan dan log
+const CONVERSATION_ID_PATTERN = /^[\w.:-]{1,64}$/;
+
+let wss = null;
+let draining = false;
+
+/**
+ * Mengirim event JSON jika koneksi masih terbuka
+ * @private
+ */
+const send = (ws, type, data = {}) => {
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify({ type, ...data }));
+  }
+};
+
+/**
+ * Mengirim event error dengan body yang sama seperti respons error HTTP
+ * @private
+ */
+const sendError = (connection, id, error) => {
+  const { status, body } = toErrorResponse(error, connection.locale);
+  if (status === 500) {
+    logger.error(`Error WebSocket pada percakapan ${id}: ${error.message}`);
+  }
+  send(connection.ws, 'error', { id, ...body, retry_after: error.retryAfter || undefined });
+};
+
+/**
+ * Menolak upgrade dengan respons HTTP JSON, misalnya 401 jika token tidak valid
+ * @private
+ */
+const rejectUpgrade = (socket, error, locale) => {
+  // Klien sudah memutus koneksi, misalnya selama autentikasi berjalan
+  if (socket.destroyed) {
+    return;
+  }
+
+  const { status, body } = toErrorResponse(error, locale);
+  const payload = JSON.stringify(body);
+
+  socket.end([
+    `HTTP/1.1 ${status} ${http.STATUS_CODES[status]}`,
+    'Content-Type: application/json; charset=utf-8',
+    `Content-Length: ${Buffer.byteLength(payload)}`,
+    ...(error.retryAfter ? [`Retry-After: ${error.retryAfter}`] : []),
+    'Connection: close',
+    '',
+    payload
+  ].join('\r\n'));
+};
+
+/**
+ * Mengautentikasi request upgrade dengan middleware `authenticate` yang sama seperti route HTTP.
+ * Browser tidak dapat mengirim header Authorization pada WebSocket, sehingga token juga
+ * diterima sebagai subprotokol setelah `bearer` di header Sec-WebSocket-Protocol. Token tidak
+ * diterima dari query string agar tidak tercatat di log akses dan proxy.
+ * @private
+ * @returns {Promise<Error|undefined>} Error autentikasi, atau undefined jika berhasil (request.user diisi)
+ */
+const authenticateUpgrade = (request) => {
+  const protocols = (request.headers['sec-websocket-protocol'] || '').split(',').map(protocol => protocol.trim());
+  const token = protocols[protocols.indexOf(AUTH_PROTOCOL) + 1];
+  if (!request.headers.authorization && protocols.includes(AUTH_PROTOCOL) && token) {
+    request.headers.authorization = `Bearer ${token}`;
+  }
+
+  return new Promise(resolve => authenticate(request, null, resolve));
+};
+
+/**
+ * Mengautentikasi ulang kredensial koneksi sebelum setiap percakapan sehingga token yang
+ * kedaluwarsa atau dicabut, API key yang dicabut dan pengguna yang dinonaktifkan tidak dapat
+ * terus memakai koneksi yang sudah terbuka. Data pengguna koneksi diperbarui dari hasilnya.
+ * @private
+ * @throws {AuthenticationError} Jika kredensial tidak lagi berlaku
+ */
+const reauthenticate = async (connection) => {
+  const request = { headers: { authorization: connection.authorization } };
+  const error = await new Promise(resolve => authenticate(request, null, resolve));
+  if (error) {
+    throw error;
+  }
+  connection.user = request.user;
+};
+
+/**
+ * Memeriksa izin, opsi, rate limit, kuota dan kapasitas antrean sebelum percakapan dimulai,
+ * lalu menyusun prompt dari pesan `generate` atau `chat`
+ * @private
+ * @returns {Promise<object>} { modelName, modelInstance, prompt, options, reservation } — reservasi kuota
+ *                            (null jika kuota tidak diterapkan) wajib dilepas pemanggil
+ */
+const preparePrompt = async (connection, message) => {
+  await reauthenticate(connection);
+
+  const { user } = connection;
+  const { model, options = {} } = message;
+
+  if (!model || typeof model !== 'string') {
+    throw new ValidationError(msg('websocket.modelRequired'));
+  }
+  if (model.toLowerCase() === 'all') {
+    throw new ValidationError(msg('websocket.singleModelOnly'));
+  }
+
+  if (!modelManager.initialized) {
+    await modelManager.init();
+  }
+  const modelInstance = modelManager.getModel(model);
+
+  const denial = checkAccess(user, PERMISSIONS.GENERATE, model);
+  if (denial) {
+    throw new PermissionDeniedError(denial.message, denial.code);
+  }
+
+  const optionsError = checkOptions(options);
+  if (optionsError) {
+    throw optionsError;
+  }
+
+  let prompt;
+  if (message.type === 'chat') {
+    const validationError = validateMessages(message.messages);
+    if (validationError) {
+      throw new ValidationError(validationError);
+    }
+    prompt = modelInstance.formatChat(message.messages);
+  } else {
+    if (!message.prompt || typeof message.prompt !== 'string') {
+      throw new ValidationError(msg('request.promptRequired'));
+    }
+    prompt = message.prompt;
+  }
+
+  // Setiap percakapan dihitung sebagai satu request pada grup rate limit 'generate'
+  try {
+    const { identity, result } = await consume('generate', user, connection.ip);
+    if (result.limited) {
+      logger.info(`Rate limit terlampaui untuk ${identity} pada generate (WebSocket)`);
+      throw new RateLimitError(msg('request.rateLimited'), result.retryAfter);
+    }
+  } catch (error) {
+    if (error instanceof RateLimitError) {
+      throw error;
+    }
+    // Kegagalan store tidak boleh menghentikan layanan
+    logger.error(`Rate limiter gagal: ${error.message}`);
+  }
+
+  const reservation = await assertQuota(user, requestedTokens(options, 1, modelInstance.countTokens(prompt)));
+
+  try {
+    modelManager.checkCapacity(model);
+  } catch (error) {
+    if (reservation) {
+      reservation.release();
+    }
+    throw error;
+  }
+
+  return { modelName: model.toLowerCase(), modelInstance, prompt, options, reservation };
+};
+
+/**
+ * Menjalankan satu percakapan: validasi, pendaftaran di GenerationRegistry (sehingga ikut
+ * terlihat dan dapat dibatalkan melalui /api/generations) lalu streaming token ke klien
+ * @private
+ */
+const runConversation = async (connection, message) => {
+  const { id } = message;
+  const conversation = { generationId: null, cancelReason: null };
+  connection.conversations.set(id, conversation);
+
+  let entry = null;
+  let reservation = null;
+
+  try {
+    const prepared = await preparePrompt(connection, message);
+    const { modelName, prompt, options } = prepared;
+    reservation = prepared.reservation;
+    const { user } = connection;
+
+    entry = generationRegistry.start({
+      owner: user.username,
+      model: modelName,
+      source: `WebSocket ${message.type}`
+    });
+    conversation.generationId = entry.id;
+
+    // Pembatalan yang datang selama validasi diterapkan begitu generasi terdaftar
+    if (conversation.cancelReason) {
+      generationRegistry.cancel(entry.id, conversation.cancelReason);
+    }
+
+    send(connection.ws, 'started', { id, model: modelName, generation_id: entry.id });
+
+    let cacheStatus;
+    const scheduling = {
+      priority: config.scheduler.rolePriorities[user.role] || 0,
+      onQueued: (position, name) => {
+        generationRegistry.markQueued(entry.id, name, position);
+        send(connection.ws, 'queued', { id, model: name, position });
+      },
+      onStart: name => generationRegistry.markRunning(entry.id, name),
+      onRelease: name => generationRegistry.markReleased(entry.id, name),
+      onUsage: (name, promptTokens, completionTokens) => recordUsage(user, name, promptTokens, completionTokens, reservation),
+      onCacheStatus: status => {
+        cacheStatus = status;
+      }
+    };
+
+    let generatedText = '';
+    for await (const token of modelManager.generateStream(modelName, prompt, { ...options, signal: entry.signal }, scheduling)) {
+      generatedText += token;
+      send(connection.ws, 'token', { id, model: modelName, token });
+    }
+
+    send(connection.ws, 'done', {
+      id,
+      model: modelName,
+      generated_text: generatedText,
+      cache: cacheStatus,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendError(connection, id, error);
+
+    // Kredensial yang tidak lagi berlaku mengakhiri koneksi beserta percakapan lainnya
+    if (error instanceof AuthenticationError) {
+      connection.ws.close(1008, 'credentials no longer valid');
+    }
+  } finally {
+    if (entry) {
+      generationRegistry.finish(entry.id);
+    }
+    // Reservasi kuota dilepas setelah pemakaian percakapan ini tersimpan
+    if (reservation) {
+      reservation.release();
+    }
+    connection.conversations.delete(id);
+
+    // Saat server berhenti, koneksi ditutup setelah percakapan terakhirnya selesai
+    if (draining && connection.conversations.size === 0) {
+      connection.ws.close(1001, 'server shutting down');
+    }
+  }
+};
+
+/**
+ * Membatalkan percakapan yang sedang berjalan
+ * @private
+ * @param {string} reason Alasan pembatalan ('cancelled' atau 'client-disconnect')
+ * @returns {boolean} False jika percakapan tidak ditemukan
+ */
+const cancelConversation = (connection, id, reason) => {
+  const conversation = connection.conversations.get(id);
+  if (!conversation) {
+    return false;
+  }
+
+  conversation.cancelReason = reason;
+  if (conversation.generationId) {
+    generationRegistry.cancel(conversation.generationId, reason);
+  }
+  return true;
+};
+
+/**
+ * Memproses satu pesan dari klien
+ * @private
+ */
+const handleMessage = (connection, data) => {
+  let message;
+  try {
+    message = JSON.parse(data.toString());
+  } catch (error) {
+    return sendError(connection, null, new ValidationError(msg('request.invalidJson'), { code: 'INVALID_JSON' }));
+  }
+
+  if (!message || typeof message !== 'object' || Array.isArray(message)) {
+    return sendError(connection, null, new ValidationError(msg('websocket.invalidMessage')));
+  }
+
+  const id = typeof message.id === 'string' ? message.id : null;
+
+  try {
+    if (!MESSAGE_TYPES.includes(message.type)) {
+      throw new ValidationError(msg('websocket.unknownType', { type: String(message.type), types: MESSAGE_TYPES.join(', ') }));
+    }
+    if (!id || !CONVERSATION_ID_PATTERN.test(id)) {
+      throw new ValidationError(msg('websocket.invalidId'));
+    }
+
+    if (message.type === 'cancel') {
+      if (!cancelConversation(connection, id, 'cancelled')) {
+        throw new NotFoundError(msg('websocket.conversationNotFound', { id }), 'CONVERSATION_NOT_FOUND');
+      }
+      return;
+    }
+
+    if (draining) {
+      throw new ServiceUnavailableError(msg('server.shuttingDown'), 'SHUTTING_DOWN');
+    }
+    if (connection.conversations.has(id)) {
+      throw new ConflictError(msg('websocket.conversationExists', { id }), 'CONVERSATION_EXISTS');
+    }
+    if (connection.conversations.size >= config.websocket.maxConversations) {
+      throw new AppError(msg('websocket.tooManyConversations', { max: config.websocket.maxConversations }), {
+        status: 429,
+        code: 'TOO_MANY_CONVERSATIONS'
+      });
+    }
+  } catch (error) {
+    return sendError(connection, id, error);
+  }
+
+  runConversation(connection, message);
+};
+
+/**
+ * Menyiapkan koneksi yang sudah terautentikasi
+ * @private
+ */
+const handleConnection = (ws, request) => {
+  const connection = {
+    id: crypto.randomUUID(),
+    ws,
+    user: request.user,
+    // Diperiksa ulang sebelum setiap percakapan, lihat reauthenticate
+    authorization: request.headers.authorization,
+    locale: request.locale,
+    ip: request.socket.remoteAddress,
+    // ID percakapan -> { generationId, cancelReason }
+    conversations: new Map(),
+    alive: true
+  };
+
+  // Event socket tidak membawa konteks request, sehingga ID koneksi dipasang di setiap handler
+  // agar log percakapan (termasuk dari ModelManager) dapat dikorelasikan
+  const inContext = handler => (...args) => requestContext.run({ requestId: connection.id }, () => handler(...args));
+
+  ws.connection = connection;
+
+  ws.on('pong', () => {
+    connection.alive = true;
+  });
+
+  ws.on('message', inContext(data => handleMessage(connection, data)));
+
+  ws.on('close', inContext(() => {
+    for (const id of connection.conversations.keys()) {
+      cancelConversation(connection, id, 'client-disconnect');
+    }
+    logger.info(`Koneksi WebSocket ${connection.id} ditutup`);
+  }));
+
+  ws.on('error', inContext(error => logger.warn(`Error koneksi WebSocket: ${error.message}`)));
+
+  inContext(() => logger.info(`Koneksi WebSocket ${connection.id} dibuka oleh ${connection.user.username}`))();
+  send(ws, 'ready', {
+    connection_id: connection.id,
+    username: connection.user.username,
+    max_conversations: config.websocket.maxConversations
+  });
+};
+
+/**
+ * Memasang server WebSocket pada HTTP server Express di `config.websocket.path`.
+ * Autentikasi memakai JWT atau API key yang sama seperti route HTTP.
+ * @param {object} server HTTP server dari `app.listen`
+ * @returns {WebSocketServer} Server WebSocket
+ */
+const attachWebSocketServer = (server) => {
+  wss = new WebSocketServer({
+    noServer: true,
+    maxPayload: config.websocket.maxPayload,
+    // Browser menolak koneksi jika server tidak memilih salah satu subprotokol yang dikirim;
+    // yang dipilih hanya `bearer`, bukan token
+    handleProtocols: protocols => (protocols.has(AUTH_PROTOCOL) ? AUTH_PROTOCOL : false)
+  });
+
+  server.on('upgrade', async (request, socket, head) => {
+    // Socket upgrade tidak lagi ditangani HTTP server; tanpa listener ini error koneksi
+    // (misalnya ECONNRESET selama autentikasi) menghentikan proses
+    const onSocketError = (error) => {
+      logger.debug(`Koneksi upgrade WebSocket terputus: ${error.message}`);
+      socket.destroy();
+    };
+    socket.on('error', onSocketError);
+
+    const url = new URL(request.url, 'http://localhost');
+
+    // Bahasa dari query `lang`, atau Accept-Language dengan negosiasi Express yang sama seperti detectLocale
+    request.acceptsLanguages = express.request.acceptsLanguages;
+    const lang = url.searchParams.get('lang');
+    const locale = SUPPORTED_LOCALES.includes(lang) ? lang : resolveLocale(request);
+    request.locale = locale;
+
+    if (url.pathname !== config.websocket.path) {
+      return rejectUpgrade(socket, new NotFoundError(msg('server.endpointNotFound'), 'ENDPOINT_NOT_FOUND'), locale);
+    }
+    if (draining) {
+      return rejectUpgrade(socket, new ServiceUnavailableError(msg('server.shuttingDown'), 'SHUTTING_DOWN'), locale);
+    }
+
+    const error = await authenticateUpgrade(request);
+    if (error) {
+      return rejectUpgrade(socket, error, locale);
+    }
+
+    if (socket.destroyed) {
+      return;
+    }
+
+    wss.handleUpgrade(request, socket, head, ws => wss.emit('connection', ws, request));
+    // handleUpgrade memasang listener error miliknya sendiri, lalu koneksi WebSocket yang menanganinya
+    socket.removeListener('error', onSocketError);
+  });
+
+  wss.on('connection', handleConnection);
+
+  // Memutus koneksi yang tidak lagi membalas ping, misalnya karena jaringan klien terputus
+  const heartbeat = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (!ws.connection.alive) {
+        ws.terminate();
+        continue;
+      }
+      ws.connection.alive = false;
+      ws.ping();
+    }
+  }, config.websocket.heartbeatIntervalMs);
+  heartbeat.unref();
+
+  wss.on('close', () => clearInterval(heartbeat));
+
+  logger.info(`WebSocket tersedia di ws://localhost:${config.server.port}${config.websocket.path}`);
+  return wss;
+};
+
+/**
+ * Menolak percakapan dan koneksi baru lalu menutup setiap koneksi (code 1001) begitu percakapan
+ * terakhirnya selesai. Dipanggil saat server berhenti; percakapan yang berjalan tetap terdaftar
+ * di GenerationRegistry sehingga ikut ditunggu atau dibatalkan bersama generasi lain.
+ */
+const drainWebSockets = () => {
+  draining = true;
+  if (!wss) {
+    return;
+  }
+
+  for (const ws of wss.clients) {
+    if (ws.connection.conversations.size === 0) {
+      ws.close(1001, 'server shutting down');
+    }
+  }
+};
+
+/**
+ * Memutus semua koneksi WebSocket yang tersisa tanpa menunggu
+ */
+const terminateWebSockets = () => {
+  if (!wss) {
+    return;
+  }
+
+  for (const ws of wss.clients) {
+    ws.terminate();
+  }
+  wss.close();
+};
+
+module.exports = {
+  attachWebSocketServer,
+  drainWebSockets,
+  terminateWebSockets
+};
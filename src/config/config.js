@@ -1,40 +1,124 @@
 require('dotenv').config();
+const os = require('os');
+
+// Mengubah daftar dipisahkan koma dari variabel lingkungan menjadi array
+const parseList = (value, fallback) => (value ? value.split(',').map(item => item.trim()).filter(Boolean) : fallback);
+
+// Mengubah kuota token dari variabel lingkungan; kosong atau 0 berarti tanpa batas
+const parseQuota = (value) => (parseInt(value) > 0 ? parseInt(value) : null);
 
 module.exports = {
   server: {
     port: process.env.PORT || 3000,
-    env: process.env.NODE_ENV || 'development'
+    env: process.env.NODE_ENV || 'development',
+    // Batas waktu menunggu request dan generasi yang sedang berjalan saat server dihentikan (SIGTERM/SIGINT)
+    shutdownTimeoutMs: parseInt(process.env.SHUTDOWN_TIMEOUT_MS) || 30 * 1000
   },
   models: {
     llama: {
       path: process.env.LLAMA_MODEL_PATH || './models/llama2',
       contextSize: 2048,
       batchSize: 512,
-      threads: 4
+      threads: 4,
+      // Nama preset ('llama2', 'mistral', 'plain') atau objek template kustom
+      chatTemplate: process.env.LLAMA_CHAT_TEMPLATE,
+      // Jumlah generasi bersamaan untuk model ini (default: scheduler.maxConcurrency)
+      maxConcurrency: parseInt(process.env.LLAMA_MAX_CONCURRENCY) || null
     },
     mistral: {
       path: process.env.MISTRAL_MODEL_PATH || './models/mistral7b',
       contextSize: 2048,
       batchSize: 512,
-      threads: 4
+      threads: 4,
+      // Nama preset ('llama2', 'mistral', 'plain') atau objek template kustom
+      chatTemplate: process.env.MISTRAL_CHAT_TEMPLATE,
+      // Jumlah generasi bersamaan untuk model ini (default: scheduler.maxConcurrency)
+      maxConcurrency: parseInt(process.env.MISTRAL_MAX_CONCURRENCY) || null
     },
     gptj: {
       path: process.env.GPTJ_MODEL_PATH || './models/gptj',
       contextSize: 2048,
       batchSize: 512,
-      threads: 4
+      threads: 4,
+      // Nama preset ('llama2', 'mistral', 'plain') atau objek template kustom
+      chatTemplate: process.env.GPTJ_CHAT_TEMPLATE,
+      // Jumlah generasi bersamaan untuk model ini (default: scheduler.maxConcurrency)
+      maxConcurrency: parseInt(process.env.GPTJ_MAX_CONCURRENCY) || null
     }
   },
   security: {
     jwtSecret: process.env.JWT_SECRET || 'default_secret_key_tidak_aman',
     jwtExpiresIn: process.env.JWT_EXPIRES_IN || '1d',
+    refreshTokenExpiresInDays: parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30,
+    passwordMinLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 8,
+    // Interval pemuatan ulang daftar token yang dicabut dari database, agar pencabutan
+    // oleh instance lain ikut berlaku
+    revocationRefreshMs: parseInt(process.env.TOKEN_REVOCATION_REFRESH_MS) || 60 * 1000,
+    // Admin pertama yang dibuat otomatis jika belum ada admin di database
+    bootstrapAdmin: {
+      username: process.env.ADMIN_USERNAME,
+      password: process.env.ADMIN_PASSWORD
+    },
+    // Izin, daftar model dan kuota token (prompt + completion, null = tanpa batas) untuk setiap role.
+    // Izin: models:read, generate, models:manage, training:run, users:manage, keys:manage, usage:read,
+    // cache:manage, audit:read ('*' = semua)
+    roles: {
+      admin: {
+        permissions: ['*'],
+        models: ['*'],
+        quotas: {
+          dailyTokens: null,
+          monthlyTokens: null
+        }
+      },
+      operator: {
+        permissions: ['models:read', 'generate', 'models:manage', 'training:run', 'cache:manage'],
+        models: parseList(process.env.OPERATOR_ALLOWED_MODELS, ['*']),
+        quotas: {
+          dailyTokens: parseQuota(process.env.OPERATOR_DAILY_TOKEN_QUOTA),
+          monthlyTokens: parseQuota(process.env.OPERATOR_MONTHLY_TOKEN_QUOTA)
+        }
+      },
+      user: {
+        permissions: ['models:read', 'generate'],
+        models: parseList(process.env.USER_ALLOWED_MODELS, ['*']),
+        quotas: {
+          dailyTokens: parseQuota(process.env.USER_DAILY_TOKEN_QUOTA),
+          monthlyTokens: parseQuota(process.env.USER_MONTHLY_TOKEN_QUOTA)
+        }
+      }
+    },
     rateLimiting: {
+      // Penyimpanan counter: 'memory' (per proses) atau 'mongo' (bertahan setelah restart)
+      store: process.env.RATE_LIMIT_STORE || 'memory',
       windowMs: 15 * 60 * 1000, // 15 menit
-      max: 100 // batas 100 request per windowMs
+      max: 100, // batas 100 request per windowMs
+      // Interval pembersihan kunci yang sudah tidak aktif pada store memory
+      cleanupIntervalMs: 60 * 1000,
+      // Batas per grup route, menimpa windowMs dan max default
+      routes: {
+        generate: {
+          max: parseInt(process.env.RATE_LIMIT_GENERATE_MAX) || 100
+        },
+        auth: {
+          max: parseInt(process.env.RATE_LIMIT_AUTH_MAX) || 20
+        }
+      },
+      // Batas per role pengguna yang terautentikasi, menimpa batas route
+      roles: {
+        admin: {
+          max: 1000
+        }
+      }
     }
   },
   database: {
-    uri: process.env.MONGO_URI || 'mongodb://localhost:27017/ai-api-sistem'
+    uri: process.env.MONGO_URI || 'mongodb://localhost:27017/ai-api-sistem',
+    serverSelectionTimeoutMS: parseInt(process.env.MONGO_TIMEOUT_MS) || 5000
+  },
+  sessions: {
+    // Jumlah pesan maksimum per sesi; pesan tertua dibuang ketika batas terlampaui
+    maxMessages: parseInt(process.env.SESSION_MAX_MESSAGES) || 200
   },
   training: {
     batchSize: parseInt(process.env.TRAINING_BATCH_SIZE) || 16,
@@ -43,12 +127,99 @@ module.exports = {
     checkpointDir: './src/training/checkpoints',
     dataDir: './src/training/data'
   },
+  scheduler: {
+    // Jumlah generasi yang berjalan bersamaan per model
+    maxConcurrency: parseInt(process.env.MODEL_MAX_CONCURRENCY) || 1,
+    // Panjang maksimum antrean per model; request berikutnya ditolak dengan 503
+    maxQueueSize: parseInt(process.env.MODEL_MAX_QUEUE_SIZE) || 16,
+    // Batas waktu menunggu di antrean sebelum request ditolak
+    queueTimeoutMs: parseInt(process.env.MODEL_QUEUE_TIMEOUT_MS) || 60 * 1000,
+    // Prioritas antrean per role; nilai lebih besar dilayani lebih dulu
+    rolePriorities: {
+      admin: 2,
+      operator: 1,
+      user: 0
+    }
+  },
+  jobs: {
+    // Job generasi menunggu antrean model lebih lama daripada request sinkron
+    queueTimeoutMs: parseInt(process.env.JOB_QUEUE_TIMEOUT_MS) || 30 * 60 * 1000,
+    // Job yang sudah selesai dihapus otomatis setelah periode ini
+    retentionDays: parseInt(process.env.JOB_RETENTION_DAYS) || 7,
+    // Identitas instance yang dicatat pada job yang dijalankannya
+    instanceId: process.env.INSTANCE_ID || `${os.hostname()}-${process.pid}`,
+    // Interval pembaruan heartbeat job yang sedang dijalankan instance ini
+    heartbeatIntervalMs: parseInt(process.env.JOB_HEARTBEAT_INTERVAL_MS) || 30 * 1000,
+    // Job yang heartbeat-nya lebih lama dari ini dianggap ditinggalkan instance yang berhenti
+    staleAfterMs: parseInt(process.env.JOB_STALE_AFTER_MS) || 2 * 60 * 1000
+  },
+  batch: {
+    // Jumlah maksimum item dalam satu batch
+    maxItems: parseInt(process.env.BATCH_MAX_ITEMS) || 500,
+    // Ukuran maksimum body JSONL untuk unggahan batch
+    maxUploadSize: process.env.BATCH_MAX_UPLOAD_SIZE || '5mb'
+  },
   cache: {
     enabled: process.env.CACHE_ENABLED === 'true',
-    ttl: parseInt(process.env.CACHE_TTL) || 3600
+    // Masa berlaku entri dalam detik
+    ttl: parseInt(process.env.CACHE_TTL) || 3600,
+    // Penyimpanan lapis kedua: 'memory' (hanya LRU per proses) atau 'mongo' (bertahan setelah restart)
+    store: process.env.CACHE_STORE || 'memory',
+    // Batas LRU di memori; entri yang paling lama tidak dipakai dibuang lebih dulu
+    maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES) || 1000,
+    maxSizeBytes: (parseInt(process.env.CACHE_MAX_SIZE_MB) || 64) * 1024 * 1024,
+    // Teks yang lebih besar dari batas ini tidak disimpan
+    maxEntryBytes: (parseInt(process.env.CACHE_MAX_ENTRY_KB) || 256) * 1024
+  },
+  audit: {
+    // Penyimpanan jejak audit: 'file' (JSON Lines) atau 'mongo' (koleksi AuditEvent)
+    store: process.env.AUDIT_STORE || 'file',
+    file: process.env.AUDIT_FILE || './logs/audit.jsonl',
+    // File audit diarsipkan setelah mencapai ukuran ini (audit.jsonl.<waktu catatan terakhir>);
+    // arsip tidak pernah dihapus server dan tetap dicari oleh GET /api/audit
+    maxFileBytes: (parseInt(process.env.AUDIT_MAX_FILE_MB) || 10) * 1024 * 1024
+  },
+  health: {
+    // Model yang harus dimuat agar /health/ready melaporkan siap; dimuat otomatis saat server dimulai
+    requiredModels: parseList(process.env.HEALTH_REQUIRED_MODELS, []),
+    // Set HEALTH_REQUIRE_DATABASE=false agar readiness tidak bergantung pada koneksi MongoDB
+    requireDatabase: process.env.HEALTH_REQUIRE_DATABASE !== 'false'
+  },
+  webhooks: {
+    // Kunci induk untuk menurunkan kunci HMAC per pengguna; wajib diisi di produksi
+    secret: process.env.WEBHOOK_SECRET,
+    // Host tujuan yang diizinkan (`contoh.com` atau `*.contoh.com`); kosong berarti semua host publik
+    allowedHosts: parseList(process.env.WEBHOOK_ALLOWED_HOSTS, []),
+    // Izinkan alamat loopback dan jaringan privat; hanya untuk pengujian lokal
+    allowPrivateAddresses: process.env.WEBHOOK_ALLOW_PRIVATE_ADDRESSES === 'true',
+    // Jumlah percobaan pengiriman sebelum webhook ditandai gagal
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+    // Jeda sebelum percobaan ulang ke-n adalah retryBaseDelayMs * 2^(n-1), maksimal retryMaxDelayMs
+    retryBaseDelayMs: parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY_MS) || 5 * 1000,
+    retryMaxDelayMs: parseInt(process.env.WEBHOOK_RETRY_MAX_DELAY_MS) || 10 * 60 * 1000,
+    // Batas waktu menunggu respons penerima per percobaan
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000,
+    // Catatan pengiriman dihapus otomatis setelah periode ini
+    retentionDays: parseInt(process.env.WEBHOOK_RETENTION_DAYS) || 7
+  },
+  websocket: {
+    // Path endpoint WebSocket untuk generasi dan chat interaktif
+    path: process.env.WS_PATH || '/ws',
+    // Jumlah percakapan (generasi) yang berjalan bersamaan per koneksi
+    maxConversations: parseInt(process.env.WS_MAX_CONVERSATIONS) || 4,
+    // Ukuran maksimum satu pesan dari klien (byte)
+    maxPayload: 1024 * 1024,
+    // Interval ping; koneksi yang tidak membalas pong sebelum ping berikutnya diputus
+    heartbeatIntervalMs: parseInt(process.env.WS_HEARTBEAT_INTERVAL_MS) || 30 * 1000
+  },
+  metrics: {
+    // Endpoint /metrics untuk Prometheus; set METRICS_ENABLED=false untuk menonaktifkan
+    enabled: process.env.METRICS_ENABLED !== 'false',
+    // Token Bearer opsional yang harus dikirim scraper; kosong berarti tanpa autentikasi
+    token: process.env.METRICS_TOKEN
   },
   logger: {
     level: process.env.LOG_LEVEL || 'info',
-    file: './logs/app.log'
+    file: process.env.LOG_FILE || './logs/app.log'
   }
 }; 
\ No newline at end of file
@@ -0,0 +1,166 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Awalan yang membedakan API key dari token JWT
+const KEY_PREFIX = 'sk-lokal-';
+
+// Awalan pemilik key layanan yang tidak terikat ke akun pengguna
+const SERVICE_OWNER_PREFIX = 'apikey:';
+
+/**
+ * Menghitung hash SHA-256 dari API key. API key disimpan hanya dalam bentuk hash.
+ * @param {string} key API key dalam bentuk teks biasa
+ * @returns {string} Hash hex
+ */
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * API key jangka panjang untuk akses antar layanan (bot, batch job)
+ */
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Potongan awal key untuk identifikasi di daftar, misalnya "sk-lokal-Ab12Cd34"
+  displayPrefix: {
+    type: String,
+    required: true
+  },
+  // Identitas yang digunakan sebagai req.user.username saat key dipakai: username akun
+  // terdaftar, atau `apikey:<name>` untuk key layanan
+  owner: {
+    type: String,
+    required: true
+  },
+  // Role untuk keperluan kuota dan batas request; izin ditentukan oleh scopes
+  role: {
+    type: String,
+    default: 'user'
+  },
+  scopes: {
+    type: [String],
+    default: []
+  },
+  expiresAt: {
+    type: Date
+  },
+  revokedAt: {
+    type: Date
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  createdBy: {
+    type: String
+  },
+  rotatedFrom: {
+    type: mongoose.Schema.Types.ObjectId
+  }
+}, { timestamps: true });
+
+/**
+ * Memeriksa apakah key masih dapat digunakan
+ * @returns {boolean} True jika belum dicabut dan belum kedaluwarsa
+ */
+apiKeySchema.methods.isActive = function () {
+  if (this.revokedAt) {
+    return false;
+  }
+  return !this.expiresAt || this.expiresAt.getTime() > Date.now();
+};
+
+/**
+ * Memeriksa apakah key adalah key layanan (pemilik `apikey:<name>`), bukan milik akun pengguna
+ * @returns {boolean} True untuk key layanan
+ */
+apiKeySchema.methods.isServiceKey = function () {
+  return this.owner.startsWith(SERVICE_OWNER_PREFIX);
+};
+
+/**
+ * Representasi publik key tanpa hash
+ * @returns {object} Data API key
+ */
+apiKeySchema.methods.toPublic = function () {
+  return {
+    id: this._id.toString(),
+    name: this.name,
+    displayPrefix: this.displayPrefix,
+    owner: this.owner,
+    role: this.role,
+    scopes: this.scopes,
+    expiresAt: this.expiresAt,
+    revokedAt: this.revokedAt,
+    lastUsedAt: this.lastUsedAt,
+    createdBy: this.createdBy,
+    rotatedFrom: this.rotatedFrom,
+    active: this.isActive(),
+    createdAt: this.createdAt
+  };
+};
+
+/**
+ * Membuat key baru. Nilai key dalam bentuk teks biasa hanya dikembalikan sekali.
+ * @param {object} data { name, owner, role, scopes, expiresAt, createdBy, rotatedFrom }
+ * @returns {Promise<object>} { apiKey: dokumen, key: string teks biasa }
+ */
+apiKeySchema.statics.generate = async function (data) {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+
+  const apiKey = await this.create({
+    ...data,
+    keyHash: hashKey(key),
+    displayPrefix: key.slice(0, KEY_PREFIX.length + 8)
+  });
+
+  return { apiKey, key };
+};
+
+/**
+ * Mencari key berdasarkan nilai teks biasa
+ * @param {string} key API key dari header Authorization
+ * @returns {Promise<object|null>} Dokumen key atau null
+ */
+apiKeySchema.statics.findByKey = function (key) {
+  return this.findOne({ keyHash: hashKey(key) });
+};
+
+/**
+ * Identitas pemilik untuk key layanan
+ * @param {string} name Nama key
+ * @returns {string} Pemilik berformat `apikey:<name>`
+ */
+apiKeySchema.statics.serviceOwner = function (name) {
+  return `${SERVICE_OWNER_PREFIX}${name.trim()}`;
+};
+
+/**
+ * Mencabut semua API key aktif milik pengguna
+ * @param {string} owner Username pemilik
+ * @returns {Promise<number>} Jumlah key yang dicabut
+ */
+apiKeySchema.statics.revokeAllForOwner = async function (owner) {
+  const result = await this.updateMany(
+    { owner, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Memeriksa apakah token berbentuk API key
+ * @param {string} token Token dari header Authorization
+ * @returns {boolean} True jika token diawali awalan API key
+ */
+apiKeySchema.statics.isApiKey = function (token) {
+  return typeof token === 'string' && token.startsWith(KEY_PREFIX);
+};
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
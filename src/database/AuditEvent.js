@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+/**
+ * Catatan audit tindakan administratif (store MongoDB).
+ * Koleksi ini hanya boleh ditambah; update dan delete melalui model ditolak.
+ */
+const auditEventSchema = new mongoose.Schema({
+  timestamp: {
+    type: Date,
+    required: true
+  },
+  // Pengguna yang melakukan tindakan; untuk login gagal berisi username yang dicoba
+  actor: {
+    type: String,
+    default: null
+  },
+  role: {
+    type: String,
+    default: null
+  },
+  authType: {
+    type: String,
+    default: null
+  },
+  // Nama tindakan, misalnya 'auth.login' atau 'models.load'
+  action: {
+    type: String,
+    required: true
+  },
+  target: {
+    type: String,
+    default: null
+  },
+  outcome: {
+    type: String,
+    enum: ['success', 'failure', 'aborted'],
+    required: true
+  },
+  status: {
+    type: Number
+  },
+  // Code error jika tindakan gagal
+  code: {
+    type: String,
+    default: null
+  },
+  requestId: {
+    type: String
+  },
+  ip: {
+    type: String
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, { versionKey: false });
+
+auditEventSchema.index({ timestamp: -1 });
+auditEventSchema.index({ actor: 1, timestamp: -1 });
+auditEventSchema.index({ action: 1, timestamp: -1 });
+
+const IMMUTABLE_MESSAGE = 'Catatan audit tidak dapat diubah atau dihapus';
+
+const rejectChange = function () {
+  throw new Error(IMMUTABLE_MESSAGE);
+};
+
+auditEventSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndReplace'], rejectChange);
+
+auditEventSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error(IMMUTABLE_MESSAGE));
+  }
+  next();
+});
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
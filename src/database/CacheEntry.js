@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+/**
+ * Hasil generasi yang disimpan oleh cache respons (store MongoDB) sehingga tetap
+ * tersedia setelah restart dan dapat dibagi antar instance server
+ */
+const cacheEntrySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  model: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Potongan awal prompt untuk keperluan inspeksi oleh admin
+  promptPreview: {
+    type: String
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  // Dokumen dihapus otomatis oleh MongoDB setelah TTL cache berakhir
+  expiresAt: {
+    type: Date,
+    required: true,
+    expires: 0
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('CacheEntry', cacheEntrySchema);
@@ -0,0 +1,173 @@
+const mongoose = require('mongoose');
+const { fromStoredError } = require('../utils/errors');
+const { localize, DEFAULT_LOCALE } = require('../utils/i18n');
+
+const JOB_TYPES = ['generate', 'batch'];
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+
+// Status akhir; job dengan status ini tidak akan berubah lagi
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * Job generasi asinkron. Hasil disimpan di MongoDB sehingga tetap dapat diambil
+ * setelah koneksi klien terputus atau server dimulai ulang.
+ */
+const jobSchema = new mongoose.Schema({
+  owner: {
+    type: String,
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    enum: JOB_TYPES,
+    default: 'generate'
+  },
+  // Nama model atau 'all'; untuk batch berisi daftar model yang digunakan, dipisah koma
+  model: {
+    type: String,
+    required: true
+  },
+  prompt: {
+    type: String,
+    required: function () {
+      return this.type === 'generate';
+    }
+  },
+  // Item batch hasil prepareBatchItems (khusus type batch)
+  items: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: undefined
+  },
+  options: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: JOB_STATUSES,
+    default: 'queued',
+    index: true
+  },
+  // { generated_text } untuk satu model, { results } untuk target 'all' (model yang gagal berisi
+  // { error } hasil toStoredError) atau { results, summary } untuk batch
+  result: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Hasil toStoredError { code, key, params }; pesan diterjemahkan saat job dibaca.
+  // Job lama dapat berisi teks biasa.
+  error: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Instance yang menjalankan job (config.jobs.instanceId) dan waktu terakhir instance tersebut
+  // melaporkan job masih berjalan; dipakai jobRunner.recover untuk mengenali job yang ditinggalkan
+  instanceId: {
+    type: String
+  },
+  heartbeatAt: {
+    type: Date
+  },
+  // URL yang menerima webhook job.<status> setelah job selesai
+  callbackUrl: {
+    type: String
+  },
+  startedAt: {
+    type: Date
+  },
+  finishedAt: {
+    type: Date
+  },
+  // Job yang sudah selesai dihapus otomatis oleh MongoDB setelah masa retensi
+  expiresAt: {
+    type: Date,
+    expires: 0
+  }
+}, { timestamps: true });
+
+/**
+ * Menerjemahkan error per model pada hasil target 'all'. Hasil job lama berisi teks `ERROR: ...`
+ * dan dikembalikan apa adanya.
+ * @private
+ */
+const localizeResult = (result, locale) => {
+  if (!result || !result.results || Array.isArray(result.results)) {
+    return result;
+  }
+
+  return {
+    ...result,
+    results: Object.fromEntries(Object.entries(result.results).map(([model, value]) => {
+      const error = value && fromStoredError(value.error);
+      return [model, error ? { error: { code: error.code, message: localize(error.message, locale) } } : value];
+    }))
+  };
+};
+
+/**
+ * Mencari job berdasarkan ID
+ * @param {string} id ID job
+ * @param {string|null} owner Username pemilik; null untuk job milik siapa pun
+ * @returns {Promise<object|null>} Dokumen job atau null jika tidak ditemukan
+ */
+jobSchema.statics.findOwned = function (id, owner = null) {
+  if (!mongoose.isValidObjectId(id)) {
+    return Promise.resolve(null);
+  }
+  return this.findOne(owner ? { _id: id, owner } : { _id: id });
+};
+
+/**
+ * Memeriksa apakah job sudah mencapai status akhir
+ * @returns {boolean} True jika completed, failed atau cancelled
+ */
+jobSchema.methods.isFinished = function () {
+  return FINISHED_STATUSES.includes(this.status);
+};
+
+/**
+ * Ringkasan job tanpa prompt dan hasil untuk keperluan daftar
+ * @param {object|null} progress Progres langsung dari jobRunner jika job sedang berjalan
+ * @param {string} locale Bahasa pesan error
+ * @returns {object} Ringkasan job
+ */
+jobSchema.methods.toSummary = function (progress = null, locale = DEFAULT_LOCALE) {
+  const error = fromStoredError(this.error);
+
+  return {
+    id: this._id.toString(),
+    owner: this.owner,
+    type: this.type,
+    model: this.model,
+    itemCount: this.items ? this.items.length : undefined,
+    status: this.status,
+    progress: progress || undefined,
+    error: error ? localize(error.message, locale) : undefined,
+    errorCode: error ? error.code : undefined,
+    createdAt: this.createdAt,
+    startedAt: this.startedAt,
+    finishedAt: this.finishedAt
+  };
+};
+
+/**
+ * Representasi lengkap job termasuk prompt, opsi dan hasil
+ * @param {object|null} progress Progres langsung dari jobRunner jika job sedang berjalan
+ * @param {string} locale Bahasa pesan error
+ * @returns {object} Detail job
+ */
+jobSchema.methods.toDetail = function (progress = null, locale = DEFAULT_LOCALE) {
+  return {
+    ...this.toSummary(progress, locale),
+    prompt: this.prompt,
+    options: this.options,
+    callbackUrl: this.callbackUrl,
+    result: localizeResult(this.result, locale)
+  };
+};
+
+jobSchema.statics.TYPES = JOB_TYPES;
+jobSchema.statics.STATUSES = JOB_STATUSES;
+jobSchema.statics.FINISHED_STATUSES = FINISHED_STATUSES;
+
+module.exports = mongoose.model('Job', jobSchema);
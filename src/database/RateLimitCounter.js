@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+/**
+ * Jumlah request per kunci rate limit dalam satu jendela waktu.
+ * Digunakan oleh store MongoDB pada rate limiter agar batas berlaku
+ * lintas restart dan lintas instance server.
+ */
+const rateLimitCounterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  windowStart: {
+    type: Date,
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  // Dokumen dihapus otomatis oleh MongoDB setelah tidak lagi dibutuhkan
+  expiresAt: {
+    type: Date,
+    required: true,
+    expires: 0
+  }
+});
+
+rateLimitCounterSchema.index({ key: 1, windowStart: 1 }, { unique: true });
+
+module.exports = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
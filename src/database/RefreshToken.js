@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const config = require('../config/config');
+
+/**
+ * Menghitung hash SHA-256 dari refresh token. Refresh token disimpan hanya dalam bentuk hash.
+ * @param {string} token Refresh token dalam bentuk teks biasa
+ * @returns {string} Hash hex
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Refresh token untuk menerbitkan token akses baru tanpa login ulang.
+ * Setiap refresh token hanya dapat dipakai sekali dan diganti dengan yang baru (rotasi).
+ */
+const refreshTokenSchema = new mongoose.Schema({
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  username: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Dokumen dihapus otomatis oleh MongoDB setelah kedaluwarsa
+  expiresAt: {
+    type: Date,
+    required: true,
+    expires: 0
+  },
+  revokedAt: {
+    type: Date
+  },
+  // Token pengganti hasil rotasi; dipakai untuk mendeteksi penggunaan ulang token lama
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId
+  }
+}, { timestamps: true });
+
+/**
+ * Memeriksa apakah refresh token masih dapat digunakan
+ * @returns {boolean} True jika belum dicabut dan belum kedaluwarsa
+ */
+refreshTokenSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt.getTime() > Date.now();
+};
+
+/**
+ * Membuat refresh token baru untuk pengguna
+ * @param {string} username Pemilik token
+ * @param {object} options { _id: ID dokumen yang sudah dicatat sebagai replacedBy saat rotasi }
+ * @returns {Promise<object>} { refreshToken: dokumen, token: string teks biasa }
+ */
+refreshTokenSchema.statics.generate = async function (username, { _id } = {}) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const ttlMs = config.security.refreshTokenExpiresInDays * 24 * 60 * 60 * 1000;
+
+  const refreshToken = await this.create({
+    _id,
+    tokenHash: hashToken(token),
+    username,
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+
+  return { refreshToken, token };
+};
+
+/**
+ * Mencari refresh token berdasarkan nilai teks biasa
+ * @param {string} token Refresh token dari body request
+ * @returns {Promise<object|null>} Dokumen token atau null
+ */
+refreshTokenSchema.statics.findByToken = function (token) {
+  return this.findOne({ tokenHash: hashToken(token) });
+};
+
+/**
+ * Menandai refresh token sebagai sudah dirotasi secara atomik. Hanya satu request yang
+ * berhasil mengklaim token yang sama walaupun dikirim bersamaan.
+ * @param {object} id ID refresh token
+ * @param {object} replacedBy ID refresh token pengganti
+ * @returns {Promise<object|null>} Dokumen yang diklaim, atau null jika sudah dicabut atau dirotasi
+ */
+refreshTokenSchema.statics.claim = function (id, replacedBy) {
+  return this.findOneAndUpdate(
+    { _id: id, revokedAt: null },
+    { revokedAt: new Date(), replacedBy },
+    { new: true }
+  );
+};
+
+/**
+ * Mencabut semua refresh token aktif milik pengguna
+ * @param {string} username Pemilik token
+ * @returns {Promise<number>} Jumlah token yang dicabut
+ */
+refreshTokenSchema.statics.revokeAllForUser = async function (username) {
+  const result = await this.updateMany(
+    { username, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+/**
+ * Catatan pencabutan token JWT.
+ * - kind 'token': satu token dicabut berdasarkan jti, disimpan sampai token kedaluwarsa
+ * - kind 'user': riwayat pencabutan semua token pengguna; token dengan klaim `ver` di bawah
+ *   tokenVersion dicabut
+ */
+const revokedTokenSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['token', 'user'],
+    required: true
+  },
+  jti: {
+    type: String,
+    index: true
+  },
+  username: {
+    type: String,
+    required: true,
+    index: true
+  },
+  tokenVersion: {
+    type: Number
+  },
+  reason: {
+    type: String
+  },
+  revokedBy: {
+    type: String
+  },
+  // Dokumen dihapus otomatis oleh MongoDB setelah token aslinya kedaluwarsa
+  expiresAt: {
+    type: Date,
+    expires: 0
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('RevokedToken', revokedTokenSchema);
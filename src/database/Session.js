@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const { CHAT_ROLES } = require('../models/chatTemplates');
+
+/**
+ * Satu pesan dalam sesi percakapan
+ */
+const messageSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: CHAT_ROLES,
+    required: true
+  },
+  content: {
+    type: String,
+    required: true
+  },
+  model: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+/**
+ * Sesi percakapan milik seorang pengguna
+ */
+const sessionSchema = new mongoose.Schema({
+  owner: {
+    type: String,
+    required: true,
+    index: true
+  },
+  title: {
+    type: String,
+    default: 'Percakapan baru'
+  },
+  model: {
+    type: String
+  },
+  messages: {
+    type: [messageSchema],
+    default: []
+  }
+}, { timestamps: true });
+
+/**
+ * Mencari sesi berdasarkan ID yang dimiliki oleh pengguna tertentu
+ * @param {string} id ID sesi
+ * @param {string} owner Username pemilik sesi
+ * @returns {Promise<object|null>} Dokumen sesi atau null jika tidak ditemukan
+ */
+sessionSchema.statics.findOwned = function (id, owner) {
+  if (!mongoose.isValidObjectId(id)) {
+    return Promise.resolve(null);
+  }
+  return this.findOne({ _id: id, owner });
+};
+
+/**
+ * Menambahkan pesan ke akhir sesi dan menyimpannya. Jika sesi melebihi
+ * config.sessions.maxMessages, pesan tertua dibuang agar dokumen tidak tumbuh tanpa batas.
+ * @param {Array} messages Daftar pesan { role, content, model }
+ * @returns {Promise<object>} Dokumen sesi yang telah diperbarui
+ */
+sessionSchema.methods.appendMessages = function (messages) {
+  this.messages.push(...messages);
+
+  const overflow = this.messages.length - config.sessions.maxMessages;
+  if (overflow > 0) {
+    this.messages.splice(0, overflow);
+  }
+
+  return this.save();
+};
+
+/**
+ * Ringkasan sesi tanpa isi pesan untuk keperluan daftar
+ * @returns {object} Ringkasan sesi
+ */
+sessionSchema.methods.toSummary = function () {
+  return {
+    id: this._id.toString(),
+    title: this.title,
+    model: this.model,
+    messageCount: this.messages.length,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+/**
+ * Representasi lengkap sesi termasuk riwayat pesan
+ * @returns {object} Detail sesi
+ */
+sessionSchema.methods.toDetail = function () {
+  return {
+    ...this.toSummary(),
+    owner: this.owner,
+    messages: this.messages.map(message => ({
+      role: message.role,
+      content: message.content,
+      model: message.model,
+      createdAt: message.createdAt
+    }))
+  };
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+
+/**
+ * Akumulasi pemakaian token per pengguna, per model, per hari (UTC).
+ * Setiap request generasi menambah counter pada dokumen hari yang bersangkutan.
+ */
+const usageSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: true
+  },
+  model: {
+    type: String,
+    required: true
+  },
+  // Tanggal UTC dalam format YYYY-MM-DD
+  day: {
+    type: String,
+    required: true
+  },
+  // Bulan UTC dalam format YYYY-MM, untuk kuota dan laporan bulanan
+  month: {
+    type: String,
+    required: true
+  },
+  requests: {
+    type: Number,
+    default: 0
+  },
+  promptTokens: {
+    type: Number,
+    default: 0
+  },
+  completionTokens: {
+    type: Number,
+    default: 0
+  }
+}, { timestamps: true });
+
+usageSchema.index({ username: 1, model: 1, day: 1 }, { unique: true });
+usageSchema.index({ username: 1, month: 1 });
+usageSchema.index({ day: 1 });
+
+/**
+ * Mendapatkan kunci hari dan bulan UTC untuk sebuah waktu
+ * @param {Date} date Waktu (default: sekarang)
+ * @returns {object} { day: 'YYYY-MM-DD', month: 'YYYY-MM' }
+ */
+usageSchema.statics.periodOf = function (date = new Date()) {
+  const day = date.toISOString().slice(0, 10);
+  return { day, month: day.slice(0, 7) };
+};
+
+/**
+ * Mencatat pemakaian token satu request
+ * @param {object} data { username, model, promptTokens, completionTokens }
+ * @returns {Promise<object>} Hasil update
+ */
+usageSchema.statics.record = function ({ username, model, promptTokens, completionTokens }) {
+  const { day, month } = this.periodOf();
+
+  return this.updateOne(
+    { username, model, day },
+    {
+      $setOnInsert: { month },
+      $inc: { requests: 1, promptTokens, completionTokens }
+    },
+    { upsert: true }
+  );
+};
+
+/**
+ * Menghitung total token pengguna untuk hari dan bulan berjalan
+ * @param {string} username Nama pengguna
+ * @returns {Promise<object>} { dailyTokens, monthlyTokens }
+ */
+usageSchema.statics.currentTotals = async function (username) {
+  const { day, month } = this.periodOf();
+
+  const [totals] = await this.aggregate([
+    { $match: { username, month } },
+    {
+      $group: {
+        _id: null,
+        monthlyTokens: { $sum: { $add: ['$promptTokens', '$completionTokens'] } },
+        dailyTokens: {
+          $sum: {
+            $cond: [{ $eq: ['$day', day] }, { $add: ['$promptTokens', '$completionTokens'] }, 0]
+          }
+        }
+      }
+    }
+  ]);
+
+  return {
+    dailyTokens: totals ? totals.dailyTokens : 0,
+    monthlyTokens: totals ? totals.monthlyTokens : 0
+  };
+};
+
+/**
+ * Menyusun ringkasan pemakaian dalam rentang tanggal
+ * @param {object} filter { username, from: 'YYYY-MM-DD', to: 'YYYY-MM-DD' }
+ * @param {Array<string>} groupBy Field pengelompokan, misalnya ['username', 'model']
+ * @returns {Promise<Array>} Baris ringkasan { username?, model?, day?, requests, promptTokens, completionTokens, totalTokens }
+ */
+usageSchema.statics.summarize = async function ({ username, from, to }, groupBy) {
+  const match = { day: { $gte: from, $lte: to } };
+  if (username) {
+    match.username = username;
+  }
+
+  const rows = await this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: Object.fromEntries(groupBy.map(field => [field, `$${field}`])),
+        requests: { $sum: '$requests' },
+        promptTokens: { $sum: '$promptTokens' },
+        completionTokens: { $sum: '$completionTokens' }
+      }
+    },
+    { $sort: Object.fromEntries(groupBy.map(field => [`_id.${field}`, 1])) }
+  ]);
+
+  return rows.map(row => ({
+    ...row._id,
+    requests: row.requests,
+    promptTokens: row.promptTokens,
+    completionTokens: row.completionTokens,
+    totalTokens: row.promptTokens + row.completionTokens
+  }));
+};
+
+module.exports = mongoose.model('Usage', usageSchema);
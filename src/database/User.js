@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const config = require('../config/config');
+const { msg } = require('../utils/i18n');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Peran pengguna yang dikenali sistem (lihat config.security.roles)
+const USER_ROLES = Object.keys(config.security.roles);
+
+const SALT_BYTES = 16;
+const KEY_LENGTH = 64;
+
+/**
+ * Akun pengguna API
+ */
+const userSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true
+  },
+  // Format: <salt hex>:<hash scrypt hex>
+  passwordHash: {
+    type: String,
+    required: true
+  },
+  role: {
+    type: String,
+    enum: USER_ROLES,
+    default: 'user'
+  },
+  disabled: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: String
+  },
+  lastLoginAt: {
+    type: Date
+  },
+  passwordChangedAt: {
+    type: Date
+  },
+  // Dinaikkan setiap kali semua token pengguna dicabut; dibawa JWT sebagai klaim `ver`
+  tokenVersion: {
+    type: Number,
+    default: 0
+  }
+}, { timestamps: true });
+
+/**
+ * Menghitung hash password dengan salt acak menggunakan scrypt
+ * @param {string} password Password dalam bentuk teks biasa
+ * @returns {Promise<void>}
+ */
+userSchema.methods.setPassword = async function (password) {
+  const salt = crypto.randomBytes(SALT_BYTES).toString('hex');
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+
+  this.passwordHash = `${salt}:${hash.toString('hex')}`;
+  this.passwordChangedAt = new Date();
+};
+
+/**
+ * Memverifikasi password terhadap hash yang tersimpan
+ * @param {string} password Password dalam bentuk teks biasa
+ * @returns {Promise<boolean>} True jika password cocok
+ */
+userSchema.methods.verifyPassword = async function (password) {
+  const [salt, storedHash] = (this.passwordHash || '').split(':');
+  if (!salt || !storedHash) {
+    return false;
+  }
+
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  const expected = Buffer.from(storedHash, 'hex');
+
+  return expected.length === hash.length && crypto.timingSafeEqual(expected, hash);
+};
+
+/**
+ * Representasi publik pengguna tanpa hash password
+ * @returns {object} Data pengguna
+ */
+userSchema.methods.toPublic = function () {
+  return {
+    username: this.username,
+    role: this.role,
+    disabled: this.disabled,
+    createdBy: this.createdBy,
+    lastLoginAt: this.lastLoginAt,
+    passwordChangedAt: this.passwordChangedAt,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+/**
+ * Memvalidasi password baru sesuai kebijakan minimum
+ * @param {string} password Password baru
+ * @returns {Message|null} Pesan error atau null jika valid
+ */
+userSchema.statics.validatePassword = function (password) {
+  if (typeof password !== 'string' || password.length < config.security.passwordMinLength) {
+    return msg('auth.passwordTooShort', { min: config.security.passwordMinLength });
+  }
+  return null;
+};
+
+/**
+ * Membuat pengguna baru dengan password yang sudah di-hash
+ * @param {object} data { username, password, role, createdBy }
+ * @returns {Promise<object>} Dokumen pengguna yang tersimpan
+ */
+userSchema.statics.register = async function ({ username, password, role, createdBy }) {
+  const user = new this({ username, role, createdBy });
+  await user.setPassword(password);
+  return user.save();
+};
+
+userSchema.statics.ROLES = USER_ROLES;
+
+module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,162 @@
+const mongoose = require('mongoose');
+const { fromStoredError } = require('../utils/errors');
+const { localize, DEFAULT_LOCALE } = require('../utils/i18n');
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+/**
+ * Satu percobaan pengiriman webhook
+ */
+const attemptSchema = new mongoose.Schema({
+  number: {
+    type: Number,
+    required: true
+  },
+  attemptedAt: {
+    type: Date,
+    required: true
+  },
+  // Status HTTP dari penerima; kosong jika koneksi gagal atau melewati batas waktu
+  statusCode: {
+    type: Number
+  },
+  // Hasil toStoredError { code, key, params }; catatan lama dapat berisi teks biasa
+  error: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  durationMs: {
+    type: Number
+  }
+}, { _id: false });
+
+/**
+ * Pengiriman webhook ke URL callback yang didaftarkan pada job atau pelatihan.
+ * Payload disimpan apa adanya sehingga dapat dikirim ulang (replay) dengan isi yang sama.
+ */
+const webhookDeliverySchema = new mongoose.Schema({
+  owner: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Nama event, misalnya 'job.completed' atau 'training.failed'
+  event: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  // Resource yang memicu webhook
+  source: {
+    type: {
+      type: String,
+      enum: ['job', 'training'],
+      required: true
+    },
+    id: {
+      type: String,
+      required: true
+    }
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: DELIVERY_STATUSES,
+    default: 'pending',
+    index: true
+  },
+  attempts: {
+    type: [attemptSchema],
+    default: []
+  },
+  nextAttemptAt: {
+    type: Date
+  },
+  deliveredAt: {
+    type: Date
+  },
+  // Pengiriman asal jika dokumen ini dibuat melalui replay
+  replayOf: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // Dihapus otomatis oleh MongoDB setelah masa retensi
+  expiresAt: {
+    type: Date,
+    expires: 0
+  }
+}, { timestamps: true });
+
+webhookDeliverySchema.index({ 'source.type': 1, 'source.id': 1 });
+
+/**
+ * Mencari pengiriman berdasarkan ID
+ * @param {string} id ID pengiriman
+ * @param {string|null} owner Username pemilik; null untuk pengiriman milik siapa pun
+ * @returns {Promise<object|null>} Dokumen pengiriman atau null jika tidak ditemukan
+ */
+webhookDeliverySchema.statics.findOwned = function (id, owner = null) {
+  if (!mongoose.isValidObjectId(id)) {
+    return Promise.resolve(null);
+  }
+  return this.findOne(owner ? { _id: id, owner } : { _id: id });
+};
+
+/**
+ * Pesan dan code error percobaan dalam bahasa yang diminta
+ * @private
+ */
+const attemptError = (attempt, locale) => {
+  const error = attempt ? fromStoredError(attempt.error) : null;
+  return error
+    ? { error: localize(error.message, locale), errorCode: error.code }
+    : { error: undefined, errorCode: undefined };
+};
+
+/**
+ * Ringkasan pengiriman tanpa payload dan riwayat percobaan
+ * @param {string} locale Bahasa pesan error
+ * @returns {object} Ringkasan pengiriman
+ */
+webhookDeliverySchema.methods.toSummary = function (locale = DEFAULT_LOCALE) {
+  const lastAttempt = this.attempts[this.attempts.length - 1];
+  const lastError = attemptError(lastAttempt, locale);
+
+  return {
+    id: this._id.toString(),
+    owner: this.owner,
+    event: this.event,
+    url: this.url,
+    source: { type: this.source.type, id: this.source.id },
+    status: this.status,
+    attemptCount: this.attempts.length,
+    lastStatusCode: lastAttempt ? lastAttempt.statusCode : undefined,
+    lastError: lastError.error,
+    lastErrorCode: lastError.errorCode,
+    nextAttemptAt: this.status === 'pending' ? this.nextAttemptAt : undefined,
+    deliveredAt: this.deliveredAt,
+    replayOf: this.replayOf ? this.replayOf.toString() : undefined,
+    createdAt: this.createdAt
+  };
+};
+
+/**
+ * Representasi lengkap pengiriman termasuk payload dan setiap percobaan
+ * @param {string} locale Bahasa pesan error
+ * @returns {object} Detail pengiriman
+ */
+webhookDeliverySchema.methods.toDetail = function (locale = DEFAULT_LOCALE) {
+  return {
+    ...this.toSummary(locale),
+    payload: this.payload,
+    attempts: this.attempts.map(attempt => ({ ...attempt.toObject(), ...attemptError(attempt, locale) }))
+  };
+};
+
+webhookDeliverySchema.statics.STATUSES = DELIVERY_STATUSES;
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,253 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const database = require('./database');
+const AuditEvent = require('./AuditEvent');
+
+// Field yang dikembalikan untuk setiap catatan audit
+const EVENT_FIELDS = ['timestamp', 'actor', 'role', 'authType', 'action', 'target', 'outcome', 'status', 'code', 'requestId', 'ip', 'details'];
+
+/**
+ * Menyalin field catatan audit dengan urutan tetap dan timestamp ISO
+ * @private
+ */
+const toPlainEvent = (event) => Object.fromEntries(EVENT_FIELDS
+  .filter(field => event[field] !== undefined && event[field] !== null)
+  .map(field => [field, field === 'timestamp' ? new Date(event[field]).toISOString() : event[field]]));
+
+// Akhiran nama arsip: waktu catatan terakhirnya (20240610T101112123Z), ditambah -<n> jika waktunya
+// sama dengan arsip sebelumnya. Akhiran angka saja berasal dari rotasi versi lama (audit.jsonl.1, ...).
+const ARCHIVE_SUFFIX = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(\d{3})Z(?:-(\d+))?$/;
+const LEGACY_SUFFIX = /^\d+$/;
+
+/**
+ * Membuat akhiran nama arsip dari waktu catatan terakhirnya
+ * @private
+ */
+const archiveSuffix = (timestamp) => new Date(timestamp).toISOString().replace(/[-:.]/g, '');
+
+/**
+ * Kelas AuditLog menyimpan jejak audit tindakan administratif (login, pemuatan model,
+ * pelatihan, pengelolaan pengguna dan API key) yang hanya dapat ditambah.
+ * Store 'file' menulis JSON Lines ke config.audit.file yang diarsipkan berdasarkan ukuran;
+ * store 'mongo' menulis ke koleksi AuditEvent.
+ */
+class AuditLog {
+  constructor() {
+    // Penulisan ke file dijalankan berurutan agar rotasi tidak bertabrakan dengan penulisan lain
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Mencatat satu tindakan. Kegagalan penyimpanan hanya dicatat di log aplikasi agar
+   * tidak menggagalkan tindakan yang diaudit.
+   * @param {object} event { actor, role, authType, action, target, outcome, status, code, requestId, ip, details }
+   * @returns {Promise<object>} Catatan yang disimpan
+   */
+  async record(event) {
+    const entry = toPlainEvent({ ...event, timestamp: new Date() });
+
+    try {
+      if (config.audit.store === 'mongo') {
+        if (!database.isConnected()) {
+          throw new Error('database tidak terhubung');
+        }
+        await AuditEvent.create(entry);
+      } else {
+        await this._appendToFile(entry);
+      }
+    } catch (error) {
+      // Catatan tetap tersedia di log aplikasi jika store audit tidak dapat ditulis
+      logger.error(`Gagal menyimpan catatan audit: ${error.message} ${JSON.stringify(entry)}`);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Mencari catatan audit, terbaru lebih dulu. Store 'file' mencari di file aktif dan setiap arsip
+   * yang rentang waktunya beririsan dengan `from`-`to`.
+   * @param {object} filter { actor, actions (array), outcome, from (Date), to (Date), limit, skip }
+   * @returns {Promise<object>} { events, total }
+   */
+  async query({ actor, actions, outcome, from, to, limit = 100, skip = 0 } = {}) {
+    if (config.audit.store === 'mongo') {
+      const match = {};
+      if (actor) {
+        match.actor = actor;
+      }
+      if (actions && actions.length > 0) {
+        match.action = { $in: actions };
+      }
+      if (outcome) {
+        match.outcome = outcome;
+      }
+      if (from || to) {
+        match.timestamp = {};
+        if (from) {
+          match.timestamp.$gte = from;
+        }
+        if (to) {
+          match.timestamp.$lte = to;
+        }
+      }
+
+      const [events, total] = await Promise.all([
+        AuditEvent.find(match).sort({ timestamp: -1 }).skip(skip).limit(limit).lean(),
+        AuditEvent.countDocuments(match)
+      ]);
+
+      return { events: events.map(toPlainEvent), total };
+    }
+
+    const matches = (event) => {
+      const timestamp = new Date(event.timestamp);
+      return (!actor || event.actor === actor)
+        && (!actions || actions.length === 0 || actions.includes(event.action))
+        && (!outcome || event.outcome === outcome)
+        && (!from || timestamp >= from)
+        && (!to || timestamp <= to);
+    };
+
+    // Dibaca dari file terbaru; hanya skip + limit catatan terbaru yang disimpan di memori
+    const files = (await this._listFiles()).filter(entry => (!to || !entry.after || entry.after <= to)
+      && (!from || !entry.until || entry.until >= from));
+    let events = [];
+    let total = 0;
+
+    for (const { file } of files.reverse()) {
+      const found = await this._readFile(file, matches);
+      total += found.length;
+      if (events.length < skip + limit) {
+        events = events.concat(found.reverse()).slice(0, skip + limit);
+      }
+    }
+
+    return { events: events.slice(skip, skip + limit), total };
+  }
+
+  /**
+   * Menambahkan satu baris JSON ke file audit, merotasi file lebih dulu jika baris tersebut
+   * membuat ukurannya melewati config.audit.maxFileBytes
+   * @private
+   */
+  _appendToFile(entry) {
+    const line = `${JSON.stringify(entry)}\n`;
+
+    const write = async () => {
+      await fs.promises.mkdir(path.dirname(config.audit.file), { recursive: true });
+      const size = await fs.promises.stat(config.audit.file).then(stats => stats.size, () => 0);
+      if (size > 0 && size + Buffer.byteLength(line) > config.audit.maxFileBytes) {
+        await this._rotate();
+      }
+      await fs.promises.appendFile(config.audit.file, line);
+    };
+
+    const result = this.writing.then(write);
+    this.writing = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Mengarsipkan file audit aktif menjadi audit.jsonl.<waktu catatan terakhir>. Catatan ditulis
+   * berurutan sehingga setiap arsip berisi catatan antara waktu arsip sebelumnya dan waktu arsipnya.
+   * @private
+   */
+  async _rotate() {
+    const { file } = config.audit;
+    const events = await this._readFile(file);
+    const last = events.length > 0 ? events[events.length - 1].timestamp : new Date();
+
+    const base = `${file}.${archiveSuffix(last)}`;
+    let archive = base;
+    for (let index = 1; fs.existsSync(archive); index++) {
+      archive = `${base}-${index}`;
+    }
+    await fs.promises.rename(file, archive);
+
+    logger.info(`File audit ${file} diarsipkan ke ${archive}`);
+  }
+
+  /**
+   * Daftar file audit dari yang terlama: arsip versi lama, arsip berdasarkan waktu, lalu file aktif.
+   * Setiap file membawa rentang waktu catatannya, { file, after, until }; rentang yang tidak
+   * diketahui bernilai null sehingga file tersebut selalu dicari.
+   * @private
+   */
+  async _listFiles() {
+    const { file } = config.audit;
+    const prefix = `${path.basename(file)}.`;
+    const names = await fs.promises.readdir(path.dirname(file)).catch(() => []);
+
+    const legacy = [];
+    const archives = [];
+    for (const name of names.filter(entry => entry.startsWith(prefix))) {
+      const suffix = name.slice(prefix.length);
+      const match = ARCHIVE_SUFFIX.exec(suffix);
+      if (match) {
+        const [, year, month, day, hour, minute, second, millisecond, index = 0] = match;
+        archives.push({
+          file: path.join(path.dirname(file), name),
+          until: new Date(Date.UTC(year, month - 1, day, hour, minute, second, millisecond)),
+          index: Number(index)
+        });
+      } else if (LEGACY_SUFFIX.test(suffix)) {
+        legacy.push({ file: path.join(path.dirname(file), name), after: null, until: null, number: Number(suffix) });
+      }
+    }
+
+    legacy.sort((a, b) => b.number - a.number);
+    archives.sort((a, b) => a.until - b.until || a.index - b.index);
+    archives.forEach((archive, position) => {
+      archive.after = position > 0 ? archives[position - 1].until : null;
+    });
+
+    const lastArchive = archives[archives.length - 1];
+    return [
+      ...legacy,
+      ...archives,
+      { file, after: lastArchive ? lastArchive.until : null, until: null }
+    ];
+  }
+
+  /**
+   * Membaca catatan dari satu file audit yang lolos filter; baris yang rusak dilewati
+   * @private
+   */
+  async _readFile(file, matches = () => true) {
+    if (!fs.existsSync(file)) {
+      return [];
+    }
+
+    const events = [];
+    const lines = readline.createInterface({
+      input: fs.createReadStream(file),
+      crlfDelay: Infinity
+    });
+
+    for await (const line of lines) {
+      if (!line.trim()) {
+        continue;
+      }
+      let event;
+      try {
+        event = JSON.parse(line);
+      } catch (error) {
+        logger.warn(`Baris file audit tidak valid dilewati: ${error.message}`);
+        continue;
+      }
+      if (matches(event)) {
+        events.push(event);
+      }
+    }
+
+    return events;
+  }
+}
+
+// Singleton instance
+const auditLog = new AuditLog();
+
+module.exports = auditLog;
@@ -0,0 +1,70 @@
+const User = require('./User');
+const database = require('./database');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+/**
+ * Membuat akun admin pertama dari variabel lingkungan ADMIN_USERNAME dan ADMIN_PASSWORD
+ * jika database belum memiliki admin sama sekali
+ * @returns {Promise<object|null>} Admin yang dibuat, atau null jika tidak ada yang dibuat
+ */
+const bootstrapAdmin = async () => {
+  const { username, password } = config.security.bootstrapAdmin;
+
+  if (await User.exists({ role: 'admin' })) {
+    logger.debug('Admin sudah ada, melewati pembuatan admin awal');
+    return null;
+  }
+
+  if (!username || !password) {
+    logger.warn('Belum ada admin. Atur ADMIN_USERNAME dan ADMIN_PASSWORD lalu jalankan `npm run create-admin`');
+    return null;
+  }
+
+  const passwordError = User.validatePassword(password);
+  if (passwordError) {
+    throw new Error(`ADMIN_PASSWORD tidak valid: ${passwordError}`);
+  }
+
+  const existing = await User.findOne({ username: username.toLowerCase() });
+  if (existing) {
+    // Naikkan pengguna yang sudah ada menjadi admin alih-alih membuat duplikat
+    existing.role = 'admin';
+    existing.disabled = false;
+    await existing.setPassword(password);
+    await existing.save();
+    logger.info(`Pengguna ${existing.username} dijadikan admin`);
+    return existing;
+  }
+
+  const admin = await User.register({
+    username,
+    password,
+    role: 'admin',
+    createdBy: 'bootstrap'
+  });
+
+  logger.info(`Admin awal ${admin.username} berhasil dibuat`);
+  return admin;
+};
+
+// CLI handler jika dijalankan langsung
+if (require.main === module) {
+  (async () => {
+    try {
+      await database.connect();
+      const admin = await bootstrapAdmin();
+
+      if (!admin) {
+        logger.info('Tidak ada admin baru yang dibuat');
+      }
+
+      await database.disconnect();
+    } catch (error) {
+      logger.error(`Gagal membuat admin awal: ${error.message}`);
+      process.exit(1);
+    }
+  })();
+}
+
+module.exports = bootstrapAdmin;
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+/**
+ * Kelas Database mengelola koneksi MongoDB melalui mongoose
+ */
+class Database {
+  constructor() {
+    this.uri = null;
+  }
+
+  /**
+   * Membuka koneksi ke MongoDB
+   * @param {string} uri URI MongoDB (default: config.database.uri). Untuk pengujian,
+   *                     dapat diisi URI dari server MongoDB in-memory.
+   * @returns {Promise<boolean>} Status keberhasilan koneksi
+   */
+  async connect(uri = config.database.uri) {
+    try {
+      if (this.isConnected()) {
+        return true;
+      }
+
+      logger.info('Menghubungkan ke database MongoDB');
+
+      mongoose.set('strictQuery', true);
+      await mongoose.connect(uri, {
+        serverSelectionTimeoutMS: config.database.serverSelectionTimeoutMS
+      });
+
+      this.uri = uri;
+      logger.info('Berhasil terhubung ke database MongoDB');
+      return true;
+    } catch (error) {
+      logger.error(`Gagal terhubung ke database: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Menutup koneksi ke MongoDB
+   * @returns {Promise<boolean>} Status keberhasilan pemutusan
+   */
+  async disconnect() {
+    try {
+      await mongoose.disconnect();
+      logger.info('Koneksi database ditutup');
+      return true;
+    } catch (error) {
+      logger.error(`Gagal menutup koneksi database: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Memeriksa apakah koneksi database aktif
+   * @returns {boolean} True jika terhubung
+   */
+  isConnected() {
+    return mongoose.connection.readyState === 1;
+  }
+}
+
+// Singleton instance
+const database = new Database();
+
+module.exports = database;
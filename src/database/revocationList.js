@@ -0,0 +1,174 @@
+const mongoose = require('mongoose');
+const RevokedToken = require('./RevokedToken');
+const RefreshToken = require('./RefreshToken');
+const User = require('./User');
+const database = require('./database');
+const logger = require('../utils/logger');
+
+/**
+ * Kelas RevocationList menyimpan daftar token JWT yang dicabut.
+ * Daftar disimpan di MongoDB agar bertahan setelah restart, dan disalin ke memori
+ * sehingga pemeriksaan di setiap request tidak memerlukan query database.
+ * Pencabutan semua token pengguna memakai versi token: setiap JWT membawa klaim `ver` dari
+ * User.tokenVersion, dan token dengan versi lebih kecil dari versi pengguna saat ini dicabut.
+ */
+class RevocationList {
+  constructor() {
+    // jti -> waktu kedaluwarsa token (ms)
+    this.tokens = new Map();
+    // username -> versi token minimum yang masih berlaku
+    this.users = new Map();
+    this.refreshTimer = null;
+    this.onConnected = null;
+  }
+
+  /**
+   * Memuat daftar pencabutan dari database ke memori
+   * @returns {Promise<number>} Jumlah catatan yang dimuat
+   */
+  async load() {
+    const [records, users] = await Promise.all([
+      RevokedToken.find({ kind: 'token', expiresAt: { $gt: new Date() } }),
+      User.find({ tokenVersion: { $gt: 0 } }, { username: 1, tokenVersion: 1 })
+    ]);
+
+    this.tokens.clear();
+    this.users.clear();
+
+    for (const record of records) {
+      this.tokens.set(record.jti, record.expiresAt.getTime());
+    }
+
+    for (const user of users) {
+      this.users.set(user.username, user.tokenVersion);
+    }
+
+    logger.info(`Daftar pencabutan token dimuat: ${records.length + users.length} catatan`);
+    return records.length + users.length;
+  }
+
+  /**
+   * Memuat ulang daftar setiap kali koneksi database terbuka kembali dan secara berkala,
+   * sehingga pencabutan yang dilakukan instance lain ikut berlaku. Timer tidak menahan
+   * proses agar tetap berjalan.
+   * @param {number} intervalMs Interval pemuatan ulang
+   */
+  startAutoRefresh(intervalMs) {
+    if (this.refreshTimer) {
+      return;
+    }
+
+    this.onConnected = () => {
+      if (!database.isConnected()) {
+        return;
+      }
+      this.load().catch(error => logger.warn(`Gagal memuat ulang daftar pencabutan token: ${error.message}`));
+    };
+
+    mongoose.connection.on('connected', this.onConnected);
+    this.refreshTimer = setInterval(this.onConnected, intervalMs);
+    this.refreshTimer.unref();
+  }
+
+  /**
+   * Menghentikan pemuatan ulang berkala
+   */
+  stopAutoRefresh() {
+    clearInterval(this.refreshTimer);
+    this.refreshTimer = null;
+
+    if (this.onConnected) {
+      mongoose.connection.off('connected', this.onConnected);
+      this.onConnected = null;
+    }
+  }
+
+  /**
+   * Memeriksa apakah payload JWT sudah dicabut
+   * @param {object} payload Payload JWT hasil verifikasi (jti, ver, iat, username)
+   * @returns {boolean} True jika token dicabut
+   */
+  isRevoked(payload) {
+    if (payload.jti && this.tokens.has(payload.jti)) {
+      return true;
+    }
+
+    // Token tanpa klaim `ver` diterbitkan sebelum versi token diperkenalkan dan dianggap versi 0
+    const minVersion = this.users.get(payload.username);
+    return minVersion !== undefined && (payload.ver || 0) < minVersion;
+  }
+
+  /**
+   * Mencabut satu token JWT berdasarkan jti
+   * @param {object} payload Payload JWT (jti, exp, username)
+   * @param {object} details { reason, revokedBy }
+   * @returns {Promise<boolean>} False jika token tidak memiliki jti
+   */
+  async revokeToken(payload, details = {}) {
+    if (!payload.jti) {
+      return false;
+    }
+
+    const expiresAt = new Date(payload.exp * 1000);
+
+    await RevokedToken.create({
+      kind: 'token',
+      jti: payload.jti,
+      username: payload.username,
+      expiresAt,
+      ...details
+    });
+
+    this._pruneExpired();
+    this.tokens.set(payload.jti, expiresAt.getTime());
+    return true;
+  }
+
+  /**
+   * Mencabut semua token akses dan refresh token milik pengguna dengan menaikkan versi
+   * tokennya. Token yang diterbitkan setelahnya membawa versi baru dan tetap berlaku.
+   * @param {string} username Pengguna yang tokennya dicabut
+   * @param {object} details { reason, revokedBy }
+   * @returns {Promise<object>} { tokenVersion, refreshTokens }; tokenVersion null jika pengguna tidak ada
+   */
+  async revokeAllForUser(username, details = {}) {
+    const user = await User.findOneAndUpdate(
+      { username },
+      { $inc: { tokenVersion: 1 } },
+      { new: true, projection: { tokenVersion: 1 } }
+    );
+    const tokenVersion = user ? user.tokenVersion : null;
+
+    if (user) {
+      await RevokedToken.findOneAndUpdate(
+        { kind: 'user', username },
+        { tokenVersion, ...details },
+        { upsert: true }
+      );
+      // Pencabutan lain yang berjalan bersamaan dapat menyimpan versi yang lebih baru lebih dulu
+      this.users.set(username, Math.max(this.users.get(username) || 0, tokenVersion));
+    }
+
+    const refreshTokens = await RefreshToken.revokeAllForUser(username);
+
+    return { tokenVersion, refreshTokens };
+  }
+
+  /**
+   * Menghapus jti yang tokennya sudah kedaluwarsa dari memori
+   * @private
+   */
+  _pruneExpired() {
+    const now = Date.now();
+    for (const [jti, expiresAt] of this.tokens) {
+      if (expiresAt <= now) {
+        this.tokens.delete(jti);
+      }
+    }
+  }
+}
+
+// Singleton instance
+const revocationList = new RevocationList();
+
+module.exports = revocationList;
@@ -0,0 +1,115 @@
+const modelManager = require('../models/ModelManager');
+const { PERMISSIONS, checkAccess } = require('../api/permissions');
+const { validateGenerationOptions } = require('../models/generationOptions');
+const { msg } = require('../utils/i18n');
+
+/**
+ * Batch generasi: banyak prompt dengan model dan opsi masing-masing dalam satu request.
+ * Dipakai oleh endpoint /api/batch (sinkron) dan job batch di jobRunner (asinkron).
+ */
+
+/**
+ * Memvalidasi satu item batch
+ * @private
+ */
+const validateItem = (item) => {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    return msg('batch.itemMustBeObject');
+  }
+  if (typeof item.model !== 'string' || !item.model) {
+    return msg('batch.modelRequired');
+  }
+  if (item.model.toLowerCase() === 'all') {
+    return msg('batch.singleModelOnly');
+  }
+  if (!Object.keys(modelManager.getAllModels()).includes(item.model.toLowerCase())) {
+    return msg('models.notFound', { model: item.model });
+  }
+  if (typeof item.prompt !== 'string' || !item.prompt) {
+    return msg('request.promptRequired');
+  }
+  const optionErrors = validateGenerationOptions(item.options);
+  if (optionErrors.length > 0) {
+    return msg('batch.invalidOptions', {
+      errors: optionErrors.map(error => msg('options.fieldError', { field: error.field, message: error.message }))
+    });
+  }
+  return null;
+};
+
+/**
+ * Menyiapkan item batch dari input pengguna. Item yang tidak valid atau menggunakan model
+ * yang tidak diizinkan tidak menggagalkan batch, melainkan ditandai dengan `error`.
+ * @param {Array} rawItems Item dari body JSON atau baris JSONL
+ * @param {object} user Payload pengguna dari `authenticate`
+ * @returns {Array<object>} Item { index, id, model, prompt, options } atau { index, id, model, error: { code, message } }
+ */
+const prepareBatchItems = (rawItems, user) => {
+  return rawItems.map((raw, index) => {
+    const id = raw && raw.id !== undefined ? String(raw.id) : String(index);
+    const model = raw && typeof raw.model === 'string' ? raw.model.toLowerCase() : undefined;
+
+    const validationError = validateItem(raw);
+    if (validationError) {
+      return { index, id, model, error: { code: 'INVALID_ITEM', message: validationError } };
+    }
+
+    const denial = checkAccess(user, PERMISSIONS.GENERATE, model);
+    if (denial) {
+      return { index, id, model, error: denial };
+    }
+
+    return { index, id, model, prompt: raw.prompt, options: raw.options || {} };
+  });
+};
+
+/**
+ * Ringkasan jumlah item yang berhasil dan gagal
+ * @private
+ */
+const summarizeBatch = (results) => {
+  const succeeded = results.filter(result => result.status === 'success').length;
+  return {
+    total: results.length,
+    succeeded,
+    failed: results.length - succeeded
+  };
+};
+
+/**
+ * Menjalankan batch melalui ModelManager. Pemakaian token setiap item dicatat melalui
+ * `scheduling.onUsage`.
+ * @param {Array<object>} items Item hasil `prepareBatchItems`
+ * @param {object} batchOptions { signal, scheduling, onResult(result) }; `onResult` dipanggil
+ *                              untuk setiap item segera setelah selesai, termasuk item yang tidak valid
+ * @returns {Promise<object>} { results, summary } dengan hasil terurut berdasarkan index
+ */
+const runBatch = async (items, { signal = null, scheduling = {}, onResult = null } = {}) => {
+  const invalid = items
+    .filter(item => item.error)
+    .map(item => ({ index: item.index, id: item.id, model: item.model, status: 'error', ...item.error }));
+
+  if (onResult) {
+    for (const result of invalid) {
+      await onResult(result);
+    }
+  }
+
+  const generated = await modelManager.generateBatch(items.filter(item => !item.error), {
+    signal,
+    scheduling,
+    onResult
+  });
+
+  const results = [...invalid, ...generated].sort((a, b) => a.index - b.index);
+
+  return {
+    results,
+    summary: summarizeBatch(results)
+  };
+};
+
+module.exports = {
+  prepareBatchItems,
+  runBatch
+};
@@ -0,0 +1,398 @@
+const Job = require('../database/Job');
+const modelManager = require('../models/ModelManager');
+const generationRegistry = require('../models/GenerationRegistry');
+const config = require('../config/config');
+const database = require('../database/database');
+const logger = require('../utils/logger');
+const webhookDispatcher = require('../webhooks/webhookDispatcher');
+const { recordUsage } = require('../api/quota');
+const { runBatch } = require('./batch');
+const { throwIfAborted, isAbortError } = require('../utils/abort');
+const { localize, msg } = require('../utils/i18n');
+const { errorCode, errorMessage, toStoredError } = require('../utils/errors');
+
+/**
+ * Kelas JobRunner menjalankan job generasi di latar belakang, terlepas dari koneksi HTTP.
+ * Setiap job didaftarkan di GenerationRegistry sehingga tetap melewati antrean model
+ * dan dapat dibatalkan melalui DELETE /api/jobs/{id} maupun DELETE /api/generations/{id}.
+ * Job mencatat instance yang menjalankannya dan heartbeat berkala sehingga beberapa instance
+ * dapat berbagi database tanpa saling menandai job sebagai terputus.
+ */
+class JobRunner {
+  constructor() {
+    // ID job -> { generationId, progress, done }
+    this.active = new Map();
+    this.heartbeatTimer = null;
+    this.recoveryTimer = null;
+  }
+
+  /**
+   * Menyimpan job baru dan mulai menjalankannya di latar belakang
+   * @param {object} user Payload pengguna dari `authenticate`
+   * @param {object} details { model, prompt, options, callbackUrl }
+   * @param {object|null} reservation Reservasi kuota yang ditahan sampai job selesai
+   * @returns {Promise<object>} Dokumen job dengan status queued
+   */
+  async submit(user, { model, prompt, options = {}, callbackUrl = null }, reservation = null) {
+    const job = await Job.create({
+      owner: user.username,
+      model: model.toLowerCase(),
+      prompt,
+      options,
+      callbackUrl,
+      ...this._claim()
+    });
+
+    return this._start(job, user, { tokens: {} }, reservation);
+  }
+
+  /**
+   * Menyimpan job batch dan mulai menjalankannya di latar belakang
+   * @param {object} user Payload pengguna dari `authenticate`
+   * @param {Array<object>} items Item hasil prepareBatchItems
+   * @param {string|null} callbackUrl URL webhook yang dipanggil setelah job selesai
+   * @param {object|null} reservation Reservasi kuota yang ditahan sampai job selesai
+   * @returns {Promise<object>} Dokumen job dengan status queued
+   */
+  async submitBatch(user, items, callbackUrl = null, reservation = null) {
+    const models = [...new Set(items.filter(item => !item.error).map(item => item.model))];
+    const job = await Job.create({
+      owner: user.username,
+      type: 'batch',
+      model: models.join(',') || '-',
+      // Pesan error item disimpan dalam bahasa default
+      items: localize(items),
+      callbackUrl,
+      ...this._claim()
+    });
+
+    return this._start(job, user, { completed: 0, total: items.length }, reservation);
+  }
+
+  /**
+   * Mendaftarkan job di GenerationRegistry dan menjalankannya tanpa menunggu
+   * @private
+   */
+  _start(job, user, progress, reservation = null) {
+    const entry = generationRegistry.start({
+      owner: user.username,
+      model: job.model,
+      source: `job ${job._id}`
+    });
+
+    const record = { generationId: entry.id, progress };
+    record.done = this._run(job, user, entry, record, reservation)
+      .catch(error => logger.error(`Job ${job._id} gagal diperbarui: ${error.message}`))
+      .finally(() => {
+        generationRegistry.finish(entry.id);
+        this.active.delete(job._id.toString());
+        if (this.active.size === 0) {
+          this._stopHeartbeat();
+        }
+      });
+
+    this.active.set(job._id.toString(), record);
+    this._startHeartbeat();
+    if (reservation) {
+      reservation.hold(record.done);
+    }
+    logger.info(`Job ${job._id} (${job.model}) dibuat oleh ${user.username}`);
+
+    return job;
+  }
+
+  /**
+   * Progres langsung job yang sedang dijalankan oleh proses ini
+   * @param {string} id ID job
+   * @returns {object|null} { tokens, queue } untuk job generate, { completed, total, queue } untuk batch,
+   *                       atau null jika job tidak sedang berjalan
+   */
+  getProgress(id) {
+    const record = this.active.get(id);
+    if (!record) {
+      return null;
+    }
+
+    const entry = generationRegistry.get(record.generationId);
+    return {
+      ...structuredClone(record.progress),
+      queue: entry && Object.keys(entry.queue).length > 0 ? { ...entry.queue } : undefined
+    };
+  }
+
+  /**
+   * Membatalkan job dan menunggu sampai statusnya tersimpan
+   * @param {object} job Dokumen job
+   * @returns {Promise<object>} Dokumen job terbaru
+   */
+  async cancel(job) {
+    const record = this.active.get(job._id.toString());
+
+    if (record) {
+      generationRegistry.cancel(record.generationId, 'cancelled');
+      await record.done;
+    } else if (!job.isFinished()) {
+      // Job tanpa proses yang menjalankannya, misalnya tertinggal dari instance lain
+      await this._finish(job, { status: 'cancelled', error: toStoredError('JOB_CANCELLED', msg('jobs.cancelled')) });
+    }
+
+    return Job.findById(job._id);
+  }
+
+  /**
+   * Menandai job yang ditinggalkan instance yang berhenti sebagai gagal: job milik instance
+   * dengan ID yang sama dari proses sebelumnya, serta job yang heartbeat-nya lebih lama dari
+   * config.jobs.staleAfterMs. Job instance lain yang masih hidup tidak disentuh.
+   * @returns {Promise<number>} Jumlah job yang ditandai gagal
+   */
+  async recover() {
+    const { instanceId, staleAfterMs } = config.jobs;
+    const staleBefore = new Date(Date.now() - staleAfterMs);
+
+    const candidates = await Job.find({
+      _id: { $nin: [...this.active.keys()] },
+      status: { $in: ['queued', 'running'] },
+      $or: [
+        { instanceId },
+        { heartbeatAt: { $lt: staleBefore } },
+        // Job yang dibuat sebelum heartbeat dicatat
+        { heartbeatAt: { $exists: false } }
+      ]
+    });
+
+    let recovered = 0;
+    for (const job of candidates) {
+      // Hanya satu instance yang mengambil alih job, dan hanya jika heartbeat-nya tidak berubah sejak dibaca
+      const { modifiedCount } = await Job.updateOne(
+        { _id: job._id, status: job.status, heartbeatAt: job.heartbeatAt || null },
+        { $set: { instanceId, heartbeatAt: new Date() } }
+      );
+      if (modifiedCount === 0) {
+        continue;
+      }
+
+      await this._finish(job, { status: 'failed', error: toStoredError('JOB_INTERRUPTED', msg('jobs.interrupted')) });
+      recovered += 1;
+    }
+
+    if (recovered > 0) {
+      logger.warn(`${recovered} job yang terputus ditandai gagal`);
+    }
+
+    return recovered;
+  }
+
+  /**
+   * Menjalankan recover saat ini lalu secara berkala setiap config.jobs.staleAfterMs, sehingga
+   * job instance yang berhenti tiba-tiba ikut ditandai gagal walaupun tidak dimulai ulang.
+   * Timer tidak menahan proses agar tetap berjalan.
+   * @returns {Promise<number>} Jumlah job yang ditandai gagal pada pemeriksaan pertama
+   */
+  async startRecovery() {
+    if (!this.recoveryTimer) {
+      this.recoveryTimer = setInterval(() => {
+        if (!database.isConnected()) {
+          return;
+        }
+        this.recover().catch(error => logger.error(`Gagal memulihkan job: ${error.message}`));
+      }, config.jobs.staleAfterMs);
+      this.recoveryTimer.unref();
+    }
+
+    return this.recover();
+  }
+
+  /**
+   * Menghentikan pemeriksaan berkala job yang ditinggalkan. Heartbeat job yang masih berjalan
+   * tetap dikirim sampai job selesai.
+   */
+  stopRecovery() {
+    clearInterval(this.recoveryTimer);
+    this.recoveryTimer = null;
+  }
+
+  /**
+   * Field kepemilikan untuk job yang dijalankan instance ini
+   * @private
+   */
+  _claim() {
+    return { instanceId: config.jobs.instanceId, heartbeatAt: new Date() };
+  }
+
+  /**
+   * Memperbarui heartbeat job yang sedang dijalankan selama masih ada job aktif
+   * @private
+   */
+  _startHeartbeat() {
+    if (this.heartbeatTimer) {
+      return;
+    }
+
+    this.heartbeatTimer = setInterval(() => {
+      Job.updateMany(
+        { _id: { $in: [...this.active.keys()] }, status: { $in: ['queued', 'running'] } },
+        { $set: this._claim() }
+      ).catch(error => logger.error(`Gagal memperbarui heartbeat job: ${error.message}`));
+    }, config.jobs.heartbeatIntervalMs);
+    this.heartbeatTimer.unref();
+  }
+
+  /**
+   * @private
+   */
+  _stopHeartbeat() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+  }
+
+  /**
+   * Menjalankan generasi job melalui antrean model dan menyimpan hasilnya
+   * @private
+   */
+  async _run(job, user, entry, record, reservation) {
+    const options = { ...job.options, signal: entry.signal };
+    const scheduling = {
+      priority: config.scheduler.rolePriorities[user.role] || 0,
+      timeoutMs: config.jobs.queueTimeoutMs,
+      onQueued: (position, modelName) => generationRegistry.markQueued(entry.id, modelName, position),
+      onStart: modelName => {
+        generationRegistry.markRunning(entry.id, modelName);
+        if (job.status === 'queued') {
+          this._markRunning(job);
+        }
+      },
+      onRelease: modelName => generationRegistry.markReleased(entry.id, modelName),
+      // Token yang sudah dihasilkan ikut dihitung walaupun job dibatalkan atau gagal di tengah
+      onUsage: (modelName, promptTokens, completionTokens) => recordUsage(user, modelName, promptTokens, completionTokens, reservation)
+    };
+
+    try {
+      let result;
+
+      if (job.type === 'batch') {
+        result = await this._generateBatch(job, entry.signal, scheduling, record);
+      } else if (job.model === 'all') {
+        result = await this._generateAll(job, options, scheduling, record);
+      } else {
+        result = await this._generateSingle(job, options, scheduling, record);
+      }
+
+      // Batch yang dibatalkan tetap menyimpan hasil item yang sudah selesai
+      const status = entry.signal.aborted ? 'cancelled' : 'completed';
+      await this._finish(job, { status, result });
+      logger.info(`Job ${job._id} selesai dengan status ${status}`);
+    } catch (error) {
+      const stored = toStoredError(errorCode(error), errorMessage(error));
+      if (isAbortError(error)) {
+        await this._finish(job, { status: 'cancelled', error: stored });
+      } else {
+        logger.error(`Job ${job._id} gagal: ${error.message}`);
+        await this._finish(job, { status: 'failed', error: stored });
+      }
+    }
+  }
+
+  /**
+   * Menghasilkan teks dengan satu model sambil menghitung token yang sudah diterima
+   * @private
+   */
+  async _generateSingle(job, options, scheduling, record) {
+    let generatedText = '';
+
+    for await (const token of modelManager.generateStream(job.model, job.prompt, options, scheduling)) {
+      generatedText += token;
+      record.progress.tokens[job.model] = (record.progress.tokens[job.model] || 0) + 1;
+    }
+
+    return { generated_text: generatedText };
+  }
+
+  /**
+   * Menghasilkan teks dari semua model; kegagalan satu model dicatat sebagai { error } hasil toStoredError
+   * @private
+   */
+  async _generateAll(job, options, scheduling, record) {
+    const results = {};
+
+    for await (const event of modelManager.streamFromAllModels(job.prompt, options, scheduling)) {
+      if (event.token !== undefined) {
+        results[event.model] = (results[event.model] || '') + event.token;
+        record.progress.tokens[event.model] = (record.progress.tokens[event.model] || 0) + 1;
+      } else if (event.done) {
+        results[event.model] = results[event.model] || '';
+      } else {
+        results[event.model] = { error: toStoredError(event.code, event.error) };
+      }
+    }
+
+    // Hasil parsial dari job yang dibatalkan tidak disimpan
+    throwIfAborted(options.signal);
+
+    return { results };
+  }
+
+  /**
+   * Menjalankan semua item batch; kegagalan satu item tidak menghentikan item lain
+   * @private
+   */
+  async _generateBatch(job, signal, scheduling, record) {
+    const batch = await runBatch(job.items, {
+      signal,
+      scheduling,
+      onResult: () => {
+        record.progress.completed += 1;
+      }
+    });
+
+    return localize(batch);
+  }
+
+  /**
+   * Menandai job mulai berjalan tanpa menunggu penyimpanan. Filter status mencegah
+   * pembaruan ini menimpa status akhir yang mungkin tersimpan lebih dulu.
+   * @private
+   */
+  _markRunning(job) {
+    const fields = { status: 'running', startedAt: new Date() };
+
+    job.set(fields);
+    Job.updateOne({ _id: job._id, status: 'queued' }, { $set: fields })
+      .catch(error => logger.error(`Gagal memperbarui job ${job._id}: ${error.message}`));
+  }
+
+  /**
+   * Menyimpan status akhir job beserta waktu kedaluwarsanya, lalu mengirim webhook
+   * job.<status> jika job memiliki callbackUrl
+   * @private
+   */
+  async _finish(job, fields) {
+    const finishedAt = new Date();
+    const update = { ...fields, finishedAt, expiresAt: this._expiryDate(finishedAt) };
+
+    job.set(update);
+    await Job.updateOne({ _id: job._id }, { $set: update });
+
+    if (job.callbackUrl) {
+      await webhookDispatcher.dispatch({
+        owner: job.owner,
+        event: `job.${job.status}`,
+        url: job.callbackUrl,
+        source: { type: 'job', id: job._id.toString() },
+        data: job.toDetail()
+      });
+    }
+  }
+
+  /**
+   * Waktu penghapusan otomatis job yang selesai pada waktu tertentu
+   * @private
+   */
+  _expiryDate(from) {
+    return new Date(from.getTime() + config.jobs.retentionDays * 24 * 60 * 60 * 1000);
+  }
+}
+
+// Singleton instance
+const jobRunner = new JobRunner();
+
+module.exports = jobRunner;
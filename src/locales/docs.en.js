@@ -0,0 +1,592 @@
+/**
+ * Terjemahan bahasa Inggris untuk teks dokumentasi OpenAPI di src/api/docs.js.
+ * Kuncinya adalah teks asli bahasa Indonesia; teks yang tidak ada di sini ditampilkan apa adanya.
+ */
+module.exports = {
+  'API Sistem AI Lokal':
+    'Local AI System API',
+  'API untuk mengakses model AI lokal (LLaMA 2, Mistral 7B, dan GPT-J). Pesan API dan dokumentasi ini tersedia dalam bahasa Indonesia (default) dan Inggris sesuai header Accept-Language. Setiap respons berisi header X-Request-Id (dari klien jika valid, atau dibuat server) yang juga dicatat di log. Generasi dan chat interaktif juga tersedia melalui WebSocket di /ws (lihat README).':
+    'API for accessing local AI models (LLaMA 2, Mistral 7B and GPT-J). API messages and this documentation are available in Indonesian (default) and English through the Accept-Language header. Every response carries an X-Request-Id header (taken from the client when valid, otherwise generated by the server) that is also recorded in the logs. Interactive generation and chat are also available over a WebSocket at /ws (see the README).',
+  'Server Lokal':
+    'Local server',
+  'Token JWT dari /auth/login atau API key berawalan sk-lokal-':
+    'JWT token from /auth/login or an API key prefixed with sk-lokal-',
+  'Status cache respons: HIT (dari cache), MISS (dihasilkan lalu disimpan) atau BYPASS (request tidak deterministik). Hanya dikirim jika cache aktif dan tidak untuk respons streaming.':
+    'Response cache status: HIT (served from cache), MISS (generated and stored) or BYPASS (non-deterministic request). Only sent when the cache is enabled and never for streaming responses.',
+  'Code error yang stabil; klien sebaiknya memeriksa code ini, bukan isi pesan. Lihat bagian "Kode Error" di README untuk daftar lengkapnya':
+    'Stable error code; clients should check this code rather than the message. See the "Kode Error" section of the README for the full list',
+  'Pesan error':
+    'Error message',
+  'Opsi generasi tidak valid: options.temperature, options.max_new_tokens':
+    'Invalid generation options: options.temperature, options.max_new_tokens',
+  'Daftar field yang tidak valid (khusus code INVALID_OPTIONS)':
+    'List of invalid fields (INVALID_OPTIONS code only)',
+  'Opsi generasi kanonik yang berlaku untuk semua model. Setiap model menerjemahkannya ke parameter backend masing-masing; opsi yang tidak dikenal atau di luar rentang ditolak dengan 400.':
+    'Canonical generation options shared by all models. Each model translates them to its own backend parameters; unknown or out-of-range options are rejected with 400.',
+  'ganti-password-ini':
+    'change-this-password',
+  'Token untuk mendapatkan token akses baru melalui /auth/refresh (sekali pakai)':
+    'Token for obtaining a new access token through /auth/refresh (single use)',
+  'Jelaskan mengenai kecerdasan buatan.':
+    'Explain artificial intelligence.',
+  'Kirim token secara bertahap melalui Server-Sent Events':
+    'Stream tokens incrementally through Server-Sent Events',
+  'ID sesi percakapan; giliran percakapan akan ditambahkan ke sesi secara otomatis':
+    'Conversation session ID; the conversation turn is appended to the session automatically',
+  'Ibu kota Indonesia adalah Jakarta.':
+    'The capital of Indonesia is Jakarta.',
+  'Kecerdasan buatan (Artificial Intelligence atau AI) adalah bidang ilmu komputer yang berfokus pada pengembangan sistem yang dapat melakukan tugas-tugas yang biasanya memerlukan kecerdasan manusia...':
+    'Artificial Intelligence (AI) is a field of computer science focused on building systems that can perform tasks that normally require human intelligence...',
+  'Seed sampling (opsi kanonik seed)':
+    'Sampling seed (canonical seed option)',
+  'Apa ibu kota Indonesia?':
+    'What is the capital of Indonesia?',
+  'Diskusi geografi':
+    'Geography discussion',
+  'password-yang-kuat':
+    'a-strong-password',
+  'password-lama':
+    'old-password',
+  'password-baru-yang-kuat':
+    'new-strong-password',
+  'Data pelatihan; jika tidak diisi, semua file JSON di direktori data pelatihan digunakan':
+    'Training data; when omitted, every JSON file in the training data directory is used',
+  'API key lengkap, hanya dikembalikan saat dibuat atau dirotasi':
+    'Full API key, only returned when it is created or rotated',
+  'Izin (misalnya generate, generate:llama, models:manage) atau * untuk semua':
+    'Permission (for example generate, generate:llama, models:manage) or * for all',
+  'Username pengguna aktif pemilik key; key mewarisi sesi, job dan kuota pengguna tersebut dan berhenti berlaku jika akunnya dinonaktifkan. Kosongkan untuk key layanan dengan identitas apikey:<name>':
+    'Username of the active user who owns the key; the key inherits that user sessions, jobs and quota and stops working when the account is disabled. Leave empty for a service key with the identity apikey:<name>',
+  'Waktu kedaluwarsa (ISO 8601), kosongkan untuk key tanpa kedaluwarsa':
+    'Expiry time (ISO 8601), leave empty for a key that never expires',
+  'Refresh token yang ikut dicabut (opsional)':
+    'Refresh token to revoke as well (optional)',
+  'Batas token, null berarti tanpa batas':
+    'Token limit, null means unlimited',
+  'Posisi antrean per model (mulai dari 1), hanya ada selama status queued':
+    'Queue position per model (starting at 1), only present while the status is queued',
+  'Statistik antrean model':
+    'Model queue statistics',
+  'Generasi yang sedang berjalan':
+    'Generations currently running',
+  'Request yang menunggu slot':
+    'Requests waiting for a slot',
+  'Tuliskan esai panjang tentang kecerdasan buatan.':
+    'Write a long essay about artificial intelligence.',
+  'Nama model, all, atau daftar model dipisah koma untuk batch':
+    'Model name, all, or a comma-separated list of models for batches',
+  'Jumlah item (khusus batch)':
+    'Number of items (batch only)',
+  'Hanya ada selama job berjalan: jumlah token per model (generate) atau item selesai dan total (batch), serta posisi antrean per model':
+    'Only present while the job is running: tokens per model (generate) or completed and total items (batch), plus the queue position per model',
+  '{ generated_text } untuk satu model, { results } untuk target all, atau { results, summary } untuk batch':
+    '{ generated_text } for a single model, { results } for the all target, or { results, summary } for batches',
+  'ID opsional yang dikembalikan pada hasil (default: index item)':
+    'Optional ID returned with the result (default: item index)',
+  'Ringkas artikel berikut: ...':
+    'Summarize the following article: ...',
+  'Hasil satu item batch; juga format setiap baris pada respons JSON Lines':
+    'Result of one batch item; also the format of each line in JSON Lines responses',
+  'Artikel membahas...':
+    'The article discusses...',
+  'Code error, misalnya INVALID_ITEM, MODEL_NOT_ALLOWED, QUEUE_TIMEOUT atau GENERATION_CANCELLED':
+    'Error code, for example INVALID_ITEM, MODEL_NOT_ALLOWED, QUEUE_TIMEOUT or GENERATION_CANCELLED',
+  'Model llama berhasil dimuat':
+    'Model llama loaded successfully',
+  'Memeriksa status server':
+    'Check server status',
+  'Endpoint untuk memeriksa apakah server API berfungsi':
+    'Endpoint for checking whether the API server is running',
+  'Server berfungsi':
+    'Server is running',
+  'API Sistem AI berfungsi':
+    'AI System API is running',
+  'Login ke API':
+    'Log in to the API',
+  'Endpoint untuk login dan mendapatkan token JWT':
+    'Endpoint for logging in and obtaining a JWT token',
+  'Login berhasil':
+    'Login succeeded',
+  'Login gagal':
+    'Login failed',
+  'Akun dinonaktifkan':
+    'Account is disabled',
+  'Database tidak tersedia':
+    'Database is unavailable',
+  'Terlalu banyak percobaan login (lihat header Retry-After)':
+    'Too many login attempts (see the Retry-After header)',
+  'Mendapatkan informasi model':
+    'Get model information',
+  'Endpoint untuk mendapatkan informasi tentang semua model AI yang tersedia':
+    'Endpoint for getting information about all available AI models',
+  'Informasi model berhasil diambil':
+    'Model information retrieved',
+  'Tidak diotorisasi':
+    'Unauthorized',
+  'Role tidak memiliki izin atau tidak diizinkan menggunakan model':
+    'Role lacks the permission or is not allowed to use the model',
+  'Error server':
+    'Server error',
+  'Menghasilkan teks dengan model':
+    'Generate text with a model',
+  'Endpoint untuk menghasilkan teks dengan model AI tertentu. Kirim `stream: true` atau header `Accept: text/event-stream` untuk menerima token secara bertahap.':
+    'Endpoint for generating text with a specific AI model. Send `stream: true` or the `Accept: text/event-stream` header to receive tokens incrementally.',
+  'Nama model (llama, mistral, gptj, all)':
+    'Model name (llama, mistral, gptj, all)',
+  'Teks berhasil dihasilkan':
+    'Text generated',
+  'Event `queued` ({ model, position }) selama menunggu antrean model, `token` ({ model, token }) untuk setiap token, `done` ketika model selesai (dengan field `cache` jika cache aktif), `error` jika model gagal, dan `end` setelah semua model selesai (khusus target `all`)':
+    '`queued` events ({ model, position }) while waiting in the model queue, `token` ({ model, token }) for each token, `done` when a model finishes (with a `cache` field when the cache is enabled), `error` when a model fails, and `end` after all models finish (`all` target only)',
+  'event: token\ndata: {"model":"llama","token":"Kecerdasan"}\n\n':
+    'event: token\ndata: {"model":"llama","token":"Artificial"}\n\n',
+  'Permintaan tidak valid':
+    'Invalid request',
+  'Model tidak ditemukan':
+    'Model not found',
+  'Terlalu banyak permintaan atau kuota token habis (lihat header Retry-After)':
+    'Too many requests or token quota exhausted (see the Retry-After header)',
+  'Generasi dibatalkan melalui DELETE /generations/{id}':
+    'Generation cancelled through DELETE /generations/{id}',
+  'Antrean model penuh atau waktu tunggu antrean habis (lihat header Retry-After)':
+    'Model queue is full or the queue wait timed out (see the Retry-After header)',
+  'Percakapan multi-turn dengan model':
+    'Multi-turn conversation with a model',
+  'Endpoint untuk percakapan multi-turn. Array `messages` dirangkai menggunakan template chat model (LLaMA 2 `<<SYS>>`, Mistral `[INST]`, teks biasa untuk GPT-J) yang dapat diganti melalui `config.models.*.chatTemplate`.':
+    'Endpoint for multi-turn conversations. The `messages` array is assembled with the model chat template (LLaMA 2 `<<SYS>>`, Mistral `[INST]`, plain text for GPT-J), which can be overridden through `config.models.*.chatTemplate`.',
+  'Nama model (llama, mistral, gptj)':
+    'Model name (llama, mistral, gptj)',
+  'Balasan berhasil dihasilkan':
+    'Reply generated',
+  'Memuat model ke memori':
+    'Load a model into memory',
+  'Endpoint untuk memuat model AI ke memori':
+    'Endpoint for loading an AI model into memory',
+  'Model berhasil dimuat':
+    'Model loaded',
+  'Membebaskan model dari memori':
+    'Unload a model from memory',
+  'Endpoint untuk membebaskan model AI dari memori':
+    'Endpoint for unloading an AI model from memory',
+  'Model berhasil dibebaskan':
+    'Model unloaded',
+  'Membuat sesi percakapan':
+    'Create a conversation session',
+  'Endpoint untuk membuat sesi percakapan baru yang tersimpan di database':
+    'Endpoint for creating a new conversation session stored in the database',
+  'Sesi berhasil dibuat':
+    'Session created',
+  'Daftar sesi percakapan':
+    'List conversation sessions',
+  'Endpoint untuk mendapatkan daftar sesi milik pengguna yang sedang login':
+    'Endpoint for listing the sessions of the logged-in user',
+  'Jumlah maksimum sesi (default 20, maksimum 100)':
+    'Maximum number of sessions (default 20, maximum 100)',
+  'Jumlah sesi yang dilewati':
+    'Number of sessions to skip',
+  'Daftar sesi berhasil diambil':
+    'Sessions retrieved',
+  'Detail sesi percakapan':
+    'Conversation session details',
+  'Endpoint untuk mendapatkan sesi beserta riwayat pesannya':
+    'Endpoint for getting a session together with its message history',
+  'ID sesi':
+    'Session ID',
+  'Sesi berhasil diambil':
+    'Session retrieved',
+  'Sesi tidak ditemukan':
+    'Session not found',
+  'Menghapus sesi percakapan':
+    'Delete a conversation session',
+  'Endpoint untuk menghapus sesi beserta riwayat pesannya':
+    'Endpoint for deleting a session together with its message history',
+  'Sesi berhasil dihapus':
+    'Session deleted',
+  'Memperbarui token':
+    'Refresh tokens',
+  'Endpoint untuk menukar refresh token dengan token akses dan refresh token baru. Refresh token lama tidak dapat dipakai lagi.':
+    'Endpoint for exchanging a refresh token for a new access token and refresh token. The old refresh token can no longer be used.',
+  'Token baru berhasil diterbitkan':
+    'New tokens issued',
+  'Refresh token tidak valid':
+    'Invalid refresh token',
+  'Terlalu banyak permintaan (lihat header Retry-After)':
+    'Too many requests (see the Retry-After header)',
+  'Logout':
+    'Log out',
+  'Endpoint untuk mencabut token akses saat ini beserta refresh token yang dikirim':
+    'Endpoint for revoking the current access token together with the submitted refresh token',
+  'Logout berhasil':
+    'Logged out',
+  'Mengganti password':
+    'Change password',
+  'Endpoint untuk mengganti password pengguna yang sedang login. Semua token lama pengguna dicabut dan respons berisi token akses dan refresh token baru':
+    'Endpoint for changing the password of the logged-in user. All previous tokens of the user are revoked and the response contains a new access token and refresh token',
+  'Password berhasil diganti':
+    'Password changed',
+  'Password saat ini tidak valid':
+    'Current password is invalid',
+  'Daftar pengguna':
+    'List users',
+  'Endpoint untuk mendapatkan daftar semua pengguna (khusus admin)':
+    'Endpoint for listing all users (admin only)',
+  'Daftar pengguna berhasil diambil':
+    'Users retrieved',
+  'Akses ditolak':
+    'Access denied',
+  'Mendaftarkan pengguna':
+    'Register a user',
+  'Endpoint untuk mendaftarkan pengguna baru (khusus admin)':
+    'Endpoint for registering a new user (admin only)',
+  'Pengguna berhasil didaftarkan':
+    'User registered',
+  'Pengguna sudah ada':
+    'User already exists',
+  'Menonaktifkan akun':
+    'Disable an account',
+  'Endpoint untuk menonaktifkan akun pengguna sehingga tidak dapat login (khusus admin)':
+    'Endpoint for disabling a user account so it can no longer log in (admin only)',
+  'Username pengguna':
+    'User\'s username',
+  'Akun berhasil dinonaktifkan':
+    'Account disabled',
+  'Pengguna tidak ditemukan':
+    'User not found',
+  'Mengaktifkan akun':
+    'Enable an account',
+  'Endpoint untuk mengaktifkan kembali akun pengguna (khusus admin)':
+    'Endpoint for re-enabling a user account (admin only)',
+  'Akun berhasil diaktifkan':
+    'Account enabled',
+  'Melatih model':
+    'Train a model',
+  'Endpoint untuk melatih (fine-tuning) model dengan data pelatihan (memerlukan izin `training:run`)':
+    'Endpoint for training (fine-tuning) a model with training data (requires the `training:run` permission)',
+  'Pelatihan selesai':
+    'Training finished',
+  'Menyimpan checkpoint model':
+    'Save a model checkpoint',
+  'Endpoint untuk menyimpan checkpoint model ke direktori checkpoint (memerlukan izin `training:run`)':
+    'Endpoint for saving a model checkpoint to the checkpoint directory (requires the `training:run` permission)',
+  'Checkpoint berhasil disimpan':
+    'Checkpoint saved',
+  'Mencabut semua token pengguna':
+    'Revoke all user tokens',
+  'Endpoint untuk mencabut semua token akses, refresh token dan API key milik pengguna (khusus admin)':
+    'Endpoint for revoking every access token, refresh token and API key of a user (admin only)',
+  'Token pengguna berhasil dicabut':
+    'User tokens revoked',
+  'Tidak ditemukan':
+    'Not found',
+  'Daftar API key':
+    'List API keys',
+  'Endpoint untuk mendapatkan daftar semua API key tanpa nilai key (khusus admin)':
+    'Endpoint for listing all API keys without their key values (admin only)',
+  'Daftar API key berhasil diambil':
+    'API keys retrieved',
+  'Membuat API key':
+    'Create an API key',
+  'Endpoint untuk membuat API key baru dengan scopes dan kedaluwarsa opsional (khusus admin)':
+    'Endpoint for creating a new API key with scopes and an optional expiry (admin only)',
+  'API key berhasil dibuat':
+    'API key created',
+  'Mencabut API key':
+    'Revoke an API key',
+  'Endpoint untuk mencabut API key (khusus admin)':
+    'Endpoint for revoking an API key (admin only)',
+  'ID API key':
+    'API key ID',
+  'API key berhasil dicabut':
+    'API key revoked',
+  'Merotasi API key':
+    'Rotate an API key',
+  'Endpoint untuk menerbitkan key baru dengan pengaturan yang sama dan mencabut key lama (khusus admin)':
+    'Endpoint for issuing a new key with the same settings and revoking the old key (admin only)',
+  'API key berhasil dirotasi':
+    'API key rotated',
+  'Pemakaian token':
+    'Token usage',
+  'Endpoint untuk mendapatkan pemakaian token per model dan per hari serta sisa kuota pengguna yang sedang login':
+    'Endpoint for getting token usage per model and per day, plus the remaining quota of the logged-in user',
+  'Tanggal awal (YYYY-MM-DD, UTC), default awal bulan berjalan':
+    'Start date (YYYY-MM-DD, UTC), defaults to the start of the current month',
+  'Tanggal akhir (YYYY-MM-DD, UTC), default hari ini':
+    'End date (YYYY-MM-DD, UTC), defaults to today',
+  'Pemakaian token berhasil diambil':
+    'Token usage retrieved',
+  'Laporan pemakaian token':
+    'Token usage report',
+  'Endpoint untuk laporan pemakaian token semua pengguna (khusus admin)':
+    'Endpoint for the token usage report of all users (admin only)',
+  'Filter pengguna':
+    'User filter',
+  'Field pengelompokan dipisahkan koma: username, model, day (default username,model)':
+    'Comma-separated grouping fields: username, model, day (default username,model)',
+  'Laporan berhasil disusun':
+    'Report compiled',
+  'Daftar generasi berjalan':
+    'List running generations',
+  'Endpoint untuk mendapatkan generasi yang sedang berjalan milik pengguna (semua generasi untuk izin models:manage)':
+    'Endpoint for listing the running generations of the user (all generations with the models:manage permission)',
+  'Daftar generasi berhasil diambil':
+    'Generations retrieved',
+  'Membatalkan generasi':
+    'Cancel a generation',
+  'Endpoint untuk membatalkan generasi yang sedang berjalan berdasarkan ID dari header X-Generation-Id. Request asal menerima status 409 dengan code GENERATION_CANCELLED.':
+    'Endpoint for cancelling a running generation by the ID from the X-Generation-Id header. The original request receives status 409 with code GENERATION_CANCELLED.',
+  'ID generasi':
+    'Generation ID',
+  'Generasi berhasil dibatalkan':
+    'Generation cancelled',
+  'Generasi tidak ditemukan atau sudah selesai':
+    'Generation not found or already finished',
+  'Membuat job generasi':
+    'Create a generation job',
+  'Endpoint untuk menjalankan generasi di latar belakang. Respons 202 berisi ID job yang dapat dipantau melalui GET /jobs/{id}, sehingga generasi panjang tidak terputus oleh batas waktu koneksi.':
+    'Endpoint for running a generation in the background. The 202 response contains a job ID that can be polled through GET /jobs/{id}, so long generations are not cut off by connection timeouts.',
+  'Job berhasil dibuat':
+    'Job created',
+  'Database tidak tersedia atau antrean model penuh (lihat header Retry-After)':
+    'Database is unavailable or the model queue is full (see the Retry-After header)',
+  'Daftar job':
+    'List jobs',
+  'Endpoint untuk mendapatkan job milik pengguna, terbaru lebih dulu':
+    'Endpoint for listing the user\'s jobs, newest first',
+  'Filter status job':
+    'Job status filter',
+  'Username pemilik job (hanya untuk izin models:manage)':
+    'Job owner username (models:manage permission only)',
+  'Jumlah maksimum job (default 20, maksimum 100)':
+    'Maximum number of jobs (default 20, maximum 100)',
+  'Jumlah job yang dilewati':
+    'Number of jobs to skip',
+  'Daftar job berhasil diambil':
+    'Jobs retrieved',
+  'Status tidak valid':
+    'Invalid status',
+  'Status dan hasil job':
+    'Job status and result',
+  'Endpoint untuk mendapatkan status, progres dan hasil job':
+    'Endpoint for getting the status, progress and result of a job',
+  'ID job':
+    'Job ID',
+  'Job berhasil diambil':
+    'Job retrieved',
+  'Job tidak ditemukan':
+    'Job not found',
+  'Membatalkan job':
+    'Cancel a job',
+  'Endpoint untuk membatalkan job yang belum selesai':
+    'Endpoint for cancelling a job that has not finished',
+  'Job berhasil dibatalkan':
+    'Job cancelled',
+  'Job sudah selesai (code JOB_FINISHED)':
+    'Job already finished (code JOB_FINISHED)',
+  'Menjalankan batch prompt':
+    'Run a batch of prompts',
+  'Endpoint untuk menjalankan banyak prompt dengan model dan opsi masing-masing dalam satu request. Body dapat berupa JSON { items } atau JSON Lines. Item yang tidak valid atau gagal dilaporkan per item tanpa menggagalkan batch.':
+    'Endpoint for running many prompts, each with its own model and options, in a single request. The body can be JSON { items } or JSON Lines. Invalid or failed items are reported per item without failing the batch.',
+  'Jalankan batch sebagai job di latar belakang; hasil diunduh dari /jobs/{id}/results':
+    'Run the batch as a background job; results are downloaded from /jobs/{id}/results',
+  'Gunakan jsonl untuk menerima hasil sebagai JSON Lines (sama dengan header Accept: application/x-ndjson)':
+    'Use jsonl to receive results as JSON Lines (same as the Accept: application/x-ndjson header)',
+  'Satu BatchItem per baris':
+    'One BatchItem per line',
+  '{"model":"llama","prompt":"Halo"}\n{"model":"mistral","prompt":"Apa kabar?"}':
+    '{"model":"llama","prompt":"Hello"}\n{"model":"mistral","prompt":"How are you?"}',
+  'Batch selesai dijalankan; setiap item memiliki hasil atau error sendiri':
+    'Batch finished; every item has its own result or error',
+  'Satu BatchResult per baris, dikirim segera setelah item selesai':
+    'One BatchResult per line, sent as soon as each item finishes',
+  'Batch dijalankan sebagai job (?async=true)':
+    'Batch running as a job (?async=true)',
+  'Items kosong, melebihi batas atau JSON Lines tidak valid':
+    'Items are empty, exceed the limit or contain invalid JSON Lines',
+  'Role tidak memiliki izin generate':
+    'Role lacks the generate permission',
+  'Database tidak tersedia (?async=true)':
+    'Database is unavailable (?async=true)',
+  'Mengunduh hasil batch':
+    'Download batch results',
+  'Endpoint untuk mengunduh hasil job batch sebagai file JSON Lines, satu BatchResult per baris':
+    'Endpoint for downloading the results of a batch job as a JSON Lines file, one BatchResult per line',
+  'Hasil batch':
+    'Batch results',
+  'Job bukan batch':
+    'Job is not a batch',
+  'Job belum selesai (code JOB_NOT_FINISHED)':
+    'Job has not finished (code JOB_NOT_FINISHED)',
+  'Statistik cache respons':
+    'Response cache statistics',
+  'Endpoint untuk melihat statistik cache respons dan entri di memori (izin cache:manage)':
+    'Endpoint for viewing response cache statistics and in-memory entries (cache:manage permission)',
+  'Filter entri berdasarkan model':
+    'Filter entries by model',
+  'Jumlah maksimum entri (default 50, maksimum 500)':
+    'Maximum number of entries (default 50, maximum 500)',
+  'Statistik cache berhasil diambil':
+    'Cache statistics retrieved',
+  'Mengosongkan cache respons':
+    'Clear the response cache',
+  'Endpoint untuk menghapus semua entri cache, atau hanya entri satu model dengan ?model=':
+    'Endpoint for deleting every cache entry, or only the entries of one model with ?model=',
+  'Hanya hapus entri untuk model ini':
+    'Only delete entries for this model',
+  'Cache berhasil dikosongkan':
+    'Cache cleared',
+  'Menghapus entri cache':
+    'Delete a cache entry',
+  'Endpoint untuk menghapus satu entri cache berdasarkan kunci':
+    'Endpoint for deleting a single cache entry by key',
+  'Kunci cache (hash SHA-256)':
+    'Cache key (SHA-256 hash)',
+  'Entri cache berhasil dihapus':
+    'Cache entry deleted',
+  'Entri cache tidak ditemukan':
+    'Cache entry not found',
+  'Server Lokal (kompatibel OpenAI)':
+    'Local server (OpenAI compatible)',
+  'Daftar model (format OpenAI)':
+    'List models (OpenAI format)',
+  'Endpoint kompatibel OpenAI untuk mendapatkan daftar model lokal':
+    'OpenAI-compatible endpoint for listing local models',
+  'Daftar model berhasil diambil':
+    'Models retrieved',
+  'Text completion (format OpenAI)':
+    'Text completion (OpenAI format)',
+  'Endpoint kompatibel OpenAI untuk text completion. Mendukung `stream`, `stop`, `n` dan `max_tokens`; respons berisi `usage`.':
+    'OpenAI-compatible endpoint for text completion. Supports `stream`, `stop`, `n` and `max_tokens`; the response contains `usage`.',
+  'Completion berhasil dibuat (JSON atau chunk `text/event-stream` diakhiri `data: [DONE]`)':
+    'Completion created (JSON or `text/event-stream` chunks ending with `data: [DONE]`)',
+  'Terlalu banyak permintaan atau kuota token habis':
+    'Too many requests or token quota exhausted',
+  'Chat completion (format OpenAI)':
+    'Chat completion (OpenAI format)',
+  'Endpoint kompatibel OpenAI untuk chat completion. Mendukung `stream`, `stop`, `n` dan `max_tokens`; respons berisi `usage`.':
+    'OpenAI-compatible endpoint for chat completion. Supports `stream`, `stop`, `n` and `max_tokens`; the response contains `usage`.',
+  'Chat completion berhasil dibuat (JSON atau chunk `text/event-stream` diakhiri `data: [DONE]`)':
+    'Chat completion created (JSON or `text/event-stream` chunks ending with `data: [DONE]`)',
+  "Model 'x' tidak ditemukan":
+    "Model 'x' not found",
+  'Dokumentasi API Sistem AI':
+    'AI System API Documentation',
+  'Tingkat keacakan sampling; 0 berarti selalu memilih token paling mungkin (deterministik)':
+    'Sampling randomness; 0 always picks the most likely token (deterministic)',
+  'Jumlah maksimum token yang dihasilkan':
+    'Maximum number of generated tokens',
+  'Nucleus sampling: hanya token dengan probabilitas kumulatif hingga nilai ini yang dipertimbangkan':
+    'Nucleus sampling: only tokens within this cumulative probability are considered',
+  'Hanya K token dengan probabilitas tertinggi yang dipertimbangkan; 0 menonaktifkan batas ini':
+    'Only the K most likely tokens are considered; 0 disables this limit',
+  'Penalti untuk token yang sudah muncul; 1 berarti tanpa penalti':
+    'Penalty for tokens that already appeared; 1 means no penalty',
+  'Seed sampling agar hasil dapat diulang; request dengan seed dapat dilayani dari cache respons':
+    'Sampling seed for reproducible output; requests with a seed can be served from the response cache',
+  'Jejak audit':
+    'Audit trail',
+  'Endpoint untuk mencari catatan audit tindakan administratif (login, pemuatan model, pelatihan, checkpoint, pengelolaan pengguna, API key dan cache), terbaru lebih dulu (izin audit:read). Dengan store file, file aktif dan arsip yang beririsan dengan rentang from-to ikut dicari':
+    'Endpoint for searching audit records of administrative actions (logins, model loading, training, checkpoints, user, API key and cache management), newest first (audit:read permission). With the file store, the active file and every archive overlapping the from-to range are searched',
+  'Filter pengguna yang melakukan tindakan':
+    'Filter by the user who performed the action',
+  'Filter tindakan dipisahkan koma, misalnya models.load,auth.login':
+    'Comma-separated action filter, for example models.load,auth.login',
+  'Filter hasil: success, failure atau aborted':
+    'Outcome filter: success, failure or aborted',
+  'Waktu awal (tanggal atau waktu ISO 8601)':
+    'Start time (ISO 8601 date or timestamp)',
+  'Waktu akhir (tanggal atau waktu ISO 8601); tanggal tanpa jam mencakup seluruh hari':
+    'End time (ISO 8601 date or timestamp); a date without a time covers the whole day',
+  'Jumlah catatan maksimum (default 100, maksimal 1000)':
+    'Maximum number of records (default 100, at most 1000)',
+  'Jumlah catatan yang dilewati':
+    'Number of records to skip',
+  'Catatan audit berhasil diambil':
+    'Audit records retrieved successfully',
+  'Database tidak tersedia (store mongo)':
+    'Database unavailable (mongo store)',
+  'Server Lokal (pemeriksaan kesehatan)':
+    'Local server (health checks)',
+  'Selalu 200 selama proses berjalan dan dapat merespons':
+    'Always 200 while the process is running and responsive',
+  'Proses berjalan':
+    'Process is running',
+  'Siap jika semua model wajib (HEALTH_REQUIRED_MODELS) sudah dimuat dan file-nya ada di disk, serta database terhubung (kecuali HEALTH_REQUIRE_DATABASE=false)':
+    'Ready when every required model (HEALTH_REQUIRED_MODELS) is loaded and its files exist on disk, and the database is connected (unless HEALTH_REQUIRE_DATABASE=false)',
+  'Server siap menerima request':
+    'Server is ready to accept requests',
+  'Server belum siap; code NOT_READY dengan field `checks` berisi hasil setiap pemeriksaan':
+    'Server is not ready; code NOT_READY with a `checks` field holding the result of each check',
+  'Detail kesehatan server':
+    'Detailed server health',
+  'Status setiap model (unloaded, loading, loaded atau failed beserta error terakhir), keberadaan file model, waktu generasi sukses terakhir, antrean, memori proses dan koneksi database. Memerlukan izin models:read.':
+    'State of each model (unloaded, loading, loaded or failed with the last error), model file presence, last successful generation time, queue, process memory and database connectivity. Requires the models:read permission.',
+  'Detail kesehatan berhasil diambil':
+    'Health details retrieved successfully',
+  'Server Lokal (metrik Prometheus)':
+    'Local server (Prometheus metrics)',
+  'Metrik Prometheus':
+    'Prometheus metrics',
+  'Metrik dalam format teks Prometheus: jumlah dan durasi request per route dan status, durasi generasi, jumlah token dan token per detik per model, kedalaman antrean, pemuatan/pembebasan model, model yang dimuat serta memori proses. Tanpa autentikasi kecuali METRICS_TOKEN diatur.':
+    'Metrics in the Prometheus text format: request counts and durations by route and status, generation duration, token counts and tokens per second per model, queue depth, model loads/unloads, loaded models and process memory. No authentication unless METRICS_TOKEN is set.',
+  'Metrik berhasil diambil':
+    'Metrics retrieved successfully',
+  'Token metrik tidak valid (hanya jika METRICS_TOKEN diatur)':
+    'Invalid metrics token (only when METRICS_TOKEN is set)',
+  'Daftar pengiriman webhook':
+    'List webhook deliveries',
+  'Endpoint untuk melihat pengiriman webhook job dan pelatihan milik pengguna, terbaru lebih dulu. Pengguna dengan izin models:manage dapat melihat milik pengguna lain dengan ?owner=.':
+    'Endpoint for viewing the job and training webhook deliveries owned by the user, newest first. Users with the models:manage permission can view deliveries of other users with ?owner=.',
+  'Filter status: pending, delivered atau failed':
+    'Status filter: pending, delivered or failed',
+  'Filter event, misalnya job.completed':
+    'Event filter, for example job.completed',
+  'Filter ID job atau runId pelatihan':
+    'Job ID or training runId filter',
+  'Pemilik pengiriman (khusus pengelola)':
+    'Delivery owner (managers only)',
+  'Jumlah maksimum pengiriman (default 20, maksimum 100)':
+    'Maximum number of deliveries (default 20, maximum 100)',
+  'Jumlah pengiriman yang dilewati':
+    'Number of deliveries to skip',
+  'Daftar pengiriman berhasil diambil':
+    'Deliveries retrieved successfully',
+  'Detail pengiriman webhook':
+    'Webhook delivery details',
+  'Endpoint untuk melihat payload dan setiap percobaan pengiriman (waktu, status HTTP, error dan durasi)':
+    'Endpoint for viewing the payload and every delivery attempt (time, HTTP status, error and duration)',
+  'ID pengiriman webhook':
+    'Webhook delivery ID',
+  'Detail pengiriman berhasil diambil':
+    'Delivery details retrieved successfully',
+  'Pengiriman webhook tidak ditemukan':
+    'Webhook delivery not found',
+  'Kirim ulang webhook':
+    'Replay a webhook',
+  'Endpoint untuk mengirim ulang payload pengiriman sebagai pengiriman baru dengan jatah percobaan baru. Header X-Webhook-Id tetap sama sehingga penerima dapat mendeteksi duplikat.':
+    'Endpoint for sending the payload of a delivery again as a new delivery with a fresh attempt budget. The X-Webhook-Id header stays the same so receivers can detect duplicates.',
+  'Pengiriman ulang dijadwalkan':
+    'Replay scheduled',
+  'URL http(s) yang menerima webhook job.completed, job.failed atau job.cancelled setelah job selesai':
+    'http(s) URL that receives a job.completed, job.failed or job.cancelled webhook once the job finishes',
+  'Jika diisi, pelatihan berjalan di latar belakang (respons 202) dan hasilnya dikirim sebagai webhook training.completed atau training.failed':
+    'When set, training runs in the background (202 response) and its result is sent as a training.completed or training.failed webhook',
+  'Pelatihan dijadwalkan di latar belakang (dengan callbackUrl); data berisi runId':
+    'Training scheduled in the background (with callbackUrl); data contains the runId',
+  'URL webhook untuk job batch (dengan async=true); untuk body JSON juga dapat diisi di field callbackUrl':
+    'Webhook URL for the batch job (with async=true); JSON bodies can also use the callbackUrl field',
+  'Pesan awal sesi, paling banyak SESSION_MAX_MESSAGES (default 200)':
+    'Initial session messages, at most SESSION_MAX_MESSAGES (default 200)',
+  'Pesan error dalam bahasa request':
+    'Error message in the request language',
+  'Code error yang stabil, misalnya JOB_CANCELLED, JOB_INTERRUPTED atau GENERATION_CANCELLED':
+    'Stable error code, for example JOB_CANCELLED, JOB_INTERRUPTED or GENERATION_CANCELLED',
+  'Kunci verifikasi webhook':
+    'Webhook verification key',
+  'Endpoint untuk mengambil kunci HMAC milik pengguna yang dipakai menandatangani header X-Webhook-Signature pada webhook miliknya. Kunci diturunkan dari WEBHOOK_SECRET sehingga berubah ketika WEBHOOK_SECRET diganti.':
+    'Endpoint for retrieving the user HMAC key used to sign the X-Webhook-Signature header on their webhooks. The key is derived from WEBHOOK_SECRET, so it changes when WEBHOOK_SECRET is replaced.',
+  'Kunci webhook pengguna; data berisi owner dan secret':
+    'User webhook key; data contains owner and secret',
+  'Khusus target all: teks per model, atau { error: { code, message } } untuk model yang gagal':
+    'Target all only: text per model, or { error: { code, message } } for models that failed',
+  '{ generated_text } untuk satu model, { results } untuk target all (model yang gagal berisi { error: { code, message } }), atau { results, summary } untuk batch':
+    '{ generated_text } for a single model, { results } for the all target (failed models hold { error: { code, message } }), or { results, summary } for batches'
+};
@@ -0,0 +1,182 @@
+/**
+ * Katalog pesan API bahasa Inggris. Kunci yang tidak ada di sini memakai teks dari id.js.
+ */
+module.exports = {
+  server: {
+    running: 'AI System API is running',
+    internalError: 'Internal server error',
+    endpointNotFound: 'Endpoint not found',
+    databaseUnavailable: 'Database is unavailable',
+    shuttingDown: 'Server is shutting down, please retry later'
+  },
+  request: {
+    invalidJson: 'Request body is not valid JSON',
+    payloadTooLarge: 'Request body is too large',
+    invalid: 'Invalid request',
+    invalidJsonLine: 'Line {line} is not valid JSON: {detail}',
+    promptRequired: 'Prompt is required',
+    rateLimited: 'Too many requests, please try again later'
+  },
+  auth: {
+    tokenMissing: 'No authentication token provided',
+    invalidToken: 'Invalid token',
+    credentialsRequired: 'Username and password are required',
+    invalidCredentials: 'Invalid username or password',
+    accountDisabled: 'Account is disabled',
+    refreshTokenRequired: 'Refresh token is required',
+    invalidRefreshToken: 'Invalid refresh token',
+    logoutJwtOnly: 'Logout only applies to JWT tokens',
+    loggedOut: 'Logged out successfully',
+    invalidPassword: 'Current password is invalid',
+    passwordChanged: 'Password changed successfully',
+    passwordTooShort: 'Password must be at least {min} characters'
+  },
+  permission: {
+    denied: '{subject} does not have the \'{permission}\' permission',
+    modelNotAllowed: '{subject} is not allowed to use model: {models}',
+    apiKeySubject: 'API key',
+    roleSubject: 'Role \'{role}\''
+  },
+  quota: {
+    exceeded: '{period} token quota exhausted ({used}/{limit} tokens)',
+    insufficient: '{period} token quota has {remaining} tokens left, not enough for the {requested} tokens requested',
+    daily: 'Daily',
+    monthly: 'Monthly'
+  },
+  users: {
+    invalidUsername: 'Username must be 3-32 characters (letters, digits, dots, underscores or hyphens)',
+    invalidRole: 'Role must be one of: {roles}',
+    exists: 'User \'{username}\' already exists',
+    cannotDisableSelf: 'You cannot disable your own account',
+    notFound: 'User \'{username}\' not found'
+  },
+  apiKeys: {
+    nameRequired: 'API key name is required',
+    scopesRequired: 'Scopes must be a non-empty array',
+    unknownScopes: 'Unknown scopes: {scopes}',
+    invalidRole: 'Role must be one of: {roles}',
+    invalidExpiresAt: 'expiresAt must be an ISO date in the future',
+    notFoundOrRevoked: 'API key not found or already revoked',
+    notFound: 'API key not found',
+    ownerNotFound: 'Owner {owner} is not a registered user',
+    ownerDisabled: 'Account {owner} is disabled'
+  },
+  sessions: {
+    notFound: 'Session not found',
+    deleted: 'Session deleted successfully',
+    singleModelOnly: 'Sessions can only be used with a single model',
+    invalidMessages: 'messages must be an array',
+    tooManyMessages: 'A session can hold at most {max} messages'
+  },
+  chat: {
+    messagesRequired: 'Messages must be a non-empty array',
+    invalidRole: 'Role of message {index} must be one of: {roles}',
+    invalidContent: 'Content of message {index} must be a string',
+    singleModelOnly: 'Chat supports a single model only, use llama, mistral or gptj'
+  },
+  options: {
+    fieldError: '{field} {message}',
+    invalid: 'Invalid generation options: {fields}',
+    mustBeObject: 'must be an object',
+    mustBeInteger: 'must be an integer',
+    mustBeNumber: 'must be a number',
+    outOfRange: 'must be between {minimum} and {maximum}',
+    unknownAlias: 'unknown option, use {name}',
+    unknown: 'unknown option, use one of: {names}'
+  },
+  models: {
+    notFound: 'Model \'{model}\' not found',
+    managerNotInitialized: 'ModelManager is not initialized, call init() first',
+    pathNotFound: 'Model path not found: {path}',
+    loadFailed: 'Failed to load model {model}: {cause}',
+    loaded: 'Model {model} loaded successfully',
+    unloaded: 'Model {model} unloaded successfully'
+  },
+  generation: {
+    cancelled: 'Generation cancelled',
+    cancelledWithReason: 'Generation cancelled: {reason}',
+    clientDisconnected: 'Client connection closed',
+    cancelledViaApi: 'Cancelled through the API',
+    serverShutdown: 'Server shut down before the generation finished',
+    notFound: 'Generation not found or already finished'
+  },
+  health: {
+    notReady: 'Server is not ready: {reasons}',
+    shuttingDown: 'the server is shutting down',
+    databaseDisconnected: 'database is not connected',
+    modelsNotInitialized: 'ModelManager is not initialized',
+    unknownModel: 'required model {model} is not registered',
+    modelFileMissing: 'model file for {model} not found',
+    modelNotLoaded: 'model {model} is not loaded (state {state})'
+  },
+  queue: {
+    full: 'Queue for model {model} is full, please try again later',
+    timeout: 'Timed out waiting in the queue for model {model}, please try again later'
+  },
+  jobs: {
+    modelRequired: 'Model is required (llama, mistral, gptj or all)',
+    invalidStatus: 'Status must be one of: {statuses}',
+    notFound: 'Job not found',
+    resultsBatchOnly: 'Result downloads are only available for batch jobs, use GET /api/jobs/{id}',
+    resultsNotReady: 'Results are not available yet, job status is {status}',
+    alreadyFinished: 'Job already finished with status {status}',
+    cancelled: 'Job cancelled',
+    interrupted: 'The server restarted before the job finished'
+  },
+  batch: {
+    itemsRequired: 'Items must be a non-empty array',
+    tooManyItems: 'A batch may contain at most {max} items',
+    itemMustBeObject: 'Batch item must be an object',
+    modelRequired: 'Model is required',
+    singleModelOnly: 'Batch items support a single model only, use llama, mistral or gptj',
+    invalidOptions: 'Invalid generation options: {errors}'
+  },
+  cache: {
+    entryNotFound: 'Cache entry not found'
+  },
+  usage: {
+    invalidDate: 'Parameters from and to must use the YYYY-MM-DD format',
+    invalidRange: 'Parameter from must not be after to',
+    invalidGroupBy: 'groupBy must be a combination of: {fields}',
+    invalidUsername: 'Parameter username must be a single username'
+  },
+  audit: {
+    invalidDate: 'Parameters from and to must be ISO 8601 dates or timestamps',
+    invalidRange: 'Parameter from must not be after to',
+    invalidOutcome: 'outcome must be one of: {outcomes}',
+    invalidParameter: 'Parameter {name} must be a single value'
+  },
+  training: {
+    interrupted: 'The server shut down before training finished',
+    dataMustBeArray: 'Training data must be a non-empty array',
+    noData: 'No training data in the request or in the data directory',
+    fileNotFound: 'Training data file not found: {path}'
+  },
+  webhooks: {
+    invalidCallbackUrl: 'callbackUrl must be a valid http or https URL',
+    invalidStatus: 'Status must be one of: {statuses}',
+    deliveryNotFound: 'Webhook delivery not found',
+    callbackNotAllowed: 'callbackUrl points to a host or address that is not allowed',
+    httpError: 'The receiver responded with HTTP status {status}',
+    addressBlocked: 'The receiver address is not allowed',
+    timeout: 'No response within {timeoutMs} ms',
+    connectionFailed: 'Could not connect to the receiver: {detail}'
+  },
+  websocket: {
+    invalidMessage: 'WebSocket messages must be JSON objects with a type field',
+    unknownType: 'Unknown message type {type}, use one of: {types}',
+    invalidId: 'The id field must be 1-64 letters, digits, dots, colons, underscores or hyphens',
+    modelRequired: 'The model field is required',
+    singleModelOnly: 'WebSocket conversations support a single model only, use llama, mistral or gptj',
+    conversationExists: 'Conversation {id} is still running on this connection',
+    conversationNotFound: 'Conversation {id} not found or already finished',
+    tooManyConversations: 'At most {max} conversations can run concurrently per connection'
+  },
+  openai: {
+    modelRequired: 'The model parameter is required',
+    promptRequired: 'The prompt parameter is required',
+    invalidN: 'n must be a positive integer',
+    invalidStop: 'stop must be a string or an array of strings',
+    invalidParam: '{param} {detail}'
+  }
+};
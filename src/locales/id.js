@@ -0,0 +1,183 @@
+/**
+ * Katalog pesan API bahasa Indonesia (bahasa default). Placeholder {nama} diisi dari parameter pesan.
+ * Setiap kunci di sini harus memiliki padanan di en.js.
+ */
+module.exports = {
+  server: {
+    running: 'API Sistem AI berfungsi',
+    internalError: 'Terjadi kesalahan server',
+    endpointNotFound: 'Endpoint tidak ditemukan',
+    databaseUnavailable: 'Database tidak tersedia',
+    shuttingDown: 'Server sedang berhenti, coba lagi nanti'
+  },
+  request: {
+    invalidJson: 'Body request bukan JSON yang valid',
+    payloadTooLarge: 'Body request terlalu besar',
+    invalid: 'Request tidak valid',
+    invalidJsonLine: 'Baris {line} bukan JSON yang valid: {detail}',
+    promptRequired: 'Prompt diperlukan',
+    rateLimited: 'Terlalu banyak permintaan, coba lagi nanti'
+  },
+  auth: {
+    tokenMissing: 'Tidak ada token otentikasi',
+    invalidToken: 'Token tidak valid',
+    credentialsRequired: 'Username dan password diperlukan',
+    invalidCredentials: 'Kombinasi username dan password tidak valid',
+    accountDisabled: 'Akun dinonaktifkan',
+    refreshTokenRequired: 'Refresh token diperlukan',
+    invalidRefreshToken: 'Refresh token tidak valid',
+    logoutJwtOnly: 'Logout hanya berlaku untuk token JWT',
+    loggedOut: 'Logout berhasil',
+    invalidPassword: 'Password saat ini tidak valid',
+    passwordChanged: 'Password berhasil diganti',
+    passwordTooShort: 'Password minimal {min} karakter'
+  },
+  permission: {
+    denied: '{subject} tidak memiliki izin \'{permission}\'',
+    modelNotAllowed: '{subject} tidak diizinkan menggunakan model: {models}',
+    apiKeySubject: 'API key',
+    roleSubject: 'Role \'{role}\''
+  },
+  quota: {
+    exceeded: 'Kuota token {period} habis ({used}/{limit} token)',
+    insufficient: 'Sisa kuota token {period} ({remaining} token) tidak cukup untuk {requested} token yang diminta',
+    daily: 'harian',
+    monthly: 'bulanan'
+  },
+  users: {
+    invalidUsername: 'Username harus 3-32 karakter (huruf, angka, titik, garis bawah atau tanda hubung)',
+    invalidRole: 'Role harus salah satu dari: {roles}',
+    exists: 'Pengguna \'{username}\' sudah ada',
+    cannotDisableSelf: 'Tidak dapat menonaktifkan akun sendiri',
+    notFound: 'Pengguna \'{username}\' tidak ditemukan'
+  },
+  apiKeys: {
+    nameRequired: 'Nama API key diperlukan',
+    scopesRequired: 'Scopes harus berupa array yang tidak kosong',
+    unknownScopes: 'Scope tidak dikenali: {scopes}',
+    invalidRole: 'Role harus salah satu dari: {roles}',
+    invalidExpiresAt: 'expiresAt harus berupa tanggal ISO di masa depan',
+    notFoundOrRevoked: 'API key tidak ditemukan atau sudah dicabut',
+    notFound: 'API key tidak ditemukan',
+    ownerNotFound: 'Pemilik {owner} bukan pengguna terdaftar',
+    ownerDisabled: 'Akun {owner} dinonaktifkan'
+  },
+  sessions: {
+    notFound: 'Sesi tidak ditemukan',
+    deleted: 'Sesi berhasil dihapus',
+    singleModelOnly: 'Sesi hanya dapat digunakan dengan satu model',
+    invalidMessages: 'Messages harus berupa array',
+    tooManyMessages: 'Sesi dapat berisi paling banyak {max} pesan'
+  },
+  chat: {
+    messagesRequired: 'Messages harus berupa array yang tidak kosong',
+    invalidRole: 'Role pesan ke-{index} harus salah satu dari: {roles}',
+    invalidContent: 'Content pesan ke-{index} harus berupa string',
+    singleModelOnly: 'Chat hanya mendukung satu model, gunakan llama, mistral atau gptj'
+  },
+  options: {
+    fieldError: '{field} {message}',
+    invalid: 'Opsi generasi tidak valid: {fields}',
+    mustBeObject: 'harus berupa objek',
+    mustBeInteger: 'harus berupa bilangan bulat',
+    mustBeNumber: 'harus berupa angka',
+    outOfRange: 'harus di antara {minimum} dan {maximum}',
+    unknownAlias: 'opsi tidak dikenal, gunakan {name}',
+    unknown: 'opsi tidak dikenal, gunakan salah satu dari: {names}'
+  },
+  models: {
+    notFound: 'Model \'{model}\' tidak ditemukan',
+    managerNotInitialized: 'ModelManager belum diinisialisasi, panggil init() terlebih dahulu',
+    pathNotFound: 'Model path tidak ditemukan: {path}',
+    loadFailed: 'Gagal memuat model {model}: {cause}',
+    loaded: 'Model {model} berhasil dimuat',
+    unloaded: 'Model {model} berhasil dibebaskan'
+  },
+  generation: {
+    cancelled: 'Generasi dibatalkan',
+    cancelledWithReason: 'Generasi dibatalkan: {reason}',
+    clientDisconnected: 'Koneksi klien terputus',
+    cancelledViaApi: 'Dibatalkan melalui API',
+    serverShutdown: 'Server berhenti sebelum generasi selesai',
+    notFound: 'Generasi tidak ditemukan atau sudah selesai'
+  },
+  health: {
+    notReady: 'Server belum siap: {reasons}',
+    shuttingDown: 'server sedang berhenti',
+    databaseDisconnected: 'database tidak terhubung',
+    modelsNotInitialized: 'ModelManager belum diinisialisasi',
+    unknownModel: 'model wajib {model} tidak terdaftar',
+    modelFileMissing: 'file model {model} tidak ditemukan',
+    modelNotLoaded: 'model {model} belum dimuat (status {state})'
+  },
+  queue: {
+    full: 'Antrean model {model} penuh, coba lagi nanti',
+    timeout: 'Waktu tunggu antrean model {model} habis, coba lagi nanti'
+  },
+  jobs: {
+    modelRequired: 'Model diperlukan (llama, mistral, gptj atau all)',
+    invalidStatus: 'Status harus salah satu dari: {statuses}',
+    notFound: 'Job tidak ditemukan',
+    resultsBatchOnly: 'Unduhan hasil hanya tersedia untuk job batch, gunakan GET /api/jobs/{id}',
+    resultsNotReady: 'Hasil belum tersedia, status job {status}',
+    alreadyFinished: 'Job sudah selesai dengan status {status}',
+    cancelled: 'Job dibatalkan',
+    interrupted: 'Server dimulai ulang sebelum job selesai'
+  },
+  batch: {
+    itemsRequired: 'Items harus berupa array yang tidak kosong',
+    tooManyItems: 'Batch maksimal berisi {max} item',
+    itemMustBeObject: 'Item batch harus berupa objek',
+    modelRequired: 'Model diperlukan',
+    singleModelOnly: 'Item batch hanya mendukung satu model, gunakan llama, mistral atau gptj',
+    invalidOptions: 'Opsi generasi tidak valid: {errors}'
+  },
+  cache: {
+    entryNotFound: 'Entri cache tidak ditemukan'
+  },
+  usage: {
+    invalidDate: 'Parameter from dan to harus berformat YYYY-MM-DD',
+    invalidRange: 'Parameter from tidak boleh setelah to',
+    invalidGroupBy: 'groupBy harus berisi kombinasi dari: {fields}',
+    invalidUsername: 'Parameter username harus berupa satu nama pengguna'
+  },
+  audit: {
+    invalidDate: 'Parameter from dan to harus berupa tanggal atau waktu ISO 8601',
+    invalidRange: 'Parameter from tidak boleh setelah to',
+    invalidOutcome: 'outcome harus salah satu dari: {outcomes}',
+    invalidParameter: 'Parameter {name} harus berupa satu nilai'
+  },
+  training: {
+    interrupted: 'Server berhenti sebelum pelatihan selesai',
+    dataMustBeArray: 'Data pelatihan harus berupa array yang tidak kosong',
+    noData: 'Tidak ada data pelatihan pada request maupun di direktori data',
+    fileNotFound: 'File data pelatihan tidak ditemukan: {path}'
+  },
+  webhooks: {
+    invalidCallbackUrl: 'callbackUrl harus berupa URL http atau https yang valid',
+    invalidStatus: 'Status harus salah satu dari: {statuses}',
+    deliveryNotFound: 'Pengiriman webhook tidak ditemukan',
+    callbackNotAllowed: 'callbackUrl mengarah ke host atau alamat yang tidak diizinkan',
+    httpError: 'Penerima membalas dengan status HTTP {status}',
+    addressBlocked: 'Alamat penerima tidak diizinkan',
+    timeout: 'Tidak ada respons dalam {timeoutMs} ms',
+    connectionFailed: 'Gagal terhubung ke penerima: {detail}'
+  },
+  websocket: {
+    invalidMessage: 'Pesan WebSocket harus berupa objek JSON dengan field type',
+    unknownType: 'Tipe pesan {type} tidak dikenal, gunakan salah satu dari: {types}',
+    invalidId: 'Field id wajib berupa 1-64 karakter huruf, angka, titik, titik dua, garis bawah atau tanda hubung',
+    modelRequired: 'Field model diperlukan',
+    singleModelOnly: 'Percakapan WebSocket hanya mendukung satu model, gunakan llama, mistral atau gptj',
+    conversationExists: 'Percakapan {id} masih berjalan pada koneksi ini',
+    conversationNotFound: 'Percakapan {id} tidak ditemukan atau sudah selesai',
+    tooManyConversations: 'Maksimal {max} percakapan berjalan bersamaan per koneksi'
+  },
+  openai: {
+    modelRequired: 'Parameter model diperlukan',
+    promptRequired: 'Parameter prompt diperlukan',
+    invalidN: 'n harus berupa bilangan bulat positif',
+    invalidStop: 'stop harus berupa string atau array string',
+    invalidParam: '{param} {detail}'
+  }
+};
@@ -1,4 +1,8 @@
+const fs = require('fs');
 const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+const { resolveChatTemplate, renderChatTemplate } = require('./chatTemplates');
+const { withDefaults } = require('./generationOptions');
 
 /**
  * Kelas dasar untuk semua model AI
@@ -12,14 +16,25 @@ class BaseModel {
     }
     
     this.config = config;
+    // Nama pendek model sesuai kunci di ModelManager ('llama', 'mistral', 'gptj'), dipakai sebagai label metrik
+    this.name = this.constructor.name.replace(/Model$/, '').toLowerCase();
     this.modelPath = config.path;
+    this.contextSize = config.contextSize || 2048;
     this.isLoaded = false;
+    // Status untuk pemeriksaan kesehatan: 'unloaded', 'loading', 'loaded' atau 'failed'
+    this.state = 'unloaded';
+    this.lastError = null;
+    this.lastErrorAt = null;
+    // Diisi oleh ModelManager setiap kali generasi selesai dengan sukses
+    this.lastGenerationAt = null;
     this.model = null;
+    this.chatTemplate = resolveChatTemplate(config.chatTemplate || 'plain');
   }
 
   /**
    * Memuat model ke dalam memori
    * @returns {Promise<boolean>} Status keberhasilan pemuatan
+   * @throws {ModelLoadFailedError} Jika model gagal dimuat
    */
   async load() {
     throw new Error('Metode load() harus diimplementasikan oleh kelas turunan');
@@ -28,13 +43,36 @@ class BaseModel {
   /**
    * Menghasilkan teks berdasarkan prompt yang diberikan
    * @param {string} prompt Input teks untuk model
-   * @param {object} options Opsi generasi teks (suhu, panjang maksimum, dll.)
+   * @param {object} options Opsi generasi kanonik (lihat generationOptions.js) yang sudah divalidasi.
+   *                         `options.signal` (AbortSignal) menghentikan generasi di token berikutnya
+   *                         dan membuat Promise ditolak dengan GenerationCancelledError.
    * @returns {Promise<string>} Teks yang dihasilkan
    */
   async generate(prompt, options = {}) {
     throw new Error('Metode generate() harus diimplementasikan oleh kelas turunan');
   }
 
+  /**
+   * Menghasilkan teks secara bertahap, token demi token
+   * @param {string} prompt Input teks untuk model
+   * @param {object} options Opsi generasi kanonik, termasuk `signal`
+   * @returns {AsyncGenerator<string>} Token yang dihasilkan segera setelah tersedia
+   */
+  async *generateStream(prompt, options = {}) {
+    throw new Error('Metode generateStream() harus diimplementasikan oleh kelas turunan');
+  }
+
+  /**
+   * Menerjemahkan opsi generasi kanonik ke parameter backend, termasuk nilai default.
+   * Kelas turunan menimpa metode ini sesuai nama dan semantik parameter library masing-masing.
+   * @param {object} options Opsi kanonik tanpa `signal`
+   * @returns {object} Parameter generasi untuk backend
+   * @protected
+   */
+  _translateOptions(options) {
+    return withDefaults(options);
+  }
+
   /**
    * Memperbarui model dengan data pelatihan baru
    * @param {Array} trainingData Data pelatihan untuk memperbarui model
@@ -71,6 +109,88 @@ class BaseModel {
     throw new Error('Metode unload() harus diimplementasikan oleh kelas turunan');
   }
 
+  /**
+   * Merangkai percakapan multi-turn menjadi prompt sesuai template chat model
+   * @param {Array} messages Daftar pesan { role: 'system'|'user'|'assistant', content }
+   * @returns {string} Prompt yang siap dikirim ke generate()
+   */
+  formatChat(messages) {
+    return renderChatTemplate(this.chatTemplate, messages);
+  }
+
+  /**
+   * Memangkas riwayat percakapan agar muat di jendela konteks model bersama jawaban.
+   * Pesan system di awal dan pesan terakhir selalu dipertahankan; pesan lain dibuang mulai dari yang tertua.
+   * @param {Array} messages Daftar pesan { role, content }
+   * @param {number} reservedTokens Token yang disisakan untuk jawaban (biasanya maxTokens)
+   * @returns {Array} Pesan yang muat di jendela konteks
+   */
+  fitToContext(messages, reservedTokens = 0) {
+    const leading = messages.findIndex(message => message.role !== 'system');
+    if (leading === -1) {
+      return messages;
+    }
+
+    const system = messages.slice(0, leading);
+    const conversation = messages.slice(leading);
+    let budget = this.contextSize - reservedTokens
+      - system.reduce((total, message) => total + this.countTokens(message.content), 0);
+
+    let start = conversation.length - 1;
+    budget -= this.countTokens(conversation[start].content);
+
+    while (start > 0 && budget - this.countTokens(conversation[start - 1].content) >= 0) {
+      start -= 1;
+      budget -= this.countTokens(conversation[start].content);
+    }
+
+    return [...system, ...conversation.slice(start)];
+  }
+
+  /**
+   * Memperkirakan jumlah token dalam teks.
+   * Kelas turunan dapat menimpa metode ini jika tokenizer asli tersedia.
+   * @param {string} text Teks yang akan dihitung
+   * @returns {number} Perkiraan jumlah token (rata-rata ~4 karakter per token)
+   */
+  countTokens(text) {
+    if (!text) {
+      return 0;
+    }
+    return Math.ceil(text.length / 4);
+  }
+
+  /**
+   * Menandai awal pemuatan atau pembebasan model. Kelas turunan memanggil metode ini di
+   * load() dan unload() agar status kesehatan dan metrik model tetap sesuai.
+   * @param {string} event 'load' atau 'unload'
+   * @returns {Function} Fungsi `end(error)`; dipanggil tanpa argumen jika berhasil
+   * @protected
+   */
+  _beginLifecycle(event) {
+    const endTimer = metrics.startLifecycleTimer(this.name, event);
+
+    if (event === 'load') {
+      this.state = 'loading';
+    }
+
+    return (error = null) => {
+      endTimer(error ? 'error' : 'success');
+
+      if (!error) {
+        this.state = event === 'load' ? 'loaded' : 'unloaded';
+        return;
+      }
+
+      this.lastError = error.message;
+      this.lastErrorAt = new Date();
+      // Pembebasan yang gagal tidak mengubah status; model mungkin masih di memori
+      if (event === 'load') {
+        this.state = 'failed';
+      }
+    };
+  }
+
   /**
    * Mendapatkan informasi tentang model
    * @returns {object} Informasi model
@@ -79,7 +199,22 @@ class BaseModel {
     return {
       name: this.constructor.name,
       path: this.modelPath,
-      isLoaded: this.isLoaded
+      isLoaded: this.isLoaded,
+      state: this.state
+    };
+  }
+
+  /**
+   * Mendapatkan status kesehatan model
+   * @returns {object} { state, fileExists, lastError, lastErrorAt, lastGenerationAt }
+   */
+  getHealth() {
+    return {
+      state: this.state,
+      fileExists: fs.existsSync(this.modelPath),
+      lastError: this.lastError,
+      lastErrorAt: this.lastErrorAt,
+      lastGenerationAt: this.lastGenerationAt
     };
   }
 }
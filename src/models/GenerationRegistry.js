@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { ABORT_REASONS } = require('../utils/abort');
+
+/**
+ * Kelas GenerationRegistry mencatat generasi yang sedang berjalan beserta
+ * AbortController-nya sehingga generasi dapat dibatalkan berdasarkan ID.
+ * Generasi yang dibatalkan tetap tercatat (status 'cancelling') sampai pemiliknya
+ * memanggil finish() dan semua slot modelnya dilepas.
+ */
+class GenerationRegistry {
+  constructor() {
+    this.running = new Map();
+  }
+
+  /**
+   * Mendaftarkan generasi baru
+   * @param {object} details { owner, model, source }
+   * @returns {object} Entri generasi { id, owner, model, source, startedAt, signal, queue, settled }
+   */
+  start({ owner, model, source }) {
+    const controller = new AbortController();
+    let resolveSettled;
+    const entry = {
+      id: `gen-${crypto.randomBytes(12).toString('hex')}`,
+      owner,
+      model,
+      source,
+      startedAt: new Date(),
+      controller,
+      signal: controller.signal,
+      // Posisi antrean per model selama generasi masih menunggu slot
+      queue: {},
+      // Jumlah slot model yang sedang dipakai
+      active: 0,
+      finished: false,
+      // Selesai setelah entri dihapus, yaitu ketika generasi selesai dan semua slot modelnya dilepas
+      settled: new Promise(resolve => {
+        resolveSettled = resolve;
+      })
+    };
+    entry.resolveSettled = resolveSettled;
+
+    this.running.set(entry.id, entry);
+    return entry;
+  }
+
+  /**
+   * Menandai generasi sudah selesai. Entri dihapus setelah semua slot modelnya dilepas.
+   * @param {string} id ID generasi
+   */
+  finish(id) {
+    const entry = this.running.get(id);
+    if (entry) {
+      entry.finished = true;
+      this._removeIfSettled(entry);
+    }
+  }
+
+  /**
+   * Mencatat posisi antrean generasi untuk sebuah model
+   * @param {string} id ID generasi
+   * @param {string} model Nama model
+   * @param {number} position Posisi antrean (mulai dari 1)
+   */
+  markQueued(id, model, position) {
+    const entry = this.running.get(id);
+    if (entry) {
+      entry.queue[model] = position;
+    }
+  }
+
+  /**
+   * Mencatat bahwa generasi untuk sebuah model sudah mendapat slot dan mulai berjalan
+   * @param {string} id ID generasi
+   * @param {string} model Nama model
+   */
+  markRunning(id, model) {
+    const entry = this.running.get(id);
+    if (entry) {
+      delete entry.queue[model];
+      entry.active += 1;
+    }
+  }
+
+  /**
+   * Mencatat bahwa slot model yang dipakai generasi sudah dilepas
+   * @param {string} id ID generasi
+   * @param {string} model Nama model
+   */
+  markReleased(id, model) {
+    const entry = this.running.get(id);
+    if (entry) {
+      entry.active = Math.max(0, entry.active - 1);
+      this._removeIfSettled(entry);
+    }
+  }
+
+  /**
+   * Membatalkan generasi yang sedang berjalan. Entri tetap tercatat sampai generasi benar-benar berhenti.
+   * @param {string} id ID generasi
+   * @param {string} reason Alasan pembatalan ('client-disconnect', 'cancelled' atau 'shutdown')
+   * @returns {boolean} False jika generasi tidak ditemukan atau sudah dibatalkan
+   */
+  cancel(id, reason = 'cancelled') {
+    const entry = this.running.get(id);
+
+    if (!entry || entry.signal.aborted) {
+      return false;
+    }
+
+    const elapsedMs = Date.now() - entry.startedAt.getTime();
+    logger.warn(`Generasi ${id} (${entry.model}, ${entry.source}) milik ${entry.owner} dibatalkan setelah ${elapsedMs} ms: ${ABORT_REASONS[reason] || reason}`);
+
+    entry.controller.abort(reason);
+    return true;
+  }
+
+  /**
+   * Mendapatkan generasi berdasarkan ID
+   * @param {string} id ID generasi
+   * @returns {object|undefined} Entri generasi
+   */
+  get(id) {
+    return this.running.get(id);
+  }
+
+  /**
+   * Mendapatkan daftar generasi yang sedang berjalan
+   * @param {string} owner Jika diisi, hanya generasi milik pengguna ini
+   * @returns {Array<object>} Ringkasan generasi
+   */
+  list(owner = null) {
+    return [...this.running.values()]
+      .filter(entry => !owner || entry.owner === owner)
+      .map(entry => this.toPublic(entry));
+  }
+
+  /**
+   * Representasi publik entri generasi tanpa AbortController
+   * @param {object} entry Entri generasi
+   * @returns {object} Ringkasan generasi
+   */
+  toPublic(entry) {
+    const queued = Object.keys(entry.queue).length > 0;
+
+    return {
+      id: entry.id,
+      owner: entry.owner,
+      model: entry.model,
+      source: entry.source,
+      status: entry.signal.aborted ? 'cancelling' : queued ? 'queued' : 'running',
+      queue: queued ? { ...entry.queue } : undefined,
+      startedAt: entry.startedAt.toISOString()
+    };
+  }
+
+  /**
+   * Menghapus entri yang sudah selesai dan tidak lagi memakai slot model
+   * @private
+   */
+  _removeIfSettled(entry) {
+    if (entry.finished && entry.active === 0) {
+      this.running.delete(entry.id);
+      entry.resolveSettled();
+    }
+  }
+}
+
+// Singleton instance
+const generationRegistry = new GenerationRegistry();
+
+module.exports = generationRegistry;
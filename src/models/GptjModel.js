@@ -1,8 +1,28 @@
 const BaseModel = require('./BaseModel');
+const { resolveChatTemplate } = require('./chatTemplates');
 const logger = require('../utils/logger');
 const fs = require('fs');
 const path = require('path');
 const ort = require('onnxruntime-node');
+const { throwIfAborted, isAbortError } = require('../utils/abort');
+const { AppError, ModelLoadFailedError } = require('../utils/errors');
+const { msg } = require('../utils/i18n');
+const { withDefaults } = require('./generationOptions');
+
+/**
+ * Generator bilangan acak dengan seed (mulberry32) untuk sampling yang dapat diulang
+ * @private
+ */
+const seededRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
 
 /**
  * Implementasi model GPT-J
@@ -14,6 +34,7 @@ class GptjModel extends BaseModel {
     this.threads = config.threads || 4;
     this.session = null;
     this.tokenizer = null;
+    this.chatTemplate = resolveChatTemplate(config.chatTemplate || 'plain');
   }
 
   /**
@@ -21,11 +42,13 @@ class GptjModel extends BaseModel {
    * @returns {Promise<boolean>} Status keberhasilan pemuatan
    */
   async load() {
+    const endLifecycle = this._beginLifecycle('load');
+    
     try {
       logger.info(`Memuat model GPT-J dari: ${this.modelPath}`);
       
       if (!fs.existsSync(this.modelPath)) {
-        throw new Error(`Model path tidak ditemukan: ${this.modelPath}`);
+        throw new AppError(msg('models.pathNotFound', { path: this.modelPath }));
       }
 
       // Cek tokenizer
@@ -53,12 +76,14 @@ class GptjModel extends BaseModel {
       };
 
       this.isLoaded = true;
+      endLifecycle();
       logger.info('Model GPT-J berhasil dimuat');
       return true;
     } catch (error) {
+      endLifecycle(error);
       logger.error(`Gagal memuat model GPT-J: ${error.message}`);
       this.isLoaded = false;
-      throw error;
+      throw new ModelLoadFailedError('GPT-J', error);
     }
   }
 
@@ -76,22 +101,15 @@ class GptjModel extends BaseModel {
     try {
       logger.debug(`Menghasilkan teks dengan prompt: ${prompt.substring(0, 50)}...`);
       
-      const defaultOptions = {
-        temperature: 0.7,
-        maxTokens: 512,
-        topP: 0.95,
-        topK: 40,
-        repetitionPenalty: 1.1
-      };
-
-      const mergedOptions = { ...defaultOptions, ...options };
+      const { signal, ...generationOptions } = options;
+      const samplerOptions = this._translateOptions(generationOptions);
       
       // Simulasi generasi teks (dalam implementasi sebenarnya, gunakan model ONNX)
       // 1. Tokenisasi prompt
       const encodedInput = this.tokenizer.encode(prompt);
       
       // 2. Generasi token (simulasi)
-      const generatedTokens = await this._generateTokens(encodedInput.input_ids, mergedOptions);
+      const generatedTokens = await this._generateTokens(encodedInput.input_ids, samplerOptions, signal);
       
       // 3. Decode token menjadi teks
       const generatedText = this.tokenizer.decode(generatedTokens);
@@ -99,27 +117,93 @@ class GptjModel extends BaseModel {
       logger.debug('Teks berhasil dihasilkan');
       return generatedText;
     } catch (error) {
-      logger.error(`Gagal menghasilkan teks: ${error.message}`);
+      if (!isAbortError(error)) {
+        logger.error(`Gagal menghasilkan teks: ${error.message}`);
+      }
       throw error;
     }
   }
 
+  /**
+   * Menghasilkan teks secara bertahap, mendekode setiap token baru
+   * @param {string} prompt Input teks untuk model
+   * @param {object} options Opsi generasi teks
+   * @returns {AsyncGenerator<string>} Token yang dihasilkan
+   */
+  async *generateStream(prompt, options = {}) {
+    if (!this.isLoaded) {
+      await this.load();
+    }
+
+    try {
+      logger.debug(`Streaming teks dengan prompt: ${prompt.substring(0, 50)}...`);
+      
+      const { signal, ...generationOptions } = options;
+      const samplerOptions = this._translateOptions(generationOptions);
+      const encodedInput = this.tokenizer.encode(prompt);
+      
+      for await (const token of this._generateTokenStream(encodedInput.input_ids, samplerOptions, signal)) {
+        yield this.tokenizer.decode([token]);
+      }
+      
+      logger.debug('Streaming teks selesai');
+    } catch (error) {
+      if (!isAbortError(error)) {
+        logger.error(`Gagal melakukan streaming teks: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Menerjemahkan opsi kanonik ke konfigurasi sampler GPT-J.
+   * Temperature 0 dijalankan dengan seed tetap agar hasilnya dapat diulang seperti greedy decoding.
+   * @protected
+   */
+  _translateOptions(options) {
+    const { temperature, maxTokens, topP, topK, repetitionPenalty, seed } = withDefaults(options);
+
+    return {
+      maxNewTokens: maxTokens,
+      temperature,
+      topP,
+      topK,
+      repetitionPenalty,
+      seed: seed !== undefined ? seed : (temperature === 0 ? 0 : null)
+    };
+  }
+
   /**
    * Metode internal untuk generasi token (simulasi)
    * @private
    */
-  async _generateTokens(inputIds, options) {
+  async _generateTokens(inputIds, options, signal = null) {
+    const generatedTokens = [...inputIds];
+    
+    for await (const token of this._generateTokenStream(inputIds, options, signal)) {
+      generatedTokens.push(token);
+    }
+    
+    return generatedTokens;
+  }
+
+  /**
+   * Metode internal yang menghasilkan token baru satu per satu (simulasi).
+   * Signal diperiksa sebelum setiap langkah sehingga pembatalan berlaku di token berikutnya.
+   * @private
+   */
+  async *_generateTokenStream(inputIds, options, signal = null) {
     // Simulasi generasi token
     // Dalam implementasi sebenarnya, kode ini akan menggunakan session ONNX untuk prediksi
     
-    const generatedTokens = [...inputIds];
+    const random = options.seed !== null ? seededRandom(options.seed) : Math.random;
     
-    for (let i = 0; i < options.maxTokens; i++) {
+    for (let i = 0; i < options.maxNewTokens; i++) {
+      throwIfAborted(signal);
+      
       // Simulasi penambahan token baru
-      generatedTokens.push(Math.floor(Math.random() * 50000));
+      yield Math.floor(random() * 50000);
     }
-    
-    return generatedTokens;
   }
 
   /**
@@ -216,17 +300,24 @@ class GptjModel extends BaseModel {
    * @returns {Promise<boolean>} Status keberhasilan pembebasan
    */
   async unload() {
+    let endLifecycle = null;
+    
     try {
       if (this.isLoaded && this.session) {
+        endLifecycle = this._beginLifecycle('unload');
         logger.info('Membebaskan sumber daya model GPT-J');
         // Bebaskan sumber daya ONNX session
         this.session = null;
         this.tokenizer = null;
         this.isLoaded = false;
+        endLifecycle();
         logger.info('Model berhasil dibebaskan dari memori');
       }
       return true;
     } catch (error) {
+      if (endLifecycle) {
+        endLifecycle(error);
+      }
       logger.error(`Gagal membebaskan sumber daya model: ${error.message}`);
       throw error;
     }
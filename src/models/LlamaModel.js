@@ -1,6 +1,12 @@
 const BaseModel = require('./BaseModel');
+const { resolveChatTemplate } = require('./chatTemplates');
 const { LLModel } = require('node-llama-cpp');
 const logger = require('../utils/logger');
+const { streamFromCallback } = require('../utils/tokenStream');
+const { withDefaults } = require('./generationOptions');
+const { throwIfAborted, isAbortError } = require('../utils/abort');
+const { AppError, ModelLoadFailedError } = require('../utils/errors');
+const { msg } = require('../utils/i18n');
 const fs = require('fs');
 const path = require('path');
 
@@ -13,6 +19,7 @@ class LlamaModel extends BaseModel {
     this.contextSize = config.contextSize || 2048;
     this.batchSize = config.batchSize || 512;
     this.threads = config.threads || 4;
+    this.chatTemplate = resolveChatTemplate(config.chatTemplate || 'llama2');
   }
 
   /**
@@ -20,11 +27,13 @@ class LlamaModel extends BaseModel {
    * @returns {Promise<boolean>} Status keberhasilan pemuatan
    */
   async load() {
+    const endLifecycle = this._beginLifecycle('load');
+    
     try {
       logger.info(`Memuat model LLaMA dari: ${this.modelPath}`);
       
       if (!fs.existsSync(this.modelPath)) {
-        throw new Error(`Model path tidak ditemukan: ${this.modelPath}`);
+        throw new AppError(msg('models.pathNotFound', { path: this.modelPath }));
       }
 
       // Inisialisasi LLaMA model dengan node-llama-cpp
@@ -38,12 +47,14 @@ class LlamaModel extends BaseModel {
 
       await this.model.load();
       this.isLoaded = true;
+      endLifecycle();
       logger.info('Model LLaMA berhasil dimuat');
       return true;
     } catch (error) {
+      endLifecycle(error);
       logger.error(`Gagal memuat model LLaMA: ${error.message}`);
       this.isLoaded = false;
-      throw error;
+      throw new ModelLoadFailedError('LLaMA', error);
     }
   }
 
@@ -61,26 +72,74 @@ class LlamaModel extends BaseModel {
     try {
       logger.debug(`Menghasilkan teks dengan prompt: ${prompt.substring(0, 50)}...`);
       
-      const defaultOptions = {
-        temperature: 0.7,
-        maxTokens: 512,
-        topP: 0.95,
-        topK: 40,
-        repetitionPenalty: 1.1
-      };
-
-      const mergedOptions = { ...defaultOptions, ...options };
+      const { signal, ...generationOptions } = options;
+      const backendOptions = this._translateOptions(generationOptions);
+      
+      throwIfAborted(signal);
       
-      const result = await this.model.generate(prompt, mergedOptions);
+      // Signal diteruskan ke node-llama-cpp; pemeriksaan per token menjamin generasi berhenti
+      const result = await this.model.generate(prompt, signal
+        ? { ...backendOptions, signal, onToken: () => throwIfAborted(signal) }
+        : backendOptions);
       
       logger.debug('Teks berhasil dihasilkan');
       return result.text;
     } catch (error) {
-      logger.error(`Gagal menghasilkan teks: ${error.message}`);
+      if (!isAbortError(error)) {
+        logger.error(`Gagal menghasilkan teks: ${error.message}`);
+      }
       throw error;
     }
   }
 
+  /**
+   * Menghasilkan teks secara bertahap menggunakan callback token dari node-llama-cpp
+   * @param {string} prompt Input teks untuk model
+   * @param {object} options Opsi generasi teks
+   * @returns {AsyncGenerator<string>} Token yang dihasilkan
+   */
+  async *generateStream(prompt, options = {}) {
+    if (!this.isLoaded) {
+      await this.load();
+    }
+
+    try {
+      logger.debug(`Streaming teks dengan prompt: ${prompt.substring(0, 50)}...`);
+      
+      const { signal, ...generationOptions } = options;
+      const backendOptions = this._translateOptions(generationOptions);
+      
+      yield* streamFromCallback(
+        (onToken, streamSignal) => this.model.generate(prompt, { ...backendOptions, signal: streamSignal, onToken }),
+        signal
+      );
+      
+      logger.debug('Streaming teks selesai');
+    } catch (error) {
+      if (!isAbortError(error)) {
+        logger.error(`Gagal melakukan streaming teks: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Menerjemahkan opsi kanonik ke parameter node-llama-cpp
+   * @protected
+   */
+  _translateOptions(options) {
+    const { temperature, maxTokens, topP, topK, repetitionPenalty, seed } = withDefaults(options);
+
+    return {
+      temperature,
+      maxTokens,
+      topP,
+      topK,
+      repeatPenalty: repetitionPenalty,
+      ...(seed !== undefined && { seed })
+    };
+  }
+
   /**
    * Memperbarui model LLaMA dengan data pelatihan baru (fine-tuning)
    * @param {Array} trainingData Data pelatihan untuk memperbarui model
@@ -175,16 +234,23 @@ class LlamaModel extends BaseModel {
    * @returns {Promise<boolean>} Status keberhasilan pembebasan
    */
   async unload() {
+    let endLifecycle = null;
+    
     try {
       if (this.isLoaded && this.model) {
+        endLifecycle = this._beginLifecycle('unload');
         logger.info('Membebaskan sumber daya model LLaMA');
         // Implementasi pembebasan sumber daya model
         this.model = null;
         this.isLoaded = false;
+        endLifecycle();
         logger.info('Model berhasil dibebaskan dari memori');
       }
       return true;
     } catch (error) {
+      if (endLifecycle) {
+        endLifecycle(error);
+      }
       logger.error(`Gagal membebaskan sumber daya model: ${error.message}`);
       throw error;
     }
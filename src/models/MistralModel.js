@@ -1,8 +1,14 @@
 const BaseModel = require('./BaseModel');
+const { resolveChatTemplate } = require('./chatTemplates');
 const logger = require('../utils/logger');
 const fs = require('fs');
 const path = require('path');
 const { pipeline } = require('huggingface-hub');
+const { streamFromCallback } = require('../utils/tokenStream');
+const { withDefaults } = require('./generationOptions');
+const { throwIfAborted, isAbortError } = require('../utils/abort');
+const { AppError, ModelLoadFailedError } = require('../utils/errors');
+const { msg } = require('../utils/i18n');
 
 /**
  * Implementasi model Mistral 7B
@@ -13,6 +19,7 @@ class MistralModel extends BaseModel {
     this.contextSize = config.contextSize || 2048;
     this.threads = config.threads || 4;
     this.pipeline = null;
+    this.chatTemplate = resolveChatTemplate(config.chatTemplate || 'mistral');
   }
 
   /**
@@ -20,11 +27,13 @@ class MistralModel extends BaseModel {
    * @returns {Promise<boolean>} Status keberhasilan pemuatan
    */
   async load() {
+    const endLifecycle = this._beginLifecycle('load');
+    
     try {
       logger.info(`Memuat model Mistral dari: ${this.modelPath}`);
       
       if (!fs.existsSync(this.modelPath)) {
-        throw new Error(`Model path tidak ditemukan: ${this.modelPath}`);
+        throw new AppError(msg('models.pathNotFound', { path: this.modelPath }));
       }
 
       // Inisialisasi pipeline Mistral dengan huggingface-hub
@@ -35,12 +44,14 @@ class MistralModel extends BaseModel {
       });
 
       this.isLoaded = true;
+      endLifecycle();
       logger.info('Model Mistral berhasil dimuat');
       return true;
     } catch (error) {
+      endLifecycle(error);
       logger.error(`Gagal memuat model Mistral: ${error.message}`);
       this.isLoaded = false;
-      throw error;
+      throw new ModelLoadFailedError('Mistral', error);
     }
   }
 
@@ -58,27 +69,76 @@ class MistralModel extends BaseModel {
     try {
       logger.debug(`Menghasilkan teks dengan prompt: ${prompt.substring(0, 50)}...`);
       
-      const defaultOptions = {
-        temperature: 0.7,
-        max_new_tokens: 512,
-        top_p: 0.95,
-        top_k: 40,
-        repetition_penalty: 1.1,
-        do_sample: true
-      };
-
-      const mergedOptions = { ...defaultOptions, ...options };
+      const { signal, ...generationOptions } = options;
+      const backendOptions = this._translateOptions(generationOptions);
+      
+      throwIfAborted(signal);
       
-      const result = await this.pipeline(prompt, mergedOptions);
+      // Pipeline tidak menerima AbortSignal; streamer dipanggil per token sehingga
+      // error yang dilempar di dalamnya menghentikan generasi
+      const result = await this.pipeline(prompt, signal
+        ? { ...backendOptions, streamer: () => throwIfAborted(signal) }
+        : backendOptions);
       
       logger.debug('Teks berhasil dihasilkan');
       return result[0].generated_text.slice(prompt.length);
     } catch (error) {
-      logger.error(`Gagal menghasilkan teks: ${error.message}`);
+      if (!isAbortError(error)) {
+        logger.error(`Gagal menghasilkan teks: ${error.message}`);
+      }
       throw error;
     }
   }
 
+  /**
+   * Menghasilkan teks secara bertahap menggunakan streamer pipeline
+   * @param {string} prompt Input teks untuk model
+   * @param {object} options Opsi generasi teks
+   * @returns {AsyncGenerator<string>} Token yang dihasilkan
+   */
+  async *generateStream(prompt, options = {}) {
+    if (!this.isLoaded) {
+      await this.load();
+    }
+
+    try {
+      logger.debug(`Streaming teks dengan prompt: ${prompt.substring(0, 50)}...`);
+      
+      const { signal, ...generationOptions } = options;
+      const backendOptions = this._translateOptions(generationOptions);
+      
+      yield* streamFromCallback(
+        (streamer, streamSignal) => this.pipeline(prompt, { ...backendOptions, streamer, signal: streamSignal }),
+        signal
+      );
+      
+      logger.debug('Streaming teks selesai');
+    } catch (error) {
+      if (!isAbortError(error)) {
+        logger.error(`Gagal melakukan streaming teks: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Menerjemahkan opsi kanonik ke parameter pipeline text-generation.
+   * Temperature 0 tidak diterima saat sampling aktif, sehingga diganti dengan greedy decoding.
+   * @protected
+   */
+  _translateOptions(options) {
+    const { temperature, maxTokens, topP, topK, repetitionPenalty, seed } = withDefaults(options);
+    const sampling = temperature > 0;
+
+    return {
+      max_new_tokens: maxTokens,
+      repetition_penalty: repetitionPenalty,
+      do_sample: sampling,
+      ...(sampling && { temperature, top_p: topP, top_k: topK }),
+      ...(seed !== undefined && { seed })
+    };
+  }
+
   /**
    * Memperbarui model Mistral dengan data pelatihan baru (fine-tuning)
    * @param {Array} trainingData Data pelatihan untuk memperbarui model
@@ -173,16 +233,23 @@ class MistralModel extends BaseModel {
    * @returns {Promise<boolean>} Status keberhasilan pembebasan
    */
   async unload() {
+    let endLifecycle = null;
+    
     try {
       if (this.isLoaded && this.pipeline) {
+        endLifecycle = this._beginLifecycle('unload');
         logger.info('Membebaskan sumber daya model Mistral');
         // Implementasi pembebasan sumber daya model
         this.pipeline = null;
         this.isLoaded = false;
+        endLifecycle();
         logger.info('Model berhasil dibebaskan dari memori');
       }
       return true;
     } catch (error) {
+      if (endLifecycle) {
+        endLifecycle(error);
+      }
       logger.error(`Gagal membebaskan sumber daya model: ${error.message}`);
       throw error;
     }
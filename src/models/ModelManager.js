@@ -1,8 +1,14 @@
 const LlamaModel = require('./LlamaModel');
 const MistralModel = require('./MistralModel');
 const GptjModel = require('./GptjModel');
+const { ModelScheduler } = require('./ModelScheduler');
+const responseCache = require('./ResponseCache');
 const config = require('../config/config');
 const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+const { throwIfAborted, isAbortError, linkAbortController } = require('../utils/abort');
+const { errorCode, errorMessage, ModelNotFoundError, ModelNotLoadedError } = require('../utils/errors');
+const { msg } = require('../utils/i18n');
 
 /**
  * Kelas ModelManager bertanggung jawab untuk mengelola semua model AI
@@ -11,7 +17,11 @@ const logger = require('../utils/logger');
 class ModelManager {
   constructor() {
     this.models = {};
+    this.schedulers = {};
     this.initialized = false;
+    
+    // Gauge antrean dan status model dibaca dari kondisi terkini setiap kali metrik diambil
+    metrics.onCollect(() => this._collectMetrics());
   }
 
   /**
@@ -31,6 +41,15 @@ class ModelManager {
       // Inisialisasi model GPT-J
       this.models.gptj = new GptjModel(config.models.gptj);
       
+      // Setiap model mendapat antrean sendiri agar generasi tidak berjalan melebihi batas konkurensi
+      for (const name of Object.keys(this.models)) {
+        this.schedulers[name] = new ModelScheduler(name, {
+          maxConcurrency: config.models[name].maxConcurrency || config.scheduler.maxConcurrency,
+          maxQueueSize: config.scheduler.maxQueueSize,
+          queueTimeoutMs: config.scheduler.queueTimeoutMs
+        });
+      }
+      
       this.initialized = true;
       logger.info('ModelManager berhasil diinisialisasi');
       return true;
@@ -45,27 +64,237 @@ class ModelManager {
    * Mendapatkan model berdasarkan nama
    * @param {string} modelName Nama model ('llama', 'mistral', 'gptj')
    * @returns {BaseModel} Instance model
+   * @throws {ModelNotFoundError} Jika model tidak terdaftar
    */
   getModel(modelName) {
     if (!this.initialized) {
-      throw new Error('ModelManager belum diinisialisasi, panggil init() terlebih dahulu');
+      throw new ModelNotLoadedError(msg('models.managerNotInitialized'));
     }
     
     const model = this.models[modelName.toLowerCase()];
     if (!model) {
-      throw new Error(`Model '${modelName}' tidak ditemukan`);
+      throw new ModelNotFoundError(modelName);
     }
     
     return model;
   }
 
+  /**
+   * Mendapatkan scheduler antrean untuk model
+   * @param {string} modelName Nama model
+   * @returns {ModelScheduler} Scheduler model
+   */
+  getScheduler(modelName) {
+    this.getModel(modelName);
+    return this.schedulers[modelName.toLowerCase()];
+  }
+
+  /**
+   * Menghitung jumlah model yang menjalankan generasi untuk sebuah target
+   * @param {string} modelName Nama model atau 'all'
+   * @returns {number} Jumlah model
+   */
+  countTargets(modelName) {
+    return modelName.toLowerCase() === 'all' ? Object.keys(this.models).length : 1;
+  }
+
+  /**
+   * Menghitung token prompt dengan tokenizer setiap model target, dijumlahkan untuk target 'all'.
+   * Model yang tidak dikenal tidak dihitung; route yang memakainya menolak model tersebut.
+   * @param {string} modelName Nama model atau 'all'
+   * @param {string} prompt Input teks
+   * @returns {number} Jumlah token prompt
+   */
+  countPromptTokens(modelName, prompt) {
+    if (typeof modelName !== 'string' || typeof prompt !== 'string') {
+      return 0;
+    }
+
+    const models = modelName.toLowerCase() === 'all'
+      ? Object.values(this.models)
+      : [this.models[modelName.toLowerCase()]].filter(Boolean);
+    return models.reduce((total, model) => total + model.countTokens(prompt), 0);
+  }
+
+  /**
+   * Memastikan antrean model (atau semua model untuk 'all') masih dapat menerima request
+   * @param {string} modelName Nama model atau 'all'
+   * @throws {QueueError} Error antrean dengan code QUEUE_FULL
+   */
+  checkCapacity(modelName) {
+    const names = modelName.toLowerCase() === 'all' ? Object.keys(this.getAllModels()) : [modelName];
+    for (const name of names) {
+      this.getScheduler(name).checkCapacity();
+    }
+  }
+
+  /**
+   * Mencari hasil generasi di cache respons dan melaporkan statusnya melalui `scheduling.onCacheStatus`
+   * @private
+   */
+  async _lookupCache(modelName, prompt, options, scheduling) {
+    const key = responseCache.keyFor(modelName, prompt, options);
+
+    if (!key) {
+      if (responseCache.isEnabled() && scheduling.onCacheStatus) {
+        scheduling.onCacheStatus('BYPASS', modelName.toLowerCase());
+      }
+      return { key: null, text: null };
+    }
+
+    const text = await responseCache.get(key);
+    if (scheduling.onCacheStatus) {
+      scheduling.onCacheStatus(text !== null ? 'HIT' : 'MISS', modelName.toLowerCase());
+    }
+    return { key, text };
+  }
+
+  /**
+   * Melaporkan pemakaian token satu generasi melalui `scheduling.onUsage`
+   * @private
+   */
+  _reportUsage(scheduling, model, prompt, generatedText) {
+    if (scheduling.onUsage) {
+      scheduling.onUsage(model.name, model.countTokens(prompt), model.countTokens(generatedText));
+    }
+  }
+
+  /**
+   * Menghasilkan teks dengan satu model melalui antrean model tersebut.
+   * Request deterministik dilayani dari cache respons tanpa menunggu antrean jika tersedia.
+   * @param {string} modelName Nama model
+   * @param {string} prompt Input teks
+   * @param {object} options Opsi generasi teks, termasuk `signal`
+   * @param {object} scheduling Opsi antrean { priority, timeoutMs, onQueued(position, model), onStart(model), onRelease(model) },
+   *                            `onCacheStatus(status, model)` dengan status 'HIT', 'MISS' atau 'BYPASS', dan
+   *                            `onUsage(model, promptTokens, completionTokens)` yang dipanggil untuk setiap
+   *                            generasi yang sudah mulai berjalan, termasuk yang dibatalkan atau gagal
+   * @returns {Promise<string>} Teks yang dihasilkan
+   */
+  async generate(modelName, prompt, options = {}, scheduling = {}) {
+    const model = this.getModel(modelName);
+    const cached = await this._lookupCache(modelName, prompt, options, scheduling);
+
+    if (cached.text !== null) {
+      this._reportUsage(scheduling, model, prompt, cached.text);
+      return cached.text;
+    }
+
+    let started = false;
+    let generatedText;
+
+    try {
+      generatedText = await this.getScheduler(modelName).run(
+        () => {
+          started = true;
+          return this._generateWithMetrics(model, prompt, options);
+        },
+        { ...scheduling, signal: options.signal }
+      );
+    } catch (error) {
+      // Backend tidak mengembalikan teks parsial, tetapi prompt sudah diproses
+      if (started) {
+        this._reportUsage(scheduling, model, prompt, '');
+      }
+      throw error;
+    }
+
+    this._reportUsage(scheduling, model, prompt, generatedText);
+
+    if (cached.key) {
+      await responseCache.set(cached.key, { model: modelName, prompt, text: generatedText });
+    }
+
+    return generatedText;
+  }
+
+  /**
+   * Menjalankan generasi non-streaming dan mencatat durasi serta jumlah token ke metrik
+   * @private
+   */
+  async _generateWithMetrics(model, prompt, options) {
+    const startedAt = Date.now();
+
+    try {
+      const generatedText = await model.generate(prompt, options);
+      model.lastGenerationAt = new Date();
+      metrics.observeGeneration(model.name, 'generate', 'success', (Date.now() - startedAt) / 1000, model.countTokens(generatedText));
+      return generatedText;
+    } catch (error) {
+      metrics.observeGeneration(model.name, 'generate', isAbortError(error) ? 'cancelled' : 'error', (Date.now() - startedAt) / 1000, 0);
+      throw error;
+    }
+  }
+
+  /**
+   * Menghasilkan teks secara bertahap dengan satu model melalui antrean model tersebut.
+   * Slot antrean dilepas ketika streaming selesai, gagal, atau dihentikan oleh pemanggil; pada dua kasus
+   * terakhir backend dihentikan melalui signal internal dan slot baru dilepas setelah backend berhenti.
+   * Hasil dari cache dikirim sebagai satu token; hanya generasi yang selesai utuh yang disimpan ke cache.
+   * Pemakaian token yang sudah dihasilkan dilaporkan melalui `scheduling.onUsage` dalam semua kasus tersebut.
+   * @param {string} modelName Nama model
+   * @param {string} prompt Input teks
+   * @param {object} options Opsi generasi teks, termasuk `signal`
+   * @param {object} scheduling Opsi antrean dan cache seperti pada generate()
+   * @returns {AsyncGenerator<string>} Token yang dihasilkan
+   */
+  async *generateStream(modelName, prompt, options = {}, scheduling = {}) {
+    const model = this.getModel(modelName);
+    const cached = await this._lookupCache(modelName, prompt, options, scheduling);
+
+    if (cached.text !== null) {
+      this._reportUsage(scheduling, model, prompt, cached.text);
+      yield cached.text;
+      return;
+    }
+
+    const release = await this.getScheduler(modelName).acquire({ ...scheduling, signal: options.signal });
+    const { controller, unlink } = linkAbortController(options.signal);
+    const stream = model.generateStream(prompt, { ...options, signal: controller.signal });
+    const startedAt = Date.now();
+    let generatedText = '';
+    // Pemanggil yang berhenti membaca sebelum selesai dihitung sebagai pembatalan
+    let result = 'cancelled';
+
+    try {
+      while (true) {
+        const { value: token, done } = await stream.next();
+        if (done) {
+          break;
+        }
+        generatedText += token;
+        yield token;
+      }
+      result = 'success';
+      model.lastGenerationAt = new Date();
+    } catch (error) {
+      result = isAbortError(error) ? 'cancelled' : 'error';
+      throw error;
+    } finally {
+      unlink();
+      controller.abort();
+      try {
+        // Menunggu backend berhenti agar slot tidak dipakai request lain selagi generasi masih berjalan
+        await stream.return();
+      } finally {
+        release();
+        metrics.observeGeneration(model.name, 'stream', result, (Date.now() - startedAt) / 1000, model.countTokens(generatedText));
+        this._reportUsage(scheduling, model, prompt, generatedText);
+      }
+    }
+
+    if (result === 'success' && cached.key) {
+      await responseCache.set(cached.key, { model: modelName, prompt, text: generatedText });
+    }
+  }
+
   /**
    * Mendapatkan semua model yang tersedia
    * @returns {Object} Map dari nama model ke instance model
    */
   getAllModels() {
     if (!this.initialized) {
-      throw new Error('ModelManager belum diinisialisasi, panggil init() terlebih dahulu');
+      throw new ModelNotLoadedError(msg('models.managerNotInitialized'));
     }
     
     return this.models;
@@ -75,11 +304,12 @@ class ModelManager {
    * Menghasilkan teks dari semua model dan menggabungkan hasilnya
    * @param {string} prompt Input teks
    * @param {object} options Opsi generasi teks
+   * @param {object} scheduling Opsi antrean yang diteruskan ke setiap model
    * @returns {Promise<object>} Hasil generasi dari semua model
    */
-  async generateFromAllModels(prompt, options = {}) {
+  async generateFromAllModels(prompt, options = {}, scheduling = {}) {
     if (!this.initialized) {
-      throw new Error('ModelManager belum diinisialisasi, panggil init() terlebih dahulu');
+      throw new ModelNotLoadedError(msg('models.managerNotInitialized'));
     }
     
     try {
@@ -89,16 +319,19 @@ class ModelManager {
       const promises = [];
       
       // Generasi teks dari setiap model
-      for (const [name, model] of Object.entries(this.models)) {
+      for (const name of Object.keys(this.models)) {
         promises.push(
-          model.generate(prompt, options)
+          this.generate(name, prompt, options, scheduling)
             .then(text => {
               results[name] = text;
               return { name, text };
             })
             .catch(error => {
-              logger.error(`Gagal menghasilkan teks dari model ${name}: ${error.message}`);
-              results[name] = `ERROR: ${error.message}`;
+              if (!isAbortError(error)) {
+                logger.error(`Gagal menghasilkan teks dari model ${name}: ${error.message}`);
+              }
+              // Pesan tetap berupa Message dan diterjemahkan oleh pemanggil
+              results[name] = { error: { code: errorCode(error), message: errorMessage(error) } };
               return { name, error: error.message };
             })
         );
@@ -106,24 +339,160 @@ class ModelManager {
       
       await Promise.all(promises);
       
+      // Hasil parsial dari generasi yang dibatalkan tidak dikembalikan
+      throwIfAborted(options.signal);
+      
       return {
         prompt,
         results,
         timestamp: new Date().toISOString()
       };
     } catch (error) {
-      logger.error(`Gagal menghasilkan teks dari semua model: ${error.message}`);
+      if (!isAbortError(error)) {
+        logger.error(`Gagal menghasilkan teks dari semua model: ${error.message}`);
+      }
       throw error;
     }
   }
 
+  /**
+   * Menghasilkan teks secara bertahap dari semua model sekaligus.
+   * Token dari setiap model digabungkan sesuai urutan kedatangannya. Jika pemanggil berhenti membaca,
+   * streaming model yang belum selesai dibatalkan dan ditunggu sampai slotnya dilepas.
+   * @param {string} prompt Input teks
+   * @param {object} options Opsi generasi teks
+   * @param {object} scheduling Opsi antrean yang diteruskan ke setiap model
+   * @returns {AsyncGenerator<object>} Event `{ model, token }`, `{ model, done: true }`
+   *                                   atau `{ model, error, code }`
+   */
+  async *streamFromAllModels(prompt, options = {}, scheduling = {}) {
+    if (!this.initialized) {
+      throw new ModelNotLoadedError(msg('models.managerNotInitialized'));
+    }
+
+    logger.info('Streaming teks dari semua model');
+
+    const pending = new Map();
+    const { controller, unlink } = linkAbortController(options.signal);
+    const streamOptions = { ...options, signal: controller.signal };
+
+    const next = (name, iterator) => iterator.next()
+      .then(result => ({ name, iterator, result }))
+      .catch(error => ({ name, iterator, error }));
+
+    for (const name of Object.keys(this.models)) {
+      const iterator = this.generateStream(name, prompt, streamOptions, scheduling);
+      pending.set(name, next(name, iterator));
+    }
+
+    try {
+      while (pending.size > 0) {
+        const { name, iterator, result, error } = await Promise.race(pending.values());
+
+        if (error) {
+          if (!isAbortError(error)) {
+            logger.error(`Gagal streaming teks dari model ${name}: ${error.message}`);
+          }
+          pending.delete(name);
+          yield { model: name, error: errorMessage(error), code: errorCode(error) };
+        } else if (result.done) {
+          pending.delete(name);
+          yield { model: name, done: true };
+        } else {
+          pending.set(name, next(name, iterator));
+          yield { model: name, token: result.value };
+        }
+      }
+    } finally {
+      unlink();
+      // Streaming model yang belum selesai dihentikan; tunggu sampai masing-masing melepas slotnya
+      controller.abort();
+      await Promise.all([...pending.values()].map(async (step) => {
+        const { iterator } = await step;
+        await iterator.return();
+      }));
+    }
+  }
+
+  /**
+   * Menjalankan banyak prompt sekaligus. Item dikelompokkan per model dan setiap model
+   * dikerjakan oleh worker sebanyak batas konkurensinya, sehingga batch besar tidak
+   * memenuhi antrean model dan request lain tetap mendapat giliran.
+   * @param {Array<object>} items Daftar item { index, id, model, prompt, options }
+   * @param {object} batchOptions { signal, scheduling, onResult(result) }
+   * @returns {Promise<Array<object>>} Hasil per item dengan urutan yang sama seperti `items`:
+   *                                   { index, id, model, status: 'success', generated_text }
+   *                                   atau { index, id, model, status: 'error', code, message }
+   */
+  async generateBatch(items, { signal = null, scheduling = {}, onResult = null } = {}) {
+    if (!this.initialized) {
+      throw new ModelNotLoadedError(msg('models.managerNotInitialized'));
+    }
+    
+    logger.info(`Menjalankan batch berisi ${items.length} item`);
+    
+    const results = new Array(items.length);
+    const pendingByModel = new Map();
+    
+    items.forEach((item, position) => {
+      const name = item.model.toLowerCase();
+      if (!pendingByModel.has(name)) {
+        pendingByModel.set(name, []);
+      }
+      pendingByModel.get(name).push(position);
+    });
+    
+    const runItem = async (position) => {
+      const item = items[position];
+      const base = { index: item.index, id: item.id, model: item.model };
+      let result;
+      
+      try {
+        const generatedText = await this.generate(item.model, item.prompt, { ...item.options, signal }, scheduling);
+        result = { ...base, status: 'success', generated_text: generatedText };
+      } catch (error) {
+        const cancelled = isAbortError(error);
+        if (!cancelled) {
+          logger.error(`Gagal menghasilkan teks untuk item batch ${item.index}: ${error.message}`);
+        }
+        result = {
+          ...base,
+          status: 'error',
+          code: errorCode(error),
+          message: errorMessage(error)
+        };
+      }
+      
+      results[position] = result;
+      if (onResult) {
+        await onResult(result);
+      }
+    };
+    
+    const workers = [];
+    for (const [name, pending] of pendingByModel) {
+      const concurrency = Math.min(this.getScheduler(name).maxConcurrency, pending.length);
+      
+      for (let i = 0; i < concurrency; i++) {
+        workers.push((async () => {
+          while (pending.length > 0) {
+            await runItem(pending.shift());
+          }
+        })());
+      }
+    }
+    
+    await Promise.all(workers);
+    return results;
+  }
+
   /**
    * Memuat semua model ke dalam memori
    * @returns {Promise<object>} Status pemuatan model
    */
   async loadAllModels() {
     if (!this.initialized) {
-      throw new Error('ModelManager belum diinisialisasi, panggil init() terlebih dahulu');
+      throw new ModelNotLoadedError(msg('models.managerNotInitialized'));
     }
     
     try {
@@ -167,7 +536,7 @@ class ModelManager {
    */
   async unloadAllModels() {
     if (!this.initialized) {
-      throw new Error('ModelManager belum diinisialisasi, panggil init() terlebih dahulu');
+      throw new ModelNotLoadedError(msg('models.managerNotInitialized'));
     }
     
     try {
@@ -211,13 +580,16 @@ class ModelManager {
    */
   getModelInfo() {
     if (!this.initialized) {
-      throw new Error('ModelManager belum diinisialisasi, panggil init() terlebih dahulu');
+      throw new ModelNotLoadedError(msg('models.managerNotInitialized'));
     }
     
     const info = {};
     
     for (const [name, model] of Object.entries(this.models)) {
-      info[name] = model.getInfo();
+      info[name] = {
+        ...model.getInfo(),
+        queue: this.schedulers[name].getStats()
+      };
     }
     
     return {
@@ -225,6 +597,23 @@ class ModelManager {
       timestamp: new Date().toISOString()
     };
   }
+
+  /**
+   * Memperbarui gauge antrean, generasi aktif dan status pemuatan setiap model
+   * @private
+   */
+  _collectMetrics() {
+    if (!this.initialized) {
+      return;
+    }
+
+    for (const [name, model] of Object.entries(this.models)) {
+      const { active, queued } = this.schedulers[name].getStats();
+      metrics.queueDepth.set({ model: name }, queued);
+      metrics.activeGenerations.set({ model: name }, active);
+      metrics.modelLoaded.set({ model: name }, model.isLoaded ? 1 : 0);
+    }
+  }
 }
 
 // Singleton instance
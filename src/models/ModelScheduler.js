@@ -0,0 +1,220 @@
+const logger = require('../utils/logger');
+const { createAbortError } = require('../utils/abort');
+const { QueueError } = require('../utils/errors');
+const { msg } = require('../utils/i18n');
+
+// Perkiraan awal durasi satu generasi sebelum ada data pengukuran
+const INITIAL_DURATION_MS = 10 * 1000;
+
+/**
+ * Kelas ModelScheduler membatasi jumlah generasi bersamaan pada satu model.
+ * Request yang melebihi batas menunggu di antrean FIFO berprioritas dengan panjang terbatas.
+ */
+class ModelScheduler {
+  /**
+   * @param {string} name Nama model
+   * @param {object} options { maxConcurrency, maxQueueSize, queueTimeoutMs }
+   */
+  constructor(name, { maxConcurrency, maxQueueSize, queueTimeoutMs }) {
+    this.name = name;
+    this.maxConcurrency = maxConcurrency;
+    this.maxQueueSize = maxQueueSize;
+    this.queueTimeoutMs = queueTimeoutMs;
+    this.active = 0;
+    this.queue = [];
+    this.averageDurationMs = INITIAL_DURATION_MS;
+  }
+
+  /**
+   * Menjalankan tugas setelah mendapatkan slot pada model
+   * @param {Function} task Fungsi async yang dijalankan
+   * @param {object} scheduling { priority, signal, onQueued(position, model), onStart(model), onRelease(model) }
+   * @returns {Promise<*>} Hasil tugas
+   */
+  async run(task, scheduling = {}) {
+    const release = await this.acquire(scheduling);
+    try {
+      return await task();
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Meminta slot generasi. Jika semua slot terpakai, request menunggu di antrean
+   * sesuai prioritas; request dengan prioritas sama dilayani berdasarkan urutan kedatangan.
+   * @param {object} scheduling { priority, signal, timeoutMs, onQueued(position, model), onStart(model), onRelease(model) };
+   *                            `timeoutMs` menimpa batas waktu antrean default, `onRelease` dipanggil
+   *                            ketika slot yang sudah didapat dilepas
+   * @returns {Promise<Function>} Fungsi untuk melepaskan slot setelah generasi selesai
+   */
+  acquire({ priority = 0, signal = null, timeoutMs = this.queueTimeoutMs, onQueued = null, onStart = null, onRelease = null } = {}) {
+    if (signal && signal.aborted) {
+      return Promise.reject(createAbortError(signal.reason));
+    }
+
+    if (this.active < this.maxConcurrency && this.queue.length === 0) {
+      return Promise.resolve(this._start(onStart, onRelease));
+    }
+
+    try {
+      this.checkCapacity();
+    } catch (error) {
+      logger.warn(`Antrean model ${this.name} penuh (${this.queue.length} request)`);
+      return Promise.reject(error);
+    }
+
+    return new Promise((resolve, reject) => {
+      const ticket = { priority, resolve, reject, onQueued, onStart, onRelease, signal };
+
+      ticket.timer = setTimeout(() => {
+        this._remove(ticket);
+        logger.warn(`Request ke model ${this.name} melewati batas waktu antrean (${timeoutMs} ms)`);
+        reject(new QueueError(
+          'QUEUE_TIMEOUT',
+          msg('queue.timeout', { model: this.name }),
+          this.estimateWaitSeconds(this.queue.length)
+        ));
+      }, timeoutMs);
+
+      if (signal) {
+        ticket.onAbort = () => {
+          this._remove(ticket);
+          reject(createAbortError(signal.reason));
+        };
+        signal.addEventListener('abort', ticket.onAbort, { once: true });
+      }
+
+      // Sisipkan setelah semua request dengan prioritas yang sama atau lebih tinggi
+      const index = this.queue.findIndex(queued => queued.priority < priority);
+      const position = index === -1 ? this.queue.length : index;
+      this.queue.splice(position, 0, ticket);
+      this._notifyPositions(position);
+    });
+  }
+
+  /**
+   * Memastikan request baru dapat diterima (ada slot kosong atau antrean belum penuh)
+   * tanpa mengambil slot. Berguna sebelum header respons streaming dikirim.
+   * @throws {QueueError} Error antrean dengan code QUEUE_FULL
+   */
+  checkCapacity() {
+    if (this.active >= this.maxConcurrency && this.queue.length >= this.maxQueueSize) {
+      throw new QueueError(
+        'QUEUE_FULL',
+        msg('queue.full', { model: this.name }),
+        this.estimateWaitSeconds(this.queue.length)
+      );
+    }
+  }
+
+  /**
+   * Memperkirakan waktu tunggu berdasarkan rata-rata durasi generasi
+   * @param {number} queued Jumlah request di depan
+   * @returns {number} Perkiraan dalam detik (minimal 1)
+   */
+  estimateWaitSeconds(queued) {
+    const rounds = Math.ceil((queued + 1) / this.maxConcurrency);
+    return Math.max(1, Math.ceil((rounds * this.averageDurationMs) / 1000));
+  }
+
+  /**
+   * Statistik antrean untuk pelaporan
+   * @returns {object} { active, queued, maxConcurrency, maxQueueSize }
+   */
+  getStats() {
+    return {
+      active: this.active,
+      queued: this.queue.length,
+      maxConcurrency: this.maxConcurrency,
+      maxQueueSize: this.maxQueueSize
+    };
+  }
+
+  /**
+   * Mengambil slot dan mengembalikan fungsi pelepasnya
+   * @private
+   */
+  _start(onStart, onRelease) {
+    this.active += 1;
+    const startedAt = Date.now();
+    let released = false;
+
+    if (onStart) {
+      onStart(this.name);
+    }
+
+    return () => {
+      if (released) {
+        return;
+      }
+      released = true;
+      this.active -= 1;
+      // Rata-rata bergerak eksponensial untuk perkiraan Retry-After
+      this.averageDurationMs = 0.8 * this.averageDurationMs + 0.2 * (Date.now() - startedAt);
+      if (onRelease) {
+        onRelease(this.name);
+      }
+      this._dequeue();
+    };
+  }
+
+  /**
+   * Menjalankan request berikutnya di antrean jika ada slot kosong
+   * @private
+   */
+  _dequeue() {
+    let started = 0;
+
+    while (this.active < this.maxConcurrency && this.queue.length > 0) {
+      const ticket = this.queue.shift();
+      this._cleanup(ticket);
+      ticket.resolve(this._start(ticket.onStart, ticket.onRelease));
+      started += 1;
+    }
+
+    if (started > 0) {
+      this._notifyPositions(0);
+    }
+  }
+
+  /**
+   * Menghapus request dari antrean (timeout atau dibatalkan)
+   * @private
+   */
+  _remove(ticket) {
+    const index = this.queue.indexOf(ticket);
+    if (index === -1) {
+      return;
+    }
+    this.queue.splice(index, 1);
+    this._cleanup(ticket);
+    this._notifyPositions(index);
+  }
+
+  /**
+   * @private
+   */
+  _cleanup(ticket) {
+    clearTimeout(ticket.timer);
+    if (ticket.signal && ticket.onAbort) {
+      ticket.signal.removeEventListener('abort', ticket.onAbort);
+    }
+  }
+
+  /**
+   * Memberi tahu posisi antrean (mulai dari 1) kepada request yang posisinya berubah
+   * @private
+   */
+  _notifyPositions(fromIndex) {
+    for (let i = fromIndex; i < this.queue.length; i++) {
+      if (this.queue[i].onQueued) {
+        this.queue[i].onQueued(i + 1, this.name);
+      }
+    }
+  }
+}
+
+module.exports = {
+  ModelScheduler
+};
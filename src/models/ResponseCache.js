@@ -0,0 +1,282 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const database = require('../database/database');
+const CacheEntry = require('../database/CacheEntry');
+const { withDefaults } = require('./generationOptions');
+
+// Panjang potongan prompt yang disimpan untuk inspeksi
+const PROMPT_PREVIEW_LENGTH = 120;
+
+/**
+ * Menormalkan prompt agar perbedaan yang tidak bermakna (akhir baris, spasi di tepi,
+ * bentuk Unicode) tidak menghasilkan kunci cache yang berbeda
+ * @private
+ */
+const normalizePrompt = (prompt) => prompt.normalize('NFC').replace(/\r\n?/g, '\n').trim();
+
+/**
+ * Serialisasi JSON dengan urutan kunci tetap
+ * @private
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * Kelas ResponseCache menyimpan hasil generasi yang deterministik (temperature 0 atau seed tetap)
+ * dalam LRU di memori, dengan store MongoDB opsional sebagai lapis kedua
+ */
+class ResponseCache {
+  constructor() {
+    // Map mempertahankan urutan penyisipan; entri yang baru dipakai dipindah ke akhir
+    this.entries = new Map();
+    this.sizeBytes = 0;
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+  }
+
+  /**
+   * Memeriksa apakah cache diaktifkan
+   * @returns {boolean} Nilai `config.cache.enabled`
+   */
+  isEnabled() {
+    return config.cache.enabled;
+  }
+
+  /**
+   * Memeriksa apakah opsi generasi menghasilkan keluaran yang deterministik
+   * @param {object} options Opsi generasi
+   * @returns {boolean} True jika temperature 0 atau seed ditentukan
+   */
+  isDeterministic(options = {}) {
+    return options.temperature === 0 || Number.isInteger(options.seed);
+  }
+
+  /**
+   * Membuat kunci cache dari model, prompt yang dinormalkan dan opsi sampling lengkap dengan
+   * nilai default, sehingga opsi yang diisi eksplisit dengan nilai default memakai entri yang sama
+   * @param {string} modelName Nama model
+   * @param {string} prompt Input teks
+   * @param {object} options Opsi generasi (`signal` diabaikan)
+   * @returns {string|null} Kunci cache, atau null jika cache nonaktif atau request tidak deterministik
+   */
+  keyFor(modelName, prompt, options = {}) {
+    if (!this.isEnabled() || !this.isDeterministic(options)) {
+      return null;
+    }
+
+    const { signal, ...sampling } = options;
+    return crypto.createHash('sha256')
+      .update(stableStringify([modelName.toLowerCase(), normalizePrompt(prompt), withDefaults(sampling)]))
+      .digest('hex');
+  }
+
+  /**
+   * Mengambil teks dari cache
+   * @param {string} key Kunci cache
+   * @returns {Promise<string|null>} Teks yang tersimpan atau null jika tidak ada
+   */
+  async get(key) {
+    const entry = this.entries.get(key);
+
+    if (entry && entry.expiresAt > Date.now()) {
+      // Pindahkan ke akhir sebagai entri yang paling baru dipakai
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+      entry.hits += 1;
+      this.hits += 1;
+      return entry.text;
+    }
+
+    if (entry) {
+      this._remove(key);
+    }
+
+    if (this._usePersistentStore()) {
+      try {
+        const stored = await CacheEntry.findOne({ key, expiresAt: { $gt: new Date() } });
+        if (stored) {
+          this._put(key, {
+            model: stored.model,
+            promptPreview: stored.promptPreview,
+            text: stored.text,
+            createdAt: stored.createdAt.getTime(),
+            expiresAt: stored.expiresAt.getTime()
+          });
+          this.entries.get(key).hits += 1;
+          this.hits += 1;
+          return stored.text;
+        }
+      } catch (error) {
+        logger.error(`Gagal membaca cache respons dari database: ${error.message}`);
+      }
+    }
+
+    this.misses += 1;
+    return null;
+  }
+
+  /**
+   * Menyimpan teks hasil generasi
+   * @param {string} key Kunci cache
+   * @param {object} details { model, prompt, text }
+   */
+  async set(key, { model, prompt, text }) {
+    if (Buffer.byteLength(text) > config.cache.maxEntryBytes) {
+      return;
+    }
+
+    const now = Date.now();
+    const entry = {
+      model: model.toLowerCase(),
+      promptPreview: prompt.slice(0, PROMPT_PREVIEW_LENGTH),
+      text,
+      createdAt: now,
+      expiresAt: now + config.cache.ttl * 1000
+    };
+
+    this._put(key, entry);
+
+    if (this._usePersistentStore()) {
+      try {
+        await CacheEntry.updateOne(
+          { key },
+          { $set: { model: entry.model, promptPreview: entry.promptPreview, text, expiresAt: new Date(entry.expiresAt) } },
+          { upsert: true }
+        );
+      } catch (error) {
+        logger.error(`Gagal menyimpan cache respons ke database: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Menghapus entri cache, seluruhnya atau untuk satu model
+   * @param {object} filter { model, key } (opsional)
+   * @returns {Promise<object>} { memory, persistent } jumlah entri yang dihapus
+   */
+  async purge({ model = null, key = null } = {}) {
+    let memory = 0;
+
+    for (const [entryKey, entry] of [...this.entries]) {
+      if ((!model || entry.model === model.toLowerCase()) && (!key || entryKey === key)) {
+        this._remove(entryKey);
+        memory += 1;
+      }
+    }
+
+    let persistent = 0;
+    if (this._usePersistentStore()) {
+      const filter = {};
+      if (model) {
+        filter.model = model.toLowerCase();
+      }
+      if (key) {
+        filter.key = key;
+      }
+      const result = await CacheEntry.deleteMany(filter);
+      persistent = result.deletedCount;
+    }
+
+    return { memory, persistent };
+  }
+
+  /**
+   * Daftar entri di memori, yang paling baru dipakai lebih dulu
+   * @param {object} filter { model, limit }
+   * @returns {Array<object>} Ringkasan entri tanpa teks lengkap
+   */
+  list({ model = null, limit = 50 } = {}) {
+    return [...this.entries]
+      .reverse()
+      .filter(([, entry]) => !model || entry.model === model.toLowerCase())
+      .slice(0, limit)
+      .map(([key, entry]) => ({
+        key,
+        model: entry.model,
+        promptPreview: entry.promptPreview,
+        sizeBytes: entry.sizeBytes,
+        hits: entry.hits,
+        createdAt: new Date(entry.createdAt).toISOString(),
+        expiresAt: new Date(entry.expiresAt).toISOString()
+      }));
+  }
+
+  /**
+   * Statistik cache untuk pelaporan
+   * @returns {object} Konfigurasi, ukuran dan rasio hit
+   */
+  getStats() {
+    const lookups = this.hits + this.misses;
+
+    return {
+      enabled: this.isEnabled(),
+      store: this._usePersistentStore() ? 'mongo' : 'memory',
+      ttl: config.cache.ttl,
+      entries: this.entries.size,
+      sizeBytes: this.sizeBytes,
+      maxEntries: config.cache.maxEntries,
+      maxSizeBytes: config.cache.maxSizeBytes,
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups > 0 ? Number((this.hits / lookups).toFixed(4)) : 0,
+      evictions: this.evictions
+    };
+  }
+
+  /**
+   * Menyimpan entri di LRU dan membuang entri lama sampai batas terpenuhi
+   * @private
+   */
+  _put(key, entry) {
+    if (this.entries.has(key)) {
+      this._remove(key);
+    }
+
+    entry.sizeBytes = Buffer.byteLength(entry.text);
+    entry.hits = 0;
+    this.entries.set(key, entry);
+    this.sizeBytes += entry.sizeBytes;
+
+    while (this.entries.size > config.cache.maxEntries || this.sizeBytes > config.cache.maxSizeBytes) {
+      const oldestKey = this.entries.keys().next().value;
+      this._remove(oldestKey);
+      this.evictions += 1;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _remove(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      this.sizeBytes -= entry.sizeBytes;
+      this.entries.delete(key);
+    }
+  }
+
+  /**
+   * Store MongoDB hanya digunakan jika dikonfigurasi dan database terhubung
+   * @private
+   */
+  _usePersistentStore() {
+    return config.cache.store === 'mongo' && database.isConnected();
+  }
+}
+
+// Singleton instance
+const responseCache = new ResponseCache();
+
+module.exports = responseCache;
@@ -0,0 +1,129 @@
+const { msg } = require('../utils/i18n');
+
+/**
+ * Template chat untuk merangkai percakapan multi-turn menjadi prompt
+ * sesuai format yang dikenali oleh masing-masing model.
+ *
+ * Setiap template terdiri dari pola string dengan placeholder `{content}`:
+ * - bos: teks pembuka prompt
+ * - system: pola untuk pesan system
+ * - user: pola untuk pesan user
+ * - assistant: pola untuk pesan assistant
+ * - generationPrompt: teks penutup yang memancing jawaban assistant
+ * - mergeSystemIntoUser: jika true, pesan system digabungkan ke awal pesan user pertama
+ */
+
+const CHAT_ROLES = ['system', 'user', 'assistant'];
+
+const CHAT_TEMPLATES = {
+  // LLaMA 2 Chat: <s>[INST] <<SYS>>\n...\n<</SYS>>\n\n... [/INST] ... </s>
+  llama2: {
+    bos: '<s>',
+    system: '<<SYS>>\n{content}\n<</SYS>>\n\n',
+    user: '[INST] {content} [/INST]',
+    assistant: ' {content} </s><s>',
+    generationPrompt: '',
+    mergeSystemIntoUser: true
+  },
+  // Mistral Instruct: <s>[INST] ... [/INST]...</s>, tanpa peran system khusus
+  mistral: {
+    bos: '<s>',
+    system: '{content}\n\n',
+    user: '[INST] {content} [/INST]',
+    assistant: '{content}</s>',
+    generationPrompt: '',
+    mergeSystemIntoUser: true
+  },
+  // Format teks biasa untuk model non-instruct seperti GPT-J
+  plain: {
+    bos: '',
+    system: 'System: {content}\n',
+    user: 'User: {content}\n',
+    assistant: 'Assistant: {content}\n',
+    generationPrompt: 'Assistant:',
+    mergeSystemIntoUser: false
+  }
+};
+
+/**
+ * Mendapatkan template chat berdasarkan nama preset atau objek template kustom
+ * @param {string|object} template Nama preset ('llama2', 'mistral', 'plain') atau objek template
+ * @returns {object} Template chat lengkap
+ */
+const resolveChatTemplate = (template) => {
+  if (typeof template === 'string') {
+    const preset = CHAT_TEMPLATES[template];
+    if (!preset) {
+      throw new Error(`Template chat '${template}' tidak ditemukan`);
+    }
+    return preset;
+  }
+
+  // Template kustom melengkapi format plain sehingga field yang tidak diisi tetap valid
+  return { ...CHAT_TEMPLATES.plain, ...template };
+};
+
+/**
+ * Memvalidasi array pesan chat
+ * @param {Array} messages Daftar pesan { role, content }
+ * @returns {Message|null} Pesan error atau null jika valid
+ */
+const validateMessages = (messages) => {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    return msg('chat.messagesRequired');
+  }
+
+  for (const [index, message] of messages.entries()) {
+    if (!message || !CHAT_ROLES.includes(message.role)) {
+      return msg('chat.invalidRole', { index, roles: CHAT_ROLES.join(', ') });
+    }
+    if (typeof message.content !== 'string') {
+      return msg('chat.invalidContent', { index });
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Merangkai daftar pesan menjadi prompt sesuai template
+ * @param {object} template Template chat (hasil resolveChatTemplate)
+ * @param {Array} messages Daftar pesan { role, content }
+ * @returns {string} Prompt yang siap dikirim ke model
+ */
+const renderChatTemplate = (template, messages) => {
+  const fill = (pattern, content) => pattern.split('{content}').join(content);
+
+  let prompt = template.bos;
+  let pendingSystem = '';
+
+  for (const message of messages) {
+    if (message.role === 'system') {
+      if (template.mergeSystemIntoUser) {
+        pendingSystem += fill(template.system, message.content);
+      } else {
+        prompt += fill(template.system, message.content);
+      }
+    } else if (message.role === 'user') {
+      prompt += fill(template.user, pendingSystem + message.content);
+      pendingSystem = '';
+    } else {
+      prompt += fill(template.assistant, message.content);
+    }
+  }
+
+  // Pesan system tanpa pesan user setelahnya tetap disertakan
+  if (pendingSystem) {
+    prompt += fill(template.user, pendingSystem.trimEnd());
+  }
+
+  return prompt + template.generationPrompt;
+};
+
+module.exports = {
+  CHAT_ROLES,
+  CHAT_TEMPLATES,
+  resolveChatTemplate,
+  validateMessages,
+  renderChatTemplate
+};
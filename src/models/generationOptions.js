@@ -0,0 +1,141 @@
+const { msg } = require('../utils/i18n');
+
+/**
+ * Skema kanonik opsi generasi. Semua endpoint menerima opsi dengan nama-nama ini, lalu setiap
+ * kelas model menerjemahkannya ke parameter backend masing-masing melalui _translateOptions().
+ * Definisi properti mengikuti format OpenAPI sehingga dapat dipakai langsung di dokumentasi API.
+ */
+const GENERATION_OPTIONS = {
+  temperature: {
+    type: 'number',
+    minimum: 0,
+    maximum: 2,
+    default: 0.7,
+    description: 'Tingkat keacakan sampling; 0 berarti selalu memilih token paling mungkin (deterministik)'
+  },
+  maxTokens: {
+    type: 'integer',
+    minimum: 1,
+    maximum: 4096,
+    default: 512,
+    description: 'Jumlah maksimum token yang dihasilkan'
+  },
+  topP: {
+    type: 'number',
+    minimum: 0,
+    maximum: 1,
+    default: 0.95,
+    description: 'Nucleus sampling: hanya token dengan probabilitas kumulatif hingga nilai ini yang dipertimbangkan'
+  },
+  topK: {
+    type: 'integer',
+    minimum: 0,
+    maximum: 1000,
+    default: 40,
+    description: 'Hanya K token dengan probabilitas tertinggi yang dipertimbangkan; 0 menonaktifkan batas ini'
+  },
+  repetitionPenalty: {
+    type: 'number',
+    minimum: 0.5,
+    maximum: 2,
+    default: 1.1,
+    description: 'Penalti untuk token yang sudah muncul; 1 berarti tanpa penalti'
+  },
+  seed: {
+    type: 'integer',
+    minimum: 0,
+    maximum: 4294967295,
+    description: 'Seed sampling agar hasil dapat diulang; request dengan seed dapat dilayani dari cache respons'
+  }
+};
+
+// Skema objek lengkap untuk dokumentasi OpenAPI
+const GENERATION_OPTIONS_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: GENERATION_OPTIONS,
+  example: { temperature: 0.7, maxTokens: 512 }
+};
+
+// Nilai default untuk opsi yang tidak diisi
+const DEFAULT_GENERATION_OPTIONS = Object.fromEntries(
+  Object.entries(GENERATION_OPTIONS)
+    .filter(([, spec]) => spec.default !== undefined)
+    .map(([name, spec]) => [name, spec.default])
+);
+
+// Nama parameter backend yang sering tertukar dengan nama kanonik
+const OPTION_ALIASES = {
+  max_tokens: 'maxTokens',
+  max_new_tokens: 'maxTokens',
+  top_p: 'topP',
+  top_k: 'topK',
+  repetition_penalty: 'repetitionPenalty',
+  repeat_penalty: 'repetitionPenalty'
+};
+
+/**
+ * Memvalidasi opsi generasi terhadap skema kanonik
+ * @param {object} options Opsi generasi dari request (boleh undefined)
+ * @returns {Array<object>} Daftar error { field, message } dengan message berupa Message; kosong jika valid
+ */
+const validateGenerationOptions = (options) => {
+  if (options === undefined) {
+    return [];
+  }
+
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    return [{ field: 'options', message: msg('options.mustBeObject') }];
+  }
+
+  const errors = [];
+
+  for (const [name, value] of Object.entries(options)) {
+    const spec = GENERATION_OPTIONS[name];
+
+    if (!spec) {
+      errors.push({
+        field: name,
+        message: OPTION_ALIASES[name]
+          ? msg('options.unknownAlias', { name: OPTION_ALIASES[name] })
+          : msg('options.unknown', { names: Object.keys(GENERATION_OPTIONS).join(', ') })
+      });
+      continue;
+    }
+
+    const validType = spec.type === 'integer'
+      ? Number.isInteger(value)
+      : typeof value === 'number' && Number.isFinite(value);
+
+    if (!validType) {
+      errors.push({
+        field: name,
+        message: msg(spec.type === 'integer' ? 'options.mustBeInteger' : 'options.mustBeNumber')
+      });
+    } else if (value < spec.minimum || value > spec.maximum) {
+      errors.push({
+        field: name,
+        message: msg('options.outOfRange', { minimum: spec.minimum, maximum: spec.maximum })
+      });
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Melengkapi opsi generasi dengan nilai default
+ * @param {object} options Opsi generasi yang sudah divalidasi
+ * @returns {object} Opsi kanonik lengkap
+ */
+const withDefaults = (options = {}) => {
+  return { ...DEFAULT_GENERATION_OPTIONS, ...options };
+};
+
+module.exports = {
+  GENERATION_OPTIONS,
+  GENERATION_OPTIONS_SCHEMA,
+  DEFAULT_GENERATION_OPTIONS,
+  validateGenerationOptions,
+  withDefaults
+};
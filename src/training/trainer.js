@@ -3,6 +3,8 @@ const path = require('path');
 const modelManager = require('../models/ModelManager');
 const config = require('../config/config');
 const logger = require('../utils/logger');
+const { NotFoundError } = require('../utils/errors');
+const { msg } = require('../utils/i18n');
 
 /**
  * Kelas Trainer bertanggung jawab untuk melatih model AI dengan data baru
@@ -13,6 +15,10 @@ class Trainer {
     this.modelManager = modelManager;
     this.dataDir = this.trainingConfig.dataDir;
     this.checkpointDir = this.trainingConfig.checkpointDir;
+    // ID interval -> { modelType, interval } untuk pelatihan berkala yang aktif
+    this.schedules = new Map();
+    // ID pelatihan latar belakang -> fungsi interrupt, lihat trackBackgroundRun
+    this.backgroundRuns = new Map();
     
     // Memastikan direktori ada
     this._ensureDirectoriesExist();
@@ -44,7 +50,7 @@ class Trainer {
       logger.info(`Memuat data pelatihan dari: ${filePath}`);
       
       if (!fs.existsSync(filePath)) {
-        throw new Error(`File data pelatihan tidak ditemukan: ${filePath}`);
+        throw new NotFoundError(msg('training.fileNotFound', { path: filePath }), 'TRAINING_DATA_NOT_FOUND');
       }
       
       const fileContent = fs.readFileSync(filePath, 'utf-8');
@@ -221,6 +227,8 @@ class Trainer {
         }
       }, interval);
       
+      this.schedules.set(intervalId, { modelType, interval });
+      
       return {
         intervalId,
         modelType,
@@ -241,6 +249,7 @@ class Trainer {
   cancelPeriodicTraining(intervalId) {
     try {
       clearInterval(intervalId);
+      this.schedules.delete(intervalId);
       logger.info(`Pelatihan berkala dengan ID ${intervalId} dibatalkan`);
       return true;
     } catch (error) {
@@ -249,6 +258,41 @@ class Trainer {
     }
   }
 
+  /**
+   * Membatalkan semua pelatihan berkala yang dijadwalkan, misalnya saat server berhenti
+   * @returns {number} Jumlah jadwal yang dibatalkan
+   */
+  cancelAllPeriodicTraining() {
+    const intervalIds = [...this.schedules.keys()];
+    intervalIds.forEach(intervalId => this.cancelPeriodicTraining(intervalId));
+    return intervalIds.length;
+  }
+
+  /**
+   * Mendaftarkan pelatihan yang berjalan di latar belakang agar ditunggu saat server berhenti
+   * @param {string} runId ID pelatihan
+   * @param {Promise} promise Pelatihan beserta pengiriman hasilnya
+   * @param {Function} interrupt Dipanggil jika server berhenti sebelum pelatihan selesai; mengembalikan Promise
+   */
+  trackBackgroundRun(runId, promise, interrupt) {
+    this.backgroundRuns.set(runId, interrupt);
+    promise
+      .finally(() => this.backgroundRuns.delete(runId))
+      .catch(() => {});
+  }
+
+  /**
+   * Menghentikan penantian semua pelatihan latar belakang yang belum selesai dan memanggil
+   * fungsi interrupt masing-masing, misalnya saat batas waktu penghentian server tercapai
+   * @returns {Promise<number>} Jumlah pelatihan yang dihentikan
+   */
+  async interruptBackgroundRuns() {
+    const interrupts = [...this.backgroundRuns.values()];
+    this.backgroundRuns.clear();
+    await Promise.allSettled(interrupts.map(interrupt => interrupt()));
+    return interrupts.length;
+  }
+
   /**
    * Menyimpan checkpoint model setelah pelatihan
    * @param {string} modelType Jenis model
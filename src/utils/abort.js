@@ -0,0 +1,72 @@
+const { GenerationCancelledError } = require('./errors');
+const { msg } = require('./i18n');
+
+/**
+ * Utilitas pembatalan generasi melalui AbortSignal
+ */
+
+// Pesan yang ditampilkan untuk setiap alasan pembatalan
+const ABORT_REASONS = {
+  'client-disconnect': msg('generation.clientDisconnected'),
+  cancelled: msg('generation.cancelledViaApi'),
+  shutdown: msg('generation.serverShutdown')
+};
+
+/**
+ * Membuat error pembatalan generasi
+ * @param {string} reason Alasan pembatalan (misalnya 'client-disconnect', 'cancelled' atau 'shutdown')
+ * @returns {GenerationCancelledError} Error dengan name 'AbortError' dan code GENERATION_CANCELLED
+ */
+const createAbortError = (reason) => {
+  const detail = ABORT_REASONS[reason] || (typeof reason === 'string' ? reason : null);
+  return new GenerationCancelledError(detail ? msg('generation.cancelledWithReason', { reason: detail }) : msg('generation.cancelled'), reason);
+};
+
+/**
+ * Melempar error pembatalan jika signal sudah dibatalkan
+ * @param {AbortSignal} signal Signal pembatalan, boleh kosong
+ */
+const throwIfAborted = (signal) => {
+  if (signal && signal.aborted) {
+    throw createAbortError(signal.reason);
+  }
+};
+
+/**
+ * Membuat AbortController yang ikut dibatalkan ketika `signal` dibatalkan. Pemanggil dapat
+ * menghentikan pekerjaan di bawahnya sendiri tanpa membatalkan signal milik pemanggil di atasnya.
+ * @param {AbortSignal} signal Signal induk, boleh kosong
+ * @returns {object} { controller, unlink } — `unlink` melepas listener dari signal induk
+ */
+const linkAbortController = (signal) => {
+  const controller = new AbortController();
+
+  if (!signal) {
+    return { controller, unlink: () => {} };
+  }
+
+  if (signal.aborted) {
+    controller.abort(signal.reason);
+    return { controller, unlink: () => {} };
+  }
+
+  const onAbort = () => controller.abort(signal.reason);
+  signal.addEventListener('abort', onAbort, { once: true });
+
+  return { controller, unlink: () => signal.removeEventListener('abort', onAbort) };
+};
+
+/**
+ * Memeriksa apakah error berasal dari pembatalan generasi, termasuk error pembatalan bawaan library
+ * @param {Error} error Error yang akan diperiksa
+ * @returns {boolean} True jika generasi dibatalkan
+ */
+const isAbortError = (error) => Boolean(error) && error.name === 'AbortError';
+
+module.exports = {
+  ABORT_REASONS,
+  createAbortError,
+  throwIfAborted,
+  linkAbortController,
+  isAbortError
+};
@@ -0,0 +1,205 @@
+/**
+ * Hierarki error aplikasi. Setiap error membawa status HTTP dan `code` yang stabil sehingga
+ * penanganan error tidak bergantung pada isi pesan; pemetaan ke respons dilakukan oleh
+ * errorHandler di lapisan API.
+ */
+const { Message, msg, serializeMessage, deserializeMessage } = require('./i18n');
+
+/**
+ * Kelas dasar semua error aplikasi
+ */
+class AppError extends Error {
+  /**
+   * @param {string|Message} message Pesan error untuk pengguna; Message diterjemahkan sesuai bahasa request
+   * @param {object} options { status, code, details, retryAfter }; `details` ditambahkan ke body respons
+   */
+  constructor(message, { status = 500, code = 'INTERNAL_ERROR', details = null, retryAfter = null } = {}) {
+    super(String(message));
+    this.name = this.constructor.name;
+    this.translatable = message instanceof Message ? message : null;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Input request tidak valid
+class ValidationError extends AppError {
+  constructor(message, { code = 'VALIDATION_ERROR', errors = null } = {}) {
+    super(message, { status: 400, code, details: errors ? { errors } : null });
+  }
+}
+
+// Kredensial tidak ada atau tidak valid
+class AuthenticationError extends AppError {
+  constructor(message = msg('auth.invalidToken'), code = 'UNAUTHENTICATED') {
+    super(message, { status: 401, code });
+  }
+}
+
+// Pengguna tidak memiliki izin atau akses model
+class PermissionDeniedError extends AppError {
+  constructor(message, code = 'PERMISSION_DENIED') {
+    super(message, { status: 403, code });
+  }
+}
+
+// Resource tidak ditemukan
+class NotFoundError extends AppError {
+  constructor(message, code = 'NOT_FOUND') {
+    super(message, { status: 404, code });
+  }
+}
+
+// Model dengan nama tersebut tidak terdaftar
+class ModelNotFoundError extends NotFoundError {
+  constructor(modelName) {
+    super(msg('models.notFound', { model: modelName }), 'MODEL_NOT_FOUND');
+    this.model = modelName;
+  }
+}
+
+// Permintaan bertentangan dengan status resource saat ini
+class ConflictError extends AppError {
+  constructor(message, code = 'CONFLICT') {
+    super(message, { status: 409, code });
+  }
+}
+
+/**
+ * Generasi dihentikan melalui AbortSignal. Nama 'AbortError' dipertahankan agar sama dengan
+ * error pembatalan bawaan library sehingga keduanya dikenali oleh isAbortError().
+ */
+class GenerationCancelledError extends ConflictError {
+  constructor(message, reason = null) {
+    super(message, 'GENERATION_CANCELLED');
+    this.name = 'AbortError';
+    this.reason = reason;
+  }
+}
+
+// Batas jumlah request terlampaui
+class RateLimitError extends AppError {
+  constructor(message, retryAfter) {
+    super(message, { status: 429, code: 'RATE_LIMITED', retryAfter });
+  }
+}
+
+// Kuota token pengguna habis
+class QuotaExceededError extends AppError {
+  constructor(message, retryAfter) {
+    super(message, { status: 429, code: 'QUOTA_EXCEEDED', retryAfter });
+  }
+}
+
+// Layanan pendukung sementara tidak tersedia
+class ServiceUnavailableError extends AppError {
+  constructor(message, code = 'SERVICE_UNAVAILABLE', retryAfter = null) {
+    super(message, { status: 503, code, retryAfter });
+  }
+}
+
+// Fitur memerlukan MongoDB yang tidak terhubung
+class DatabaseUnavailableError extends ServiceUnavailableError {
+  constructor() {
+    super(msg('server.databaseUnavailable'), 'DATABASE_UNAVAILABLE');
+  }
+}
+
+// Antrean model penuh (QUEUE_FULL) atau waktu tunggu habis (QUEUE_TIMEOUT)
+class QueueError extends ServiceUnavailableError {
+  constructor(code, message, retryAfter) {
+    super(message, code, retryAfter);
+  }
+}
+
+// Model belum siap digunakan
+class ModelNotLoadedError extends ServiceUnavailableError {
+  constructor(message) {
+    super(message, 'MODEL_NOT_LOADED');
+  }
+}
+
+// Model gagal dimuat (file tidak ada, format tidak didukung, dll.)
+class ModelLoadFailedError extends AppError {
+  /**
+   * @param {string} modelName Nama model untuk pesan
+   * @param {Error} cause Error penyebab
+   */
+  constructor(modelName, cause) {
+    super(msg('models.loadFailed', { model: modelName, cause: errorMessage(cause) }), { status: 500, code: 'MODEL_LOAD_FAILED' });
+    this.model = modelName;
+  }
+}
+
+/**
+ * Mendapatkan pesan error yang masih dapat diterjemahkan
+ * @param {Error} error Error apa pun
+ * @returns {string|Message} Message untuk error aplikasi, atau `error.message` untuk error lain
+ */
+const errorMessage = (error) => (error && error.translatable) || error.message;
+
+/**
+ * Mendapatkan code stabil dari sebuah error
+ * @param {Error} error Error apa pun
+ * @returns {string} Code error; error di luar hierarki ini dianggap INTERNAL_ERROR
+ */
+const errorCode = (error) => {
+  if (error instanceof AppError) {
+    return error.code;
+  }
+  // Error pembatalan bawaan library (misalnya DOMException AbortError)
+  if (error && error.name === 'AbortError') {
+    return 'GENERATION_CANCELLED';
+  }
+  return 'INTERNAL_ERROR';
+};
+
+/**
+ * Bentuk error yang disimpan di database (misalnya error job atau percobaan webhook): code stabil
+ * beserta kunci pesan dan parameternya, sehingga pesan diterjemahkan saat dibaca, bukan saat disimpan
+ * @param {string} code Code error
+ * @param {string|Message} message Pesan error
+ * @returns {object} { code, key, params }, atau { code, message } untuk teks di luar katalog pesan
+ */
+const toStoredError = (code, message) => (message instanceof Message
+  ? { code, ...serializeMessage(message) }
+  : { code, message: String(message) });
+
+/**
+ * Membaca kembali error hasil toStoredError
+ * @param {object|string} stored Error tersimpan; teks dari catatan lama dikembalikan apa adanya
+ * @returns {object|null} { code, message } dengan message berupa Message jika pesan berasal dari katalog
+ */
+const fromStoredError = (stored) => {
+  if (!stored) {
+    return null;
+  }
+  if (typeof stored === 'string') {
+    return { code: undefined, message: stored };
+  }
+  return { code: stored.code, message: stored.key ? deserializeMessage(stored) : stored.message };
+};
+
+module.exports = {
+  errorCode,
+  toStoredError,
+  fromStoredError,
+  errorMessage,
+  AppError,
+  ValidationError,
+  AuthenticationError,
+  PermissionDeniedError,
+  NotFoundError,
+  ModelNotFoundError,
+  ConflictError,
+  GenerationCancelledError,
+  RateLimitError,
+  QuotaExceededError,
+  ServiceUnavailableError,
+  DatabaseUnavailableError,
+  QueueError,
+  ModelNotLoadedError,
+  ModelLoadFailedError
+};
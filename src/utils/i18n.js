@@ -0,0 +1,139 @@
+const id = require('../locales/id');
+const en = require('../locales/en');
+
+/**
+ * Pesan API dwibahasa. Kunci pesan berupa path bertitik di dalam katalog (misalnya 'jobs.notFound')
+ * dan bahasa dipilih per request dari header Accept-Language.
+ */
+
+// Katalog per bahasa; bahasa pertama menjadi default
+const CATALOGS = { id, en };
+const SUPPORTED_LOCALES = Object.keys(CATALOGS);
+const DEFAULT_LOCALE = 'id';
+
+/**
+ * Mencari template pesan di katalog
+ * @private
+ */
+const lookup = (locale, key) => {
+  const template = key.split('.').reduce((node, part) => (node ? node[part] : undefined), CATALOGS[locale]);
+  return typeof template === 'string' ? template : undefined;
+};
+
+/**
+ * Pesan yang diterjemahkan saat dikirim ke klien. Sebagai string (log, penyimpanan, JSON)
+ * pesan ini memakai bahasa default.
+ */
+class Message {
+  /**
+   * @param {string} key Kunci pesan di katalog
+   * @param {object} params Nilai placeholder; boleh berisi Message lain
+   */
+  constructor(key, params = {}) {
+    this.key = key;
+    this.params = params;
+  }
+
+  toString() {
+    return translate(this.key, this.params);
+  }
+
+  toJSON() {
+    return this.toString();
+  }
+}
+
+/**
+ * Membuat pesan yang dapat diterjemahkan
+ * @param {string} key Kunci pesan di katalog
+ * @param {object} params Nilai placeholder (opsional)
+ * @returns {Message} Pesan
+ */
+const msg = (key, params = {}) => new Message(key, params);
+
+/**
+ * Menerjemahkan kunci pesan. Kunci yang tidak ada di katalog bahasa tujuan memakai bahasa default.
+ * @param {string} key Kunci pesan di katalog
+ * @param {object} params Nilai placeholder {nama}; array digabung dengan koma
+ * @param {string} locale Kode bahasa
+ * @returns {string} Teks pesan, atau kunci itu sendiri jika tidak terdaftar
+ */
+const translate = (key, params = {}, locale = DEFAULT_LOCALE) => {
+  const template = lookup(locale, key) || lookup(DEFAULT_LOCALE, key);
+
+  if (template === undefined) {
+    return key;
+  }
+
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    if (params[name] === undefined) {
+      return placeholder;
+    }
+    const value = localize(params[name], locale);
+    return Array.isArray(value) ? value.join(', ') : String(value);
+  });
+};
+
+/**
+ * Menerjemahkan setiap Message di dalam nilai (termasuk di dalam array dan objek biasa)
+ * @param {*} value Nilai apa pun, misalnya body respons
+ * @param {string} locale Kode bahasa
+ * @returns {*} Salinan nilai dengan Message diganti teks; nilai lain dikembalikan apa adanya
+ */
+const localize = (value, locale = DEFAULT_LOCALE) => {
+  if (value instanceof Message) {
+    return translate(value.key, value.params, locale);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => localize(item, locale));
+  }
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, localize(item, locale)]));
+  }
+  return value;
+};
+
+/**
+ * Mengubah Message menjadi objek biasa { key, params } yang dapat disimpan di database.
+ * Message di dalam parameter ikut diubah sehingga seluruh pesan tetap dapat diterjemahkan.
+ * @param {Message} message Pesan
+ * @returns {object} { key, params }
+ */
+const serializeMessage = (message) => ({
+  key: message.key,
+  params: Object.fromEntries(Object.entries(message.params).map(([name, value]) => [
+    name,
+    value instanceof Message ? serializeMessage(value) : value
+  ]))
+});
+
+/**
+ * Membuat kembali Message dari hasil serializeMessage
+ * @param {object} stored { key, params }
+ * @returns {Message} Pesan
+ */
+const deserializeMessage = (stored) => msg(stored.key, Object.fromEntries(
+  Object.entries(stored.params || {}).map(([name, value]) => [
+    name,
+    value && typeof value === 'object' && typeof value.key === 'string' ? deserializeMessage(value) : value
+  ])
+));
+
+/**
+ * Memilih bahasa request dari header Accept-Language
+ * @param {object} req Request Express
+ * @returns {string} Kode bahasa yang didukung, default 'id'
+ */
+const resolveLocale = (req) => req.acceptsLanguages(...SUPPORTED_LOCALES) || DEFAULT_LOCALE;
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  Message,
+  msg,
+  translate,
+  localize,
+  serializeMessage,
+  deserializeMessage,
+  resolveLocale
+};
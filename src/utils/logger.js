@@ -2,6 +2,7 @@ const winston = require('winston');
 const path = require('path');
 const config = require('../config/config');
 const fs = require('fs');
+const requestContext = require('./requestContext');
 
 // Memastikan direktori logs ada
 const logDir = path.dirname(config.logger.file);
@@ -9,9 +10,19 @@ if (!fs.existsSync(logDir)) {
   fs.mkdirSync(logDir, { recursive: true });
 }
 
+// Menambahkan ID request aktif (header X-Request-Id) ke setiap baris log
+const requestId = winston.format(info => {
+  const id = requestContext.getRequestId();
+  if (id) {
+    info.requestId = id;
+  }
+  return info;
+});
+
 const logger = winston.createLogger({
   level: config.logger.level,
   format: winston.format.combine(
+    requestId(),
     winston.format.timestamp({
       format: 'YYYY-MM-DD HH:mm:ss'
     }),
@@ -30,7 +41,7 @@ const logger = winston.createLogger({
       format: winston.format.combine(
         winston.format.colorize(),
         winston.format.printf(
-          info => `${info.timestamp} ${info.level}: ${info.message}`
+          info => `${info.timestamp} ${info.level}: ${info.requestId ? `[${info.requestId}] ` : ''}${info.message}`
         )
       )
     })
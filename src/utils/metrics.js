@@ -0,0 +1,165 @@
+const client = require('prom-client');
+
+/**
+ * Metrik Prometheus untuk endpoint /metrics. Semua metrik terdaftar di satu registry;
+ * nilai yang dibaca dari status terkini (antrean, model yang dimuat) diperbarui oleh
+ * collector yang didaftarkan melalui onCollect() tepat sebelum setiap scrape.
+ */
+const register = new client.Registry();
+
+// Metrik proses bawaan: memori (RSS, heap), CPU, event loop lag, file descriptor
+client.collectDefaultMetrics({ register });
+
+const httpRequestsTotal = new client.Counter({
+  name: 'http_requests_total',
+  help: 'Jumlah request HTTP berdasarkan method, route dan status',
+  labelNames: ['method', 'route', 'status'],
+  registers: [register]
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'Durasi request HTTP dalam detik, hingga respons selesai dikirim',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120],
+  registers: [register]
+});
+
+const generationDuration = new client.Histogram({
+  name: 'model_generation_duration_seconds',
+  help: 'Durasi generasi per model dalam detik, tanpa waktu tunggu antrean',
+  labelNames: ['model', 'mode', 'result'],
+  buckets: [0.1, 0.5, 1, 2, 5, 10, 30, 60, 120, 300],
+  registers: [register]
+});
+
+const generatedTokens = new client.Counter({
+  name: 'model_generated_tokens_total',
+  help: 'Jumlah token yang dihasilkan per model',
+  labelNames: ['model'],
+  registers: [register]
+});
+
+const tokensPerSecond = new client.Histogram({
+  name: 'model_tokens_per_second',
+  help: 'Kecepatan generasi per model dalam token per detik',
+  labelNames: ['model'],
+  buckets: [1, 2, 5, 10, 20, 50, 100, 200],
+  registers: [register]
+});
+
+const queueDepth = new client.Gauge({
+  name: 'model_queue_depth',
+  help: 'Jumlah request yang menunggu di antrean model',
+  labelNames: ['model'],
+  registers: [register]
+});
+
+const activeGenerations = new client.Gauge({
+  name: 'model_active_generations',
+  help: 'Jumlah generasi yang sedang berjalan per model',
+  labelNames: ['model'],
+  registers: [register]
+});
+
+const modelLoaded = new client.Gauge({
+  name: 'model_loaded',
+  help: 'Status model di memori (1 = dimuat, 0 = tidak)',
+  labelNames: ['model'],
+  registers: [register]
+});
+
+const lifecycleEvents = new client.Counter({
+  name: 'model_lifecycle_events_total',
+  help: 'Jumlah pemuatan dan pembebasan model berdasarkan hasilnya',
+  labelNames: ['model', 'event', 'result'],
+  registers: [register]
+});
+
+const lifecycleDuration = new client.Histogram({
+  name: 'model_lifecycle_duration_seconds',
+  help: 'Durasi pemuatan dan pembebasan model dalam detik',
+  labelNames: ['model', 'event', 'result'],
+  buckets: [0.05, 0.1, 0.5, 1, 5, 10, 30, 60, 120, 300],
+  registers: [register]
+});
+
+const collectors = [];
+
+/**
+ * Mendaftarkan fungsi yang memperbarui gauge sebelum metrik dibaca
+ * @param {Function} collector Fungsi tanpa argumen
+ */
+const onCollect = (collector) => {
+  collectors.push(collector);
+};
+
+/**
+ * Mencatat satu request HTTP yang sudah selesai
+ * @param {string} method Method HTTP
+ * @param {string} route Pola route (misalnya '/api/jobs/:id'), bukan URL asli
+ * @param {number} status Status HTTP
+ * @param {number} seconds Durasi request
+ */
+const observeRequest = (method, route, status, seconds) => {
+  const labels = { method, route, status: String(status) };
+  httpRequestsTotal.inc(labels);
+  httpRequestDuration.observe(labels, seconds);
+};
+
+/**
+ * Mencatat satu generasi model
+ * @param {string} model Nama model
+ * @param {string} mode 'generate' atau 'stream'
+ * @param {string} result 'success', 'error' atau 'cancelled'
+ * @param {number} seconds Durasi generasi
+ * @param {number} tokens Jumlah token yang dihasilkan (termasuk hasil parsial)
+ */
+const observeGeneration = (model, mode, result, seconds, tokens) => {
+  generationDuration.observe({ model, mode, result }, seconds);
+
+  if (tokens > 0) {
+    generatedTokens.inc({ model }, tokens);
+    if (seconds > 0) {
+      tokensPerSecond.observe({ model }, tokens / seconds);
+    }
+  }
+};
+
+/**
+ * Memulai pengukuran pemuatan atau pembebasan model
+ * @param {string} model Nama model
+ * @param {string} event 'load' atau 'unload'
+ * @returns {Function} Fungsi `end(result)` dengan result 'success' atau 'error'
+ */
+const startLifecycleTimer = (model, event) => {
+  const endTimer = lifecycleDuration.startTimer({ model, event });
+
+  return (result) => {
+    endTimer({ result });
+    lifecycleEvents.inc({ model, event, result });
+  };
+};
+
+/**
+ * Menghasilkan semua metrik dalam format teks Prometheus
+ * @returns {Promise<string>} Isi respons /metrics
+ */
+const render = async () => {
+  for (const collector of collectors) {
+    collector();
+  }
+  return register.metrics();
+};
+
+module.exports = {
+  contentType: register.contentType,
+  queueDepth,
+  activeGenerations,
+  modelLoaded,
+  onCollect,
+  observeRequest,
+  observeGeneration,
+  startLifecycleTimer,
+  render
+};
@@ -0,0 +1,30 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Konteks per request yang ikut terbawa ke semua callback dan Promise turunannya,
+ * sehingga logger dapat menandai setiap baris log dengan ID request tanpa meneruskan
+ * `req` ke ModelManager, kelas model atau trainer
+ */
+const storage = new AsyncLocalStorage();
+
+/**
+ * Menjalankan fungsi di dalam konteks request
+ * @param {object} context Data konteks, misalnya { requestId }
+ * @param {Function} fn Fungsi yang dijalankan
+ * @returns {*} Hasil fungsi
+ */
+const run = (context, fn) => storage.run(context, fn);
+
+/**
+ * Mendapatkan ID request yang sedang diproses
+ * @returns {string|null} ID request, atau null di luar konteks request (startup, script pelatihan)
+ */
+const getRequestId = () => {
+  const context = storage.getStore();
+  return context ? context.requestId : null;
+};
+
+module.exports = {
+  run,
+  getRequestId
+};
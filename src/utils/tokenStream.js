@@ -0,0 +1,88 @@
+const { createAbortError, throwIfAborted, linkAbortController } = require('./abort');
+
+/**
+ * Mengubah API generasi berbasis callback menjadi async iterator token.
+ * Generasi dihentikan melalui signal internal ketika `signal` dibatalkan, ketika backend gagal,
+ * atau ketika pemanggil berhenti membaca sebelum selesai. Iterator baru selesai setelah Promise
+ * dari `run` selesai, sehingga backend tidak lagi berjalan ketika slot modelnya dilepas.
+ * @param {Function} run Fungsi yang menerima callback `onToken` dan signal internal, lalu
+ *                       mengembalikan Promise yang selesai ketika generasi selesai. Setelah
+ *                       signal internal dibatalkan, `onToken` melempar error sehingga backend
+ *                       berhenti di token berikutnya.
+ * @param {AbortSignal} signal Signal pembatalan opsional dari pemanggil
+ * @returns {AsyncGenerator<string>} Token yang dihasilkan secara berurutan
+ */
+async function* streamFromCallback(run, signal = null) {
+  throwIfAborted(signal);
+
+  const { controller, unlink } = linkAbortController(signal);
+  const queue = [];
+  let finished = false;
+  let failure = null;
+  let notify = null;
+
+  const wake = () => {
+    if (notify) {
+      notify();
+      notify = null;
+    }
+  };
+
+  const onAbort = () => {
+    failure = createAbortError(controller.signal.reason);
+    finished = true;
+    wake();
+  };
+
+  controller.signal.addEventListener('abort', onAbort, { once: true });
+
+  const onToken = (token) => {
+    throwIfAborted(controller.signal);
+    queue.push(token);
+    wake();
+  };
+
+  const running = Promise.resolve()
+    .then(() => run(onToken, controller.signal))
+    .then(() => {
+      finished = true;
+      wake();
+    })
+    .catch(error => {
+      failure = failure || error;
+      finished = true;
+      wake();
+    });
+
+  try {
+    while (true) {
+      if (queue.length > 0 && !controller.signal.aborted) {
+        yield queue.shift();
+        continue;
+      }
+
+      if (finished) {
+        break;
+      }
+
+      await new Promise(resolve => {
+        notify = resolve;
+      });
+    }
+  } finally {
+    controller.signal.removeEventListener('abort', onAbort);
+    unlink();
+    // Pemanggil berhenti membaca atau generasi sudah berakhir; hentikan backend dan tunggu sampai
+    // benar-benar selesai
+    controller.abort();
+    await running;
+  }
+
+  if (failure) {
+    throw failure;
+  }
+}
+
+module.exports = {
+  streamFromCallback
+};
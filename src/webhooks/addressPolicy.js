@@ -0,0 +1,168 @@
+const dns = require('dns');
+const net = require('net');
+const config = require('../config/config');
+
+/**
+ * Kebijakan tujuan webhook untuk mencegah server dipakai mengakses jaringan internal (SSRF).
+ * Host harus lolos config.webhooks.allowedHosts (jika diisi) dan setiap alamat IP hasil resolusi
+ * DNS harus alamat publik, kecuali config.webhooks.allowPrivateAddresses diaktifkan untuk
+ * pengujian lokal. Pemeriksaan alamat dilakukan pada lookup koneksi itu sendiri sehingga
+ * perubahan DNS setelah validasi tidak dapat melewatinya.
+ */
+
+// Rentang alamat yang bukan alamat publik: loopback, jaringan privat, link-local (termasuk
+// metadata cloud 169.254.169.254), shared address space, multicast dan alamat khusus lainnya
+const NON_PUBLIC_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([address, prefix]) => NON_PUBLIC_RANGES.addSubnet(address, prefix, 'ipv4'));
+// 64:ff9b:1::/48 (NAT64 lokal) dan 2001::/32 (Teredo) dapat menuju alamat IPv4 apa pun
+[
+  ['::', 128], ['::1', 128], ['64:ff9b:1::', 48], ['2001::', 32], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => NON_PUBLIC_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Mengubah alamat IPv6 yang valid menjadi delapan kelompok 16 bit
+ * @private
+ */
+const ipv6Groups = (address) => {
+  let text = address.split('%')[0];
+
+  // Empat oktet terakhir dalam notasi IPv4 (::ffff:127.0.0.1) diubah menjadi dua kelompok
+  const dotted = /(\d+)\.(\d+)\.(\d+)\.(\d+)$/.exec(text);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(1).map(Number);
+    text = `${text.slice(0, dotted.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+
+  const parse = part => (part ? part.split(':').map(group => parseInt(group, 16)) : []);
+  const [head, tail] = text.split('::');
+  const start = parse(head);
+  const end = parse(tail);
+  return [...start, ...new Array(8 - start.length - end.length).fill(0), ...end];
+};
+
+/**
+ * Alamat IPv4 yang tertanam dalam alamat IPv6 dan dapat dijangkau melaluinya: IPv4-mapped
+ * (::ffff:0:0/96), IPv4-compatible (::/96), NAT64 (64:ff9b::/96) dan 6to4 (2002::/16)
+ * @private
+ * @returns {string|null} Alamat IPv4, atau null jika tidak ada
+ */
+const embeddedIPv4 = (address) => {
+  const groups = ipv6Groups(address);
+  const toIPv4 = (high, low) => [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.');
+  const zeros = (from, to) => groups.slice(from, to).every(group => group === 0);
+
+  if (groups[0] === 0x2002) {
+    return toIPv4(groups[1], groups[2]);
+  }
+  if (zeros(0, 6) || (zeros(0, 5) && groups[5] === 0xffff) || (groups[0] === 0x64 && groups[1] === 0xff9b && zeros(2, 6))) {
+    return toIPv4(groups[6], groups[7]);
+  }
+  return null;
+};
+
+/**
+ * Error untuk tujuan webhook yang ditolak kebijakan alamat
+ */
+class BlockedAddressError extends Error {
+  constructor(host, address = null) {
+    super(address ? `Alamat ${address} untuk ${host} tidak diizinkan` : `Host ${host} tidak diizinkan`);
+    this.name = 'BlockedAddressError';
+    this.host = host;
+    this.address = address;
+  }
+}
+
+/**
+ * Memeriksa apakah host termasuk config.webhooks.allowedHosts. Entri `*.contoh.com` mencakup
+ * semua subdomain contoh.com; daftar kosong berarti semua host diizinkan.
+ * @param {string} hostname Host dari URL callback
+ * @returns {boolean} True jika host diizinkan
+ */
+const isAllowedHost = (hostname) => {
+  const { allowedHosts } = config.webhooks;
+  if (allowedHosts.length === 0) {
+    return true;
+  }
+
+  const host = hostname.toLowerCase();
+  return allowedHosts.some(entry => {
+    const pattern = entry.toLowerCase();
+    return pattern.startsWith('*.') ? host.endsWith(pattern.slice(1)) : host === pattern;
+  });
+};
+
+/**
+ * Memeriksa apakah alamat IP boleh dihubungi
+ * @param {string} address Alamat IPv4 atau IPv6
+ * @returns {boolean} True untuk alamat publik, atau semua alamat jika allowPrivateAddresses aktif
+ */
+const isAllowedAddress = (address) => {
+  if (config.webhooks.allowPrivateAddresses) {
+    return true;
+  }
+
+  if (net.isIPv4(address)) {
+    return !NON_PUBLIC_RANGES.check(address, 'ipv4');
+  }
+  if (!net.isIPv6(address) || NON_PUBLIC_RANGES.check(address, 'ipv6')) {
+    return false;
+  }
+
+  // Alamat IPv6 yang meneruskan ke IPv4 harus lolos rentang IPv4 juga
+  const ipv4 = embeddedIPv4(address);
+  return ipv4 === null || !NON_PUBLIC_RANGES.check(ipv4, 'ipv4');
+};
+
+/**
+ * Memeriksa URL callback sebelum dihubungi: host harus diizinkan dan host berupa alamat IP
+ * harus lolos isAllowedAddress (koneksi ke alamat IP tidak melalui lookup DNS)
+ * @param {URL} url URL callback
+ * @throws {BlockedAddressError} Jika tujuan tidak diizinkan
+ */
+const assertAllowedUrl = (url) => {
+  const hostname = url.hostname.replace(/^\[(.*)\]$/, '$1');
+
+  if (!isAllowedHost(hostname)) {
+    throw new BlockedAddressError(hostname);
+  }
+  if (net.isIP(hostname) && !isAllowedAddress(hostname)) {
+    throw new BlockedAddressError(hostname, hostname);
+  }
+};
+
+/**
+ * Pengganti dns.lookup untuk opsi `lookup` http.request yang menolak koneksi ketika salah satu
+ * alamat hasil resolusi tidak diizinkan
+ * @param {string} hostname Host yang dihubungi
+ * @param {object} options Opsi dns.lookup dari modul net
+ * @param {Function} callback Callback dns.lookup
+ */
+const guardedLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const blocked = addresses.find(entry => !isAllowedAddress(entry.address));
+    if (blocked) {
+      return callback(new BlockedAddressError(hostname, blocked.address));
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+module.exports = {
+  BlockedAddressError,
+  isAllowedHost,
+  isAllowedAddress,
+  assertAllowedUrl,
+  guardedLookup
+};
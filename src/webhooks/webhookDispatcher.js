@@ -0,0 +1,305 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const mongoose = require('mongoose');
+const WebhookDelivery = require('../database/WebhookDelivery');
+const database = require('../database/database');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { msg } = require('../utils/i18n');
+const { toStoredError } = require('../utils/errors');
+const { BlockedAddressError, assertAllowedUrl, guardedLookup } = require('./addressPolicy');
+
+// Kunci induk pengganti selama pengembangan ketika WEBHOOK_SECRET tidak diisi; ditolak di produksi
+const DEVELOPMENT_SECRET = 'default_webhook_secret_tidak_aman';
+
+/**
+ * Kelas WebhookDispatcher mengirim hasil job dan pelatihan ke URL callback yang didaftarkan pemanggil.
+ * Setiap pengiriman disimpan di koleksi WebhookDelivery beserta semua percobaannya; pengiriman yang
+ * gagal (bukan 2xx, koneksi gagal atau melewati batas waktu) diulang dengan jeda eksponensial
+ * sampai config.webhooks.maxAttempts.
+ */
+class WebhookDispatcher {
+  constructor() {
+    // ID pengiriman -> timer percobaan berikutnya
+    this.timers = new Map();
+    // ID pengiriman -> Promise percobaan yang sedang berjalan
+    this.inFlight = new Map();
+    this.stopped = false;
+  }
+
+  /**
+   * Memastikan kunci induk webhook sudah diatur. Dipanggil saat server dimulai agar server
+   * tidak berjalan di produksi dengan kunci pengembangan yang diketahui publik.
+   * @throws {Error} Jika WEBHOOK_SECRET tidak diisi di produksi
+   */
+  checkSecret() {
+    if (!config.webhooks.secret && config.server.env === 'production') {
+      throw new Error('WEBHOOK_SECRET wajib diisi di produksi');
+    }
+  }
+
+  /**
+   * Menurunkan kunci penandatanganan milik seorang pengguna dari kunci induk, sehingga penerima
+   * milik satu pengguna tidak dapat memalsukan webhook untuk pengguna lain
+   * @param {string} owner Username pemilik callback
+   * @returns {string} Kunci HMAC dalam hex
+   */
+  secretFor(owner) {
+    const masterSecret = config.webhooks.secret || DEVELOPMENT_SECRET;
+    return crypto.createHmac('sha256', masterSecret).update(`webhook-owner:${owner}`).digest('hex');
+  }
+
+  /**
+   * Membuat tanda tangan HMAC-SHA256 untuk header X-Webhook-Signature dengan kunci milik pemilik callback.
+   * Yang ditandatangani adalah `<timestamp>.<body>` sehingga penerima dapat menolak
+   * permintaan lama yang dikirim ulang oleh pihak lain.
+   * @param {string} body Body JSON yang dikirim
+   * @param {number} timestamp Waktu pengiriman (detik Unix), sama dengan header X-Webhook-Timestamp
+   * @param {string} owner Username pemilik callback
+   * @returns {string} Tanda tangan berformat `sha256=<hex>`
+   */
+  sign(body, timestamp, owner) {
+    const digest = crypto.createHmac('sha256', this.secretFor(owner)).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+  }
+
+  /**
+   * Menyimpan pengiriman baru dan langsung menjadwalkan percobaan pertama.
+   * Kegagalan penyimpanan hanya dicatat di log agar tidak menggagalkan job atau pelatihan.
+   * @param {object} details { owner, event, url, source: { type, id }, data }
+   * @returns {Promise<object|null>} Dokumen pengiriman, atau null jika tidak dapat disimpan
+   */
+  async dispatch({ owner, event, url, source, data }) {
+    try {
+      if (!database.isConnected()) {
+        throw new Error('database tidak terhubung');
+      }
+
+      const _id = new mongoose.Types.ObjectId();
+      const delivery = await WebhookDelivery.create({
+        _id,
+        owner,
+        event,
+        url,
+        source,
+        payload: {
+          id: _id.toString(),
+          event,
+          createdAt: new Date().toISOString(),
+          data
+        },
+        nextAttemptAt: new Date(),
+        expiresAt: this._expiryDate()
+      });
+
+      logger.info(`Webhook ${event} untuk ${source.type} ${source.id} dijadwalkan ke ${url}`);
+      this._schedule(delivery._id.toString(), 0);
+      return delivery;
+    } catch (error) {
+      logger.error(`Gagal menjadwalkan webhook ${event} untuk ${source.type} ${source.id}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Mengirim ulang payload sebuah pengiriman sebagai pengiriman baru dengan jatah percobaan baru.
+   * Header X-Webhook-Id tetap berisi ID payload asal sehingga penerima dapat mendeteksi duplikat.
+   * @param {object} delivery Dokumen pengiriman asal
+   * @returns {Promise<object>} Dokumen pengiriman baru
+   */
+  async replay(delivery) {
+    const replayed = await WebhookDelivery.create({
+      owner: delivery.owner,
+      event: delivery.event,
+      url: delivery.url,
+      source: delivery.source,
+      payload: delivery.payload,
+      replayOf: delivery._id,
+      nextAttemptAt: new Date(),
+      expiresAt: this._expiryDate()
+    });
+
+    logger.info(`Webhook ${delivery._id} dikirim ulang sebagai ${replayed._id}`);
+    this._schedule(replayed._id.toString(), 0);
+    return replayed;
+  }
+
+  /**
+   * Menjadwalkan ulang pengiriman yang masih pending, misalnya setelah server dimulai ulang.
+   * Dipanggil sekali saat server dimulai setelah database terhubung.
+   * @returns {Promise<number>} Jumlah pengiriman yang dijadwalkan
+   */
+  async recover() {
+    const pending = await WebhookDelivery.find({ status: 'pending' }, { nextAttemptAt: 1 });
+
+    for (const delivery of pending) {
+      const delay = delivery.nextAttemptAt ? delivery.nextAttemptAt.getTime() - Date.now() : 0;
+      this._schedule(delivery._id.toString(), Math.max(0, delay));
+    }
+
+    if (pending.length > 0) {
+      logger.info(`${pending.length} webhook pending dijadwalkan ulang`);
+    }
+
+    return pending.length;
+  }
+
+  /**
+   * Membatalkan percobaan yang terjadwal dan menunggu percobaan yang sedang berjalan.
+   * Pengiriman tetap berstatus pending dan dilanjutkan oleh recover() saat server dimulai ulang.
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.stopped = true;
+    for (const timer of this.timers.values()) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+
+    await Promise.allSettled(this.inFlight.values());
+  }
+
+  /**
+   * Menjadwalkan percobaan pengiriman
+   * @private
+   */
+  _schedule(id, delayMs) {
+    if (this.stopped) {
+      return;
+    }
+    clearTimeout(this.timers.get(id));
+
+    const timer = setTimeout(() => {
+      this.timers.delete(id);
+      const attempt = this._attempt(id)
+        .catch(error => logger.error(`Gagal memproses webhook ${id}: ${error.message}`))
+        .finally(() => this.inFlight.delete(id));
+      this.inFlight.set(id, attempt);
+    }, delayMs);
+
+    // Timer webhook tidak boleh menahan proses tetap hidup
+    timer.unref();
+    this.timers.set(id, timer);
+  }
+
+  /**
+   * Menjalankan satu percobaan pengiriman dan menyimpan hasilnya
+   * @private
+   */
+  async _attempt(id) {
+    const delivery = await WebhookDelivery.findById(id);
+    if (!delivery || delivery.status !== 'pending') {
+      return;
+    }
+
+    const number = delivery.attempts.length + 1;
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const attempt = { number, attemptedAt: new Date() };
+    let failure = null;
+
+    try {
+      const statusCode = await this._post(delivery.url, body, {
+        'Content-Type': 'application/json',
+        'User-Agent': 'ai-api-sistem-webhook',
+        'X-Webhook-Id': delivery.payload.id,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Attempt': String(number),
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': this.sign(body, timestamp, delivery.owner)
+      });
+
+      attempt.statusCode = statusCode;
+      // Body respons tidak disimpan karena dapat berisi data dari sistem penerima
+      if (statusCode < 200 || statusCode >= 300) {
+        failure = { code: 'WEBHOOK_HTTP_ERROR', message: msg('webhooks.httpError', { status: statusCode }) };
+      }
+    } catch (error) {
+      if (error instanceof BlockedAddressError) {
+        failure = { code: 'WEBHOOK_ADDRESS_BLOCKED', message: msg('webhooks.addressBlocked'), final: true };
+      } else if (error.name === 'TimeoutError') {
+        failure = { code: 'WEBHOOK_TIMEOUT', message: msg('webhooks.timeout', { timeoutMs: config.webhooks.timeoutMs }) };
+      } else {
+        failure = { code: 'WEBHOOK_CONNECTION_FAILED', message: msg('webhooks.connectionFailed', { detail: error.code || error.message }) };
+      }
+    }
+    attempt.durationMs = Date.now() - attempt.attemptedAt.getTime();
+    if (failure) {
+      // Pesan diterjemahkan saat riwayat pengiriman dibaca
+      attempt.error = toStoredError(failure.code, failure.message);
+    }
+
+    delivery.attempts.push(attempt);
+
+    if (!failure) {
+      delivery.status = 'delivered';
+      delivery.deliveredAt = new Date();
+      delivery.nextAttemptAt = undefined;
+      logger.info(`Webhook ${id} (${delivery.event}) terkirim ke ${delivery.url} pada percobaan ke-${number}`);
+    } else if (failure.final || number >= config.webhooks.maxAttempts) {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = undefined;
+      logger.warn(`Webhook ${id} (${delivery.event}) gagal setelah ${number} percobaan: ${failure.message}`);
+    } else {
+      const delay = this._retryDelay(number);
+      delivery.nextAttemptAt = new Date(Date.now() + delay);
+      logger.warn(`Webhook ${id} (${delivery.event}) gagal pada percobaan ke-${number}, dicoba lagi dalam ${delay} ms: ${failure.message}`);
+    }
+
+    await delivery.save();
+
+    if (delivery.status === 'pending') {
+      this._schedule(id, delivery.nextAttemptAt.getTime() - Date.now());
+    }
+  }
+
+  /**
+   * Mengirim POST ke URL callback tanpa mengikuti redirect. Tujuan diperiksa dengan kebijakan
+   * alamat sebelum dan selama koneksi (lookup DNS), dan body respons dibuang.
+   * @private
+   * @returns {Promise<number>} Status HTTP respons
+   */
+  _post(callbackUrl, body, headers) {
+    return new Promise((resolve, reject) => {
+      const url = new URL(callbackUrl);
+      assertAllowedUrl(url);
+
+      const transport = url.protocol === 'https:' ? https : http;
+      const req = transport.request(url, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup: guardedLookup,
+        signal: AbortSignal.timeout(config.webhooks.timeoutMs)
+      }, (res) => {
+        res.resume();
+        resolve(res.statusCode);
+      });
+
+      req.on('error', (error) => reject(error.name === 'AbortError' && error.cause ? error.cause : error));
+      req.end(body);
+    });
+  }
+
+  /**
+   * Jeda sebelum percobaan berikutnya: retryBaseDelayMs * 2^(n-1), maksimal retryMaxDelayMs
+   * @private
+   */
+  _retryDelay(attemptNumber) {
+    const { retryBaseDelayMs, retryMaxDelayMs } = config.webhooks;
+    return Math.min(retryBaseDelayMs * 2 ** (attemptNumber - 1), retryMaxDelayMs);
+  }
+
+  /**
+   * Waktu penghapusan otomatis catatan pengiriman
+   * @private
+   */
+  _expiryDate() {
+    return new Date(Date.now() + config.webhooks.retentionDays * 24 * 60 * 60 * 1000);
+  }
+}
+
+// Singleton instance
+const webhookDispatcher = new WebhookDispatcher();
+
+module.exports = webhookDispatcher;
@@ -0,0 +1,107 @@
+const express = require('express');
+const request = require('supertest');
+const ApiKey = require('../../src/database/ApiKey');
+const User = require('../../src/database/User');
+const database = require('../../src/database/database');
+const auditLog = require('../../src/database/auditLog');
+const apiKeysRouter = require('../../src/api/apiKeys');
+const { authenticate } = require('../../src/api/middleware');
+const { errorHandler } = require('../../src/api/errorHandler');
+const { createApp, bearer } = require('../helpers/app');
+
+const KEY = 'sk-lokal-0123456789abcdef';
+
+const createKey = (fields = {}) => new ApiKey({
+  name: 'bot',
+  keyHash: 'hash',
+  displayPrefix: 'sk-lokal-01234567',
+  owner: 'budi',
+  scopes: ['generate'],
+  lastUsedAt: new Date(),
+  ...fields
+});
+
+describe('autentikasi API key', () => {
+  let app;
+
+  beforeEach(() => {
+    jest.spyOn(database, 'isConnected').mockReturnValue(true);
+    app = express();
+    app.get('/whoami', authenticate, (req, res) => res.json({ status: 'success', data: req.user }));
+    app.use(errorHandler);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('menerima key milik pengguna aktif', async () => {
+    jest.spyOn(ApiKey, 'findByKey').mockResolvedValue(createKey());
+    jest.spyOn(User, 'findOne').mockResolvedValue({ username: 'budi', disabled: false });
+
+    const response = await request(app).get('/whoami').set('Authorization', `Bearer ${KEY}`).expect(200);
+
+    expect(response.body.data).toMatchObject({ username: 'budi', authType: 'apiKey' });
+  });
+
+  test('menolak key milik akun yang dinonaktifkan atau dihapus', async () => {
+    jest.spyOn(ApiKey, 'findByKey').mockResolvedValue(createKey());
+    const findUser = jest.spyOn(User, 'findOne').mockResolvedValueOnce({ username: 'budi', disabled: true });
+
+    await request(app).get('/whoami').set('Authorization', `Bearer ${KEY}`).expect(401);
+
+    findUser.mockResolvedValueOnce(null);
+    await request(app).get('/whoami').set('Authorization', `Bearer ${KEY}`).expect(401);
+  });
+
+  test('key layanan tidak memerlukan akun pengguna', async () => {
+    jest.spyOn(ApiKey, 'findByKey').mockResolvedValue(createKey({ owner: 'apikey:bot' }));
+    const findUser = jest.spyOn(User, 'findOne');
+
+    await request(app).get('/whoami').set('Authorization', `Bearer ${KEY}`).expect(200);
+
+    expect(findUser).not.toHaveBeenCalled();
+  });
+});
+
+describe('pembuatan API key', () => {
+  const app = createApp('/api/keys', apiKeysRouter);
+  const body = { name: 'bot', scopes: ['generate'] };
+
+  beforeEach(() => {
+    jest.spyOn(database, 'isConnected').mockReturnValue(true);
+    jest.spyOn(auditLog, 'record').mockImplementation(() => {});
+    jest.spyOn(ApiKey, 'generate').mockImplementation(async data => ({ apiKey: createKey(data), key: KEY }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('tanpa owner membuat key layanan', async () => {
+    const response = await request(app).post('/api/keys').set('Authorization', bearer('admin', 'admin')).send(body).expect(201);
+
+    expect(response.body.data.owner).toBe('apikey:bot');
+  });
+
+  test('owner harus pengguna terdaftar yang aktif', async () => {
+    const findUser = jest.spyOn(User, 'findOne').mockResolvedValueOnce(null);
+
+    const missing = await request(app)
+      .post('/api/keys')
+      .set('Authorization', bearer('admin', 'admin'))
+      .set('Accept-Language', 'en')
+      .send({ ...body, owner: 'Hantu' })
+      .expect(400);
+    expect(missing.body.message).toBe('Owner Hantu is not a registered user');
+    expect(findUser).toHaveBeenLastCalledWith({ username: 'hantu' });
+
+    findUser.mockResolvedValueOnce({ username: 'budi', disabled: true });
+    await request(app).post('/api/keys').set('Authorization', bearer('admin', 'admin')).send({ ...body, owner: 'budi' }).expect(400);
+
+    findUser.mockResolvedValueOnce({ username: 'budi', disabled: false });
+    const created = await request(app).post('/api/keys').set('Authorization', bearer('admin', 'admin')).send({ ...body, owner: ' Budi ' }).expect(201);
+    expect(created.body.data.owner).toBe('budi');
+    expect(ApiKey.generate).toHaveBeenLastCalledWith(expect.objectContaining({ owner: 'budi', createdBy: 'admin' }));
+  });
+});
@@ -0,0 +1,51 @@
+const request = require('supertest');
+const config = require('../../src/config/config');
+const auditLog = require('../../src/database/auditLog');
+const { router } = require('../../src/api/audit');
+const { createApp, bearer } = require('../helpers/app');
+
+describe('pencarian audit', () => {
+  const originalStore = config.audit.store;
+  let app;
+  let query;
+
+  beforeEach(() => {
+    config.audit.store = 'file';
+    query = jest.spyOn(auditLog, 'query').mockResolvedValue({ events: [], total: 0 });
+    app = createApp('/api/audit', router);
+  });
+
+  afterEach(() => {
+    config.audit.store = originalStore;
+    jest.restoreAllMocks();
+  });
+
+  test('meneruskan filter ke audit log', async () => {
+    await request(app)
+      .get('/api/audit?username=Budi&action=auth.login,models.load&outcome=failure')
+      .set('Authorization', bearer('admin', 'admin'))
+      .expect(200);
+
+    expect(query).toHaveBeenCalledWith(expect.objectContaining({
+      actor: 'budi',
+      actions: ['auth.login', 'models.load'],
+      outcome: 'failure'
+    }));
+  });
+
+  test.each([
+    ['action=auth.login&action=models.load', 'action'],
+    ['username=budi&username=siti', 'username'],
+    ['username[$ne]=budi', 'username'],
+    ['from=2024-01-01&from=2024-02-01', 'from']
+  ])('menolak parameter yang diulang atau bersarang (%s) dengan 400', async (search, name) => {
+    const response = await request(app)
+      .get(`/api/audit?${search}`)
+      .set('Authorization', bearer('admin', 'admin'))
+      .set('Accept-Language', 'en')
+      .expect(400);
+
+    expect(response.body).toMatchObject({ code: 'VALIDATION_ERROR', message: `Parameter ${name} must be a single value` });
+    expect(query).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,121 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const config = require('../../src/config/config');
+const User = require('../../src/database/User');
+const RefreshToken = require('../../src/database/RefreshToken');
+const database = require('../../src/database/database');
+const auditLog = require('../../src/database/auditLog');
+const revocationList = require('../../src/database/revocationList');
+const authRouter = require('../../src/api/auth');
+const { memoryStore } = require('../../src/api/rateLimiter');
+const { createApp, bearer } = require('../helpers/app');
+
+const app = createApp('/api/auth', authRouter);
+
+const createRefreshToken = (fields = {}) => new RefreshToken({
+  tokenHash: 'hash',
+  username: 'budi',
+  expiresAt: new Date(Date.now() + 60000),
+  ...fields
+});
+
+describe('rotasi refresh token', () => {
+  beforeEach(() => {
+    memoryStore.counters.clear();
+    jest.spyOn(database, 'isConnected').mockReturnValue(true);
+    jest.spyOn(User, 'findOne').mockResolvedValue(new User({ username: 'budi', passwordHash: 'x', tokenVersion: 4 }));
+    jest.spyOn(RefreshToken, 'generate').mockImplementation(async (username, { _id } = {}) => ({
+      refreshToken: createRefreshToken({ _id, username }),
+      token: 'refresh-baru'
+    }));
+    jest.spyOn(revocationList, 'revokeAllForUser').mockResolvedValue({ tokenVersion: 5, refreshTokens: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    memoryStore.stopCleanup();
+  });
+
+  test('mengklaim token lama secara atomik sebelum menerbitkan token baru', async () => {
+    const stored = createRefreshToken();
+    jest.spyOn(RefreshToken, 'findByToken').mockResolvedValue(stored);
+    const claim = jest.spyOn(RefreshToken, 'claim').mockImplementation(async (id, replacedBy) => ({ _id: id, replacedBy }));
+
+    const response = await request(app).post('/api/auth/refresh').send({ refreshToken: 'refresh-lama' }).expect(200);
+
+    const [claimedId, replacementId] = claim.mock.calls[0];
+    expect(claimedId).toEqual(stored._id);
+    // Token pengganti memakai ID yang sudah dicatat sebagai replacedBy
+    expect(RefreshToken.generate).toHaveBeenCalledWith('budi', { _id: replacementId });
+    expect(claim.mock.invocationCallOrder[0]).toBeLessThan(RefreshToken.generate.mock.invocationCallOrder[0]);
+    expect(response.body).toMatchObject({ status: 'success', refreshToken: 'refresh-baru', user: { username: 'budi' } });
+    expect(jwt.verify(response.body.token, config.security.jwtSecret)).toMatchObject({ username: 'budi', ver: 4 });
+  });
+
+  test('mencabut semua token ketika refresh token yang sudah dirotasi dipakai ulang', async () => {
+    jest.spyOn(RefreshToken, 'findByToken').mockResolvedValue(createRefreshToken({
+      revokedAt: new Date(),
+      replacedBy: createRefreshToken()._id
+    }));
+    const claim = jest.spyOn(RefreshToken, 'claim');
+
+    const response = await request(app).post('/api/auth/refresh').send({ refreshToken: 'refresh-lama' }).expect(401);
+
+    expect(response.body.code).toBe('INVALID_REFRESH_TOKEN');
+    expect(revocationList.revokeAllForUser).toHaveBeenCalledWith('budi', { reason: 'refresh-token-reuse' });
+    expect(claim).not.toHaveBeenCalled();
+    expect(RefreshToken.generate).not.toHaveBeenCalled();
+  });
+
+  test('request bersamaan yang kalah klaim diperlakukan sebagai penggunaan ulang', async () => {
+    jest.spyOn(RefreshToken, 'findByToken').mockResolvedValue(createRefreshToken());
+    jest.spyOn(RefreshToken, 'claim').mockResolvedValue(null);
+
+    await request(app).post('/api/auth/refresh').send({ refreshToken: 'refresh-lama' }).expect(401);
+
+    expect(revocationList.revokeAllForUser).toHaveBeenCalledWith('budi', { reason: 'refresh-token-reuse' });
+    expect(RefreshToken.generate).not.toHaveBeenCalled();
+  });
+
+  test('menolak refresh token yang dicabut saat logout tanpa mencabut sesi lain', async () => {
+    jest.spyOn(RefreshToken, 'findByToken').mockResolvedValue(createRefreshToken({ revokedAt: new Date() }));
+
+    await request(app).post('/api/auth/refresh').send({ refreshToken: 'refresh-lama' }).expect(401);
+
+    expect(revocationList.revokeAllForUser).not.toHaveBeenCalled();
+  });
+});
+
+describe('penggantian password', () => {
+  beforeEach(() => {
+    jest.spyOn(database, 'isConnected').mockReturnValue(true);
+    jest.spyOn(auditLog, 'record').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('mencabut token lama dan menerbitkan pasangan token baru', async () => {
+    const user = new User({ username: 'budi', tokenVersion: 1 });
+    await user.setPassword('password-lama');
+    jest.spyOn(User, 'findOne').mockResolvedValue(user);
+    const save = jest.spyOn(user, 'save').mockResolvedValue(user);
+    jest.spyOn(RefreshToken, 'generate').mockResolvedValue({ refreshToken: createRefreshToken(), token: 'refresh-baru' });
+    const revokeAll = jest.spyOn(revocationList, 'revokeAllForUser').mockResolvedValue({ tokenVersion: 2, refreshTokens: 3 });
+
+    const response = await request(app)
+      .post('/api/auth/password')
+      .set('Authorization', bearer('budi', 'user', { ver: 1 }))
+      .send({ currentPassword: 'password-lama', newPassword: 'password-baru' })
+      .expect(200);
+
+    expect(revokeAll).toHaveBeenCalledWith('budi', { reason: 'password-changed', revokedBy: 'budi' });
+    expect(save.mock.invocationCallOrder[0]).toBeLessThan(revokeAll.mock.invocationCallOrder[0]);
+    expect(response.body.data.refreshToken).toBe('refresh-baru');
+    expect(jwt.verify(response.body.data.token, config.security.jwtSecret)).toMatchObject({ username: 'budi', ver: 2 });
+  });
+});
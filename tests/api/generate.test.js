@@ -0,0 +1,156 @@
+jest.mock('node-llama-cpp', () => ({ LLModel: jest.fn() }), { virtual: true });
+jest.mock('huggingface-hub', () => ({ pipeline: jest.fn() }), { virtual: true });
+jest.mock('onnxruntime-node', () => ({}), { virtual: true });
+
+const request = require('supertest');
+const app = require('../../src/api/server');
+const modelManager = require('../../src/models/ModelManager');
+const { memoryStore } = require('../../src/api/rateLimiter');
+const { bearer } = require('../helpers/app');
+const { ModelNotLoadedError } = require('../../src/utils/errors');
+const { msg } = require('../../src/utils/i18n');
+
+/**
+ * Mengurai body SSE menjadi daftar { event, data }
+ */
+const parseEvents = (text) => text
+  .split('\n\n')
+  .filter(block => block.trim())
+  .map(block => {
+    const lines = block.split('\n');
+    const event = lines.find(line => line.startsWith('event: '));
+    const data = lines.find(line => line.startsWith('data: '));
+    return { event: event && event.slice('event: '.length), data: JSON.parse(data.slice('data: '.length)) };
+  });
+
+/**
+ * Backend tiruan yang menghasilkan token satu per satu dengan jeda antar token
+ */
+const mockTokens = (model, tokens) => jest.spyOn(model, 'generateStream').mockImplementation(async function* () {
+  for (const token of tokens) {
+    await new Promise(resolve => setImmediate(resolve));
+    yield token;
+  }
+});
+
+describe('POST /api/generate/:model streaming SSE', () => {
+  beforeAll(async () => {
+    await modelManager.init();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    memoryStore.stopCleanup();
+  });
+
+  test('stream: true mengirim setiap token sebagai event lalu event done', async () => {
+    mockTokens(modelManager.getModel('llama'), ['Halo', ' dunia']);
+
+    const response = await request(app)
+      .post('/api/generate/llama')
+      .set('Authorization', bearer('budi', 'user'))
+      .send({ prompt: 'Sapa aku', stream: true })
+      .expect(200);
+
+    expect(response.headers['content-type']).toMatch(/^text\/event-stream/);
+    const events = parseEvents(response.text);
+    expect(events.map(event => event.event)).toEqual(['token', 'token', 'done']);
+    expect(events[0].data).toEqual({ model: 'llama', token: 'Halo' });
+    expect(events[1].data).toEqual({ model: 'llama', token: ' dunia' });
+    expect(events[2].data).toMatchObject({ model: 'llama', prompt: 'Sapa aku', generated_text: 'Halo dunia' });
+  });
+
+  test('header Accept: text/event-stream mengaktifkan streaming tanpa field stream', async () => {
+    mockTokens(modelManager.getModel('llama'), ['Halo']);
+
+    const response = await request(app)
+      .post('/api/generate/llama')
+      .set('Authorization', bearer('budi', 'user'))
+      .set('Accept', 'text/event-stream')
+      .send({ prompt: 'Sapa aku' })
+      .expect(200);
+
+    expect(response.headers['content-type']).toMatch(/^text\/event-stream/);
+    expect(parseEvents(response.text).map(event => event.event)).toEqual(['token', 'done']);
+  });
+
+  test('tanpa permintaan streaming tetap membalas JSON', async () => {
+    jest.spyOn(modelManager.getModel('llama'), 'generate').mockResolvedValue('Halo dunia');
+
+    const response = await request(app)
+      .post('/api/generate/llama')
+      .set('Authorization', bearer('budi', 'user'))
+      .send({ prompt: 'Sapa aku' })
+      .expect(200);
+
+    expect(response.headers['content-type']).toMatch(/^application\/json/);
+    expect(response.body.data).toMatchObject({ model: 'llama', generated_text: 'Halo dunia' });
+  });
+
+  test('model yang tidak dikenal ditolak sebagai JSON sebelum stream dibuka', async () => {
+    const response = await request(app)
+      .post('/api/generate/tidakada')
+      .set('Authorization', bearer('budi', 'admin'))
+      .send({ prompt: 'Sapa aku', stream: true })
+      .expect(404);
+
+    expect(response.headers['content-type']).toMatch(/^application\/json/);
+  });
+
+  test('target all menyelang token semua model dengan nama modelnya', async () => {
+    const models = Object.values(modelManager.getAllModels());
+    const [failing, ...working] = models;
+    working.forEach(model => mockTokens(model, [`${model.name}-1`, `${model.name}-2`, `${model.name}-3`]));
+    jest.spyOn(failing, 'generateStream').mockImplementation(async function* () {
+      await new Promise(resolve => setImmediate(resolve));
+      yield `${failing.name}-1`;
+      throw new Error('backend rusak');
+    });
+
+    const response = await request(app)
+      .post('/api/generate/all')
+      .set('Authorization', bearer('budi', 'admin'))
+      .send({ prompt: 'Sapa aku', stream: true })
+      .expect(200);
+
+    const events = parseEvents(response.text);
+    const tokens = events.filter(event => event.event === 'token');
+    tokens.forEach(event => expect(event.data.token.startsWith(`${event.data.model}-`)).toBe(true));
+
+    // Token model kedua sudah dikirim sebelum model pertama selesai: keluaran diselang, bukan berurutan per model
+    const [first, second] = working.map(model => model.name);
+    const order = tokens.map(event => event.data.model);
+    expect(order.indexOf(second)).toBeLessThan(order.lastIndexOf(first));
+
+    working.forEach(model => {
+      expect(events).toContainEqual({ event: 'done', data: expect.objectContaining({ model: model.name, generated_text: `${model.name}-1${model.name}-2${model.name}-3` }) });
+    });
+    expect(events).toContainEqual({ event: 'error', data: expect.objectContaining({ model: failing.name }) });
+
+    const end = events[events.length - 1];
+    expect(end.event).toBe('end');
+    expect(Object.keys(end.data.results).sort()).toEqual(models.map(model => model.name).sort());
+    expect(end.data.results[failing.name]).toEqual({ error: { code: 'INTERNAL_ERROR', message: 'backend rusak' } });
+  });
+
+  test('target all tanpa streaming mengembalikan error model yang gagal dalam bahasa request', async () => {
+    const [failing, ...working] = Object.values(modelManager.getAllModels());
+    working.forEach(model => jest.spyOn(model, 'generate').mockResolvedValue(`teks ${model.name}`));
+    jest.spyOn(failing, 'generate').mockRejectedValue(new ModelNotLoadedError(msg('models.pathNotFound', { path: '/model/hilang' })));
+
+    const response = await request(app)
+      .post('/api/generate/all')
+      .set('Authorization', bearer('budi', 'admin'))
+      .set('Accept-Language', 'en')
+      .send({ prompt: 'Sapa aku' })
+      .expect(200);
+
+    expect(response.body.data.results[working[0].name]).toBe(`teks ${working[0].name}`);
+    expect(response.body.data.results[failing.name]).toEqual({
+      error: { code: 'MODEL_NOT_LOADED', message: 'Model path not found: /model/hilang' }
+    });
+  });
+});
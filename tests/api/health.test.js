@@ -0,0 +1,50 @@
+jest.mock('node-llama-cpp', () => ({ LLModel: jest.fn() }), { virtual: true });
+jest.mock('huggingface-hub', () => ({ pipeline: jest.fn() }), { virtual: true });
+jest.mock('onnxruntime-node', () => ({}), { virtual: true });
+jest.mock('../../src/api/shutdown', () => ({
+  ...jest.requireActual('../../src/api/shutdown'),
+  isShuttingDown: jest.fn(() => false)
+}));
+
+const request = require('supertest');
+const config = require('../../src/config/config');
+const modelManager = require('../../src/models/ModelManager');
+const { isShuttingDown } = require('../../src/api/shutdown');
+const healthRouter = require('../../src/api/health');
+const { createApp } = require('../helpers/app');
+
+const app = createApp('/health', healthRouter);
+
+describe('readiness probe', () => {
+  const originalHealth = { ...config.health };
+
+  beforeEach(() => {
+    Object.assign(config.health, { requireDatabase: false, requiredModels: [] });
+    modelManager.initialized = true;
+  });
+
+  afterEach(() => {
+    Object.assign(config.health, originalHealth);
+    modelManager.initialized = false;
+    isShuttingDown.mockReturnValue(false);
+  });
+
+  test('siap ketika server tidak sedang berhenti', async () => {
+    const response = await request(app).get('/health/ready').expect(200);
+
+    expect(response.body.data.checks).toEqual({ shutdown: 'pass' });
+  });
+
+  test('melaporkan tidak siap selama server berhenti sementara liveness tetap 200', async () => {
+    isShuttingDown.mockReturnValue(true);
+
+    await request(app).get('/health/live').expect(200);
+    const response = await request(app).get('/health/ready').set('Accept-Language', 'en').expect(503);
+
+    expect(response.body).toMatchObject({
+      code: 'NOT_READY',
+      message: 'Server is not ready: the server is shutting down',
+      checks: { shutdown: 'fail' }
+    });
+  });
+});
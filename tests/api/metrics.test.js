@@ -0,0 +1,74 @@
+const express = require('express');
+const request = require('supertest');
+const config = require('../../src/config/config');
+const metrics = require('../../src/utils/metrics');
+const { httpMetrics, router: metricsRouter } = require('../../src/api/metrics');
+const { errorHandler, notFoundHandler } = require('../../src/api/errorHandler');
+const { NotFoundError } = require('../../src/utils/errors');
+
+const createMeasuredApp = () => {
+  const jobs = express.Router();
+  jobs.get('/', (req, res) => res.json({ status: 'success' }));
+  jobs.get('/:id', (req, res, next) => {
+    if (req.params.id === 'hilang') {
+      return next(new NotFoundError('Job tidak ditemukan', 'JOB_NOT_FOUND'));
+    }
+    res.json({ status: 'success' });
+  });
+
+  const app = express();
+  app.use(httpMetrics);
+  app.get('/api/generate/:model', (req, res) => res.json({ status: 'success' }));
+  app.use('/api/jobs', jobs);
+  app.use('/metrics', metricsRouter);
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+  return app;
+};
+
+describe('metrik HTTP', () => {
+  const originalToken = config.metrics.token;
+  let observeRequest;
+
+  beforeEach(() => {
+    observeRequest = jest.spyOn(metrics, 'observeRequest').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    config.metrics.token = originalToken;
+    jest.restoreAllMocks();
+  });
+
+  // Label dicatat setelah respons selesai, jadi tunggu event finish diproses
+  const labels = () => new Promise(resolve => setImmediate(resolve))
+    .then(() => observeRequest.mock.calls.map(([method, route, status]) => `${method} ${route} ${status}`));
+
+  test('memakai pola route termasuk ketika error diteruskan keluar dari router', async () => {
+    const app = createMeasuredApp();
+
+    await request(app).get('/api/jobs/abc').expect(200);
+    await request(app).get('/api/jobs/hilang?detail=1').expect(404);
+    await request(app).get('/api/jobs/').expect(200);
+    await request(app).get('/api/generate/llama').expect(200);
+    await request(app).get('/tidak-ada/sama-sekali').expect(404);
+
+    expect(await labels()).toEqual([
+      'GET /api/jobs/:id 200',
+      'GET /api/jobs/:id 404',
+      'GET /api/jobs 200',
+      'GET /api/generate/:model 200',
+      'GET unmatched 404'
+    ]);
+  });
+
+  test('endpoint /metrics menolak token yang salah', async () => {
+    config.metrics.token = 'rahasia-metrik';
+    const app = createMeasuredApp();
+
+    await request(app).get('/metrics').expect(401);
+    await request(app).get('/metrics').set('Authorization', 'Bearer rahasia').expect(401);
+    const response = await request(app).get('/metrics').set('Authorization', 'Bearer rahasia-metrik').expect(200);
+
+    expect(response.headers['content-type']).toMatch(/text\/plain/);
+  });
+});
@@ -0,0 +1,66 @@
+jest.mock('node-llama-cpp', () => ({ LLModel: jest.fn() }), { virtual: true });
+jest.mock('huggingface-hub', () => ({ pipeline: jest.fn() }), { virtual: true });
+jest.mock('onnxruntime-node', () => ({}), { virtual: true });
+
+const request = require('supertest');
+const modelManager = require('../../src/models/ModelManager');
+const generationRegistry = require('../../src/models/GenerationRegistry');
+const { createAbortError } = require('../../src/utils/abort');
+const { memoryStore } = require('../../src/api/rateLimiter');
+const openaiRouter = require('../../src/api/openai');
+const { createApp, bearer } = require('../helpers/app');
+
+const app = createApp('/v1', openaiRouter);
+
+const parseEvents = (text) => text
+  .split('\n\n')
+  .filter(block => block.startsWith('data: '))
+  .map(block => block.slice('data: '.length))
+  .filter(data => data !== '[DONE]')
+  .map(data => JSON.parse(data));
+
+describe('OpenAI completions streaming', () => {
+  beforeAll(async () => {
+    await modelManager.init();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    memoryStore.stopCleanup();
+  });
+
+  test('urutan stop menghentikan generasi di backend dan melepas slot model', async () => {
+    const llama = modelManager.getModel('llama');
+    let backendSignal;
+    let produced = 0;
+    jest.spyOn(llama, 'generateStream').mockImplementation(async function* (prompt, options) {
+      backendSignal = options.signal;
+      while (true) {
+        if (options.signal.aborted) {
+          throw createAbortError(options.signal.reason);
+        }
+        await new Promise(resolve => setImmediate(resolve));
+        produced += 1;
+        yield produced === 3 ? ' END' : ` kata${produced}`;
+      }
+    });
+
+    const response = await request(app)
+      .post('/v1/completions')
+      .set('Authorization', bearer('budi', 'user'))
+      .send({ model: 'llama', prompt: 'halo', stream: true, stop: 'END' })
+      .expect(200);
+
+    const events = parseEvents(response.text);
+    const text = events.map(event => event.choices[0].text).join('');
+    expect(text).toBe(' kata1 kata2 ');
+    expect(events[events.length - 1].choices[0].finish_reason).toBe('stop');
+    expect(backendSignal.aborted).toBe(true);
+    expect(produced).toBe(3);
+    expect(modelManager.getScheduler('llama').getStats().active).toBe(0);
+    expect(generationRegistry.running.size).toBe(0);
+  });
+});
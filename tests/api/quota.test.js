@@ -0,0 +1,98 @@
+const express = require('express');
+const request = require('supertest');
+const Usage = require('../../src/database/Usage');
+const database = require('../../src/database/database');
+const config = require('../../src/config/config');
+const { checkQuota, enforceQuota, requestedTokens, reserveTokens, assertQuota } = require('../../src/api/quota');
+const { errorHandler } = require('../../src/api/errorHandler');
+const { detectLocale } = require('../../src/api/middleware');
+const { DEFAULT_GENERATION_OPTIONS } = require('../../src/models/generationOptions');
+
+const user = { username: 'budi', role: 'user' };
+
+describe('kuota token', () => {
+  const originalQuotas = config.security.roles.user.quotas;
+
+  beforeEach(() => {
+    config.security.roles.user.quotas = { dailyTokens: 1000, monthlyTokens: null };
+    jest.spyOn(database, 'isConnected').mockReturnValue(true);
+  });
+
+  afterEach(() => {
+    config.security.roles.user.quotas = originalQuotas;
+    jest.restoreAllMocks();
+  });
+
+  test('requestedTokens memakai maxTokens default dan mengalikan jumlah generasi', () => {
+    expect(requestedTokens(undefined)).toBe(DEFAULT_GENERATION_OPTIONS.maxTokens);
+    expect(requestedTokens({ maxTokens: 100 }, 3)).toBe(300);
+    expect(requestedTokens({ maxTokens: 100 }, 2, 50)).toBe(250);
+  });
+
+  test('reservasi request yang berjalan mengurangi sisa kuota request lain sampai dilepas', async () => {
+    jest.spyOn(Usage, 'currentTotals').mockResolvedValue({ dailyTokens: 400, monthlyTokens: 400 });
+
+    const [first, second] = await Promise.all([reserveTokens(user, 500), reserveTokens(user, 500)]);
+    expect(first.exceeded).toBeNull();
+    expect(second.exceeded.message.params).toMatchObject({ remaining: 100, requested: 500 });
+    expect(second.reservation).toBeNull();
+
+    let finishGeneration;
+    first.reservation.hold(new Promise(resolve => {
+      finishGeneration = resolve;
+    }));
+    const released = first.reservation.release();
+    await expect(assertQuota(user, 500)).rejects.toMatchObject({ code: 'QUOTA_EXCEEDED' });
+
+    finishGeneration();
+    await released;
+    const third = await assertQuota(user, 500);
+    expect(third).not.toBeNull();
+    await third.release();
+  });
+
+  test('menolak ketika sisa kuota lebih kecil dari token yang diminta', async () => {
+    jest.spyOn(Usage, 'currentTotals').mockResolvedValue({ dailyTokens: 800, monthlyTokens: 800 });
+
+    expect(await checkQuota(user, 200)).toBeNull();
+
+    const exceeded = await checkQuota(user, 201);
+    expect(exceeded).toMatchObject({ code: 'QUOTA_EXCEEDED', retryAfter: expect.any(Number) });
+    expect(exceeded.message.key).toBe('quota.insufficient');
+    expect(exceeded.message.params).toMatchObject({ remaining: 200, requested: 201 });
+  });
+
+  test('tetap menolak ketika kuota sudah habis', async () => {
+    jest.spyOn(Usage, 'currentTotals').mockResolvedValue({ dailyTokens: 1000, monthlyTokens: 1000 });
+
+    expect((await checkQuota(user)).message.key).toBe('quota.exceeded');
+  });
+
+  test('enforceQuota menghitung token dari options di body dan menolak dengan 429', async () => {
+    jest.spyOn(Usage, 'currentTotals').mockResolvedValue({ dailyTokens: 900, monthlyTokens: 900 });
+    const app = express();
+    app.use(express.json());
+    app.use(detectLocale);
+    app.use((req, res, next) => {
+      req.user = user;
+      next();
+    });
+    app.post('/generate', enforceQuota(), (req, res) => res.json({ status: 'success' }));
+    app.post('/all', enforceQuota(req => requestedTokens(req.body.options, 3)), (req, res) => res.json({ status: 'success' }));
+    app.use(errorHandler);
+
+    await request(app).post('/generate').send({ options: { maxTokens: 100 } }).expect(200);
+    await request(app).post('/all').send({ options: { maxTokens: 100 } }).expect(429);
+
+    const rejected = await request(app)
+      .post('/generate')
+      .set('Accept-Language', 'en')
+      .send({ options: { maxTokens: 101 } })
+      .expect(429);
+    expect(rejected.body).toMatchObject({
+      code: 'QUOTA_EXCEEDED',
+      message: 'Daily token quota has 100 tokens left, not enough for the 101 tokens requested'
+    });
+    expect(Number(rejected.headers['retry-after'])).toBeGreaterThan(0);
+  });
+});
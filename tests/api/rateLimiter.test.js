@@ -0,0 +1,84 @@
+const express = require('express');
+const request = require('supertest');
+const { rateLimiter, consume, resolveLimit, MemoryStore, memoryStore } = require('../../src/api/rateLimiter');
+const { errorHandler } = require('../../src/api/errorHandler');
+
+const WINDOW_MS = 60 * 1000;
+
+describe('MemoryStore', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('menghitung hit per jendela dan membawa jumlah jendela sebelumnya', async () => {
+    jest.useFakeTimers({ now: 10 * WINDOW_MS });
+    const store = new MemoryStore();
+
+    await store.hit('generate:ip:1', WINDOW_MS);
+    expect(await store.hit('generate:ip:1', WINDOW_MS)).toEqual({ windowStart: 10 * WINDOW_MS, current: 2, previous: 0 });
+
+    jest.setSystemTime(11 * WINDOW_MS + 1000);
+    expect(await store.hit('generate:ip:1', WINDOW_MS)).toEqual({ windowStart: 11 * WINDOW_MS, current: 1, previous: 2 });
+
+    // Jendela yang terlewat tidak lagi dihitung
+    jest.setSystemTime(13 * WINDOW_MS);
+    expect(await store.hit('generate:ip:1', WINDOW_MS)).toMatchObject({ current: 1, previous: 0 });
+  });
+
+  test('membersihkan kunci yang lebih tua dari dua jendela', async () => {
+    jest.useFakeTimers({ now: 10 * WINDOW_MS });
+    const store = new MemoryStore();
+    await store.hit('lama', WINDOW_MS);
+
+    jest.setSystemTime(11 * WINDOW_MS);
+    await store.hit('baru', WINDOW_MS);
+
+    jest.setSystemTime(12 * WINDOW_MS);
+    expect(store.cleanup()).toBe(1);
+    expect([...store.counters.keys()]).toEqual(['baru']);
+  });
+});
+
+describe('rate limiter', () => {
+  beforeEach(() => {
+    memoryStore.counters.clear();
+  });
+
+  afterAll(() => {
+    memoryStore.stopCleanup();
+  });
+
+  test('batas role menimpa batas route', () => {
+    expect(resolveLimit('auth', null).max).toBe(20);
+    expect(resolveLimit('auth', { username: 'admin', role: 'admin' }).max).toBe(1000);
+  });
+
+  test('memisahkan counter per pengguna dan per alamat IP', async () => {
+    await consume('auth', { username: 'budi', role: 'user' }, '10.0.0.1');
+    const { identity, result } = await consume('auth', null, '10.0.0.1');
+
+    expect(identity).toBe('ip:10.0.0.1');
+    expect(result.remaining).toBe(19);
+  });
+
+  test('mengirim header RateLimit dan menolak dengan 429 setelah batas terlampaui', async () => {
+    const app = express();
+    app.set('trust proxy', true);
+    app.post('/login', rateLimiter('auth'), (req, res) => res.json({ status: 'success' }));
+    app.use(errorHandler);
+
+    for (let i = 0; i < 20; i++) {
+      await request(app).post('/login').set('X-Forwarded-For', '10.0.0.2').expect(200);
+    }
+
+    const limited = await request(app).post('/login').set('X-Forwarded-For', '10.0.0.2').expect(429);
+
+    expect(limited.headers['ratelimit-limit']).toBe('20');
+    expect(limited.headers['ratelimit-remaining']).toBe('0');
+    expect(Number(limited.headers['retry-after'])).toBeGreaterThan(0);
+    expect(limited.body).toMatchObject({ status: 'error', code: 'RATE_LIMITED' });
+
+    // Alamat lain tidak terpengaruh
+    await request(app).post('/login').set('X-Forwarded-For', '10.0.0.3').expect(200);
+  });
+});
@@ -0,0 +1,64 @@
+const request = require('supertest');
+const mongo = require('../helpers/mongo');
+const { createApp, bearer } = require('../helpers/app');
+const router = require('../../src/api/sessions');
+const config = require('../../src/config/config');
+
+const app = createApp('/api/sessions', router);
+
+describe('/api/sessions', () => {
+  beforeAll(mongo.connect, mongo.START_TIMEOUT_MS);
+  afterEach(mongo.clear);
+  afterAll(mongo.disconnect);
+
+  test('membuat, menampilkan dan menghapus sesi milik pengguna', async () => {
+    const created = await request(app)
+      .post('/api/sessions')
+      .set('Authorization', bearer('budi'))
+      .send({ title: 'Geografi', model: 'llama', messages: [{ role: 'user', content: 'Apa ibu kota Indonesia?' }] })
+      .expect(201);
+
+    const { id } = created.body.data;
+    expect(created.body.data).toMatchObject({ title: 'Geografi', owner: 'budi', messageCount: 1 });
+
+    const list = await request(app).get('/api/sessions').set('Authorization', bearer('budi')).expect(200);
+    expect(list.body.data).toMatchObject({ total: 1, sessions: [{ id, messageCount: 1 }] });
+
+    const detail = await request(app).get(`/api/sessions/${id}`).set('Authorization', bearer('budi')).expect(200);
+    expect(detail.body.data.messages).toEqual([expect.objectContaining({ role: 'user', content: 'Apa ibu kota Indonesia?' })]);
+
+    await request(app).delete(`/api/sessions/${id}`).set('Authorization', bearer('budi')).expect(200);
+    await request(app).get(`/api/sessions/${id}`).set('Authorization', bearer('budi')).expect(404);
+  });
+
+  test('sesi pengguna lain diperlakukan sebagai tidak ditemukan', async () => {
+    const created = await request(app).post('/api/sessions').set('Authorization', bearer('budi')).send({}).expect(201);
+
+    const response = await request(app)
+      .get(`/api/sessions/${created.body.data.id}`)
+      .set('Authorization', bearer('siti'))
+      .expect(404);
+
+    expect(response.body.code).toBe('SESSION_NOT_FOUND');
+  });
+
+  test.each([
+    ['null', null],
+    ['string', 'halo'],
+    ['objek', { role: 'user', content: 'halo' }]
+  ])('menolak messages berupa %s dengan 400', async (label, messages) => {
+    const response = await request(app)
+      .post('/api/sessions')
+      .set('Authorization', bearer('budi'))
+      .send({ messages })
+      .expect(400);
+
+    expect(response.body.code).toBe('VALIDATION_ERROR');
+  });
+
+  test('menolak sesi awal yang melebihi batas jumlah pesan', async () => {
+    const messages = Array.from({ length: config.sessions.maxMessages + 1 }, () => ({ role: 'user', content: 'halo' }));
+
+    await request(app).post('/api/sessions').set('Authorization', bearer('budi')).send({ messages }).expect(400);
+  });
+});
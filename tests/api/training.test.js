@@ -0,0 +1,90 @@
+jest.mock('node-llama-cpp', () => ({ LLModel: jest.fn() }), { virtual: true });
+jest.mock('huggingface-hub', () => ({ pipeline: jest.fn() }), { virtual: true });
+jest.mock('onnxruntime-node', () => ({}), { virtual: true });
+
+const request = require('supertest');
+const database = require('../../src/database/database');
+const auditLog = require('../../src/database/auditLog');
+const modelManager = require('../../src/models/ModelManager');
+const trainer = require('../../src/training/trainer');
+const webhookDispatcher = require('../../src/webhooks/webhookDispatcher');
+const trainingRouter = require('../../src/api/training');
+const { createApp, bearer } = require('../helpers/app');
+const { ModelNotFoundError } = require('../../src/utils/errors');
+const { localize, msg } = require('../../src/utils/i18n');
+
+describe('pelatihan dengan callbackUrl', () => {
+  let app;
+  let dispatch;
+  let finishTraining;
+
+  beforeEach(() => {
+    jest.spyOn(database, 'isConnected').mockReturnValue(true);
+    jest.spyOn(auditLog, 'record').mockResolvedValue({});
+    jest.spyOn(modelManager, 'init').mockResolvedValue();
+    jest.spyOn(modelManager, 'getModel').mockReturnValue({});
+    jest.spyOn(trainer, 'trainModel').mockImplementation(() => new Promise(resolve => {
+      finishTraining = resolve;
+    }));
+    dispatch = jest.spyOn(webhookDispatcher, 'dispatch').mockResolvedValue({});
+    app = createApp('/api/training', trainingRouter);
+  });
+
+  afterEach(() => {
+    trainer.backgroundRuns.clear();
+    jest.restoreAllMocks();
+  });
+
+  const startRun = async () => {
+    const response = await request(app)
+      .post('/api/training/llama')
+      .set('Authorization', bearer('admin', 'admin'))
+      .send({ data: [{ input: 'halo', output: 'hai' }], callbackUrl: 'https://hooks.contoh.id/ai' })
+      .expect(202);
+    return response.body.data.runId;
+  };
+
+  test('pelatihan latar belakang terdaftar sampai webhook hasilnya dikirim', async () => {
+    const runId = await startRun();
+    expect(trainer.backgroundRuns.has(runId)).toBe(true);
+
+    finishTraining({ status: 'success' });
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(dispatch).toHaveBeenCalledWith(expect.objectContaining({
+      event: 'training.completed',
+      source: { type: 'training', id: runId }
+    }));
+    expect(trainer.backgroundRuns.has(runId)).toBe(false);
+  });
+
+  test('kegagalan pelatihan dikirim dengan code error', async () => {
+    trainer.trainModel.mockRejectedValue(new ModelNotFoundError('llama'));
+
+    const runId = await startRun();
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(dispatch).toHaveBeenCalledWith(expect.objectContaining({
+      event: 'training.failed',
+      source: { type: 'training', id: runId },
+      data: expect.objectContaining({ error: { code: 'MODEL_NOT_FOUND', message: localize(msg('models.notFound', { model: 'llama' })) } })
+    }));
+  });
+
+  test('pelatihan yang belum selesai saat server berhenti dilaporkan gagal satu kali', async () => {
+    const runId = await startRun();
+
+    expect(await trainer.interruptBackgroundRuns()).toBe(1);
+    expect(trainer.backgroundRuns.size).toBe(0);
+    expect(dispatch).toHaveBeenCalledTimes(1);
+    expect(dispatch.mock.calls[0][0]).toMatchObject({
+      event: 'training.failed',
+      source: { type: 'training', id: runId },
+      data: { status: 'failed', error: { code: 'TRAINING_INTERRUPTED', message: 'Server berhenti sebelum pelatihan selesai' } }
+    });
+
+    finishTraining({ status: 'success' });
+    await new Promise(resolve => setImmediate(resolve));
+    expect(dispatch).toHaveBeenCalledTimes(1);
+  });
+});
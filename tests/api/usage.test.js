@@ -0,0 +1,48 @@
+const request = require('supertest');
+const Usage = require('../../src/database/Usage');
+const database = require('../../src/database/database');
+const usageRouter = require('../../src/api/usage');
+const { createApp, bearer } = require('../helpers/app');
+
+describe('laporan pemakaian', () => {
+  let app;
+  let summarize;
+
+  beforeEach(() => {
+    jest.spyOn(database, 'isConnected').mockReturnValue(true);
+    summarize = jest.spyOn(Usage, 'summarize').mockResolvedValue([]);
+    app = createApp('/api/usage', usageRouter);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('meneruskan filter username dan groupBy yang valid', async () => {
+    await request(app)
+      .get('/api/usage/report?username=budi&groupBy=model,day&from=2024-01-01&to=2024-01-31')
+      .set('Authorization', bearer('admin', 'admin'))
+      .expect(200);
+
+    expect(summarize).toHaveBeenCalledWith(
+      { username: 'budi', from: '2024-01-01', to: '2024-01-31' },
+      ['model', 'day']
+    );
+  });
+
+  test.each([
+    ['username berupa operator', 'username[$ne]=x'],
+    ['username diulang', 'username=budi&username=siti'],
+    ['groupBy diulang', 'groupBy=model&groupBy=day'],
+    ['groupBy di luar daftar', 'groupBy=model,$where'],
+    ['tanggal diulang', 'from=2024-01-01&from=2024-01-02']
+  ])('menolak %s dengan 400', async (_, query) => {
+    const response = await request(app)
+      .get(`/api/usage/report?${query}`)
+      .set('Authorization', bearer('admin', 'admin'))
+      .expect(400);
+
+    expect(response.body.code).toBe('VALIDATION_ERROR');
+    expect(summarize).not.toHaveBeenCalled();
+  });
+});
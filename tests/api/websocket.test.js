@@ -0,0 +1,136 @@
+jest.mock('node-llama-cpp', () => ({ LLModel: jest.fn() }), { virtual: true });
+jest.mock('huggingface-hub', () => ({ pipeline: jest.fn() }), { virtual: true });
+jest.mock('onnxruntime-node', () => ({}), { virtual: true });
+
+const http = require('http');
+const jwt = require('jsonwebtoken');
+const { EventEmitter } = require('events');
+const { WebSocket } = require('ws');
+const config = require('../../src/config/config');
+const revocationList = require('../../src/database/revocationList');
+const { attachWebSocketServer } = require('../../src/api/websocket');
+const { bearer } = require('../helpers/app');
+
+/**
+ * Socket tiruan yang mencatat respons penolakan upgrade
+ */
+const createSocket = () => {
+  const socket = new EventEmitter();
+  socket.destroyed = false;
+  socket.end = jest.fn();
+  socket.destroy = jest.fn(() => {
+    socket.destroyed = true;
+  });
+  return socket;
+};
+
+const createRequest = (path, headers = {}) => ({ url: path, headers: { ...headers }, socket: {} });
+
+describe('upgrade WebSocket', () => {
+  let upgrade;
+  let wss;
+
+  beforeAll(() => {
+    const server = new EventEmitter();
+    wss = attachWebSocketServer(server);
+    [upgrade] = server.listeners('upgrade');
+  });
+
+  afterAll(() => {
+    wss.close();
+  });
+
+  test('menolak path yang tidak dikenal dengan respons HTTP', async () => {
+    const socket = createSocket();
+
+    await upgrade(createRequest('/tidak-ada'), socket, Buffer.alloc(0));
+
+    expect(socket.end).toHaveBeenCalledWith(expect.stringMatching(/^HTTP\/1.1 404 Not Found\r\n/));
+  });
+
+  test('error socket selama autentikasi tidak menghentikan proses dan penolakan tidak ditulis', async () => {
+    const socket = createSocket();
+
+    const pending = upgrade(createRequest(config.websocket.path, { authorization: 'Bearer token-rusak' }), socket, Buffer.alloc(0));
+    expect(() => socket.emit('error', new Error('read ECONNRESET'))).not.toThrow();
+    await pending;
+
+    expect(socket.destroy).toHaveBeenCalled();
+    expect(socket.end).not.toHaveBeenCalled();
+  });
+});
+
+describe('autentikasi koneksi WebSocket', () => {
+  let server;
+  let wss;
+  let url;
+
+  beforeAll(async () => {
+    server = http.createServer();
+    wss = attachWebSocketServer(server);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `ws://127.0.0.1:${server.address().port}${config.websocket.path}`;
+  });
+
+  afterAll(async () => {
+    wss.close();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * Membuka koneksi dan mengumpulkan pesan server sampai koneksi ditutup
+   */
+  const connect = (protocols, options) => new Promise((resolve, reject) => {
+    const ws = new WebSocket(url, protocols, options);
+    const messages = [];
+    const closed = new Promise(done => ws.on('close', code => done(code)));
+    ws.on('message', data => messages.push(JSON.parse(data.toString())));
+    ws.on('unexpected-response', (request, response) => reject(new Error(`status ${response.statusCode}`)));
+    ws.on('open', () => resolve({ ws, messages, closed }));
+  });
+
+  const tokenOf = (...args) => bearer(...args).slice('Bearer '.length);
+
+  test('menerima token dari subprotokol bearer tanpa memilih token sebagai protokol', async () => {
+    const { ws, messages } = await connect(['bearer', tokenOf('budi')]);
+
+    expect(ws.protocol).toBe('bearer');
+    await new Promise(resolve => setImmediate(resolve));
+    expect(messages[0]).toMatchObject({ type: 'ready', username: 'budi' });
+    ws.close();
+  });
+
+  test('tidak menerima token dari query string', async () => {
+    await expect(new Promise((resolve, reject) => {
+      const ws = new WebSocket(`${url}?access_token=${tokenOf('budi')}`);
+      ws.on('unexpected-response', (request, response) => resolve(response.statusCode));
+      ws.on('open', () => reject(new Error('koneksi diterima')));
+    })).resolves.toBe(401);
+  });
+
+  test('menutup koneksi ketika token dicabut setelah koneksi dibuka', async () => {
+    const { ws, messages, closed } = await connect(['bearer', tokenOf('budi')]);
+    jest.spyOn(revocationList, 'isRevoked').mockReturnValue(true);
+
+    ws.send(JSON.stringify({ type: 'generate', id: 'q1', model: 'llama', prompt: 'Halo' }));
+
+    expect(await closed).toBe(1008);
+    expect(messages).toContainEqual(expect.objectContaining({ type: 'error', id: 'q1', code: 'INVALID_TOKEN' }));
+  });
+
+  test('menutup koneksi ketika token kedaluwarsa setelah koneksi dibuka', async () => {
+    const expiresAt = Math.floor(Date.now() / 1000) + 60;
+    const token = jwt.sign({ username: 'budi', role: 'user', ver: 0, exp: expiresAt }, config.security.jwtSecret);
+    const { ws, messages, closed } = await connect(undefined, { headers: { Authorization: `Bearer ${token}` } });
+    jest.spyOn(Date, 'now').mockReturnValue((expiresAt + 1) * 1000);
+
+    ws.send(JSON.stringify({ type: 'generate', id: 'q1', model: 'llama', prompt: 'Halo' }));
+
+    expect(await closed).toBe(1008);
+    expect(messages).toContainEqual(expect.objectContaining({ type: 'error', id: 'q1', code: 'INVALID_TOKEN' }));
+  });
+});
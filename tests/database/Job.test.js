@@ -0,0 +1,53 @@
+const Job = require('../../src/database/Job');
+const { toStoredError, GenerationCancelledError } = require('../../src/utils/errors');
+const { msg } = require('../../src/utils/i18n');
+const { createAbortError } = require('../../src/utils/abort');
+
+const createJob = (fields = {}) => new Job({ owner: 'budi', model: 'llama', prompt: 'halo', ...fields });
+
+describe('error job', () => {
+  test('menyimpan code dan kunci pesan lalu menerjemahkannya saat dibaca', () => {
+    const job = createJob({ status: 'failed', error: toStoredError('JOB_INTERRUPTED', msg('jobs.interrupted')) });
+
+    expect(job.toObject().error).toMatchObject({ code: 'JOB_INTERRUPTED', key: 'jobs.interrupted' });
+    expect(job.toSummary(null, 'en')).toMatchObject({
+      errorCode: 'JOB_INTERRUPTED',
+      error: 'The server restarted before the job finished'
+    });
+    expect(job.toDetail().error).toBe('Server dimulai ulang sebelum job selesai');
+  });
+
+  test('pesan bertingkat tetap dapat diterjemahkan setelah disimpan', () => {
+    const error = createAbortError('client-disconnect');
+    expect(error).toBeInstanceOf(GenerationCancelledError);
+
+    const stored = JSON.parse(JSON.stringify(toStoredError(error.code, error.translatable)));
+    const job = createJob({ status: 'cancelled', error: stored });
+
+    expect(job.toSummary(null, 'en')).toMatchObject({
+      errorCode: 'GENERATION_CANCELLED',
+      error: 'Generation cancelled: Client connection closed'
+    });
+  });
+
+  test('error per model pada hasil target all diterjemahkan saat dibaca', () => {
+    const stored = JSON.parse(JSON.stringify({
+      results: {
+        llama: 'Halo',
+        gptj: { error: toStoredError('GENERATION_CANCELLED', createAbortError('client-disconnect').translatable) }
+      }
+    }));
+    const job = createJob({ model: 'all', status: 'completed', result: stored });
+
+    expect(job.toDetail(null, 'en').result.results).toEqual({
+      llama: 'Halo',
+      gptj: { error: { code: 'GENERATION_CANCELLED', message: 'Generation cancelled: Client connection closed' } }
+    });
+  });
+
+  test('teks error dari job lama dikembalikan apa adanya', () => {
+    const job = createJob({ status: 'cancelled', error: 'Job dibatalkan' });
+
+    expect(job.toSummary(null, 'en')).toMatchObject({ error: 'Job dibatalkan', errorCode: undefined });
+  });
+});
@@ -0,0 +1,28 @@
+const Session = require('../../src/database/Session');
+const config = require('../../src/config/config');
+
+describe('Session.appendMessages', () => {
+  const originalMax = config.sessions.maxMessages;
+
+  afterEach(() => {
+    config.sessions.maxMessages = originalMax;
+    jest.restoreAllMocks();
+  });
+
+  test('membuang pesan tertua ketika sesi melebihi batas', async () => {
+    config.sessions.maxMessages = 4;
+    const session = new Session({
+      owner: 'budi',
+      messages: [1, 2, 3].map(number => ({ role: 'user', content: `pesan ${number}` }))
+    });
+    const save = jest.spyOn(session, 'save').mockResolvedValue(session);
+
+    await session.appendMessages([
+      { role: 'user', content: 'pesan 4' },
+      { role: 'assistant', content: 'pesan 5', model: 'llama' }
+    ]);
+
+    expect(save).toHaveBeenCalledTimes(1);
+    expect(session.messages.map(message => message.content)).toEqual(['pesan 2', 'pesan 3', 'pesan 4', 'pesan 5']);
+  });
+});
@@ -0,0 +1,82 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../../src/config/config');
+const auditLog = require('../../src/database/auditLog');
+
+describe('audit log berbasis file', () => {
+  const originalAudit = { ...config.audit };
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-'));
+    Object.assign(config.audit, {
+      store: 'file',
+      file: path.join(directory, 'audit.jsonl'),
+      maxFileBytes: 400
+    });
+  });
+
+  afterEach(() => {
+    Object.assign(config.audit, originalAudit);
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const recordLogins = (count) => Promise.all(Array.from({ length: count }, (_, index) => auditLog.record({
+    actor: `pengguna-${index}`,
+    action: 'auth.login',
+    outcome: 'success',
+    status: 200
+  })));
+
+  const writeEvents = (name, events) => fs.writeFileSync(
+    path.join(directory, name),
+    events.map(([actor, timestamp]) => `${JSON.stringify({ timestamp, actor, action: 'auth.login', outcome: 'success' })}\n`).join('')
+  );
+
+  test('mengarsipkan file yang melewati batas ukuran tanpa menghapus catatan', async () => {
+    await recordLogins(20);
+
+    const files = fs.readdirSync(directory).sort();
+    expect(files.length).toBeGreaterThan(2);
+    expect(files[0]).toBe('audit.jsonl');
+    files.slice(1).forEach(file => expect(file).toMatch(/^audit\.jsonl\.\d{8}T\d{9}Z(-\d+)?$/));
+
+    const lines = files.flatMap(file => fs.readFileSync(path.join(directory, file), 'utf8').trim().split('\n'));
+    expect(lines).toHaveLength(20);
+    files.forEach(file => {
+      expect(fs.statSync(path.join(directory, file)).size).toBeLessThanOrEqual(400);
+    });
+  });
+
+  test('pencarian mencakup arsip, terbaru lebih dulu', async () => {
+    await recordLogins(20);
+
+    const { events, total } = await auditLog.query({ actions: ['auth.login'], limit: 2 });
+
+    expect(total).toBe(20);
+    expect(events.map(event => event.actor)).toEqual(['pengguna-19', 'pengguna-18']);
+  });
+
+  test('hanya membaca arsip yang beririsan dengan rentang waktu', async () => {
+    writeEvents('audit.jsonl.1', [['lama', '2023-11-15T00:00:00.000Z']]);
+    writeEvents('audit.jsonl.20231231T000000000Z', [['desember', '2023-12-31T00:00:00.000Z']]);
+    writeEvents('audit.jsonl.20240131T000000000Z', [['januari-1', '2024-01-05T00:00:00.000Z'], ['januari-2', '2024-01-31T00:00:00.000Z']]);
+    writeEvents('audit.jsonl', [['februari', '2024-02-10T00:00:00.000Z']]);
+    const readFile = jest.spyOn(auditLog, '_readFile');
+
+    const { events, total } = await auditLog.query({
+      from: new Date('2024-01-01T00:00:00.000Z'),
+      to: new Date('2024-01-20T00:00:00.000Z')
+    });
+
+    expect(total).toBe(1);
+    expect(events.map(event => event.actor)).toEqual(['januari-1']);
+    // Arsip versi lama tanpa rentang waktu selalu dibaca
+    expect(readFile.mock.calls.map(([file]) => path.basename(file)).sort()).toEqual(['audit.jsonl.1', 'audit.jsonl.20240131T000000000Z']);
+    readFile.mockRestore();
+
+    expect((await auditLog.query({ to: new Date('2023-12-01T00:00:00.000Z') })).events.map(event => event.actor)).toEqual(['lama']);
+    expect((await auditLog.query({})).events.map(event => event.actor)).toEqual(['februari', 'januari-2', 'januari-1', 'desember', 'lama']);
+  });
+});
@@ -0,0 +1,55 @@
+const revocationList = require('../../src/database/revocationList');
+const RevokedToken = require('../../src/database/RevokedToken');
+const RefreshToken = require('../../src/database/RefreshToken');
+const User = require('../../src/database/User');
+
+describe('revocationList', () => {
+  beforeEach(() => {
+    revocationList.tokens.clear();
+    revocationList.users.clear();
+    jest.spyOn(RevokedToken, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(RefreshToken, 'revokeAllForUser').mockResolvedValue(2);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('mencabut token dengan versi lama walaupun diterbitkan pada detik yang sama', async () => {
+    const iat = Math.floor(Date.now() / 1000);
+    jest.spyOn(User, 'findOneAndUpdate').mockResolvedValue({ tokenVersion: 1 });
+
+    const result = await revocationList.revokeAllForUser('budi', { reason: 'admin' });
+
+    expect(result).toEqual({ tokenVersion: 1, refreshTokens: 2 });
+    expect(User.findOneAndUpdate).toHaveBeenCalledWith({ username: 'budi' }, { $inc: { tokenVersion: 1 } }, expect.anything());
+    expect(revocationList.isRevoked({ username: 'budi', ver: 0, iat })).toBe(true);
+    expect(revocationList.isRevoked({ username: 'budi', iat })).toBe(true);
+    // Token baru pada detik yang sama membawa versi baru dan tetap berlaku
+    expect(revocationList.isRevoked({ username: 'budi', ver: 1, iat })).toBe(false);
+    expect(revocationList.isRevoked({ username: 'siti', ver: 0, iat })).toBe(false);
+  });
+
+  test('tidak menurunkan versi ketika pencabutan bersamaan selesai tidak berurutan', async () => {
+    revocationList.users.set('budi', 3);
+    jest.spyOn(User, 'findOneAndUpdate').mockResolvedValue({ tokenVersion: 2 });
+
+    await revocationList.revokeAllForUser('budi');
+
+    expect(revocationList.users.get('budi')).toBe(3);
+  });
+
+  test('memuat versi pengguna dan jti dari database', async () => {
+    jest.spyOn(RevokedToken, 'find').mockResolvedValue([
+      { kind: 'token', jti: 'abc', expiresAt: new Date(Date.now() + 60000) }
+    ]);
+    jest.spyOn(User, 'find').mockResolvedValue([{ username: 'budi', tokenVersion: 2 }]);
+
+    expect(await revocationList.load()).toBe(2);
+
+    expect(revocationList.isRevoked({ username: 'siti', jti: 'abc', ver: 0 })).toBe(true);
+    expect(revocationList.isRevoked({ username: 'budi', ver: 1 })).toBe(true);
+    expect(revocationList.isRevoked({ username: 'budi', ver: 2 })).toBe(false);
+    expect(RevokedToken.find).toHaveBeenCalledWith({ kind: 'token', expiresAt: { $gt: expect.any(Date) } });
+  });
+});
@@ -0,0 +1,44 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const config = require('../../src/config/config');
+const { assignRequestId, detectLocale } = require('../../src/api/middleware');
+const { notFoundHandler, errorHandler } = require('../../src/api/errorHandler');
+
+/**
+ * Membuat aplikasi Express minimal dengan middleware yang sama seperti server.js
+ * untuk menguji satu router
+ * @param {string} mountPath Path router, misalnya '/api/sessions'
+ * @param {Function} router Router Express yang diuji
+ * @returns {object} Aplikasi Express
+ */
+const createApp = (mountPath, router) => {
+  const app = express();
+  app.use(assignRequestId);
+  app.use(express.json());
+  app.use(detectLocale);
+  app.use(mountPath, router);
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+  return app;
+};
+
+/**
+ * Menerbitkan token JWT untuk pengujian dengan format yang sama seperti /api/auth/login
+ * @param {string} username Username pengguna
+ * @param {string} role Role pengguna
+ * @param {object} claims Klaim tambahan
+ * @returns {string} Header Authorization
+ */
+const bearer = (username, role = 'user', claims = {}) => {
+  const token = jwt.sign({ username, role, ver: 0, ...claims }, config.security.jwtSecret, {
+    expiresIn: config.security.jwtExpiresIn,
+    jwtid: crypto.randomBytes(16).toString('hex')
+  });
+  return `Bearer ${token}`;
+};
+
+module.exports = {
+  createApp,
+  bearer
+};
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const database = require('../../src/database/database');
+
+/**
+ * MongoDB in-memory untuk pengujian yang memerlukan database. Aplikasi dihubungkan melalui
+ * database.connect() sehingga model mongoose dan `requireDatabase` bekerja seperti di produksi.
+ * Biner mongod diunduh oleh mongodb-memory-server saat pertama kali dijalankan.
+ */
+
+// Batas waktu beforeAll; unduhan biner pertama dapat memakan waktu lama
+const START_TIMEOUT_MS = 120 * 1000;
+
+let server = null;
+
+/**
+ * Menjalankan server MongoDB in-memory dan menghubungkan aplikasi ke server tersebut
+ * @returns {Promise<void>}
+ */
+const connect = async () => {
+  server = await MongoMemoryServer.create();
+  await database.connect(server.getUri());
+};
+
+/**
+ * Mengosongkan semua koleksi di antara pengujian
+ * @returns {Promise<void>}
+ */
+const clear = async () => {
+  await Promise.all(Object.values(mongoose.connection.collections).map(collection => collection.deleteMany({})));
+};
+
+/**
+ * Memutus koneksi dan menghentikan server MongoDB in-memory
+ * @returns {Promise<void>}
+ */
+const disconnect = async () => {
+  await database.disconnect();
+  if (server) {
+    await server.stop();
+    server = null;
+  }
+};
+
+module.exports = {
+  START_TIMEOUT_MS,
+  connect,
+  clear,
+  disconnect
+};
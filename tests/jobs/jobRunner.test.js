@@ -0,0 +1,71 @@
+jest.mock('node-llama-cpp', () => ({ LLModel: jest.fn() }), { virtual: true });
+jest.mock('huggingface-hub', () => ({ pipeline: jest.fn() }), { virtual: true });
+jest.mock('onnxruntime-node', () => ({}), { virtual: true });
+
+const Job = require('../../src/database/Job');
+const config = require('../../src/config/config');
+const jobRunner = require('../../src/jobs/jobRunner');
+
+const createJob = (fields = {}) => new Job({ owner: 'budi', model: 'llama', prompt: 'halo', status: 'running', ...fields });
+
+describe('jobRunner', () => {
+  afterEach(() => {
+    jobRunner.stopRecovery();
+    jobRunner._stopHeartbeat();
+    jobRunner.active.clear();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('recover', () => {
+    test('hanya mencari job milik instance ini atau yang heartbeat-nya kedaluwarsa', async () => {
+      const find = jest.spyOn(Job, 'find').mockResolvedValue([]);
+      jobRunner.active.set('job-aktif', {});
+
+      await jobRunner.recover();
+
+      const [filter] = find.mock.calls[0];
+      expect(filter).toMatchObject({
+        _id: { $nin: ['job-aktif'] },
+        status: { $in: ['queued', 'running'] }
+      });
+      expect(filter.$or).toEqual(expect.arrayContaining([
+        { instanceId: config.jobs.instanceId },
+        { heartbeatAt: { $exists: false } }
+      ]));
+      const stale = filter.$or.find(condition => condition.heartbeatAt && condition.heartbeatAt.$lt);
+      expect(Date.now() - stale.heartbeatAt.$lt.getTime()).toBeGreaterThanOrEqual(config.jobs.staleAfterMs);
+    });
+
+    test('melewati job yang sudah diambil alih atau heartbeat-nya berubah', async () => {
+      const heartbeatAt = new Date(Date.now() - config.jobs.staleAfterMs * 2);
+      const taken = createJob({ instanceId: 'instance-lain', heartbeatAt });
+      const abandoned = createJob({ instanceId: 'instance-lain', heartbeatAt });
+      jest.spyOn(Job, 'find').mockResolvedValue([taken, abandoned]);
+      const updateOne = jest.spyOn(Job, 'updateOne')
+        .mockResolvedValueOnce({ modifiedCount: 0 })
+        .mockResolvedValue({ modifiedCount: 1 });
+
+      expect(await jobRunner.recover()).toBe(1);
+
+      expect(updateOne.mock.calls[0][0]).toEqual({ _id: taken._id, status: 'running', heartbeatAt });
+      expect(taken.status).toBe('running');
+      expect(abandoned.status).toBe('failed');
+      expect(abandoned.error).toMatchObject({ code: 'JOB_INTERRUPTED' });
+    });
+  });
+
+  test('memperbarui heartbeat job yang sedang dijalankan instance ini', () => {
+    jest.useFakeTimers();
+    const updateMany = jest.spyOn(Job, 'updateMany').mockResolvedValue({});
+    jobRunner.active.set('job-1', {});
+
+    jobRunner._startHeartbeat();
+    jest.advanceTimersByTime(config.jobs.heartbeatIntervalMs);
+
+    expect(updateMany).toHaveBeenCalledWith(
+      { _id: { $in: ['job-1'] }, status: { $in: ['queued', 'running'] } },
+      { $set: { instanceId: config.jobs.instanceId, heartbeatAt: expect.any(Date) } }
+    );
+  });
+});
@@ -0,0 +1,36 @@
+const BaseModel = require('../../src/models/BaseModel');
+
+class FakeModel extends BaseModel {}
+
+// 40 karakter = 10 token menurut perkiraan countTokens()
+const message = (role, label) => ({ role, content: label.padEnd(40, '.') });
+
+describe('BaseModel.fitToContext', () => {
+  const model = new FakeModel({ path: './models/palsu', contextSize: 50 });
+
+  test('mengembalikan semua pesan yang muat di jendela konteks', () => {
+    const messages = [message('user', 'a'), message('assistant', 'b')];
+
+    expect(model.fitToContext(messages, 10)).toEqual(messages);
+  });
+
+  test('membuang pesan tertua tetapi mempertahankan pesan system dan pesan terakhir', () => {
+    const messages = [
+      message('system', 'aturan'),
+      message('user', '1'),
+      message('assistant', '2'),
+      message('user', '3'),
+      message('assistant', '4'),
+      message('user', '5')
+    ];
+
+    // Anggaran 50 - 10 (jawaban) - 10 (system) = 30 token: tiga pesan terakhir
+    expect(model.fitToContext(messages, 10).map(item => item.content[0])).toEqual(['a', '3', '4', '5']);
+  });
+
+  test('pesan terakhir tetap dikirim walaupun melebihi jendela konteks', () => {
+    const messages = [message('user', 'lama'), { role: 'user', content: 'x'.repeat(400) }];
+
+    expect(model.fitToContext(messages, 10)).toEqual([messages[1]]);
+  });
+});
@@ -0,0 +1,35 @@
+const generationRegistry = require('../../src/models/GenerationRegistry');
+
+describe('GenerationRegistry', () => {
+  afterEach(() => {
+    generationRegistry.running.clear();
+  });
+
+  test('generasi yang dibatalkan tetap tercatat sampai selesai dan slotnya dilepas', () => {
+    const entry = generationRegistry.start({ owner: 'budi', model: 'all', source: 'POST /api/generate/all' });
+    generationRegistry.markRunning(entry.id, 'llama');
+    generationRegistry.markRunning(entry.id, 'mistral');
+
+    expect(generationRegistry.cancel(entry.id)).toBe(true);
+    expect(entry.signal.aborted).toBe(true);
+    expect(generationRegistry.list('budi')).toEqual([expect.objectContaining({ id: entry.id, status: 'cancelling' })]);
+    expect(generationRegistry.cancel(entry.id)).toBe(false);
+
+    generationRegistry.finish(entry.id);
+    generationRegistry.markReleased(entry.id, 'llama');
+    expect(generationRegistry.get(entry.id)).toBeDefined();
+
+    generationRegistry.markReleased(entry.id, 'mistral');
+    expect(generationRegistry.get(entry.id)).toBeUndefined();
+  });
+
+  test('generasi yang selesai tanpa memakai slot langsung dihapus', () => {
+    const entry = generationRegistry.start({ owner: 'budi', model: 'llama', source: 'POST /api/generate/llama' });
+    generationRegistry.markQueued(entry.id, 'llama', 2);
+    expect(generationRegistry.toPublic(entry)).toMatchObject({ status: 'queued', queue: { llama: 2 } });
+
+    generationRegistry.finish(entry.id);
+
+    expect(generationRegistry.running.size).toBe(0);
+  });
+});
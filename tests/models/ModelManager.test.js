@@ -0,0 +1,135 @@
+jest.mock('node-llama-cpp', () => ({ LLModel: jest.fn() }), { virtual: true });
+jest.mock('huggingface-hub', () => ({ pipeline: jest.fn() }), { virtual: true });
+jest.mock('onnxruntime-node', () => ({}), { virtual: true });
+
+const modelManager = require('../../src/models/ModelManager');
+const { createAbortError } = require('../../src/utils/abort');
+
+// Prompt 8 karakter (2 token) dan token 4 karakter (1 token) agar jumlah token mudah dihitung
+const PROMPT = 'halo apa';
+
+describe('ModelManager', () => {
+  let llama;
+
+  beforeAll(async () => {
+    await modelManager.init();
+  });
+
+  beforeEach(() => {
+    llama = modelManager.getModel('llama');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('pelaporan pemakaian token', () => {
+    test('melaporkan token prompt dan completion setelah generasi selesai', async () => {
+      jest.spyOn(llama, 'generate').mockResolvedValue('satudua!');
+      const onUsage = jest.fn();
+
+      await modelManager.generate('llama', PROMPT, {}, { onUsage });
+
+      expect(onUsage).toHaveBeenCalledWith('llama', 2, 2);
+    });
+
+    test('generasi yang dibatalkan setelah berjalan tetap menghitung token prompt', async () => {
+      jest.spyOn(llama, 'generate').mockRejectedValue(createAbortError('client-disconnect'));
+      const onUsage = jest.fn();
+
+      await expect(modelManager.generate('llama', PROMPT, {}, { onUsage })).rejects.toMatchObject({ name: 'AbortError' });
+
+      expect(onUsage).toHaveBeenCalledWith('llama', 2, 0);
+    });
+
+    test('generasi yang dibatalkan selama menunggu antrean tidak dihitung', async () => {
+      const release = await modelManager.getScheduler('llama').acquire();
+      const controller = new AbortController();
+      const onUsage = jest.fn();
+
+      const pending = modelManager.generate('llama', PROMPT, { signal: controller.signal }, { onUsage });
+      controller.abort('client-disconnect');
+
+      await expect(pending).rejects.toMatchObject({ name: 'AbortError' });
+      release();
+      expect(onUsage).not.toHaveBeenCalled();
+    });
+
+    test('streaming yang dihentikan pemanggil melaporkan token yang sudah dihasilkan', async () => {
+      jest.spyOn(llama, 'generateStream').mockImplementation(async function* () {
+        yield 'satu';
+        yield 'dua!';
+        yield 'tiga';
+      });
+      const onUsage = jest.fn();
+
+      for await (const token of modelManager.generateStream('llama', PROMPT, {}, { onUsage })) {
+        if (token === 'dua!') {
+          break;
+        }
+      }
+
+      expect(onUsage).toHaveBeenCalledTimes(1);
+      expect(onUsage).toHaveBeenCalledWith('llama', 2, 2);
+    });
+  });
+
+  describe('penghentian streaming', () => {
+    test('slot baru dilepas setelah backend berhenti ketika pemanggil berhenti membaca', async () => {
+      const scheduler = modelManager.getScheduler('llama');
+      let backendSignal;
+      let finishBackend;
+      jest.spyOn(llama, 'generateStream').mockImplementation(async function* (prompt, options) {
+        backendSignal = options.signal;
+        try {
+          yield 'satu';
+          yield 'dua!';
+        } finally {
+          // Backend butuh waktu untuk berhenti setelah dibatalkan
+          await new Promise(resolve => {
+            finishBackend = resolve;
+          });
+        }
+      });
+
+      const stream = modelManager.generateStream('llama', PROMPT);
+      await stream.next();
+      const closing = stream.return();
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(backendSignal.aborted).toBe(true);
+      expect(scheduler.getStats().active).toBe(1);
+
+      finishBackend();
+      await closing;
+      expect(scheduler.getStats().active).toBe(0);
+    });
+
+    test('menghentikan streaming semua model ketika pemanggil berhenti membaca', async () => {
+      const models = Object.values(modelManager.getAllModels());
+      const signals = [];
+      models.forEach(model => {
+        jest.spyOn(model, 'generateStream').mockImplementation(async function* (prompt, options) {
+          signals.push(options.signal);
+          while (!options.signal.aborted) {
+            await new Promise(resolve => setImmediate(resolve));
+            yield 'satu';
+          }
+          throw createAbortError(options.signal.reason);
+        });
+      });
+
+      for await (const event of modelManager.streamFromAllModels(PROMPT)) {
+        if (event.token) {
+          break;
+        }
+      }
+
+      expect(signals).toHaveLength(models.length);
+      expect(signals.every(signal => signal.aborted)).toBe(true);
+      models.forEach(model => {
+        expect(modelManager.getScheduler(model.name).getStats().active).toBe(0);
+      });
+    });
+  });
+});
@@ -0,0 +1,138 @@
+const { ModelScheduler } = require('../../src/models/ModelScheduler');
+
+const createScheduler = (options = {}) => new ModelScheduler('llama', {
+  maxConcurrency: 1,
+  maxQueueSize: 2,
+  queueTimeoutMs: 1000,
+  ...options
+});
+
+describe('ModelScheduler', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('tidak menjalankan generasi melebihi batas konkurensi', async () => {
+    const scheduler = createScheduler({ maxConcurrency: 2, maxQueueSize: 10 });
+    let running = 0;
+    let maxRunning = 0;
+
+    const task = async () => {
+      running += 1;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise(resolve => setImmediate(resolve));
+      running -= 1;
+    };
+
+    await Promise.all(Array.from({ length: 6 }, () => scheduler.run(task)));
+
+    expect(maxRunning).toBe(2);
+    expect(scheduler.getStats()).toMatchObject({ active: 0, queued: 0 });
+  });
+
+  test('melayani prioritas lebih tinggi lebih dulu dan FIFO untuk prioritas sama', async () => {
+    const scheduler = createScheduler({ maxQueueSize: 10 });
+    const order = [];
+    const releaseFirst = await scheduler.acquire();
+
+    const waiting = [
+      ['user-1', 0],
+      ['user-2', 0],
+      ['admin', 10],
+      ['operator', 5]
+    ].map(([name, priority]) => scheduler.acquire({ priority }).then(release => {
+      order.push(name);
+      release();
+    }));
+
+    releaseFirst();
+    await Promise.all(waiting);
+
+    expect(order).toEqual(['admin', 'operator', 'user-1', 'user-2']);
+  });
+
+  test('melaporkan posisi antrean setiap kali berubah', async () => {
+    const scheduler = createScheduler();
+    const positions = [];
+    const release = await scheduler.acquire();
+
+    const first = scheduler.acquire({ onQueued: position => positions.push(['first', position]) });
+    const second = scheduler.acquire({ onQueued: position => positions.push(['second', position]) });
+
+    release();
+    (await first)();
+    (await second)();
+
+    expect(positions).toEqual([['first', 1], ['second', 2], ['second', 1]]);
+  });
+
+  test('menolak dengan QUEUE_FULL dan Retry-After ketika antrean penuh', async () => {
+    const scheduler = createScheduler({ maxQueueSize: 1 });
+    const release = await scheduler.acquire();
+    const queued = scheduler.acquire();
+
+    await expect(scheduler.acquire()).rejects.toMatchObject({
+      status: 503,
+      code: 'QUEUE_FULL',
+      retryAfter: expect.any(Number)
+    });
+    expect(() => scheduler.checkCapacity()).toThrow(expect.objectContaining({ code: 'QUEUE_FULL' }));
+
+    release();
+    (await queued)();
+  });
+
+  test('menolak dengan QUEUE_TIMEOUT setelah batas waktu antrean', async () => {
+    jest.useFakeTimers();
+    const scheduler = createScheduler();
+    const release = await scheduler.acquire();
+    const queued = scheduler.acquire({ timeoutMs: 500 });
+
+    jest.advanceTimersByTime(500);
+
+    await expect(queued).rejects.toMatchObject({ code: 'QUEUE_TIMEOUT' });
+    expect(scheduler.getStats().queued).toBe(0);
+    release();
+  });
+
+  test('mengeluarkan request dari antrean ketika signal dibatalkan', async () => {
+    const scheduler = createScheduler();
+    const controller = new AbortController();
+    const release = await scheduler.acquire();
+    const queued = scheduler.acquire({ signal: controller.signal });
+
+    controller.abort('client-disconnect');
+
+    await expect(queued).rejects.toMatchObject({ name: 'AbortError', code: 'GENERATION_CANCELLED' });
+    expect(scheduler.getStats().queued).toBe(0);
+
+    release();
+    expect(scheduler.getStats().active).toBe(0);
+  });
+
+  test('melepas slot hanya sekali walaupun fungsi pelepas dipanggil berulang', async () => {
+    const scheduler = createScheduler({ maxConcurrency: 2 });
+    const release = await scheduler.acquire();
+    await scheduler.acquire();
+
+    release();
+    release();
+
+    expect(scheduler.getStats().active).toBe(1);
+  });
+
+  test('memanggil onRelease sekali untuk slot yang didapat langsung maupun dari antrean', async () => {
+    const scheduler = createScheduler();
+    const onRelease = jest.fn();
+    const first = await scheduler.acquire({ onRelease });
+    const queued = scheduler.acquire({ onRelease });
+
+    first();
+    first();
+    expect(onRelease).toHaveBeenCalledTimes(1);
+
+    (await queued)();
+    expect(onRelease).toHaveBeenCalledTimes(2);
+    expect(onRelease).toHaveBeenCalledWith('llama');
+  });
+});
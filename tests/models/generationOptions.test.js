@@ -0,0 +1,74 @@
+const express = require('express');
+const request = require('supertest');
+const { validateGenerationOptions, withDefaults, DEFAULT_GENERATION_OPTIONS } = require('../../src/models/generationOptions');
+const { checkOptions, validateOptions, detectLocale } = require('../../src/api/middleware');
+const { errorHandler } = require('../../src/api/errorHandler');
+
+describe('validateGenerationOptions', () => {
+  test('menerima opsi kosong dan opsi kanonik yang valid', () => {
+    expect(validateGenerationOptions(undefined)).toEqual([]);
+    expect(validateGenerationOptions({ temperature: 0, maxTokens: 4096, topP: 1, topK: 0, repetitionPenalty: 1, seed: 42 })).toEqual([]);
+  });
+
+  test('menolak opsi yang bukan objek', () => {
+    for (const options of [null, 'panas', [1, 2], 5]) {
+      expect(validateGenerationOptions(options)).toEqual([{ field: 'options', message: expect.anything() }]);
+    }
+  });
+
+  test('menolak tipe dan rentang nilai yang salah', () => {
+    const errors = validateGenerationOptions({ temperature: '0.5', maxTokens: 1.5, topP: 2, seed: -1 });
+
+    expect(errors.map(error => [error.field, error.message.key])).toEqual([
+      ['temperature', 'options.mustBeNumber'],
+      ['maxTokens', 'options.mustBeInteger'],
+      ['topP', 'options.outOfRange'],
+      ['seed', 'options.outOfRange']
+    ]);
+  });
+
+  test('menyarankan nama kanonik untuk alias parameter backend', () => {
+    const [error] = validateGenerationOptions({ max_tokens: 100 });
+
+    expect(error.field).toBe('max_tokens');
+    expect(error.message.key).toBe('options.unknownAlias');
+    expect(error.message.params).toEqual({ name: 'maxTokens' });
+  });
+
+  test('withDefaults hanya mengisi opsi yang tidak diisi', () => {
+    expect(withDefaults({ temperature: 0 })).toEqual({ ...DEFAULT_GENERATION_OPTIONS, temperature: 0 });
+  });
+});
+
+describe('validasi opsi di lapisan API', () => {
+  test('checkOptions memberi code INVALID_OPTIONS dengan path field lengkap', () => {
+    const error = checkOptions({ topK: 5000 });
+
+    expect(error).toMatchObject({ status: 400, code: 'INVALID_OPTIONS' });
+    expect(error.details.errors.map(item => item.field)).toEqual(['options.topK']);
+    expect(checkOptions({ topK: 5 })).toBeNull();
+  });
+
+  test('validateOptions mengembalikan 400 dengan pesan sesuai bahasa request', async () => {
+    const app = express();
+    app.use(express.json());
+    app.use(detectLocale);
+    app.post('/generate', validateOptions, (req, res) => res.json({ status: 'success' }));
+    app.use(errorHandler);
+
+    const response = await request(app)
+      .post('/generate')
+      .set('Accept-Language', 'en')
+      .send({ prompt: 'Halo', options: { temperature: 3 } })
+      .expect(400);
+
+    expect(response.body).toMatchObject({
+      status: 'error',
+      code: 'INVALID_OPTIONS',
+      message: 'Invalid generation options: options.temperature',
+      errors: [{ field: 'options.temperature', message: 'must be between 0 and 2' }]
+    });
+
+    await request(app).post('/generate').send({ prompt: 'Halo', options: { temperature: 1 } }).expect(200);
+  });
+});
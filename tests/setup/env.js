@@ -0,0 +1,7 @@
+const os = require('os');
+const path = require('path');
+
+// Dijalankan sebelum modul aplikasi dimuat: log pengujian ditulis ke direktori sementara, bukan ke ./logs
+process.env.LOG_FILE = path.join(os.tmpdir(), 'ai-api-sistem-test', 'app.log');
+process.env.LOG_LEVEL = 'error';
+process.env.JWT_SECRET = 'rahasia_khusus_pengujian';
@@ -0,0 +1,2 @@
+// Log aplikasi tidak ditampilkan di output pengujian
+require('../../src/utils/logger').silent = true;
@@ -0,0 +1,89 @@
+const { streamFromCallback } = require('../../src/utils/tokenStream');
+
+/**
+ * Backend tiruan yang memanggil onToken secara berkala sampai dibatalkan atau token habis
+ */
+const fakeBackend = (tokens, state) => (onToken, signal) => new Promise((resolve, reject) => {
+  state.signal = signal;
+  let index = 0;
+  const timer = setInterval(() => {
+    try {
+      if (index >= tokens.length) {
+        clearInterval(timer);
+        state.settled = true;
+        resolve();
+        return;
+      }
+      onToken(tokens[index]);
+      index += 1;
+    } catch (error) {
+      clearInterval(timer);
+      state.settled = true;
+      reject(error);
+    }
+  }, 1);
+});
+
+describe('streamFromCallback', () => {
+  test('menghentikan backend dan menunggunya selesai ketika pemanggil berhenti membaca', async () => {
+    const state = {};
+    const received = [];
+
+    for await (const token of streamFromCallback(fakeBackend(['a', 'b', 'c', 'd', 'e'], state))) {
+      received.push(token);
+      if (token === 'b') {
+        break;
+      }
+    }
+
+    expect(received).toEqual(['a', 'b']);
+    expect(state.signal.aborted).toBe(true);
+    expect(state.settled).toBe(true);
+  });
+
+  test('pembatalan dari luar melempar AbortError setelah backend berhenti', async () => {
+    const state = {};
+    const controller = new AbortController();
+    const received = [];
+
+    const consume = async () => {
+      for await (const token of streamFromCallback(fakeBackend(['a', 'b', 'c', 'd', 'e'], state), controller.signal)) {
+        received.push(token);
+        if (token === 'a') {
+          controller.abort('cancelled');
+        }
+      }
+    };
+
+    await expect(consume()).rejects.toMatchObject({ name: 'AbortError' });
+    expect(received).toEqual(['a']);
+    expect(state.signal.aborted).toBe(true);
+    expect(state.settled).toBe(true);
+  });
+
+  test('meneruskan error backend setelah token yang sudah diterima', async () => {
+    const received = [];
+    const run = async (onToken) => {
+      onToken('a');
+      throw new Error('backend gagal');
+    };
+
+    const consume = async () => {
+      for await (const token of streamFromCallback(run)) {
+        received.push(token);
+      }
+    };
+
+    await expect(consume()).rejects.toThrow('backend gagal');
+    expect(received).toEqual(['a']);
+  });
+
+  test('signal yang sudah dibatalkan tidak menjalankan backend', async () => {
+    const run = jest.fn();
+    const controller = new AbortController();
+    controller.abort('cancelled');
+
+    await expect(streamFromCallback(run, controller.signal).next()).rejects.toMatchObject({ name: 'AbortError' });
+    expect(run).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,215 @@
+const crypto = require('crypto');
+const http = require('http');
+const WebhookDelivery = require('../../src/database/WebhookDelivery');
+const webhookDispatcher = require('../../src/webhooks/webhookDispatcher');
+const config = require('../../src/config/config');
+const { parseCallbackUrl } = require('../../src/api/webhooks');
+const { isAllowedAddress } = require('../../src/webhooks/addressPolicy');
+
+/**
+ * Penerima webhook lokal yang mencatat setiap request
+ */
+const startReceiver = async (statusCode = 200) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.statusCode = statusCode;
+      res.end('rahasia internal penerima');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, requests, url: `http://127.0.0.1:${server.address().port}/hook` };
+};
+
+const createDelivery = (url, fields = {}) => new WebhookDelivery({
+  owner: 'budi',
+  event: 'job.completed',
+  url,
+  source: { type: 'job', id: 'job-1' },
+  payload: { id: 'payload-1', event: 'job.completed', data: { status: 'completed' } },
+  nextAttemptAt: new Date(),
+  expiresAt: new Date(Date.now() + 60000),
+  ...fields
+});
+
+describe('webhookDispatcher', () => {
+  const originalWebhooks = { ...config.webhooks };
+  let receiver;
+  let schedule;
+
+  beforeEach(() => {
+    config.webhooks.allowPrivateAddresses = true;
+    schedule = jest.spyOn(webhookDispatcher, '_schedule').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    Object.assign(config.webhooks, originalWebhooks);
+    jest.restoreAllMocks();
+    if (receiver) {
+      receiver.server.closeAllConnections();
+      await new Promise(resolve => receiver.server.close(resolve));
+      receiver = null;
+    }
+  });
+
+  /**
+   * Menjalankan satu percobaan untuk dokumen pengiriman tiruan
+   */
+  const attempt = async (delivery) => {
+    jest.spyOn(WebhookDelivery, 'findById').mockResolvedValue(delivery);
+    jest.spyOn(delivery, 'save').mockResolvedValue(delivery);
+    await webhookDispatcher._attempt(delivery._id.toString());
+    return delivery;
+  };
+
+  describe('tanda tangan', () => {
+    test('menandatangani dengan kunci milik pemilik callback', async () => {
+      receiver = await startReceiver();
+      const delivery = await attempt(createDelivery(receiver.url));
+
+      expect(delivery.status).toBe('delivered');
+      const [{ headers, body }] = receiver.requests;
+      const expected = 'sha256=' + crypto.createHmac('sha256', webhookDispatcher.secretFor('budi'))
+        .update(`${headers['x-webhook-timestamp']}.${body}`)
+        .digest('hex');
+      expect(headers['x-webhook-signature']).toBe(expected);
+      expect(headers['x-webhook-id']).toBe('payload-1');
+      expect(headers['x-webhook-attempt']).toBe('1');
+    });
+
+    test('kunci setiap pengguna berbeda dan bukan kunci induk', () => {
+      config.webhooks.secret = 'kunci-induk';
+
+      expect(webhookDispatcher.secretFor('budi')).not.toBe(webhookDispatcher.secretFor('siti'));
+      expect(webhookDispatcher.secretFor('budi')).not.toBe('kunci-induk');
+      expect(webhookDispatcher.sign('{}', 1, 'budi')).not.toBe(webhookDispatcher.sign('{}', 1, 'siti'));
+    });
+
+    test('menolak dimulai di produksi tanpa WEBHOOK_SECRET', () => {
+      const originalEnv = config.server.env;
+      config.webhooks.secret = undefined;
+
+      try {
+        config.server.env = 'production';
+        expect(() => webhookDispatcher.checkSecret()).toThrow('WEBHOOK_SECRET');
+
+        config.webhooks.secret = 'kunci-induk';
+        expect(() => webhookDispatcher.checkSecret()).not.toThrow();
+
+        config.webhooks.secret = undefined;
+        config.server.env = 'development';
+        expect(() => webhookDispatcher.checkSecret()).not.toThrow();
+      } finally {
+        config.server.env = originalEnv;
+      }
+    });
+  });
+
+  describe('percobaan ulang', () => {
+    test('menjadwalkan ulang dengan jeda eksponensial tanpa menyimpan body respons', async () => {
+      receiver = await startReceiver(500);
+      const delivery = createDelivery(receiver.url, {
+        attempts: [{ number: 1, attemptedAt: new Date(), statusCode: 500 }]
+      });
+
+      await attempt(delivery);
+
+      expect(delivery.status).toBe('pending');
+      const last = delivery.attempts[delivery.attempts.length - 1];
+      expect(last).toMatchObject({ number: 2, statusCode: 500 });
+      expect(last.error).toMatchObject({ code: 'WEBHOOK_HTTP_ERROR', key: 'webhooks.httpError' });
+      expect(JSON.stringify(last.error)).not.toContain('rahasia internal');
+
+      const [id, delay] = schedule.mock.calls[0];
+      expect(id).toBe(delivery._id.toString());
+      expect(delay).toBeGreaterThan(config.webhooks.retryBaseDelayMs * 2 - 1000);
+      expect(delay).toBeLessThanOrEqual(config.webhooks.retryBaseDelayMs * 2);
+    });
+
+    test('menandai gagal setelah percobaan terakhir', async () => {
+      config.webhooks.maxAttempts = 1;
+      receiver = await startReceiver(503);
+
+      const delivery = await attempt(createDelivery(receiver.url));
+
+      expect(delivery.status).toBe('failed');
+      expect(delivery.nextAttemptAt).toBeUndefined();
+      expect(schedule).not.toHaveBeenCalled();
+    });
+
+    test('mencatat batas waktu sebagai WEBHOOK_TIMEOUT', async () => {
+      config.webhooks.timeoutMs = 100;
+      const server = http.createServer(() => {});
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      receiver = { server };
+
+      const delivery = await attempt(createDelivery(`http://127.0.0.1:${server.address().port}/hook`));
+
+      expect(delivery.attempts[0].error.code).toBe('WEBHOOK_TIMEOUT');
+      expect(delivery.status).toBe('pending');
+    });
+  });
+
+  describe('pembatasan alamat', () => {
+    test('menolak alamat loopback tanpa mencoba lagi kecuali diizinkan', async () => {
+      config.webhooks.allowPrivateAddresses = false;
+      receiver = await startReceiver();
+
+      const delivery = await attempt(createDelivery(receiver.url));
+
+      expect(receiver.requests).toHaveLength(0);
+      expect(delivery.status).toBe('failed');
+      expect(delivery.attempts[0].error.code).toBe('WEBHOOK_ADDRESS_BLOCKED');
+      expect(schedule).not.toHaveBeenCalled();
+    });
+
+    test('memeriksa alamat hasil resolusi DNS, bukan hanya nama host', async () => {
+      config.webhooks.allowPrivateAddresses = false;
+      receiver = await startReceiver();
+
+      const delivery = await attempt(createDelivery(receiver.url.replace('127.0.0.1', 'localhost')));
+
+      expect(receiver.requests).toHaveLength(0);
+      expect(delivery.attempts[0].error.code).toBe('WEBHOOK_ADDRESS_BLOCKED');
+    });
+
+    test.each([
+      ['NAT64', '64:ff9b::7f00:1', '64:ff9b::808:808'],
+      ['IPv4-compatible', '::127.0.0.1', '::8.8.8.8'],
+      ['6to4', '2002:7f00:1::', '2002:808:808::1'],
+      ['IPv4-mapped', '::ffff:a00:1', '::ffff:8.8.8.8']
+    ])('memeriksa alamat IPv4 yang tertanam dalam alamat %s', (_, blocked, allowed) => {
+      config.webhooks.allowPrivateAddresses = false;
+
+      expect(isAllowedAddress(blocked)).toBe(false);
+      expect(isAllowedAddress(allowed)).toBe(true);
+    });
+
+    test('menolak rentang IPv6 yang dapat menuju alamat IPv4 apa pun', () => {
+      config.webhooks.allowPrivateAddresses = false;
+
+      expect(isAllowedAddress('64:ff9b:1::808:808')).toBe(false);
+      expect(isAllowedAddress('2001:0:4136:e378:8000:63bf:3fff:fdd2')).toBe(false);
+      expect(isAllowedAddress('2606:4700:4700::1111')).toBe(true);
+      expect(() => parseCallbackUrl('http://[64:ff9b::7f00:1]/hook')).toThrow();
+    });
+
+    test('parseCallbackUrl menolak alamat privat dan host di luar daftar yang diizinkan', () => {
+      config.webhooks.allowPrivateAddresses = false;
+
+      expect(() => parseCallbackUrl('http://169.254.169.254/latest/meta-data')).toThrow();
+      expect(() => parseCallbackUrl('http://[::ffff:10.0.0.1]/hook')).toThrow();
+      expect(() => parseCallbackUrl('http://[::1]:4000/hook')).toThrow();
+      expect(parseCallbackUrl('https://hooks.contoh.id/ai')).toBe('https://hooks.contoh.id/ai');
+
+      config.webhooks.allowedHosts = ['*.contoh.id'];
+      expect(parseCallbackUrl('https://hooks.contoh.id/ai')).toBe('https://hooks.contoh.id/ai');
+      expect(() => parseCallbackUrl('https://contoh.com/ai')).toThrow();
+    });
+  });
+});